@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * 地图格式转换 - 把地图清单中的地图文件改写为当前格式（version 2，坐标为数字数组）
+ *
+ * 用法：
+ *   node scripts/convert-maps.js [--difficulty easy|hard|all] [--author "Bunny Runaway"] [--dry-run]
+ *
+ * 读取 version 1 或 version 2 的地图，补充 meta：title 取自地图清单，author 取自 --author（地图已有时保留），
+ * par 由 MapSolver.getPar 按地图重新计算；写入前重新解码，确认与原地图的解码结果一致
+ * --dry-run 只检查和输出结果，不写文件
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { MapService } from '../src/services/MapService.js';
+import { MapSolver } from '../src/services/MapSolver.js';
+import { GameEngine } from '../src/core/GameEngine.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        difficulty: 'all',
+        author: 'Bunny Runaway',
+        dryRun: false
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--difficulty': args.difficulty = next(); break;
+            case '--author': args.author = next(); break;
+            case '--dry-run': args.dryRun = true; break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+    
+    return args;
+}
+
+/**
+ * 计算地图的 par（见 MapSolver.getPar）
+ */
+function computePar(mapService, decodedMap) {
+    const gameEngine = new GameEngine(mapService);
+    gameEngine.loadDecodedMap(decodedMap);
+    const startNodes = decodedMap.bunnyStarts.map(start => mapService.coordToString(start));
+    return new MapSolver(gameEngine.getGameState()).getPar(startNodes);
+}
+
+/**
+ * 解码结果中与文件格式无关的部分，用于比较转换前后的地图
+ */
+function describeMap(mapService, decodedMap) {
+    return JSON.stringify({
+        nodes: decodedMap.nodes,
+        positions: decodedMap.nodes.map(node => decodedMap.positions[mapService.coordToString(node)]),
+        edges: decodedMap.edges.map(edge => [...edge, mapService.findEdgeTerrain(decodedMap.terrain, edge)]),
+        holes: decodedMap.holes,
+        bunnyStarts: decodedMap.bunnyStarts,
+        traps: decodedMap.traps,
+        generation_params: decodedMap.generation_params
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const mapService = new MapService();
+    mapService.setManifest(JSON.parse(readFileSync(join(ROOT_DIR, mapService.getManifestPath()), 'utf8')));
+    const difficulties = args.difficulty === 'all'
+        ? mapService.getDifficulties().map(difficulty => difficulty.id)
+        : [args.difficulty];
+    
+    // 转换期间屏蔽游戏模块的调试日志
+    const originalLog = console.log;
+    const mute = () => { console.log = () => {}; };
+    const unmute = () => { console.log = originalLog; };
+    
+    const totals = { maps: 0, converted: 0 };
+    
+    for (const difficulty of difficulties) {
+        for (let mapNumber = 1; mapNumber <= mapService.getAvailableMapCount(difficulty); mapNumber++) {
+            const mapPath = mapService.getMapFilePath(difficulty, mapNumber);
+            const filePath = mapPath ? join(ROOT_DIR, mapPath) : null;
+            if (!filePath || !existsSync(filePath)) {
+                continue;
+            }
+            
+            const decodedMap = mapService.decodeMapData(JSON.parse(readFileSync(filePath, 'utf8')));
+            mute();
+            const par = computePar(mapService, decodedMap);
+            unmute();
+            
+            const rawMapData = mapService.encodeMapData(decodedMap, {
+                title: decodedMap.meta.title || mapService.getMapTitle(difficulty, mapNumber),
+                author: decodedMap.meta.author || args.author,
+                par
+            });
+            const text = MapService.stringifyMapData(rawMapData);
+            if (describeMap(mapService, mapService.decodeMapData(JSON.parse(text))) !== describeMap(mapService, decodedMap)) {
+                throw new Error(`${mapPath} 转换后与原地图不一致`);
+            }
+            
+            if (!args.dryRun) {
+                writeFileSync(filePath, text);
+            }
+            console.log(`${mapPath}  version ${decodedMap.version} -> ${rawMapData.version}  par ${par === null ? '-' : par}`);
+            
+            totals.maps++;
+            if (decodedMap.version !== rawMapData.version) totals.converted++;
+        }
+    }
+    
+    console.log(`\n共 ${totals.maps} 张地图，其中 ${totals.converted} 张从旧格式转换${args.dryRun ? '（未写入文件）' : ''}`);
+}
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * 地图生成 - 使用 MapGenerator 批量生成与内置地图格式相同的地图文件（version 2）
+ *
+ * 用法：
+ *   node scripts/generate-maps.js [--difficulty easy|hard] [--seed 2000] [--count 10]
+ *                                 [--start 1] [--out generated-maps]
+ *
+ * 第 i 张地图的种子为 seed + i，文件名为 bunny_map_NNN.json
+ * 生成的地图复制到 assets/maps/ 的难度目录后，需要登记到 assets/maps/manifest.json 才会出现在游戏中，
+ * 再运行 scripts/convert-maps.js 补充 meta（标题、作者和 par）
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { MapGenerator, MAP_GENERATOR_PRESETS } from '../src/services/MapGenerator.js';
+import { MapService } from '../src/services/MapService.js';
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        difficulty: 'easy',
+        seed: 2000,
+        count: 10,
+        start: 1,
+        out: 'generated-maps'
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--difficulty': args.difficulty = next(); break;
+            case '--seed': args.seed = parseInt(next(), 10); break;
+            case '--count': args.count = parseInt(next(), 10); break;
+            case '--start': args.start = parseInt(next(), 10); break;
+            case '--out': args.out = next(); break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+    
+    if (!MAP_GENERATOR_PRESETS[args.difficulty]) {
+        throw new Error(`未知难度: ${args.difficulty}`);
+    }
+    
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const generator = new MapGenerator();
+    const mapService = new MapService();
+    const outDir = resolve(args.out);
+    mkdirSync(outDir, { recursive: true });
+    
+    for (let i = 0; i < args.count; i++) {
+        const mapNumber = args.start + i;
+        const rawMap = generator.generate({
+            ...MAP_GENERATOR_PRESETS[args.difficulty],
+            seed: args.seed + i
+        });
+        
+        // 确认生成结果可以被游戏正常加载，并转换为当前地图格式
+        const mapData = mapService.decodeMapData(rawMap);
+        
+        const fileName = `bunny_map_${String(mapNumber).padStart(3, '0')}.json`;
+        writeFileSync(join(outDir, fileName), MapService.stringifyMapData(mapService.encodeMapData(mapData)));
+        console.log(`${fileName}  种子 ${rawMap.seed}  边 ${rawMap.edges.length}  ` +
+            `陷阱 ${rawMap.traps.length}  起点 ${rawMap.bunny_start}`);
+    }
+}
+
+main();
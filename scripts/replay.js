@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * 回放验证 - 在无头模拟中重演游戏内保存的回放文件，对比重演结果和录制结果
+ *
+ * 用法：
+ *   node scripts/replay.js <replay.json> [--verbose]
+ *
+ * 重演结果与录制结果不一致（胜者不同或操作无法应用）时以非零状态退出，可用于复现问题报告
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { MapService } from '../src/services/MapService.js';
+import { ReplayRecorder } from '../src/services/ReplayRecorder.js';
+import { ReplayPlayer } from '../src/core/ReplayPlayer.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        file: null,
+        verbose: false
+    };
+    
+    for (const arg of argv) {
+        if (arg === '--verbose') {
+            args.verbose = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`未知参数: ${arg}`);
+        } else {
+            args.file = arg;
+        }
+    }
+    
+    if (!args.file) {
+        throw new Error('用法: node scripts/replay.js <replay.json> [--verbose]');
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const replay = ReplayRecorder.parse(readFileSync(args.file, 'utf8'));
+    const mapService = new MapService();
+    mapService.setManifest(JSON.parse(readFileSync(join(ROOT_DIR, mapService.getManifestPath()), 'utf8')));
+    
+    const mapPath = mapService.getMapFilePath(replay.difficulty, replay.mapNumber);
+    const filePath = mapPath ? join(ROOT_DIR, mapPath) : null;
+    if (!filePath || !existsSync(filePath)) {
+        throw new Error(`找不到回放的地图: ${replay.difficulty} #${replay.mapNumber}`);
+    }
+    const decodedMap = mapService.decodeMapData(JSON.parse(readFileSync(filePath, 'utf8')));
+    
+    // 重演期间屏蔽游戏模块的调试日志
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    
+    const player = new ReplayPlayer(replay, decodedMap, { simulationOptions: { mapService } });
+    player.seek(player.getDuration());
+    const outcome = player.getOutcome();
+    player.destroy();
+    
+    console.log = originalLog;
+    console.warn = originalWarn;
+    
+    const recorded = replay.result || { winner: null, time: 0 };
+    console.log(`${replay.difficulty} #${String(replay.mapNumber).padStart(3, '0')}  ` +
+        `性格 ${replay.strategy}  模式 ${replay.gameMode}  操作 ${replay.events.length} 个`);
+    console.log(`录制: 胜者 ${recorded.winner || '-'}  ${recorded.time.toFixed(2)}s`);
+    console.log(`重演: 胜者 ${outcome.winner || '-'}  ${outcome.elapsedTime.toFixed(2)}s  ` +
+        `兔子位置 ${outcome.bunnies.map(bunny => bunny.node).join(' ')}`);
+    outcome.desyncs.forEach(desync => {
+        console.log(`    不同步 t=${desync.time.toFixed(2)}s  ${desync.type}  ${desync.reason}`);
+    });
+    
+    const matches = outcome.winner === recorded.winner && outcome.desyncs.length === 0;
+    console.log(matches ? '✅ 重演结果与录制一致' : '❌ 重演结果与录制不一致');
+    process.exitCode = matches ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * 批量无头模拟 - 在 Node 中对地图批量运行对局，用于平衡性和回归测试
+ *
+ * 用法：
+ *   node scripts/simulate.js [--difficulty easy|hard|all] [--maps 1-30|all] [--rounds 10]
+ *                            [--interval 0.5] [--max-time 120] [--seed 42]
+ *                            [--strategy astar|bfs|greedy-nearest-hole|random-walk|safest-hole|expert]
+ *                            [--depth 3] [--node-budget 1000] [--search-mode minimax|expectimax]
+ *                            [--turn-based] [--no-blockers] [--expect bunny|player] [--verbose]
+ *
+ * 玩家策略：每隔 interval 秒在一条随机可放置的边上放置路障（使用种子随机数，结果可复现）
+ * 回合制（--turn-based）下忽略 interval，每当兔子跳完一步就放置下一个路障；--no-blockers 时玩家不放置路障
+ *
+ * 回归检查：--expect 指定每局应有的胜者，有不符的对局时列出并以非零状态退出，例如
+ *   node scripts/simulate.js --strategy expert --no-blockers --rounds 1 --max-time 60 --expect bunny
+ * 检查兔子在没有路障的地图上能逃脱（npm run simulate:check）
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { MapService } from '../src/services/MapService.js';
+import { Simulation } from '../src/core/Simulation.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        difficulty: 'all',
+        maps: 'all',
+        rounds: 10,
+        interval: 0.5,
+        maxTime: 120,
+        seed: 42,
+        strategy: 'astar',
+        strategyOptions: {},
+        turnBased: false,
+        noBlockers: false,
+        expect: null,
+        verbose: false
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--difficulty': args.difficulty = next(); break;
+            case '--maps': args.maps = next(); break;
+            case '--rounds': args.rounds = parseInt(next(), 10); break;
+            case '--interval': args.interval = parseFloat(next()); break;
+            case '--max-time': args.maxTime = parseFloat(next()); break;
+            case '--seed': args.seed = parseInt(next(), 10); break;
+            case '--strategy': args.strategy = next(); break;
+            case '--depth': args.strategyOptions.searchDepth = parseInt(next(), 10); break;
+            case '--node-budget': args.strategyOptions.nodeBudget = parseInt(next(), 10); break;
+            case '--search-mode': args.strategyOptions.searchMode = next(); break;
+            case '--turn-based': args.turnBased = true; break;
+            case '--no-blockers': args.noBlockers = true; break;
+            case '--expect': args.expect = next(); break;
+            case '--verbose': args.verbose = true; break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+    
+    if (args.expect !== null && args.expect !== 'bunny' && args.expect !== 'player') {
+        throw new Error(`--expect 只能是 bunny 或 player: ${args.expect}`);
+    }
+    return args;
+}
+
+/**
+ * 解析地图范围 "1-30"、"3" 或 "all"（该难度在地图清单中的所有地图）
+ */
+function parseRange(range, mapCount) {
+    if (range === 'all') {
+        return parseRange(`1-${mapCount}`);
+    }
+    const [start, end = start] = range.split('-').map(n => parseInt(n, 10));
+    const numbers = [];
+    for (let n = start; n <= end; n++) {
+        numbers.push(n);
+    }
+    return numbers;
+}
+
+/**
+ * 带种子的随机数生成器（与 CentralizedStateManager 相同的 Park-Miller 算法）
+ */
+function createSeededRandom(seed) {
+    let m_seed = seed % 2147483647;
+    if (m_seed <= 0) m_seed += 2147483646;
+    
+    return function() {
+        m_seed = m_seed * 16807 % 2147483647;
+        return (m_seed - 1) / 2147483646;
+    };
+}
+
+/**
+ * 运行单局：随机放置路障直到分出胜负或超时
+ */
+function runRound(decodedMap, random, args) {
+    const sim = new Simulation(decodedMap, {
+        strategy: args.strategy,
+        strategyOptions: args.strategyOptions,
+        turnBased: args.turnBased,
+        random
+    });
+    const edgeKeys = sim.getEdgeKeys();
+    const frameTime = 1 / 60;
+    
+    let nextPlacement = 0;
+    while (!sim.getOutcome().finished && sim.elapsedTime < args.maxTime) {
+        const ready = args.turnBased ? sim.isWaitingForPlayer() : sim.elapsedTime >= nextPlacement;
+        if (ready && !args.noBlockers) {
+            // 最多尝试若干次，找到一条可放置的边
+            for (let attempt = 0; attempt < 10; attempt++) {
+                const edgeKey = edgeKeys[Math.floor(random() * edgeKeys.length)];
+                if (sim.placeBlocker(edgeKey)) break;
+            }
+            nextPlacement += args.interval;
+        }
+        sim.step(frameTime);
+    }
+    
+    const outcome = sim.getOutcome();
+    sim.destroy();
+    return outcome;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const mapService = new MapService();
+    mapService.setManifest(JSON.parse(readFileSync(join(ROOT_DIR, mapService.getManifestPath()), 'utf8')));
+    const difficulties = args.difficulty === 'all'
+        ? mapService.getDifficulties().map(difficulty => difficulty.id)
+        : [args.difficulty];
+    const random = createSeededRandom(args.seed);
+    
+    // 模拟期间屏蔽游戏模块的调试日志
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    const mute = () => {
+        if (!args.verbose) {
+            console.log = () => {};
+            console.warn = () => {};
+        }
+    };
+    const unmute = () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    };
+    
+    const totals = { rounds: 0, bunny: 0, player: 0, timeout: 0 };
+    const failures = []; // 与 --expect 不符的对局
+    
+    for (const difficulty of difficulties) {
+        for (const mapNumber of parseRange(args.maps, mapService.getAvailableMapCount(difficulty))) {
+            const mapPath = mapService.getMapFilePath(difficulty, mapNumber);
+            const filePath = mapPath ? join(ROOT_DIR, mapPath) : null;
+            if (!filePath || !existsSync(filePath)) {
+                continue;
+            }
+            
+            const decodedMap = mapService.decodeMapData(JSON.parse(readFileSync(filePath, 'utf8')));
+            const stats = { bunny: 0, player: 0, timeout: 0, escapeTime: 0 };
+            
+            mute();
+            for (let round = 0; round < args.rounds; round++) {
+                const outcome = runRound(decodedMap, random, args);
+                if (args.expect && outcome.winner !== args.expect) {
+                    failures.push(`${difficulty} #${String(mapNumber).padStart(3, '0')} 第 ${round + 1} 局：` +
+                        `${outcome.winner || '超时'}（${outcome.elapsedTime.toFixed(2)}s）`);
+                }
+                if (outcome.winner === 'bunny') {
+                    stats.bunny++;
+                    stats.escapeTime += outcome.elapsedTime;
+                } else if (outcome.winner === 'player') {
+                    stats.player++;
+                } else {
+                    stats.timeout++;
+                }
+            }
+            unmute();
+            
+            const avgEscape = stats.bunny > 0 ? (stats.escapeTime / stats.bunny).toFixed(2) : '-';
+            console.log(`${difficulty} #${String(mapNumber).padStart(3, '0')}  ` +
+                `玩家胜 ${stats.player}/${args.rounds}  兔子胜 ${stats.bunny}/${args.rounds}  ` +
+                `超时 ${stats.timeout}  平均逃脱时间 ${avgEscape}s`);
+            
+            totals.rounds += args.rounds;
+            totals.bunny += stats.bunny;
+            totals.player += stats.player;
+            totals.timeout += stats.timeout;
+        }
+    }
+    
+    console.log(`\n共 ${totals.rounds} 局：玩家胜 ${totals.player}，兔子胜 ${totals.bunny}，超时 ${totals.timeout}`);
+    
+    if (args.expect) {
+        if (failures.length > 0) {
+            console.error(`\n❌ ${failures.length} 局的胜者不是 ${args.expect}：`);
+            failures.forEach(failure => console.error(`   ${failure}`));
+            process.exitCode = 1;
+        } else {
+            console.log(`✅ 所有对局的胜者均为 ${args.expect}`);
+        }
+    }
+}
+
+main();
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * 地图可解性检查 - 对内置地图计算最小割，判断在给定路障数量和兔子速度下能否困住兔子
+ *
+ * 用法：
+ *   node scripts/solve-maps.js [--difficulty easy|hard|all] [--maps 1-30|all] [--blockers 5]
+ *                              [--speed 70] [--interval 0.5] [--delay 0]
+ *                              [--strategy astar] [--max-time 120] [--verbose]
+ *
+ * 对每张地图输出最小割大小、放置顺序和时间估计，并按该顺序在无头模拟中实际对局一次；
+ * 判定以模拟对局为准。时间估计按兔子沿最短路径的最早到达时间计算，是保守的下界：
+ * 余量不足的方案在实际对局中仍可能获胜（兔子会因路障改道、绕远）
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { MapService } from '../src/services/MapService.js';
+import { MapSolver } from '../src/services/MapSolver.js';
+import { Simulation } from '../src/core/Simulation.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// 求解器的时间估计（MapSolver.solve 的 reason）
+const ESTIMATE_LABELS = {
+    'no-escape': '兔子无路可逃',
+    'ok': '估计来得及',
+    'cut-too-large': '路障不足',
+    'too-slow': '估计来不及'
+};
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        difficulty: 'all',
+        maps: 'all',
+        blockers: 5,
+        speed: 70,
+        interval: 0.5,
+        delay: 0,
+        strategy: 'astar',
+        maxTime: 120,
+        verbose: false
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--difficulty': args.difficulty = next(); break;
+            case '--maps': args.maps = next(); break;
+            case '--blockers': args.blockers = parseInt(next(), 10); break;
+            case '--speed': args.speed = parseFloat(next()); break;
+            case '--interval': args.interval = parseFloat(next()); break;
+            case '--delay': args.delay = parseFloat(next()); break;
+            case '--strategy': args.strategy = next(); break;
+            case '--max-time': args.maxTime = parseFloat(next()); break;
+            case '--verbose': args.verbose = true; break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+    
+    return args;
+}
+
+/**
+ * 解析地图范围 "1-30"、"3" 或 "all"（该难度在地图清单中的所有地图）
+ */
+function parseRange(range, mapCount) {
+    if (range === 'all') {
+        return parseRange(`1-${mapCount}`);
+    }
+    const [start, end = start] = range.split('-').map(n => parseInt(n, 10));
+    const numbers = [];
+    for (let n = start; n <= end; n++) {
+        numbers.push(n);
+    }
+    return numbers;
+}
+
+/**
+ * 按求解器给出的顺序和时间放置路障，实际对局验证
+ * @returns {string} 'player' | 'bunny' | 'timeout'
+ */
+function verifyPlacement(decodedMap, placementOrder, args) {
+    const sim = new Simulation(decodedMap, {
+        bunnySpeed: args.speed,
+        maxBlockers: args.blockers,
+        strategy: args.strategy
+    });
+    const frameTime = 1 / 60;
+    
+    let nextStep = 0;
+    while (!sim.getOutcome().finished && sim.elapsedTime < args.maxTime) {
+        while (nextStep < placementOrder.length && sim.elapsedTime >= placementOrder[nextStep].placeAt) {
+            sim.placeBlocker(placementOrder[nextStep].edgeKey);
+            nextStep++;
+        }
+        sim.step(frameTime);
+    }
+    
+    const outcome = sim.getOutcome();
+    sim.destroy();
+    return outcome.winner || 'timeout';
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const mapService = new MapService();
+    mapService.setManifest(JSON.parse(readFileSync(join(ROOT_DIR, mapService.getManifestPath()), 'utf8')));
+    const difficulties = args.difficulty === 'all'
+        ? mapService.getDifficulties().map(difficulty => difficulty.id)
+        : [args.difficulty];
+    
+    // 求解期间屏蔽游戏模块的调试日志
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    const mute = () => {
+        if (!args.verbose) {
+            console.log = () => {};
+            console.warn = () => {};
+        }
+    };
+    const unmute = () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    };
+    
+    const totals = { maps: 0, solvable: 0, estimated: 0 };
+    
+    for (const difficulty of difficulties) {
+        for (const mapNumber of parseRange(args.maps, mapService.getAvailableMapCount(difficulty))) {
+            const mapPath = mapService.getMapFilePath(difficulty, mapNumber);
+            const filePath = mapPath ? join(ROOT_DIR, mapPath) : null;
+            if (!filePath || !existsSync(filePath)) {
+                continue;
+            }
+            
+            const decodedMap = mapService.decodeMapData(JSON.parse(readFileSync(filePath, 'utf8')));
+            
+            mute();
+            const sim = new Simulation(decodedMap, { maxBlockers: args.blockers });
+            const solver = new MapSolver(sim.gameEngine.getGameState());
+            const result = solver.solve(sim.gameEngine.mapData.bunny_start, {
+                maxBlockers: args.blockers,
+                speed: args.speed,
+                placementInterval: args.interval,
+                firstPlacementDelay: args.delay
+            });
+            sim.destroy();
+            const winner = result.placementOrder.length > 0 ? verifyPlacement(decodedMap, result.placementOrder, args) : '-';
+            unmute();
+            
+            // 判定以模拟对局为准；没有放置方案时（无路可逃或路障不足）沿用求解器的结论
+            const solvable = result.placementOrder.length > 0 ? winner === 'player' : result.estimatedWinnable;
+            const slack = Number.isFinite(result.minSlack) ? `${result.minSlack.toFixed(2)}s` : '-';
+            console.log(`${difficulty} #${String(mapNumber).padStart(3, '0')}  ` +
+                `${solvable ? '可解' : '未能困住'}  最小割 ${result.minCutSize}  方案 ${result.cutSize}/${args.blockers}  ` +
+                `模拟对局 ${winner}  时间估计 ${ESTIMATE_LABELS[result.reason]}（余量 ${slack}）`);
+            result.placementOrder.forEach((step, index) => {
+                console.log(`    ${index + 1}. ${step.edgeKey}  t=${step.placeAt.toFixed(2)}s  ` +
+                    `兔子最早到达 ${step.bunnyArrival.toFixed(2)}s`);
+            });
+            
+            totals.maps++;
+            if (solvable) totals.solvable++;
+            if (result.estimatedWinnable) totals.estimated++;
+        }
+    }
+    
+    console.log(`\n共 ${totals.maps} 张地图：可解 ${totals.solvable}（模拟对局验证），` +
+        `时间估计（保守下界）来得及放置的 ${totals.estimated} 张`);
+}
+
+main();
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * 地图校验 - 用 MapValidator 检查地图文件，按文件输出错误和警告
+ *
+ * 用法：
+ *   node scripts/validate-maps.js [文件或目录 ...] [--quiet] [--strict]
+ *
+ * 默认检查 assets/maps 下的所有地图文件（递归，跳过 manifest.json），并对照地图清单报告
+ * 清单中缺失的文件和不在清单中的文件
+ * --quiet 只输出有问题的文件；--strict 有警告时也以失败退出
+ * 有错误时退出码为 1
+ */
+
+import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative, resolve } from 'path';
+import { MapService } from '../src/services/MapService.js';
+import { MapValidator } from '../src/services/MapValidator.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const args = {
+        paths: [],
+        quiet: false,
+        strict: false
+    };
+    
+    for (const arg of argv) {
+        switch (arg) {
+            case '--quiet': args.quiet = true; break;
+            case '--strict': args.strict = true; break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`未知参数: ${arg}`);
+                }
+                args.paths.push(resolve(arg));
+        }
+    }
+    
+    return args;
+}
+
+/**
+ * 列出路径下的所有地图文件（递归，按路径排序）
+ */
+function listMapFiles(path) {
+    if (!statSync(path).isDirectory()) {
+        return [path];
+    }
+    return readdirSync(path).sort()
+        .map(name => join(path, name))
+        .flatMap(child => statSync(child).isDirectory() ? listMapFiles(child)
+            : child.endsWith('.json') && !child.endsWith(MANIFEST_FILE) ? [child] : []);
+}
+
+/**
+ * 对照地图清单：清单中缺失的文件为错误，不在清单中的文件为警告
+ * @returns {Object} {missing: [文件路径], listed: Set<文件路径>}
+ */
+function readManifest(mapService) {
+    mapService.setManifest(JSON.parse(readFileSync(join(ROOT_DIR, mapService.getManifestPath()), 'utf8')));
+    const missing = [];
+    const listed = new Set();
+    for (const difficulty of mapService.getDifficulties()) {
+        for (let mapNumber = 1; mapNumber <= difficulty.mapCount; mapNumber++) {
+            const filePath = join(ROOT_DIR, mapService.getMapFilePath(difficulty.id, mapNumber));
+            listed.add(filePath);
+            if (!existsSync(filePath)) {
+                missing.push(filePath);
+            }
+        }
+    }
+    return { missing, listed };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const mapService = new MapService();
+    const validator = new MapValidator(mapService);
+    const mapsDir = join(ROOT_DIR, mapService.mapBasePath);
+    const manifest = readManifest(mapService);
+    const files = (args.paths.length > 0 ? args.paths : [mapsDir]).flatMap(listMapFiles);
+    
+    const totals = { files: 0, errors: 0, warnings: 0 };
+    const report = (filePath, errors, warnings) => {
+        totals.files++;
+        totals.errors += errors.length;
+        totals.warnings += warnings.length;
+        if (args.quiet && errors.length === 0 && warnings.length === 0) {
+            return;
+        }
+        const status = errors.length > 0 ? '❌' : warnings.length > 0 ? '⚠️' : '✅';
+        console.log(`${status} ${relative(ROOT_DIR, filePath)}`);
+        errors.forEach(error => console.log(`    错误: ${error}`));
+        warnings.forEach(warning => console.log(`    警告: ${warning}`));
+    };
+    
+    for (const filePath of files) {
+        let rawMapData;
+        try {
+            rawMapData = JSON.parse(readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            report(filePath, [`不是有效的 JSON: ${error.message}`], []);
+            continue;
+        }
+        
+        // 校验器自身出错时只记为这个文件的错误，继续检查其他文件
+        let errors;
+        let warnings;
+        try {
+            ({ errors, warnings } = validator.validate(rawMapData));
+        } catch (error) {
+            errors = [`校验时出错: ${error.message}`];
+            warnings = [];
+        }
+        if (filePath.startsWith(mapsDir) && !manifest.listed.has(filePath)) {
+            warnings.push(`不在地图清单 ${mapService.getManifestPath()} 中`);
+        }
+        report(filePath, errors, warnings);
+    }
+    
+    if (args.paths.length === 0) {
+        manifest.missing.forEach(filePath => report(filePath, ['地图清单中的文件不存在'], []));
+    }
+    
+    console.log(`\n共 ${totals.files} 个文件：错误 ${totals.errors}，警告 ${totals.warnings}`);
+    if (totals.errors > 0 || (args.strict && totals.warnings > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+main();
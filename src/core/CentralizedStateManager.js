@@ -24,18 +24,26 @@ export class CentralizedStateManager {
         // 状态转换规则 - 定义哪些状态可以转换到哪些状态
         // 新的简化转换规则：
         // INITIAL -> COUNTDOWN (不能直接到GAME_OVER)
+        // INITIAL -> RUNNING (仅回合制模式，没有倒计时)
+        // INITIAL -> PAUSED (仅恢复存档，见 restoreSavedGame)
         // COUNTDOWN -> RUNNING (倒计时期间不可被打断)
         // RUNNING -> PAUSED, GAME_OVER, INITIAL (INITIAL通过setStopOk自动触发)
         // PAUSED -> RUNNING (只能回到RUNNING，不能直接到INITIAL)
         // GAME_OVER -> INITIAL
         this.transitions = {
-            [this.states.INITIAL]: [this.states.COUNTDOWN],
+            [this.states.INITIAL]: [this.states.COUNTDOWN, this.states.RUNNING],
             [this.states.COUNTDOWN]: [this.states.RUNNING],
             [this.states.RUNNING]: [this.states.PAUSED, this.states.GAME_OVER, this.states.INITIAL],
             [this.states.PAUSED]: [this.states.RUNNING],
             [this.states.GAME_OVER]: [this.states.INITIAL]
         };
         
+        // 游戏模式：'realtime' 实时，'turn-based' 回合制（见 TurnService），只能在INITIAL状态切换
+        this.gameMode = 'realtime';
+        
+        // 正在恢复存档：只在此期间允许 INITIAL -> PAUSED
+        this.restoringSavedGame = false;
+        
         // 状态转换锁 - 防止多重调用
         this.isTransitioning = false;
         
@@ -93,6 +101,13 @@ export class CentralizedStateManager {
         // console.log(`🎲 随机种子已更新: ${this.randomSeed}`);
     }
     
+    /**
+     * 从当前种子重新生成随机序列（每回合开始时调用，回放使用同一种子即可重演）
+     */
+    resetRandomGenerator() {
+        this.randomGenerator = this.createSeededRandom(this.randomSeed);
+    }
+    
     /**
      * 设置游戏控制器引用
      */
@@ -139,9 +154,37 @@ export class CentralizedStateManager {
      * 检查是否可以转换到指定状态
      */
     canTransitionTo(newState) {
+        // 实时模式必须经过倒计时，回合制模式直接开始
+        if (this.currentState === this.states.INITIAL && newState !== this.states.INITIAL) {
+            if (newState === this.states.PAUSED) {
+                return this.restoringSavedGame;
+            }
+            return newState === (this.isTurnBased() ? this.states.RUNNING : this.states.COUNTDOWN);
+        }
         return this.transitions[this.currentState]?.includes(newState) || false;
     }
     
+    /**
+     * 设置游戏模式（只能在INITIAL状态切换）
+     * @param {string} mode - 'realtime' | 'turn-based'
+     */
+    setGameMode(mode) {
+        if (!this.isInitial()) {
+            console.warn(`⚠️ 只能在初始状态切换游戏模式，当前状态: ${this.currentState}`);
+            return false;
+        }
+        this.gameMode = mode === 'turn-based' ? 'turn-based' : 'realtime';
+        return true;
+    }
+    
+    getGameMode() {
+        return this.gameMode;
+    }
+    
+    isTurnBased() {
+        return this.gameMode === 'turn-based';
+    }
+    
     /**
      * 统一的状态转换入口 - 核心方法
      */
@@ -263,6 +306,13 @@ export class CentralizedStateManager {
                 break;
                 
             case this.states.RUNNING:
+                // 回合制模式从INITIAL直接开始：销毁 StartButtonWidget（实时模式在进入COUNTDOWN时销毁）
+                if (this.previousState === this.states.INITIAL && this.gameController?.startButtonWidget) {
+                    console.log('🧹 回合制开始：销毁 StartButtonWidget');
+                    this.gameController.startButtonWidget.destroy();
+                    this.gameController.startButtonWidget = null;
+                }
+                
                 // 🆕 优化：停止 INITIAL 状态的轻量级渲染
                 if (this.gameController?.stopInitialRendering) {
                     this.gameController.stopInitialRendering();
@@ -280,11 +330,27 @@ export class CentralizedStateManager {
                 if (this.gameController?.uiManager) {
                     this.gameController.uiManager.enableGameControls();
                 }
-                // 通知兔子开始游戏（开始寻路）
+                // 新回合开始时重置随机序列和游戏时间并开始录制回放；从暂停恢复时兔子会重新寻路，回放中记录这一步
+                if (this.previousState === this.states.PAUSED) {
+                    if (this.gameController?.replayRecorder) {
+                        this.gameController.replayRecorder.record('resume');
+                    }
+                } else {
+                    this.resetRandomGenerator();
+                    if (this.gameController?.resetRoundStats) {
+                        this.gameController.resetRoundStats();
+                    }
+                    if (this.gameController?.startReplayRecording) {
+                        this.gameController.startReplayRecording(this.randomSeed);
+                    }
+                }
+                
+                // 通知所有兔子开始游戏（开始寻路）
                 if (this.gameController?.spriteManager) {
-                    const bunny = this.gameController.spriteManager.getSprite('bunny');
-                    if (bunny && bunny.startGame) {
-                        bunny.startGame();
+                    for (const bunny of this.gameController.getBunnies()) {
+                        if (bunny.startGame) {
+                            bunny.startGame();
+                        }
                     }
                 }
                 // 切换到游戏音乐
@@ -294,10 +360,28 @@ export class CentralizedStateManager {
                 break;
                 
             case this.states.PAUSED:
+                // 恢复存档：从INITIAL直接进入暂停，停止初始渲染并画出恢复的局面
+                if (this.previousState === this.states.INITIAL && this.gameController) {
+                    if (this.gameController.startButtonWidget) {
+                        this.gameController.startButtonWidget.destroy();
+                        this.gameController.startButtonWidget = null;
+                    }
+                    this.gameController.stopInitialRendering();
+                    this.gameController.uiManager.enableGameControls();
+                    this.gameController.requestRender();
+                }
+                
                 // 进入暂停状态
                 if (this.pauseManager) {
                     this.pauseManager.pause();
                 }
+                if (this.gameController?.replayRecorder) {
+                    this.gameController.replayRecorder.record('pause');
+                }
+                // 暂停时存档，关闭页面后可以从这里继续
+                if (this.gameController?.saveInProgressGame) {
+                    this.gameController.saveInProgressGame();
+                }
                 // 暂停状态下保持游戏音乐（不切换）
                 // 注意：根据需求，running、paused、gameover都使用同一首音乐
                 break;
@@ -318,9 +402,16 @@ export class CentralizedStateManager {
                 if (this.gameController) {
                     await this.gameController.updateMusicForState('gameover');
                 }
+                // 结束回放录制，回合已分出胜负，删除存档
+                if (this.gameController?.stopReplayRecording) {
+                    this.gameController.stopReplayRecording(context.winner);
+                }
+                if (this.gameController?.clearSavedGame) {
+                    this.gameController.clearSavedGame();
+                }
                 // 显示获胜对话框
                 if (this.gameController?.dialogManager && context.winner) {
-                    this.gameController.dialogManager.showVictoryDialog(context.winner);
+                    this.gameController.dialogManager.showVictoryDialog(context.winner, context.roundResult || {});
                 }
                 break;
                 
@@ -334,6 +425,13 @@ export class CentralizedStateManager {
                 }
                 // 重置 STOP_OK 标志位
                 this.setStopOk(false);
+                // 中途停止的回合也保留回放（没有胜负），但不再保留存档
+                if (this.gameController?.stopReplayRecording) {
+                    this.gameController.stopReplayRecording(null);
+                }
+                if (this.gameController?.clearSavedGame) {
+                    this.gameController.clearSavedGame();
+                }
                 // console.log(`🔍 DEBUG: 准备调用 resetGameToInitialState(context)`);
                 await this.resetGameToInitialState(context);
                 // console.log(`🔍 DEBUG: resetGameToInitialState 调用完成`);
@@ -438,12 +536,31 @@ export class CentralizedStateManager {
     // ========== 便捷的状态转换方法 ==========
     
     /**
-     * 开始游戏 - 从初始状态到倒计时
+     * 开始游戏 - 从初始状态到倒计时（回合制模式没有倒计时，直接运行）
      */
     async startGame() {
+        // 回放播放期间不能开始游戏
+        if (this.gameController?.replayPlayer) {
+            return false;
+        }
+        if (this.isTurnBased()) {
+            return await this.transitionTo(this.states.RUNNING);
+        }
         return await this.transitionTo(this.states.COUNTDOWN);
     }
     
+    /**
+     * 恢复存档 - 从初始状态直接进入暂停（地图、路障和兔子应已由 GameController.resumeSavedGame 恢复）
+     */
+    async restoreSavedGame() {
+        this.restoringSavedGame = true;
+        try {
+            return await this.transitionTo(this.states.PAUSED);
+        } finally {
+            this.restoringSavedGame = false;
+        }
+    }
+    
     /**
      * 倒计时完成 - 从倒计时到运行
      */
@@ -490,9 +607,10 @@ export class CentralizedStateManager {
     
     /**
      * 游戏结束 - 从运行到游戏结束
+     * @param {Object} roundResult - 回合结果（含提示使用情况），见 GameController.getRoundResult
      */
-    async gameOver(winner = 'Player') {
-        return await this.transitionTo(this.states.GAME_OVER, { winner });
+    async gameOver(winner = 'Player', roundResult = null) {
+        return await this.transitionTo(this.states.GAME_OVER, { winner, roundResult });
     }
     
     /**
@@ -845,6 +963,12 @@ export class CentralizedStateManager {
         }
         
         
+        // 重置提示（新回合重新计算提示次数）
+        if (this.gameController?.hintService?.resetRound) {
+            this.gameController.hintService.resetRound();
+            // console.log('✅ 提示服务已重置');
+        }
+        
         // 重置暂停管理器
         if (this.pauseManager?.reset) {
             this.pauseManager.reset();
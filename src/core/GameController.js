@@ -14,6 +14,22 @@ import { globalPauseManager } from './PauseManager.js';
 import { AnimationCoordinator } from '../services/AnimationCoordinator.js';
 import { GAME_CONFIG } from '../managers/ConfigManager.js';
 import { StartButtonWidget } from '../services/StartButtonWidget.js';
+import { bunnyStrategyRegistry } from '../services/BunnyStrategies.js';
+import { HintService } from '../services/HintService.js';
+import { KeyboardCursorService } from '../services/KeyboardCursorService.js';
+import { PointerInputService } from '../services/PointerInputService.js';
+import { GamepadService } from '../services/GamepadService.js';
+import { LiveRegionService } from '../services/LiveRegionService.js';
+import { TurnService } from '../services/TurnService.js';
+import { ReplayRecorder } from '../services/ReplayRecorder.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { MapEditor, MAP_EDITOR_FILE_NAME } from './MapEditor.js';
+import { SaveGameService, SAVED_GAME_VERSION } from '../services/SaveGameService.js';
+import { ProgressService } from '../services/ProgressService.js';
+import { HotkeyService } from '../services/HotkeyService.js';
+import { RoundStatsService } from '../services/RoundStatsService.js';
+import { MapGalleryService } from '../services/MapGalleryService.js';
+import { MapService, CUSTOM_DIFFICULTY, mapLoadError, getUserMessage } from '../services/MapService.js';
 
 export class GameController {
     constructor(canvas, width, height) {
@@ -34,8 +50,7 @@ export class GameController {
             this.ctx = null;
         }
         
-        // 游戏配置常量 - 从ConfigManager获取
-        this.MAX_MAP_NUMBER = GAME_CONFIG.MAX_MAP_NUMBER;
+        // 游戏配置常量 - 从ConfigManager获取（每个难度的地图数量见地图清单，getMapCount）
         this.MIN_MAP_NUMBER = GAME_CONFIG.MIN_MAP_NUMBER;
         
         // 🆕 优化：INITIAL 状态轻量级渲染系统
@@ -48,6 +63,20 @@ export class GameController {
         this.stateTransitionService.setGameController(this);
         this.stateTransitionService.setPauseManager(globalPauseManager);
         this.countdownManager = new CountdownService();
+        this.hintService = new HintService();
+        this.keyboardCursor = new KeyboardCursorService(); // 键盘操作的光标（画布获得焦点后使用）
+        this.pointerInput = typeof PointerEvent !== 'undefined' ? new PointerInputService() : null; // 触摸、捏合缩放和放大镜（不支持时使用 click 事件）
+        this.turnService = new TurnService();
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayer = null;   // 回放播放器（播放模式下存在）
+        this.replayRenderId = null; // 回放播放的渲染循环ID
+        this.mapEditor = null;      // 地图编辑器（编辑模式下存在）
+        this.saveGameService = new SaveGameService();
+        this.progressService = new ProgressService();
+        this.hotkeyService = new HotkeyService(); // 游戏控制的快捷键（按键由 ButtonEventManager 分发）
+        this.gamepadService = new GamepadService(); // 手柄（由 GameLoop 轮询，命令由 ButtonEventManager 分发）
+        this.liveRegion = new LiveRegionService(); // 屏幕阅读器播报（订阅游戏事件）和棋盘的文字描述
+        this.roundStats = new RoundStatsService(); // 本回合的统计（游戏时间、放置、回收、跳跃、重新寻路），由 GameLoop 推进
         this.uiSystem = new UIService(canvas, width, height);
         this.logSystem = new LogService();
         
@@ -68,6 +97,7 @@ export class GameController {
         // 游戏状态
         this.isRunning = false;
         this.splashStartTime = null;
+        this.lastRoundResult = null; // 最近一回合的结果（含提示使用情况）
         
         // 外部系统引用（将在初始化时设置）
         this.gameEngine = null;
@@ -76,6 +106,7 @@ export class GameController {
         this.spriteManager = null;
         this.blockerManager = null;
         this.parameterManager = null;
+        this.mapGallery = null; // 选关图库（地图缩略图），地图渲染器初始化后创建
         
         // 沙箱组件
         this.startButtonWidget = null;
@@ -89,6 +120,35 @@ export class GameController {
             this.stateTransitionService.emitCountdownFinished();
         });
         
+        // 提示变化时同步画布高亮和提示按钮
+        this.hintService.setOnHintChanged((hint) => {
+            if (this.mapRenderer) {
+                this.mapRenderer.setHintEdge(hint ? hint.edgeKey : null);
+            }
+            this.uiManager.updateHintButton();
+        });
+        
+        // 键盘光标移动时同步画布焦点框
+        this.keyboardCursor.setOnFocusChanged((focus) => {
+            if (this.mapRenderer) {
+                this.mapRenderer.setKeyboardFocus(focus);
+            }
+        });
+        
+        // 屏幕阅读器播报游戏事件
+        this.liveRegion.setGameController(this);
+        this.liveRegion.subscribe();
+        
+        // 手柄插拔时显示或隐藏按键提示
+        this.gamepadService.setOnConnectionChanged((gamepad) => {
+            this.uiManager.updateGamepadGlyphs(gamepad);
+        });
+        
+        // 回合制步数变化时更新HUD
+        this.turnService.setOnMoveCountChanged((moveCount) => {
+            this.uiManager.updateMoveCounter(moveCount);
+        });
+        
         this.uiSystem.setOnButtonClick(async (buttonName) => {
             await this.eventHandler.handleButtonClick(buttonName);
         });
@@ -111,11 +171,49 @@ export class GameController {
     
     
     /**
-     * 获取游戏时间（占位符）
+     * 地图清单中某个难度的地图数量（默认为当前难度）
+     */
+    getMapCount(difficulty = this.selectedDifficulty) {
+        return this.gameEngine && this.gameEngine.mapService
+            ? this.gameEngine.mapService.getAvailableMapCount(difficulty)
+            : 0;
+    }
+    
+    /**
+     * 地图清单中的所有难度（按清单顺序）
+     * @param {boolean} includeCustom - 是否包括玩家加载的地图文件（自定义难度）
+     * @returns {Object[]} [{id, title, mapCount}]
+     */
+    getDifficulties(includeCustom = false) {
+        return this.gameEngine && this.gameEngine.mapService ? this.gameEngine.mapService.getDifficulties(includeCustom) : [];
+    }
+    
+    /**
+     * 当前地图是否是玩家加载的地图文件（不记进度、不存档）
+     */
+    isCustomMap() {
+        return this.selectedDifficulty === CUSTOM_DIFFICULTY;
+    }
+    
+    /**
+     * 获取本回合的游戏时间（秒，不含暂停）
      */
     getGameTime() {
-        // TODO: 实现游戏时间计算
-        return 0;
+        return this.roundStats.getGameTime();
+    }
+    
+    /**
+     * 新回合开始：游戏时间和回合统计清零
+     */
+    resetRoundStats() {
+        this.roundStats.start();
+    }
+    
+    /**
+     * 获取本回合的统计（GAME_OVER 事件的 stats），见 RoundStatsService.getStats
+     */
+    getRoundStats() {
+        return this.roundStats.getStats(this.blockerManager ? this.blockerManager.getBlockerCount() : 0);
     }
     
     /**
@@ -123,7 +221,7 @@ export class GameController {
      */
     async loadNextMap() {
         try {
-            if (this.currentMapNumber >= this.MAX_MAP_NUMBER) {
+            if (this.currentMapNumber >= this.getMapCount()) {
                 this.logSystem.log('❌ 已经是最后一张地图', 'warning');
                 return false;
             }
@@ -204,10 +302,10 @@ export class GameController {
      */
     async loadRandomMap() {
         try {
-            // 使用种子随机数选择地图编号（1-30）
+            // 使用种子随机数在地图清单中选择地图编号
             const randomValue = this.stateTransitionService?.random ? 
                 this.stateTransitionService.random() : Math.random();
-            this.currentMapNumber = Math.floor(randomValue * this.MAX_MAP_NUMBER) + this.MIN_MAP_NUMBER;
+            this.currentMapNumber = Math.floor(randomValue * this.getMapCount()) + this.MIN_MAP_NUMBER;
             this.logSystem.log(`🗺️ 加载随机地图: ${this.selectedDifficulty} 难度第${this.currentMapNumber}张`, 'info');
             
             const success = await this.gameEngine.loadRealMap(this.selectedDifficulty, this.currentMapNumber);
@@ -285,6 +383,8 @@ export class GameController {
             }
             
             this.selectedDifficulty = newDifficulty;
+            // 新难度的地图较少时改为它的最后一张
+            this.currentMapNumber = Math.min(this.currentMapNumber, this.getMapCount());
             this.logSystem.log(`🔄 切换模式到: ${newDifficulty} (地图 ${this.currentMapNumber})`, 'info');
             
             // 重新加载当前地图号的不同难度版本
@@ -313,15 +413,21 @@ export class GameController {
     
     /**
      * 加载自定义地图
+     * @param {string} difficulty - 选关图库可以选择其他难度的地图，默认为当前难度
      */
-    async loadCustomMap(mapNumber) {
+    async loadCustomMap(mapNumber, difficulty = this.selectedDifficulty) {
         try {
             // 验证地图编号范围
-            if (mapNumber < this.MIN_MAP_NUMBER || mapNumber > this.MAX_MAP_NUMBER) {
-                this.logSystem.log(`❌ 地图编号超出范围: ${mapNumber} (范围: ${this.MIN_MAP_NUMBER}-${this.MAX_MAP_NUMBER})`, 'error');
+            const mapCount = this.getMapCount(difficulty);
+            if (mapNumber < this.MIN_MAP_NUMBER || mapNumber > mapCount) {
+                this.logSystem.log(`❌ 地图编号超出范围: ${mapNumber} (范围: ${this.MIN_MAP_NUMBER}-${mapCount})`, 'error');
                 return false;
             }
             
+            if (difficulty !== this.selectedDifficulty) {
+                this.selectedDifficulty = difficulty;
+                this.uiManager.updateDifficultyToggle(difficulty);
+            }
             this.currentMapNumber = mapNumber;
             this.logSystem.log(`🗺️ 加载自定义地图: ${this.selectedDifficulty} 难度第${this.currentMapNumber}张`, 'info');
             
@@ -351,6 +457,60 @@ export class GameController {
         }
     }
     
+    /**
+     * 从文件加载玩家提供的地图（选关图库的文件选择或拖放），加入自定义难度并切换到该地图
+     * @param {File} file - 与 assets/maps 中格式相同的地图 JSON 文件
+     * @returns {Promise<Object>} {success, error}，失败时 error 为显示给玩家的英文原因（日志记录中文原因）
+     */
+    async loadMapFile(file) {
+        if (!this.stateTransitionService.isInitial() || this.replayPlayer || this.mapEditor || !this.gameEngine) {
+            return { success: false, error: 'Maps can only be loaded before a round starts.' };
+        }
+        
+        let mapNumber;
+        try {
+            let rawMapData;
+            try {
+                rawMapData = JSON.parse(await file.text());
+            } catch (error) {
+                throw mapLoadError(`不是有效的 JSON: ${error.message}`, 'The file is not valid JSON.');
+            }
+            mapNumber = this.addCustomMap(rawMapData, file.name);
+        } catch (error) {
+            this.logSystem.log(`❌ 地图文件 ${file.name} 无效: ${error.message}`, 'error');
+            const more = error.userErrors && error.userErrors.length > 1
+                ? ` ${error.userErrors.length - 1} more problem${error.userErrors.length > 2 ? 's' : ''} found.`
+                : '';
+            return { success: false, error: `${getUserMessage(error)}${more}` };
+        }
+        
+        const success = await this.loadCustomMap(mapNumber, CUSTOM_DIFFICULTY);
+        return success ? { success } : { success, error: 'The map could not be started.' };
+    }
+    
+    /**
+     * 把地图加入自定义难度（游戏和选关图库各自的地图服务），地图无效时抛出错误
+     * @returns {number} 地图在自定义难度中的编号
+     */
+    addCustomMap(rawMapData, fileName) {
+        const mapNumber = this.gameEngine.mapService.addCustomMap(rawMapData, fileName);
+        if (this.mapGallery) {
+            this.mapGallery.addCustomMap(rawMapData, fileName);
+        }
+        return mapNumber;
+    }
+    
+    /**
+     * 地图文件加载或校验失败：记录日志并显示错误对话框
+     * @param {Object} loadError - MapService 的加载错误 {title, filePath, message, errors, warnings}
+     */
+    reportMapLoadError(loadError) {
+        this.logSystem.log(`❌ 地图 ${loadError.title} 加载失败: ${loadError.message}`, 'error');
+        if (this.dialogManager) {
+            this.dialogManager.showMapErrorDialog(loadError);
+        }
+    }
+    
     async initialize() {
         try {
             this.logSystem.log('开始初始化完整游戏系统...', 'info');
@@ -358,6 +518,14 @@ export class GameController {
             // 步骤1：初始化参数管理器
             const { initializeParameters } = await import(`../managers/ParameterManager.js?v=${Date.now()}`);
             this.parameterManager = await initializeParameters();
+            this.hintService.configure(this.parameterManager);
+            this.progressService.configure(this.parameterManager);
+            this.hotkeyService.configure(this.parameterManager);
+            this.gamepadService.configure(this.parameterManager);
+            if (this.pointerInput) {
+                this.pointerInput.configure(this.parameterManager);
+            }
+            this.setGameMode(this.parameterManager.getGameMode());
             this.logSystem.log('✅ 参数管理器初始化完成', 'success');
             
             // 步骤2：初始化资源加载器
@@ -390,6 +558,11 @@ export class GameController {
             this.updateProgress(4, 'Initializing blocker system...');
             const { BlockerService } = await import(`../services/BlockerService.js?v=${Date.now()}`);
             this.blockerManager = new BlockerService(this.assetLoader);
+            this.blockerManager.setTurnService(this.turnService);
+            this.blockerManager.setReplayRecorder(this.replayRecorder);
+            this.blockerManager.setRoundStats(this.roundStats);
+            this.blockerManager.setKeyboardCursor(this.keyboardCursor);
+            this.blockerManager.setPointerInput(this.pointerInput);
             this.logSystem.log('✅ 路障管理器初始化完成', 'success');
             
             // 步骤7：初始化地图渲染器
@@ -404,6 +577,14 @@ export class GameController {
                 this.logSystem.log('✅ BlockerService和MapRenderer引用已设置', 'success');
             }
             
+            // 选关图库使用独立的渲染器生成地图缩略图，与游戏画布尺寸一致
+            this.mapGallery = new MapGalleryService({
+                assetLoader: this.assetLoader,
+                parameterManager: this.parameterManager,
+                canvasWidth: this.width,
+                canvasHeight: this.height
+            });
+            
             // 步骤8：初始化开始按钮沙箱组件
             this.updateProgress(6, 'Initializing UI components...');
             this.startButtonWidget = new StartButtonWidget(this.stateTransitionService, this.canvas, this.assetLoader, this);
@@ -439,6 +620,16 @@ export class GameController {
             // 设置Canvas
             this.gameEngine.setCanvasSize(this.width, this.height);
             
+            // 加载地图清单；默认难度不在清单中时使用清单的第一个难度
+            await this.gameEngine.initializeMapService();
+            this.gameEngine.mapService.setLoadErrorListener((loadError) => this.reportMapLoadError(loadError));
+            await this.gameEngine.mapService.loadManifest();
+            if (!this.gameEngine.mapService.hasDifficulty(this.selectedDifficulty)) {
+                this.selectedDifficulty = this.getDifficulties()[0].id;
+            }
+            this.uiManager.updateDifficultyToggle(this.selectedDifficulty);
+            this.logSystem.log(`✅ 地图清单加载完成: ${this.getDifficulties().map(d => `${d.id} ${d.mapCount} 张`).join('，')}`, 'success');
+            
             // 初始化寻路系统
             
             // 自动加载默认地图和创建兔子
@@ -542,6 +733,10 @@ export class GameController {
             
             if (success) {
                 this.isMapLoaded = true;
+                this.keyboardCursor.reset();
+                if (this.pointerInput) {
+                    this.pointerInput.resetView();
+                }
                 this.logSystem.log('✅ 地图加载成功', 'success');
                 
                 // 初始化自主路障管理器
@@ -574,72 +769,685 @@ export class GameController {
         
         const bunnyAnimation = this.assetLoader.getAnimation('bunny');
         if (bunnyAnimation) {
-            // 使用新的Bunny类的位置
-            const bunnyStartPos = this.gameEngine.scaledPositions.get(this.gameEngine.mapData.bunny_start);
-            if (!bunnyStartPos) {
-                console.error('无法找到兔子起始位置');
-                return false;
+            // 地图的每个起点生成一只兔子
+            const startNodes = this.gameEngine.mapData.bunny_starts || [this.gameEngine.mapData.bunny_start];
+            
+            // 移除上一张地图的兔子（destroy 注销它们的事件监听，避免旧兔子继续响应路障和状态事件）
+            for (const oldBunny of this.getBunnies()) {
+                const oldSpriteId = oldBunny.spriteId || 'bunny';
+                oldBunny.destroy();
+                this.spriteManager.removeSprite(oldSpriteId);
+                if (this.animationCoordinator) {
+                    this.animationCoordinator.unregisterAnimationManager(oldSpriteId);
+                }
             }
             
             // 创建纯JavaScript版本的Bunny实例
             const { Bunny } = await import(`../services/Bunny.js?v=${Date.now()}`);
-            const bunny = new Bunny(
-                this.gameEngine.mapData.bunny_start,
-                bunnyStartPos,
-                this.gameEngine.getGameState(),
-                bunnyAnimation
-            );
-            
-            // 兔子的图结构现在由Bunny类自己管理，不需要手动初始化
-            
-            // 应用渲染参数
-            if (this.parameterManager) {
-                const scale = this.parameterManager.get('bunny.rendering.scale', 0.3);
-                const visible = this.parameterManager.get('bunny.rendering.visible', true);
-                const alpha = this.parameterManager.get('bunny.rendering.alpha', 1.0);
-                const speed = this.parameterManager.get('bunny.default_speed', 70);
+            const bunnies = [];
+            
+            for (let index = 0; index < startNodes.length; index++) {
+                // 使用新的Bunny类的位置
+                const bunnyStartPos = this.gameEngine.scaledPositions.get(startNodes[index]);
+                if (!bunnyStartPos) {
+                    console.error(`无法找到兔子起始位置: ${startNodes[index]}`);
+                    return false;
+                }
+                
+                const spriteId = Bunny.getSpriteId(index);
+                const bunny = new Bunny(
+                    startNodes[index],
+                    bunnyStartPos,
+                    this.gameEngine.getGameState(),
+                    bunnyAnimation,
+                    spriteId
+                );
+                
+                // 兔子的图结构现在由Bunny类自己管理，不需要手动初始化
+                
+                // 应用渲染参数
+                if (this.parameterManager) {
+                    const scale = this.parameterManager.get('bunny.rendering.scale', 0.3);
+                    const visible = this.parameterManager.get('bunny.rendering.visible', true);
+                    const alpha = this.parameterManager.get('bunny.rendering.alpha', 1.0);
+                    const speed = this.parameterManager.get('bunny.default_speed', 70);
+                    
+                    console.log(`🐰 兔子速度设置: ${speed} pixels/second`);
+                    
+                    bunny.scale = scale;
+                    bunny.visible = visible;
+                    bunny.alpha = alpha;
+                    bunny.speed = speed;
+                    
+                    // 应用兔子性格（寻路策略）
+                    bunny.setStrategy(this.parameterManager.getBunnyStrategy());
+                    bunny.setStrategyOptions(this.parameterManager.getBunnyExpertOptions());
+                    console.log(`🐰 兔子性格: ${bunny.strategyName}`);
+                    if (this.uiManager && index === 0) {
+                        this.uiManager.updatePersonalitySelector(bunny.strategyName);
+                    }
+                }
+                
+                // 随机类策略使用种子随机数
+                if (this.stateTransitionService) {
+                    bunny.setRandom(() => this.stateTransitionService.random());
+                }
+                
+                // 重新寻路计入回合统计
+                bunny.setOnReplan((replanned) => this.roundStats.recordReplan(replanned.spriteId));
+                
+                // 将融合后的Bunny添加到精灵管理器
+                this.spriteManager.addSprite(spriteId, bunny, 'characters');
                 
-                console.log(`🐰 兔子速度设置: ${speed} pixels/second`);
+                // 🆕 修复：正确启动动画
+                bunny.startAnimation(true);
+                if (bunny.animationManager) {
+                    bunny.animationManager.playAnimation('default', true);
+                    console.log('🎬 兔子动画管理器已启动');
+                }
+                
+                // 保守迁移：注册兔子动画管理器到协调器（保持原有逻辑不变）
+                if (this.animationCoordinator && bunny.animationManager) {
+                    this.animationCoordinator.registerAnimationManager(spriteId, bunny.animationManager);
+                    console.log('🎬 兔子动画管理器已注册到协调器');
+                }
                 
-                bunny.scale = scale;
-                bunny.visible = visible;
-                bunny.alpha = alpha;
-                bunny.speed = speed;
+                bunnies.push(bunny);
+            }
+            
+            // 设置BlockerService的bunny引用（路障更新广播给所有兔子）
+            if (this.blockerManager) {
+                this.blockerManager.setBunnies(bunnies);
+                console.log(`🔗 BlockerService已关联到 ${bunnies.length} 只兔子`);
+            }
+            
+            // 新兔子按当前游戏模式移动，步数从零开始
+            this.turnService.resetRound(bunnies);
+            
+            this.logSystem.log(`✅ 兔子精灵创建成功（${bunnies.length} 只）`, 'success');
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 获取本回合所有兔子（第一只的精灵名为 'bunny'）
+     */
+    getBunnies() {
+        return this.spriteManager ? this.spriteManager.getSpritesInGroup('characters') : [];
+    }
+    
+    /**
+     * 设置兔子性格（寻路策略），对当前及之后的回合生效
+     */
+    setBunnyPersonality(strategyName) {
+        if (!bunnyStrategyRegistry.has(strategyName)) {
+            console.warn(`⚠️ 未知的兔子性格: ${strategyName}`);
+            return false;
+        }
+        
+        if (this.parameterManager) {
+            this.parameterManager.setBunnyStrategy(strategyName);
+        }
+        
+        for (const bunny of this.getBunnies()) {
+            if (bunny.setStrategy) {
+                bunny.setStrategy(strategyName);
+            }
+        }
+        
+        this.logSystem.log(`🐰 兔子性格已切换: ${strategyName}`, 'info');
+        return true;
+    }
+    
+    /**
+     * 设置游戏模式（'realtime' 实时 | 'turn-based' 回合制），只能在初始状态切换，对当前及之后的回合生效
+     */
+    setGameMode(mode) {
+        if (!this.stateTransitionService.setGameMode(mode)) {
+            this.uiManager.updateGameModeSelector(this.stateTransitionService.getGameMode());
+            return false;
+        }
+        
+        const gameMode = this.stateTransitionService.getGameMode();
+        if (this.parameterManager) {
+            this.parameterManager.setGameMode(gameMode);
+        }
+        
+        this.turnService.setEnabled(gameMode === 'turn-based');
+        this.turnService.resetRound(this.getBunnies());
+        this.uiManager.updateGameModeSelector(gameMode);
+        
+        this.logSystem.log(`🎮 游戏模式已切换: ${gameMode}`, 'info');
+        return true;
+    }
+    
+    /**
+     * 请求提示：在画布上高亮建议放置路障的边（每回合次数有限）
+     */
+    requestHint() {
+        if (!this.stateTransitionService.isRunning() || !this.gameEngine) {
+            return null;
+        }
+        
+        // 多只兔子时为第一只仍在逃跑的兔子提示
+        const bunnies = this.getBunnies();
+        const bunny = bunnies.find(candidate => !candidate.hasEscaped && candidate.state !== 'TRAPPED') || bunnies[0];
+        const hint = this.hintService.requestHint(this.gameEngine.getGameState(), bunny);
+        if (hint) {
+            this.logSystem.log(`💡 提示: 在 ${hint.edgeKey} 放置路障（剩余 ${this.hintService.getRemainingHints()} 次）`, 'info');
+        } else {
+            this.logSystem.log('💡 当前没有可用的提示', 'warning');
+        }
+        
+        this.uiManager.updateHintButton();
+        return hint;
+    }
+    
+    /**
+     * 生成回合结果（游戏结束时记录，使用提示的胜利可以单独计分，陷阱捕获获得奖励分数）
+     */
+    getRoundResult(winner) {
+        const bunnies = this.getBunnies();
+        const trap = this.gameEngine ? this.gameEngine.trapCapture : null;
+        const capturedCount = bunnies.filter(bunny => bunny.captured).length;
+        const captureBonus = this.parameterManager ? this.parameterManager.getTrapOptions().captureBonus : 0;
+        return {
+            winner,
+            difficulty: this.selectedDifficulty,
+            mapNumber: this.currentMapNumber,
+            strategy: bunnies.length > 0 ? bunnies[0].strategyName : null,
+            bunnyCount: bunnies.length,
+            bunniesTrapped: bunnies.filter(bunny => !bunny.hasEscaped && bunny.state === 'TRAPPED').length,
+            trapCapture: trap ? trap.center : null,
+            bonusScore: capturedCount * captureBonus, // 每只落入封死陷阱的兔子计一次奖励
+            gameTime: Math.round(this.roundStats.getGameTime() * 100) / 100,
+            blockersUsed: this.roundStats.getPlacementCount(),
+            ...this.hintService.getRoundRecord(),
+            ...this.turnService.getRoundRecord()
+        };
+    }
+    
+    /**
+     * 把回合结果记入地图进度（最快时间、最少路障、星级）
+     * @returns {Object|null} {record, stars, newRecords}，见 ProgressService.recordRound；自定义地图不记录，返回 null
+     */
+    recordProgress(roundResult) {
+        // 玩家加载的地图文件是临时的，编号不对应固定的地图
+        if (this.isCustomMap()) {
+            return null;
+        }
+        
+        const progress = this.progressService.recordRound(roundResult);
+        if (progress.newRecords.length > 0) {
+            this.logSystem.log(`🏆 新纪录: ${progress.newRecords.join(', ')}`, 'success');
+        }
+        return progress;
+    }
+    
+    /**
+     * 获取一个难度所有地图的缩略图、地图信息和进度（选关图库）
+     * @returns {Promise<Object>} {difficulty, currentMapNumber, maps: [{mapNumber, title, info, thumbnail, record}]}，currentMapNumber 只在当前难度下有值
+     */
+    async getMapGallery(difficulty = this.selectedDifficulty) {
+        const entries = this.mapGallery ? await this.mapGallery.loadGallery(difficulty) : [];
+        const progress = this.progressService.getDifficultyProgress(difficulty);
+        return {
+            difficulty,
+            currentMapNumber: difficulty === this.selectedDifficulty ? this.currentMapNumber : null,
+            maps: entries.map(entry => ({ ...entry, record: progress[entry.mapNumber] || null }))
+        };
+    }
+    
+    // ========== 回放 ==========
+    
+    /**
+     * 开始录制本回合的回放（由状态管理器在新回合进入RUNNING、兔子寻路之前调用）
+     * @param {number} seed - 本回合的随机种子
+     */
+    startReplayRecording(seed) {
+        const bunnies = this.getBunnies();
+        if (bunnies.length === 0) {
+            return;
+        }
+        
+        this.replayRecorder.start({
+            difficulty: this.selectedDifficulty,
+            mapNumber: this.currentMapNumber,
+            seed,
+            bunnySpeed: bunnies[0].speed,
+            maxBlockers: this.blockerManager ? this.blockerManager.maxBlockers : 5,
+            strategy: bunnies[0].strategyName,
+            strategyOptions: bunnies[0].strategyOptions,
+            gameMode: this.stateTransitionService.getGameMode(),
+            endCondition: this.parameterManager ? this.parameterManager.getBunnyEndCondition() : 'any-escape'
+        }, bunnies);
+    }
+    
+    /**
+     * 结束回放录制
+     * @param {string|null} winner - 中途停止时为 null
+     */
+    stopReplayRecording(winner = null) {
+        const replay = this.replayRecorder.stop(winner);
+        if (replay) {
+            this.logSystem.log(`🎬 回放已录制: ${replay.events.length} 个操作，${replay.result.time.toFixed(1)}s`, 'info');
+            this.uiManager.updateReplayControls();
+        }
+        return replay;
+    }
+    
+    /**
+     * 下载最近一回合的回放 JSON
+     */
+    saveReplay() {
+        const replay = this.replayRecorder.getLastReplay();
+        if (!replay) {
+            this.logSystem.log('🎬 还没有可保存的回放', 'warning');
+            return false;
+        }
+        
+        const blob = new Blob([ReplayRecorder.serialize(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = `bunny_replay_${replay.difficulty}_${String(replay.mapNumber).padStart(3, '0')}_${Date.now()}.json`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return true;
+    }
+    
+    /**
+     * 从文件加载回放并开始播放
+     * @param {File} file - 用户选择的回放 JSON 文件
+     */
+    async loadReplayFile(file) {
+        try {
+            const replay = ReplayRecorder.parse(await file.text());
+            return await this.startReplay(replay);
+        } catch (error) {
+            this.logSystem.log(`❌ 回放文件无效: ${error.message}`, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * 进入回放播放模式（只能在初始状态进入），未指定回放时播放最近一回合
+     */
+    async startReplay(replay = this.replayRecorder.getLastReplay()) {
+        if (!replay || !this.stateTransitionService.isInitial() || this.mapEditor || !this.gameEngine) {
+            this.logSystem.log('🎬 只能在游戏开始前播放回放', 'warning');
+            return false;
+        }
+        
+        const decodedMap = await this.gameEngine.mapService.loadMapData(replay.difficulty, replay.mapNumber);
+        if (!decodedMap) {
+            this.logSystem.log(`❌ 回放的地图加载失败: ${replay.difficulty} #${replay.mapNumber}`, 'error');
+            return false;
+        }
+        
+        this.exitReplay(false);
+        
+        const bunnyAnimation = this.assetLoader ? this.assetLoader.getAnimation('bunny') : null;
+        this.replayPlayer = new ReplayPlayer(replay, decodedMap, {
+            simulationOptions: {
+                canvasWidth: this.gameEngine.canvasWidth,
+                canvasHeight: this.gameEngine.canvasHeight,
+                mapService: this.gameEngine.mapService,
+                assetLoader: this.assetLoader,
+                bunnyAnimation
+            },
+            onSimulationCreated: (simulation) => {
+                // 与游戏中的兔子使用相同的渲染参数
+                const scale = this.parameterManager ? this.parameterManager.get('bunny.rendering.scale', 0.3) : 1;
+                for (const bunny of simulation.bunnies) {
+                    bunny.scale = scale;
+                    bunny.startAnimation(true);
+                }
             }
+        });
+        
+        // 播放期间停止INITIAL渲染并锁定地图和开始按钮
+        this.stopInitialRendering();
+        this.uiManager.disableMapControlButtons();
+        this.uiManager.disableDifficultyToggle();
+        this.uiManager.updateUIState();
+        this.startReplayRendering();
+        
+        this.logSystem.log(`🎬 开始播放回放: ${replay.difficulty.toUpperCase()} Map ${replay.mapNumber}`, 'info');
+        this.replayPlayer.play();
+        this.uiManager.updateReplayControls();
+        return true;
+    }
+    
+    /**
+     * 播放/暂停回放
+     */
+    toggleReplayPlayback() {
+        if (!this.replayPlayer) return;
+        
+        if (this.replayPlayer.isPlaying()) {
+            this.replayPlayer.pause();
+        } else {
+            this.replayPlayer.play();
+        }
+        this.uiManager.updateReplayControls();
+    }
+    
+    /**
+     * 设置回放速度
+     */
+    setReplaySpeed(speed) {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.setSpeed(speed);
+        this.uiManager.updateReplayControls();
+    }
+    
+    /**
+     * 回放跳转到指定时间（秒）
+     */
+    seekReplay(time) {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.seek(time);
+        this.uiManager.updateReplayControls();
+    }
+    
+    /**
+     * 退出回放播放模式，恢复INITIAL状态的地图显示
+     * @param {boolean} restoreInitial - 是否恢复INITIAL渲染和地图控制（切换回放时为 false）
+     */
+    exitReplay(restoreInitial = true) {
+        if (!this.replayPlayer) return;
+        
+        if (this.replayRenderId) {
+            cancelAnimationFrame(this.replayRenderId);
+            this.replayRenderId = null;
+        }
+        
+        const outcome = this.replayPlayer.getOutcome();
+        if (outcome.desyncs.length > 0) {
+            console.warn(`⚠️ 回放与录制不一致 ${outcome.desyncs.length} 处:`, outcome.desyncs);
+        }
+        this.replayPlayer.destroy();
+        this.replayPlayer = null;
+        
+        if (restoreInitial) {
+            this.uiManager.enableMapControlButtons();
+            this.uiManager.enableDifficultyToggle();
+            this.uiManager.updateUIState();
+            this.uiManager.updateReplayControls();
+            this.startInitialRendering();
+        }
+    }
+    
+    /**
+     * 回放播放的渲染循环
+     */
+    startReplayRendering() {
+        let lastTime = 0;
+        
+        const renderLoop = (currentTime) => {
+            const deltaTime = (currentTime - (lastTime || currentTime)) / 1000;
+            lastTime = currentTime;
+            
+            if (!this.replayPlayer) return;
             
-            // 将融合后的Bunny添加到精灵管理器
-            this.spriteManager.addSprite('bunny', bunny, 'characters');
+            this.replayPlayer.update(deltaTime);
+            this.render();
+            this.uiManager.updateReplayControls();
+            
+            this.replayRenderId = requestAnimationFrame(renderLoop);
+        };
+        
+        this.replayRenderId = requestAnimationFrame(renderLoop);
+    }
+    
+    /**
+     * 渲染回放中的地图、路障和兔子
+     */
+    renderReplay() {
+        const simulation = this.replayPlayer.simulation;
+        const gameState = simulation.gameEngine.getGameState();
+        this.mapRenderer.renderMap(this.ctx, gameState, this.width, this.height, null, simulation.blockerService);
+        
+        for (const bunny of simulation.bunnies) {
+            bunny.render(this.ctx);
+        }
+    }
+    
+    // ========== 地图编辑器 ==========
+    
+    /**
+     * 是否在地图编辑模式
+     */
+    isEditingMap() {
+        return !!this.mapEditor;
+    }
+    
+    /**
+     * 进入地图编辑模式（只能在初始状态进入），编辑当前地图
+     * 试玩后再次进入时，当前地图就是试玩的地图，可以接着编辑
+     */
+    async enterMapEditor() {
+        if (this.mapEditor || this.replayPlayer || !this.stateTransitionService.isInitial() || !this.gameEngine || !this.mapRenderer) {
+            this.logSystem.log('🛠️ 只能在游戏开始前编辑地图', 'warning');
+            return false;
+        }
+        
+        const decodedMap = await this.gameEngine.mapService.loadMapData(this.selectedDifficulty, this.currentMapNumber);
+        if (!decodedMap) {
+            this.logSystem.log(`❌ 地图加载失败，无法编辑: ${this.selectedDifficulty} #${this.currentMapNumber}`, 'error');
+            return false;
+        }
+        
+        this.mapEditor = new MapEditor(this.canvas, {
+            mapRenderer: this.mapRenderer,
+            mapService: this.gameEngine.mapService,
+            width: this.width,
+            height: this.height,
+            onChange: () => {
+                this.uiManager.updateMapEditorControls();
+                this.requestRender();
+            }
+        });
+        this.mapEditor.load(decodedMap);
+        this.mapEditor.attach();
+        
+        // 编辑期间停止INITIAL渲染并锁定地图和开始按钮，画面在每次修改后按需渲染
+        this.stopInitialRendering();
+        this.uiManager.disableMapControlButtons();
+        this.uiManager.disableDifficultyToggle();
+        this.uiManager.updateUIState();
+        this.requestRender();
+        
+        this.logSystem.log(`🛠️ 开始编辑地图: ${this.selectedDifficulty} #${this.currentMapNumber}`, 'info');
+        return true;
+    }
+    
+    /**
+     * 退出地图编辑模式，恢复INITIAL状态的地图显示（未试玩或导出的修改会丢失）
+     */
+    exitMapEditor() {
+        if (!this.mapEditor) return;
+        
+        this.mapEditor.detach();
+        this.mapEditor = null;
+        
+        this.uiManager.enableMapControlButtons();
+        this.uiManager.enableDifficultyToggle();
+        this.uiManager.updateUIState();
+        this.startInitialRendering();
+    }
+    
+    /**
+     * 试玩编辑中的地图：作为自定义地图加载（多次试玩替换同一张地图），退出编辑模式后即可开始游戏
+     * @returns {Promise<boolean>} 地图有错误或加载失败时为 false
+     */
+    async playTestEditedMap() {
+        if (!this.mapEditor) return false;
+        
+        const { valid, errors } = this.mapEditor.validation;
+        if (!valid) {
+            this.logSystem.log(`❌ 地图还不能试玩: ${errors.join('；')}`, 'error');
+            return false;
+        }
+        
+        let mapNumber;
+        try {
+            mapNumber = this.addCustomMap(this.mapEditor.toRawMapData(), MAP_EDITOR_FILE_NAME);
+        } catch (error) {
+            this.logSystem.log(`❌ 地图还不能试玩: ${error.message}`, 'error');
+            return false;
+        }
+        
+        this.exitMapEditor();
+        return await this.loadCustomMap(mapNumber, CUSTOM_DIFFICULTY);
+    }
+    
+    /**
+     * 下载编辑中的地图 JSON（与 assets/maps 中的地图文件格式相同）
+     */
+    exportEditedMap() {
+        if (!this.mapEditor) return false;
+        
+        const blob = new Blob([MapService.stringifyMapData(this.mapEditor.toRawMapData())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = MAP_EDITOR_FILE_NAME;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return true;
+    }
+    
+    // ========== 存档 ==========
+    
+    /**
+     * 生成进行中回合的存档快照（格式见 SaveGameService）
+     */
+    createSavedGameSnapshot() {
+        const bunnies = this.getBunnies();
+        return {
+            version: SAVED_GAME_VERSION,
+            savedAt: Date.now(),
+            difficulty: this.selectedDifficulty,
+            mapNumber: this.currentMapNumber,
+            gameMode: this.stateTransitionService.getGameMode(),
+            strategy: bunnies.length > 0 ? bunnies[0].strategyName : null,
+            elapsedTime: this.roundStats.getGameTime(),
+            blockersPlaced: this.roundStats.getPlacementCount(),
+            roundStats: this.roundStats.getSnapshot(),
+            hints: this.hintService.getSnapshot(),
+            moveCount: this.turnService.getMoveCount(),
+            blockers: this.blockerManager ? this.blockerManager.getSnapshot() : [],
+            bunnies: bunnies.map(bunny => bunny.getSnapshot())
+        };
+    }
+    
+    /**
+     * 保存进行中的回合（只在运行或暂停状态保存，回放播放期间和自定义地图不保存，重新打开页面后地图文件已不在）
+     * @returns {boolean} 是否保存成功
+     */
+    saveInProgressGame() {
+        const inProgress = this.stateTransitionService.isRunning() || this.stateTransitionService.isPaused();
+        if (!inProgress || this.replayPlayer || !this.gameEngine || this.gameEngine.gameOver || this.isCustomMap()) {
+            return false;
+        }
+        return this.saveGameService.save(this.createSavedGameSnapshot());
+    }
+    
+    /**
+     * 获取存档（没有有效存档时返回 null）
+     */
+    getSavedGame() {
+        return this.saveGameService.load();
+    }
+    
+    /**
+     * 删除存档（回合结束、停止或玩家放弃存档时调用）
+     */
+    clearSavedGame() {
+        this.saveGameService.clear();
+    }
+    
+    /**
+     * 恢复存档的回合：加载地图，放回路障和兔子，进入暂停状态等玩家继续
+     */
+    async resumeSavedGame() {
+        const snapshot = this.saveGameService.load();
+        if (!snapshot || !this.stateTransitionService.isInitial() || this.replayPlayer) {
+            return false;
+        }
+        
+        try {
+            this.logSystem.log(`💾 恢复存档: ${snapshot.difficulty} 难度第${snapshot.mapNumber}张`, 'info');
             
-            // 🆕 修复：正确启动动画
-            bunny.startAnimation(true);
-            if (bunny.animationManager) {
-                bunny.animationManager.playAnimation('default', true);
-                console.log('🎬 兔子动画管理器已启动');
+            // 兔子按存档的游戏模式和性格创建
+            if (snapshot.gameMode) {
+                this.setGameMode(snapshot.gameMode);
+            }
+            if (snapshot.strategy) {
+                this.setBunnyPersonality(snapshot.strategy);
             }
             
-            // 保守迁移：注册兔子动画管理器到协调器（保持原有逻辑不变）
-            if (this.animationCoordinator && bunny.animationManager) {
-                this.animationCoordinator.registerAnimationManager('bunny', bunny.animationManager);
-                console.log('🎬 兔子动画管理器已注册到协调器');
+            this.selectedDifficulty = snapshot.difficulty;
+            this.currentMapNumber = snapshot.mapNumber;
+            const success = await this.gameEngine.loadRealMap(this.selectedDifficulty, this.currentMapNumber);
+            if (!success) {
+                throw new Error('地图加载失败');
             }
+            this.isMapLoaded = true;
+            this.gameEngine.setCurrentMapInfo(this.selectedDifficulty, this.currentMapNumber);
+            this.gameEngine.initializeAutonomousBlockerManager(this.assetLoader, this.blockerManager);
+            await this.autoCreateBunnySprite();
             
-            // 设置BlockerService的bunny引用
-            if (this.blockerManager) {
-                this.blockerManager.setBunny(bunny);
-                console.log('🔗 BlockerService已关联到Bunny实例');
+            const bunnies = this.getBunnies();
+            if (bunnies.length !== snapshot.bunnies.length) {
+                throw new Error(`兔子数量不一致: 地图 ${bunnies.length} 只，存档 ${snapshot.bunnies.length} 只`);
             }
             
-            this.logSystem.log('✅ 兔子精灵创建成功', 'success');
-            return true;
+            // 先放回路障，兔子再按路障重建可行地图
+            this.blockerManager.restoreSnapshot(snapshot.blockers);
+            bunnies.forEach((bunny, index) => bunny.restoreSnapshot(snapshot.bunnies[index]));
+            this.turnService.setMoveCount(snapshot.moveCount || 0);
+            this.roundStats.restoreSnapshot(snapshot.roundStats, {
+                gameTime: snapshot.elapsedTime,
+                placements: snapshot.blockersPlaced || snapshot.blockers.length
+            });
+            this.hintService.restoreSnapshot(snapshot.hints);
+            
+            this.uiManager.updateDifficultyToggle(this.selectedDifficulty);
+            this.uiManager.updateMapInfo();
+            
+            const restored = await this.stateTransitionService.restoreSavedGame();
+            if (restored) {
+                this.logSystem.log(`✅ 存档已恢复: ${snapshot.blockers.length} 个路障，游戏时间 ${snapshot.elapsedTime.toFixed(1)}s`, 'success');
+            }
+            return restored;
+        } catch (error) {
+            this.logSystem.log(`❌ 恢复存档失败: ${error.message}`, 'error');
+            this.clearSavedGame();
+            return false;
         }
-        return false;
     }
     
+    /**
+     * 放弃存档
+     */
+    discardSavedGame() {
+        this.clearSavedGame();
+        this.logSystem.log('🗑️ 存档已放弃', 'info');
+    }
     
     async resetGame() {
         try {
             this.logSystem.log('🔄 开始完全重置游戏...', 'info');
             
+            // 0. 新回合重新计算提示次数
+            this.hintService.resetRound();
+            this.keyboardCursor.reset();
+            if (this.pointerInput) {
+                this.pointerInput.resetView();
+            }
+            
             // 1. 重置游戏引擎状态（包括兔子对象）
             if (this.gameEngine) {
                 this.gameEngine.reset();
@@ -720,12 +1528,28 @@ export class GameController {
         this.ctx.fillStyle = '#f0f8ff';
         this.ctx.fillRect(0, 0, this.width, this.height);
         
-        if (this.isMapLoaded && this.gameEngine && this.mapRenderer) {
+        if (this.mapEditor) {
+            this.mapEditor.render(this.ctx);
+        } else if (this.replayPlayer && this.mapRenderer) {
+            this.renderReplay();
+        } else if (this.isMapLoaded && this.gameEngine && this.mapRenderer) {
             const gameState = this.gameEngine.getGameState();
+            
+            // 捏合缩放的视图只作用于地图，界面和倒计时不缩放
+            this.ctx.save();
+            if (this.pointerInput) {
+                this.pointerInput.applyView(this.ctx);
+            }
             this.mapRenderer.renderMap(this.ctx, gameState, this.width, this.height, this.spriteManager);
             
             // 渲染自主路障（独立于游戏状态机）
             this.gameEngine.renderAutonomousBlockers(this.ctx);
+            this.ctx.restore();
+            
+            // 放大镜（触摸瞄准时）
+            if (this.pointerInput) {
+                this.mapRenderer.renderLoupe(this.ctx, this.pointerInput.getLoupe());
+            }
         }
         
         if (this.uiSystem) {
@@ -736,8 +1560,8 @@ export class GameController {
             this.countdownManager.render(this.ctx, this.width, this.height);
         }
         
-        // 渲染开始按钮沙箱组件
-        if (this.startButtonWidget) {
+        // 渲染开始按钮沙箱组件（回放播放和地图编辑期间隐藏）
+        if (this.startButtonWidget && !this.replayPlayer && !this.mapEditor) {
             // 🆕 修复：在渲染前更新组件状态
             this.startButtonWidget.update();
             this.startButtonWidget.render(this.ctx, this.width, this.height);
@@ -950,7 +1774,7 @@ export class GameController {
             const currentMapNumber = this.gameEngine.getCurrentMapNumber();
             const nextMapNumber = currentMapNumber + 1;
             
-            if (nextMapNumber <= 30) { // 假设最大地图号是30
+            if (nextMapNumber <= this.getMapCount()) {
                 // 先重置到初始状态
                 this.resetToInitialState();
                 
@@ -1057,17 +1881,17 @@ export class GameController {
      */
     updateBunnyAnimationOnly(deltaTime = 1/60) {
         if (this.spriteManager) {
-            const bunny = this.spriteManager.getSprite('bunny');
-            if (bunny) {
+            const bunnies = this.getBunnies();
+            if (bunnies.length === 0) {
+                console.warn('⚠️ GameController: 兔子精灵不存在');
+            }
+            for (const bunny of bunnies) {
                 // 🆕 改进：使用准确的deltaTime
                 if (bunny.animationManager && bunny.animationManager.isPlaying) {
                     bunny.animationManager.update(deltaTime);
                 } else if (bunny.updateAnimation) {
                     bunny.updateAnimation(deltaTime);
                 }
-                // console.log('🐰 GameController: 更新兔子动画'); // 调试日志
-            } else {
-                console.warn('⚠️ GameController: 兔子精灵不存在');
             }
         } else {
             console.warn('⚠️ GameController: spriteManager 不存在');
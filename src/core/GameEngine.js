@@ -30,6 +30,8 @@ export class GameEngine {
         this.scaledPositions = new Map();
         this.holes = new Set();
         this.adjacencyList = new Map();
+        this.traps = [];            // 陷阱区域 [{center, block, exitEdges, internalNodes}]
+        this.trapCapture = null;    // 在陷阱中捕获兔子时记录该陷阱
         
         // 渲染参数
         this.canvasWidth = 800;
@@ -132,18 +134,8 @@ export class GameEngine {
                 return false;
             }
             
-            // 转换为游戏引擎格式
-            const gameMapData = this.mapService.convertToGameEngineFormat(
-                rawMapData, 
-                this.canvasWidth, 
-                this.canvasHeight
-            );
-            
-            // 设置地图数据
-            this.mapData = gameMapData;
-            
-            // 解析地图数据
-            this.parseRealMapData();
+            // 转换并解析地图数据
+            this.loadDecodedMap(rawMapData);
             
             // 设置事件监听器
             this.setupEventListeners();
@@ -176,6 +168,30 @@ export class GameEngine {
         }
     }
     
+    /**
+     * 加载已解码的地图数据（同步，不依赖fetch，可在Node中使用）
+     * @param {Object} decodedMap - MapService.decodeMapData 的返回结果
+     * @param {Object|null} scaling - 固定的缩放参数 {scale, offsetX, offsetY}（地图编辑器拖动节点时画面不跟着缩放），默认按节点位置计算
+     */
+    loadDecodedMap(decodedMap, scaling = null) {
+        if (!this.mapService) {
+            throw new Error('没有地图管理器，无法转换地图数据');
+        }
+        
+        // 转换为游戏引擎格式
+        this.mapData = this.mapService.convertToGameEngineFormat(
+            decodedMap,
+            this.canvasWidth,
+            this.canvasHeight
+        );
+        if (scaling) {
+            this.mapData.scaling = scaling;
+        }
+        
+        // 解析地图数据
+        this.parseRealMapData();
+    }
+    
     /**
      * 设置事件监听器
      */
@@ -224,6 +240,7 @@ export class GameEngine {
         this.holes.clear();
         this.scaledPositions.clear();
         this.adjacencyList.clear();
+        this.traps = [];
         // 路障清理通过BlockerService管理
         
         const { nodes, edges, original_positions, scaling, hole_positions } = this.mapData;
@@ -264,6 +281,7 @@ export class GameEngine {
                 from: edgeData.from,
                 to: edgeData.to,
                 is_hole_edge: edgeData.is_hole_edge,
+                terrain: edgeData.terrain,
                 coordinate_from: edgeData.coordinate_from,
                 coordinate_to: edgeData.coordinate_to
             };
@@ -282,9 +300,118 @@ export class GameEngine {
             this.adjacencyList.get(edge.to).push(edge.from);
         });
         
+        // 处理陷阱区域
+        this.traps = this.parseTraps(this.mapData.traps || []);
+        
         // console.log(`地图解析完成: ${this.nodes.size}个节点, ${this.edges.size}条边, ${this.holes.size}个洞口`);
     }
     
+    /**
+     * 解析陷阱区域：出口边换成地图中实际存在的边键，丢弃已不存在的出口
+     * @param {Array} rawTraps - 地图文件中的 traps [{center, block, edges, internal_nodes}]
+     * @returns {Array} [{center, block, exitEdges, internalNodes}]
+     */
+    parseTraps(rawTraps) {
+        return rawTraps.map(trap => {
+            const exitEdges = (trap.edges || [])
+                .map(edgeKey => this.resolveEdgeKey(edgeKey))
+                .filter(edgeKey => edgeKey !== null);
+            
+            return {
+                center: trap.center,
+                block: trap.block || [],
+                exitEdges,
+                internalNodes: new Set(trap.internal_nodes || trap.block || [])
+            };
+        }).filter(trap => trap.internalNodes.size > 0);
+    }
+    
+    /**
+     * 将任意方向的边键 "((x1, y1), (x2, y2))" 解析为地图中存在的边键
+     */
+    resolveEdgeKey(edgeKey) {
+        if (this.edges.has(edgeKey)) {
+            return edgeKey;
+        }
+        if (typeof edgeKey !== 'string') {
+            return null;
+        }
+        
+        const match = edgeKey.match(/\(\((-?\d+),\s*(-?\d+)\),\s*\((-?\d+),\s*(-?\d+)\)\)/);
+        if (!match) {
+            return null;
+        }
+        
+        const reverseKey = `((${match[3]}, ${match[4]}), (${match[1]}, ${match[2]}))`;
+        return this.edges.has(reverseKey) ? reverseKey : null;
+    }
+    
+    /**
+     * 陷阱是否已被封死（所有出口都放置了路障）
+     */
+    isTrapSealed(trap) {
+        const blockers = this.autonomousBlockerManager ? this.autonomousBlockerManager.blockers : null;
+        if (!blockers || trap.exitEdges.length === 0) {
+            return false;
+        }
+        return trap.exitEdges.every(edgeKey => blockers.has(edgeKey));
+    }
+    
+    /**
+     * 检查兔子是否落入已封死的陷阱（立即判定为捕获）
+     * @param {string} node - 兔子当前节点
+     * @returns {Object|null} 捕获兔子的陷阱
+     */
+    getTrapCapture(node) {
+        if (!node) return null;
+        return this.traps.find(trap => trap.internalNodes.has(node) && this.isTrapSealed(trap)) || null;
+    }
+    
+    /**
+     * 根据所有兔子的状态判定回合是否结束，结果写入 gameOver / winner
+     * 落入封死陷阱的兔子立即被捕获（captured），之后不再移动
+     * @param {Array} bunnies - 本回合所有兔子
+     * @param {string} endCondition - 'any-escape'：任意一只逃脱即失败，所有兔子同时被困才获胜（默认）
+     *                                'all-resolved'：每只兔子都逃脱或被困后结束，被困的不少于逃脱的即获胜
+     * @returns {boolean} 回合是否结束
+     */
+    checkRoundOutcome(bunnies, endCondition = 'any-escape') {
+        if (this.gameOver) {
+            return true;
+        }
+        
+        for (const bunny of bunnies) {
+            if (bunny.hasEscaped || bunny.captured) continue;
+            const trap = this.getTrapCapture(bunny.currentNode);
+            if (trap) {
+                bunny.captured = true;
+                bunny.state = 'TRAPPED';
+                bunny.path = null;
+                bunny.nextNode = null;
+                this.trapCapture = this.trapCapture || trap;
+            }
+        }
+        
+        const escaped = bunnies.filter(bunny => bunny.hasEscaped).length;
+        const trapped = bunnies.filter(bunny => !bunny.hasEscaped && bunny.state === 'TRAPPED').length;
+        
+        let winner = null;
+        if (endCondition === 'all-resolved') {
+            if (escaped + trapped < bunnies.length) return false;
+            winner = trapped >= escaped ? 'player' : 'bunny';
+        } else if (escaped > 0) {
+            winner = 'bunny';
+        } else if (trapped === bunnies.length) {
+            winner = 'player';
+        } else {
+            return false;
+        }
+        
+        this.gameOver = true;
+        this.winner = winner;
+        return true;
+    }
+    
     // createBunnyAtStart方法已移除，现在由新的Bunny类处理
     
     /**
@@ -314,8 +441,10 @@ export class GameEngine {
             edges: this.edges,
             adjacencyList: this.adjacencyList, // 添加邻接表
             blockers: this.autonomousBlockerManager ? this.autonomousBlockerManager.blockers : new Map(),
+            maxBlockers: this.autonomousBlockerManager ? this.autonomousBlockerManager.maxBlockers : 5,
             scaledPositions: this.scaledPositions,
             holes: this.holes,
+            traps: this.traps,
             gameOver: this.gameOver,
             winner: this.winner,
             mapData: this.mapData
@@ -450,6 +579,7 @@ export class GameEngine {
         // 2. 重置游戏状态
         this.gameOver = false;
         this.winner = null;
+        this.trapCapture = null;
         this.startTime = null;
         // console.log('✅ 游戏状态已重置');
         
@@ -505,7 +635,9 @@ export class GameEngine {
             holes: this.holes.size,
             blockers: remainingBlockers, // 🔧 修改：返回剩余路障数量而不是已使用数量
             currentDifficulty: this.mapService ? this.mapService.currentDifficulty : 'unknown',
-            currentMapNumber: this.mapService ? this.mapService.currentMapNumber : 'unknown'
+            currentMapNumber: this.mapService ? this.mapService.currentMapNumber : 'unknown',
+            currentDifficultyTitle: this.mapService ? this.mapService.getDifficultyTitle(this.mapService.currentDifficulty) : 'unknown',
+            currentMapTitle: this.mapService ? this.mapService.getMapTitle(this.mapService.currentDifficulty, this.mapService.currentMapNumber) : 'unknown'
         };
     }
     
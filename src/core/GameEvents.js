@@ -13,11 +13,12 @@ export const GAME_EVENTS = {
     GAME_RESUME: 'game:resume',
     GAME_OVER: 'game:over',
     GAME_RESET: 'game:reset',
+    COUNTDOWN_TICK: 'countdown:tick',
     
     // 兔子相关事件
     // BUNNY_ESCAPED: 'bunny:escaped', // 未使用
     // BUNNY_TRAPPED: 'bunny:trapped', // 未使用
-    // BUNNY_MOVED: 'bunny:moved', // 未使用
+    BUNNY_MOVED: 'bunny:moved',
     BUNNY_PATH_UPDATED: 'bunny:path_updated',
     
     // 路径计算相关事件（新增，为多精灵框架做准备）
@@ -27,8 +28,8 @@ export const GAME_EVENTS = {
     PATH_NEEDS_UPDATE: 'path:needs_update',
     
     // 路障相关事件
-    // BLOCKER_ADDED: 'blocker:added', // 未使用
-    // BLOCKER_REMOVED: 'blocker:removed', // 未使用
+    BLOCKER_ADDED: 'blocker:added',
+    BLOCKER_REMOVED: 'blocker:removed',
     BLOCKER_ANIMATION_START: 'blocker:animation_start',
     BLOCKER_ANIMATION_COMPLETE: 'blocker:animation_complete',
     BLOCKER_BLINK_START: 'blocker:blink_start',
@@ -67,11 +68,35 @@ export const GAME_EVENTS = {
 export const EVENT_DATA_SCHEMAS = {
     [GAME_EVENTS.GAME_OVER]: {
         winner: 'string', // 'player' | 'bunny'
-        reason: 'string', // 游戏结束原因
-        stats: {
-            blockerCount: 'number',
+        reason: 'string', // 'trapped' 兔子被围住 | 'trap' 兔子落入封死的陷阱 | 'escaped' 兔子逃脱
+        stats: { // 回合统计，见 RoundStatsService.getStats
+            blockerCount: 'number', // 场上剩余的路障数量
             gameTime: 'number',
-            moves: 'number'
+            moves: 'number', // 玩家的操作次数（放置和手动回收）
+            placements: 'number',
+            recycles: 'number', // 超出上限自动回收
+            removals: 'number', // 手动回收
+            hops: 'number', // 兔子到达节点的次数
+            replans: 'number', // 兔子重新寻路的次数
+            events: 'array' // [{time, type, ...}] 每次统计事件的游戏时间
+        },
+        roundResult: {
+            difficulty: 'string',
+            mapNumber: 'number',
+            strategy: 'string',
+            bunnyCount: 'number',
+            bunniesTrapped: 'number',
+            trapCapture: 'string', // 捕获兔子的陷阱中心，未在陷阱中捕获时为 null
+            bonusScore: 'number',
+            gameTime: 'number', // 本回合游戏时间（秒，不含暂停）
+            blockersUsed: 'number', // 本回合放置路障的次数
+            hintsUsed: 'number',
+            hinted: 'boolean', // 使用提示的胜利单独计分
+            hintedEdges: 'array',
+            gameMode: 'string', // 'realtime' | 'turn-based'
+            moveCount: 'number', // 回合制下玩家的步数，实时模式为 null
+            progress: 'object', // 地图进度 {record, stars, newRecords}，见 ProgressService.recordRound
+            roundStats: 'object' // 同 stats，随回合结果传给胜利对话框
         }
     },
     
@@ -86,23 +111,26 @@ export const EVENT_DATA_SCHEMAS = {
     //     reason: 'string' // 被困原因
     // },
     
-    // [GAME_EVENTS.BUNNY_MOVED]: { // 未使用
-    //     fromNode: 'string',
-    //     toNode: 'string',
-    //     position: { x: 'number', y: 'number' }
-    // },
+    [GAME_EVENTS.COUNTDOWN_TICK]: {
+        number: 'number' // 倒计时显示的数字（3、2、1）
+    },
     
-    // [GAME_EVENTS.BLOCKER_ADDED]: { // 未使用
-    //     edgeId: 'string',
-    //     position: { x: 'number', y: 'number' },
-    //     blockerCount: 'number'
-    // },
+    [GAME_EVENTS.BUNNY_MOVED]: {
+        spriteId: 'string', // 兔子的精灵标识，见 Bunny
+        toNode: 'string' // 兔子到达的节点
+    },
     
-    // [GAME_EVENTS.BLOCKER_REMOVED]: { // 未使用
-    //     edgeId: 'string',
-    //     reason: 'string', // 'manual' | 'recycled' | 'victory'
-    //     blockerCount: 'number'
-    // },
+    [GAME_EVENTS.BLOCKER_ADDED]: {
+        edgeId: 'string',
+        position: 'object', // 点击位置 {x, y}，键盘和手柄放置时为边的中点
+        blockerCount: 'number' // 放置后场上的路障数量
+    },
+    
+    [GAME_EVENTS.BLOCKER_REMOVED]: {
+        edgeId: 'string',
+        reason: 'string', // 'manual' 手动回收 | 'recycled' 超出上限自动回收
+        blockerCount: 'number' // 回收后场上的路障数量
+    },
     
     [GAME_EVENTS.BLOCKER_ANIMATION_START]: {
         edgeId: 'string',
@@ -231,6 +259,7 @@ export class EventFactory {
             winner,
             reason,
             stats: {
+                ...stats,
                 blockerCount: stats.blockerCount || 0,
                 gameTime: stats.gameTime || 0,
                 moves: stats.moves || 0
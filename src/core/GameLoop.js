@@ -73,6 +73,11 @@ export class GameLoop {
      * 更新游戏状态
      */
     async update(deltaTime) {
+        // 轮询手柄（游戏循环停止时由 GamepadService 的待机循环轮询）
+        if (this.gameController.gamepadService) {
+            this.gameController.gamepadService.poll();
+        }
+        
         // 检查全局暂停状态
         if (globalPauseManager.isGamePaused() || this.isPausedByEvent) {
             this.updateUIOnly();
@@ -115,10 +120,11 @@ export class GameLoop {
      */
     updateBunnyAnimationOnly(deltaTime) {
         if (this.gameController.spriteManager) {
-            const bunnySprite = this.gameController.spriteManager.getSprite('bunny');
-            if (bunnySprite && bunnySprite.updateAnimation) {
-                // 只更新动画，不更新逻辑
-                bunnySprite.updateAnimation(deltaTime);
+            for (const bunnySprite of this.gameController.getBunnies()) {
+                if (bunnySprite.updateAnimation) {
+                    // 只更新动画，不更新逻辑
+                    bunnySprite.updateAnimation(deltaTime);
+                }
             }
         }
     }
@@ -133,22 +139,40 @@ export class GameLoop {
         
         const gameOverResult = this.gameController.gameEngine.update(deltaTime);
         
-        // 更新兔子移动
+        // 更新提示冷却和高亮计时
+        if (this.gameController.hintService) {
+            this.gameController.hintService.update(deltaTime, this.gameController.gameEngine.getGameState());
+        }
+        
+        // 更新所有兔子的移动
         if (this.gameController.spriteManager && !this.gameController.gameEngine.gameOver) {
-            const bunny = this.gameController.spriteManager.getSprite('bunny');
-            if (bunny) {
-                bunny.update(deltaTime);
-                
-                // 检查兔子游戏结束状态
-                if (!this.gameController.gameEngine.gameOver) {
-                    if (bunny.hasEscaped) {
-                        this.gameController.gameEngine.gameOver = true;
-                        this.gameController.gameEngine.winner = 'bunny';
-                    } else if (bunny.state === 'TRAPPED') {
-                        this.gameController.gameEngine.gameOver = true;
-                        this.gameController.gameEngine.winner = 'player';
+            const bunnies = this.gameController.getBunnies();
+            if (bunnies.length > 0) {
+                const roundStats = this.gameController.roundStats;
+                bunnies.forEach(bunny => {
+                    const result = bunny.update(deltaTime);
+                    // 兔子每到达一个节点计一次跳跃
+                    if (result && result.reachedNode) {
+                        if (roundStats) {
+                            roundStats.recordHop(bunny.spriteId, result.reachedNode);
+                        }
+                        gameEventBus.emit(GAME_EVENTS.BUNNY_MOVED, { spriteId: bunny.spriteId, toNode: result.reachedNode });
                     }
+                });
+                
+                // 回放录制的游戏时间和本回合游戏时间与兔子移动同步推进
+                if (this.gameController.replayRecorder) {
+                    this.gameController.replayRecorder.update(deltaTime);
                 }
+                if (roundStats) {
+                    roundStats.update(deltaTime);
+                }
+                
+                // 检查兔子游戏结束状态（含陷阱捕获），结束条件见 GameEngine.checkRoundOutcome
+                const endCondition = this.gameController.parameterManager
+                    ? this.gameController.parameterManager.getBunnyEndCondition()
+                    : 'any-escape';
+                this.gameController.gameEngine.checkRoundOutcome(bunnies, endCondition);
             }
         }
         
@@ -0,0 +1,363 @@
+/**
+ * 地图编辑器 - 在游戏画布上编辑地图（文档模型见 MapEditorService）
+ * 编辑中的地图每次修改后都导出为地图文件格式，经 MapService.decodeMapData 解码后由无头 GameEngine 解析，
+ * 再用 MapRenderer 绘制，保证画面和导出的文件与游戏中加载的结果一致；边的点击检测复用 BlockerService.detectEdgeClick
+ *
+ * 工具（见 MAP_EDITOR_TOOLS）：
+ *   node  - 点击空白处加节点，点击节点删除节点
+ *   move  - 拖动节点
+ *   edge  - 点击开关两个相邻节点之间的边（还没连上的边显示为虚线）
+ *   hole  - 点击节点标记/取消洞口
+ *   start - 点击节点加入/移除兔子起点
+ *   trap  - 点击节点加入当前陷阱或从陷阱中移除
+ *
+ * 用法：
+ *   const editor = new MapEditor(canvas, { mapRenderer, mapService, width, height, onChange });
+ *   editor.load(decodedMap);
+ *   editor.attach();
+ *   editor.render(ctx);
+ *   editor.detach();
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { BlockerService } from '../services/BlockerService.js';
+import { MapSolver } from '../services/MapSolver.js';
+import { MapEditorService, MAP_EDITOR_TOOLS } from '../services/MapEditorService.js';
+import { CanvasCoordinateHelper } from '../utils/CanvasCoordinateHelper.js';
+
+export const MAP_EDITOR_FILE_NAME = 'bunny_map_edited.json'; // 导出和试玩时使用的文件名
+
+const NODE_HIT_RADIUS = 18; // 像素，按画布缩放调整
+const POSITION_PRECISION = 1000; // 拖动和新增的节点位置保留3位小数
+
+export class MapEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - 游戏画布
+     * @param {Object} options - {mapRenderer, mapService, width, height, onChange}
+     *   onChange() 在地图、工具或提示信息变化后调用（刷新面板并重新渲染）
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.mapRenderer = options.mapRenderer;
+        this.mapService = options.mapService;
+        this.width = options.width;
+        this.height = options.height;
+        this.onChange = options.onChange || null;
+        
+        this.editedMap = new MapEditorService();
+        this.gameEngine = new GameEngine(this.mapService);
+        this.gameEngine.setCanvasSize(this.width, this.height);
+        
+        // 只用于点击检测的路障服务（无头，不绑定画布事件）
+        this.hitTester = new BlockerService(null);
+        this.hitTester.headless = true;
+        this.hitTester.canvas = canvas;
+        
+        this.tool = 'node';
+        this.activeTrap = -1;       // 陷阱工具正在编辑的陷阱
+        this.dragNode = null;       // 移动工具正在拖动的节点
+        this.scaling = null;        // 打开地图时固定的缩放参数
+        this.validation = this.editedMap.validate();
+        this.message = null;        // 最近一次操作失败的原因
+        
+        this.listeners = null;
+    }
+    
+    /**
+     * 加载要编辑的地图，并按地图的节点位置固定画面缩放
+     * @param {Object} decodedMap - MapService.decodeMapData 的返回结果
+     */
+    load(decodedMap) {
+        this.editedMap.load(decodedMap);
+        this.scaling = this.mapService.calculateMapScaling(decodedMap.positions, this.width, this.height);
+        this.activeTrap = -1;
+        this.dragNode = null;
+        this.message = null;
+        this.refresh();
+    }
+    
+    /**
+     * 换成新的空白地图（完整网格、四个洞口和一个兔子起点）
+     */
+    loadBlankMap() {
+        this.load(this.mapService.decodeMapData(MapEditorService.createBlankMap()));
+    }
+    
+    /**
+     * 绑定画布的鼠标事件
+     */
+    attach() {
+        if (this.listeners) return;
+        
+        this.listeners = {
+            mousedown: (event) => this.handleMouseDown(event),
+            mousemove: (event) => this.handleMouseMove(event),
+            mouseup: () => this.endDrag(),
+            mouseleave: () => this.endDrag()
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.canvas.addEventListener(type, listener);
+        }
+    }
+    
+    /**
+     * 解绑画布的鼠标事件
+     */
+    detach() {
+        if (!this.listeners) return;
+        
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.canvas.removeEventListener(type, listener);
+        }
+        this.listeners = null;
+        this.dragNode = null;
+    }
+    
+    /**
+     * 切换工具
+     * @param {string} tool - 见 MAP_EDITOR_TOOLS
+     */
+    setTool(tool) {
+        if (!MAP_EDITOR_TOOLS.includes(tool)) return;
+        this.tool = tool;
+        this.message = null;
+        this.notifyChange();
+    }
+    
+    /**
+     * 之后点击的节点放进一个新的陷阱
+     */
+    startNewTrap() {
+        this.activeTrap = -1;
+        this.setTool('trap');
+    }
+    
+    /**
+     * 导出编辑中的地图（地图文件格式），地图可以试玩时按当前的边重新计算 meta.par
+     */
+    toRawMapData() {
+        const meta = { ...this.editedMap.meta };
+        if (this.validation.valid) {
+            const par = new MapSolver(this.gameEngine.getGameState()).getPar(this.editedMap.bunnyStarts);
+            if (par !== null) {
+                meta.par = par;
+            }
+        }
+        return this.editedMap.toRawMapData(meta);
+    }
+    
+    /**
+     * 重新解析编辑中的地图并校验（每次修改后调用）
+     */
+    refresh() {
+        const decodedMap = this.mapService.decodeMapData(this.editedMap.toRawMapData());
+        this.gameEngine.loadDecodedMap(decodedMap, this.scaling);
+        this.validation = this.editedMap.validate();
+        this.notifyChange();
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    /**
+     * 执行一次编辑，失败时保留原因显示在面板中
+     */
+    applyEdit(edit) {
+        try {
+            edit();
+            this.message = null;
+        } catch (error) {
+            this.message = error.message;
+        }
+        this.refresh();
+    }
+    
+    // ========== 坐标和点击检测 ==========
+    
+    /**
+     * 地图坐标 -> 画布坐标
+     */
+    toCanvas(position) {
+        return [
+            position[0] * this.scaling.scale + this.scaling.offsetX,
+            position[1] * this.scaling.scale + this.scaling.offsetY
+        ];
+    }
+    
+    /**
+     * 画布坐标 -> 地图坐标（保留3位小数）
+     */
+    toMap(x, y) {
+        const round = (value) => Math.round(value * POSITION_PRECISION) / POSITION_PRECISION;
+        return [
+            round((x - this.scaling.offsetX) / this.scaling.scale),
+            round((y - this.scaling.offsetY) / this.scaling.scale)
+        ];
+    }
+    
+    /**
+     * 点击位置附近最近的节点，没有时为 null
+     */
+    findNodeAt(x, y) {
+        const threshold = CanvasCoordinateHelper.getAdjustedThreshold(this.canvas, NODE_HIT_RADIUS);
+        let nearest = null;
+        let nearestDistance = threshold;
+        for (const [key, node] of this.editedMap.nodes) {
+            const [nx, ny] = this.toCanvas(node.position);
+            const distance = Math.hypot(x - nx, y - ny);
+            if (distance <= nearestDistance) {
+                nearest = key;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * 点击位置附近可以开关的边（包括还没连上的相邻节点对），没有时为 null
+     * @returns {Object|null} {edgeKey, from, to, exists}
+     */
+    findEdgeAt(x, y) {
+        const candidates = new Map(this.editedMap.getEdgeCandidates().map(candidate => [candidate.edgeKey, candidate]));
+        this.hitTester.gameState = {
+            edges: candidates,
+            scaledPositions: this.gameEngine.scaledPositions
+        };
+        const edgeKey = this.hitTester.detectEdgeClick(x, y);
+        return edgeKey ? candidates.get(edgeKey) : null;
+    }
+    
+    // ========== 鼠标事件 ==========
+    
+    handleMouseDown(event) {
+        const { x, y } = this.hitTester.getCanvasCoordinates(event);
+        const node = this.findNodeAt(x, y);
+        const editedMap = this.editedMap;
+        
+        switch (this.tool) {
+            case 'node':
+                if (node) {
+                    this.applyEdit(() => editedMap.removeNode(node));
+                } else {
+                    const position = this.toMap(x, y);
+                    this.applyEdit(() => editedMap.addNode(position.map(Math.round), position));
+                }
+                break;
+            case 'move':
+                this.dragNode = node;
+                break;
+            case 'edge': {
+                const edge = this.findEdgeAt(x, y);
+                if (edge) {
+                    this.applyEdit(() => editedMap.toggleEdge(edge.from, edge.to));
+                }
+                break;
+            }
+            case 'hole':
+                if (node) this.applyEdit(() => editedMap.toggleHole(node));
+                break;
+            case 'start':
+                if (node) this.applyEdit(() => editedMap.toggleBunnyStart(node));
+                break;
+            case 'trap':
+                if (node) this.applyEdit(() => {
+                    this.activeTrap = editedMap.toggleTrapNode(node, this.activeTrap);
+                });
+                break;
+        }
+    }
+    
+    handleMouseMove(event) {
+        if (!this.dragNode) return;
+        
+        const { x, y } = this.hitTester.getCanvasCoordinates(event);
+        const clampedX = Math.max(0, Math.min(this.width, x));
+        const clampedY = Math.max(0, Math.min(this.height, y));
+        this.editedMap.moveNode(this.dragNode, this.toMap(clampedX, clampedY));
+        this.refresh();
+    }
+    
+    endDrag() {
+        this.dragNode = null;
+    }
+    
+    // ========== 渲染 ==========
+    
+    /**
+     * 渲染编辑中的地图和编辑标记
+     */
+    render(ctx) {
+        const gameState = this.gameEngine.getGameState();
+        this.mapRenderer.renderMap(ctx, gameState, this.width, this.height, null, null);
+        
+        ctx.save();
+        if (this.tool === 'edge') {
+            this.renderEdgeCandidates(ctx);
+        }
+        this.renderNodeMarkers(ctx);
+        ctx.restore();
+    }
+    
+    /**
+     * 还没连上的相邻节点对绘制为虚线
+     */
+    renderEdgeCandidates(ctx) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 6]);
+        for (const candidate of this.editedMap.getEdgeCandidates()) {
+            if (candidate.exists) continue;
+            const fromPos = this.gameEngine.scaledPositions.get(candidate.from);
+            const toPos = this.gameEngine.scaledPositions.get(candidate.to);
+            ctx.beginPath();
+            ctx.moveTo(fromPos[0], fromPos[1]);
+            ctx.lineTo(toPos[0], toPos[1]);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * 节点标记：兔子到不了的节点为红圈，兔子起点为金圈加 START 标签，当前陷阱的节点为金色虚线圈
+     */
+    renderNodeMarkers(ctx) {
+        const { reachableNodes } = this.validation;
+        const activeTrap = this.editedMap.traps[this.activeTrap] || null;
+        const hasStarts = this.editedMap.bunnyStarts.length > 0;
+        
+        ctx.lineWidth = 3;
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        for (const [key, pos] of this.gameEngine.scaledPositions) {
+            if (hasStarts && !reachableNodes.has(key)) {
+                this.strokeCircle(ctx, pos, 14, '#ff4d4d');
+            }
+            if (activeTrap && activeTrap.nodes.has(key)) {
+                ctx.setLineDash([4, 3]);
+                this.strokeCircle(ctx, pos, 18, '#ffd700');
+                ctx.setLineDash([]);
+            }
+            if (this.editedMap.bunnyStarts.includes(key)) {
+                this.strokeCircle(ctx, pos, 14, '#ffd700');
+                ctx.fillStyle = 'white';
+                ctx.strokeStyle = 'black';
+                ctx.lineWidth = 2;
+                ctx.strokeText('START', pos[0], pos[1] - 18);
+                ctx.fillText('START', pos[0], pos[1] - 18);
+                ctx.lineWidth = 3;
+            }
+        }
+    }
+    
+    strokeCircle(ctx, pos, radius, color) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.arc(pos[0], pos[1], radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+export default MapEditor;
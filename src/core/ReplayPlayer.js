@@ -0,0 +1,278 @@
+/**
+ * 回放播放器 - 按 ReplayRecorder 录制的回放重新驱动 GameEngine/Bunny（基于无头 Simulation）
+ * 使用录制时的随机种子、兔子参数和路障操作时间重演整局，支持播放、暂停、跳转和变速
+ *
+ * 用法：
+ *   const player = new ReplayPlayer(ReplayRecorder.parse(json), mapService.decodeMapData(rawJson));
+ *   player.play();
+ *   player.update(1 / 60); // 每帧调用，按播放速度推进
+ *   player.seek(3.5);      // 跳转到第3.5秒
+ *   player.destroy();
+ */
+
+import { Simulation } from './Simulation.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+const REPLAY_END_MARGIN = 0.5; // 秒
+const REPLAY_SYNC_WINDOW = 0.25; // 秒，兔子落后于录制时最多追赶的时长
+
+/**
+ * 带种子的随机数生成器（与 CentralizedStateManager 相同的 Park-Miller 算法）
+ */
+function createSeededRandom(seed) {
+    let m_seed = seed % 2147483647;
+    if (m_seed <= 0) m_seed += 2147483646;
+    
+    return function() {
+        m_seed = m_seed * 16807 % 2147483647;
+        return (m_seed - 1) / 2147483646;
+    };
+}
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - ReplayRecorder.parse 的返回结果
+     * @param {Object} decodedMap - 回放对应地图的 MapService.decodeMapData 结果
+     * @param {Object} options - {simulationOptions, onSimulationCreated, frameTime}
+     *   simulationOptions 传给 Simulation（如画布尺寸、素材），onSimulationCreated(simulation) 在每次重建模拟后调用
+     */
+    constructor(replay, decodedMap, options = {}) {
+        this.replay = replay;
+        this.decodedMap = decodedMap;
+        this.simulationOptions = options.simulationOptions || {};
+        this.onSimulationCreated = options.onSimulationCreated || null;
+        this.frameTime = options.frameTime || 1 / 60; // 播放时的模拟步长
+        
+        // 播放状态
+        this.playing = false;
+        this.speed = 1;
+        this.duration = this.getRecordedDuration();
+        
+        // 模拟状态
+        this.simulation = null;
+        this.nextEventIndex = 0;
+        this.desyncs = []; // 与录制不一致的操作 [{time, type, reason}]
+        
+        this.rebuild();
+    }
+    
+    /**
+     * 录制的回合时长；分出胜负的回合多留一点时间，吸收逐帧积分误差，让最后一步走完
+     */
+    getRecordedDuration() {
+        const events = this.replay.events;
+        const result = this.replay.result;
+        const lastEventTime = events.length > 0 ? events[events.length - 1][0] : 0;
+        if (!result) {
+            return lastEventTime;
+        }
+        return Math.max(result.time, lastEventTime) + (result.winner ? REPLAY_END_MARGIN : 0);
+    }
+    
+    /**
+     * 从头重建模拟（跳转到更早的时间时使用）
+     */
+    rebuild() {
+        if (this.simulation) {
+            this.simulation.destroy();
+        }
+        
+        const replay = this.replay;
+        this.simulation = new Simulation(this.decodedMap, {
+            ...this.simulationOptions,
+            bunnySpeed: replay.bunnySpeed,
+            maxBlockers: replay.maxBlockers,
+            strategy: replay.strategy,
+            strategyOptions: replay.strategyOptions,
+            random: createSeededRandom(replay.seed),
+            endCondition: replay.endCondition,
+            turnBased: replay.gameMode === 'turn-based'
+        });
+        this.nextEventIndex = 0;
+        this.desyncs = [];
+        
+        if (this.onSimulationCreated) {
+            this.onSimulationCreated(this.simulation);
+        }
+    }
+    
+    // ========== 播放控制 ==========
+    
+    play() {
+        if (this.isFinished()) {
+            this.seek(0);
+        }
+        this.playing = true;
+    }
+    
+    pause() {
+        this.playing = false;
+    }
+    
+    isPlaying() {
+        return this.playing;
+    }
+    
+    /**
+     * 设置播放速度（取最接近的 REPLAY_SPEEDS）
+     */
+    setSpeed(speed) {
+        this.speed = REPLAY_SPEEDS.reduce((best, candidate) =>
+            Math.abs(candidate - speed) < Math.abs(best - speed) ? candidate : best, 1);
+    }
+    
+    getSpeed() {
+        return this.speed;
+    }
+    
+    /**
+     * 跳转到指定时间（向后跳转时从头重演）
+     * @param {number} time - 秒，限制在 [0, duration]
+     */
+    seek(time) {
+        const target = Math.max(0, Math.min(time, this.duration));
+        if (target < this.simulation.elapsedTime) {
+            this.rebuild();
+        }
+        this.advanceTo(target);
+    }
+    
+    /**
+     * 每帧调用：按播放速度推进
+     * @param {number} deltaTime - 真实时间（秒）
+     */
+    update(deltaTime) {
+        if (!this.playing) return;
+        
+        this.advanceTo(Math.min(this.simulation.elapsedTime + deltaTime * this.speed, this.duration));
+        if (this.isFinished()) {
+            this.playing = false;
+        }
+    }
+    
+    // ========== 状态查询 ==========
+    
+    getTime() {
+        return this.simulation.elapsedTime;
+    }
+    
+    getDuration() {
+        return this.duration;
+    }
+    
+    /**
+     * 是否播放完毕（分出胜负或到达录制结尾）
+     */
+    isFinished() {
+        return this.simulation.getOutcome().finished || this.simulation.elapsedTime >= this.duration - 1e-9;
+    }
+    
+    /**
+     * 当前结果，附带录制的结果和不同步记录
+     */
+    getOutcome() {
+        return {
+            ...this.simulation.getOutcome(),
+            recordedResult: this.replay.result,
+            desyncs: [...this.desyncs]
+        };
+    }
+    
+    // ========== 重演 ==========
+    
+    /**
+     * 推进模拟到指定时间，途中按录制时间应用路障操作
+     */
+    advanceTo(time) {
+        const events = this.replay.events;
+        while (this.nextEventIndex < events.length && events[this.nextEventIndex][0] <= time) {
+            const event = events[this.nextEventIndex];
+            this.stepTo(event[0]);
+            this.applyEvent(event);
+            this.nextEventIndex++;
+        }
+        this.stepTo(time);
+    }
+    
+    /**
+     * 按固定步长推进模拟到指定时间
+     */
+    stepTo(time) {
+        const sim = this.simulation;
+        while (sim.elapsedTime < time - 1e-9 && !sim.getOutcome().finished) {
+            sim.step(Math.min(this.frameTime, time - sim.elapsedTime));
+        }
+    }
+    
+    /**
+     * 应用一条录制的操作
+     */
+    applyEvent([time, type, edgeKey, snapshot]) {
+        const sim = this.simulation;
+        if (sim.getOutcome().finished) {
+            this.desyncs.push({ time, type, reason: 'finished-early' });
+            return;
+        }
+        
+        this.syncBunnies(time, type, snapshot || []);
+        
+        let success = true;
+        switch (type) {
+            case 'add':
+                success = sim.placeBlocker(edgeKey);
+                break;
+            case 'remove':
+                success = sim.removeBlocker(edgeKey);
+                break;
+            case 'resume':
+                // 与 CentralizedStateManager 进入 RUNNING 时一致：恢复后每只兔子重新寻路
+                sim.bunnies.forEach(bunny => bunny.startGame());
+                break;
+            default:
+                // 'recycle' 录制在触发它的 'add' 之前，由下一条 'add' 自动回收；'pause' 不影响模拟
+                break;
+        }
+        
+        if (!success) {
+            this.desyncs.push({ time, type, reason: `rejected ${edgeKey}` });
+        }
+    }
+    
+    /**
+     * 用录制时的兔子位置校正逐帧积分的误差；所在节点不一致时记录不同步
+     * 兔子略落后于录制（还没跳到录制的节点）时先追赶一小段时间
+     */
+    syncBunnies(time, type, snapshot) {
+        const sim = this.simulation;
+        const matches = () => snapshot.every(([node], index) =>
+            !sim.bunnies[index] || sim.bunnies[index].currentNode === node);
+        while (!matches() && sim.elapsedTime < time + REPLAY_SYNC_WINDOW && !sim.getOutcome().finished) {
+            sim.step(this.frameTime);
+        }
+        
+        snapshot.forEach(([node, x, y], index) => {
+            const bunny = sim.bunnies[index];
+            if (!bunny) return;
+            
+            if (bunny.currentNode === node) {
+                bunny.position.x = x;
+                bunny.position.y = y;
+            } else {
+                this.desyncs.push({ time, type, reason: `${bunny.spriteId} at ${bunny.currentNode}, recorded ${node}` });
+            }
+        });
+    }
+    
+    /**
+     * 销毁播放器，释放模拟资源
+     */
+    destroy() {
+        this.playing = false;
+        if (this.simulation) {
+            this.simulation.destroy();
+            this.simulation = null;
+        }
+    }
+}
+
+export default ReplayPlayer;
@@ -0,0 +1,230 @@
+/**
+ * 无头模拟 - 不依赖DOM/Canvas运行完整的一局游戏
+ * 组合 GameEngine、Bunny 和 BlockerService，可在 Node 中批量模拟用于平衡性和回归测试
+ *
+ * 用法：
+ *   const sim = new Simulation(mapService.decodeMapData(rawJson));
+ *   sim.placeBlocker('((3, 4), (4, 4))');
+ *   while (!sim.getOutcome().finished) sim.step(1 / 60);
+ *   sim.destroy();
+ *
+ * 回合制（turnBased: true）下每次放置/回收路障后兔子前进一个节点，step() 推进跳跃动画，
+ * 兔子跳跃期间 placeBlocker/removeBlocker 返回 false
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { MapService } from '../services/MapService.js';
+import { BlockerService } from '../services/BlockerService.js';
+import { Bunny } from '../services/Bunny.js';
+import { DEFAULT_STRATEGY } from '../services/BunnyStrategies.js';
+import { TurnService } from '../services/TurnService.js';
+
+export class Simulation {
+    /**
+     * @param {Object} decodedMap - MapService.decodeMapData 的返回结果
+     * @param {Object} options - {canvasWidth, canvasHeight, bunnySpeed, maxBlockers, strategy, strategyOptions, random, endCondition, turnBased, mapService, assetLoader, bunnyAnimation}
+     */
+    constructor(decodedMap, options = {}) {
+        const {
+            canvasWidth = 900,   // 与 index.html 中的画布尺寸一致，保证速度语义相同
+            canvasHeight = 600,
+            bunnySpeed = 70,     // pixels/second，对应 config.json 的 bunny.default_speed
+            maxBlockers = 5,
+            strategy = DEFAULT_STRATEGY, // 兔子性格，见 BunnyStrategies
+            strategyOptions = {},        // 策略参数，如专家策略的 {searchDepth, nodeBudget}；不使用 timeBudgetMs，见下
+            random = Math.random,        // 随机类策略使用的随机数函数
+            endCondition = 'any-escape', // 多兔子地图的结束条件，见 GameEngine.checkRoundOutcome
+            turnBased = false,           // 回合制：玩家每走一步兔子前进一个节点，见 TurnService
+            mapService = new MapService(),
+            assetLoader = null,          // 提供素材时路障可以渲染（如回放播放），逻辑不变
+            bunnyAnimation = null        // 提供动画时兔子可以渲染
+        } = options;
+        
+        // 游戏引擎（只解析地图，不注册全局事件监听）
+        this.gameEngine = new GameEngine(mapService);
+        this.gameEngine.setCanvasSize(canvasWidth, canvasHeight);
+        this.gameEngine.loadDecodedMap(decodedMap);
+        
+        // 路障服务（无头模式：无动画定时器、无UI）
+        this.blockerService = new BlockerService(assetLoader);
+        this.blockerService.setHeadless(true);
+        this.blockerService.maxBlockers = maxBlockers;
+        this.gameEngine.initializeAutonomousBlockerManager(null, this.blockerService);
+        this.blockerService.setGameState(this.gameEngine.getGameState());
+        
+        // 兔子（无动画），地图的每个起点一只
+        this.bunnies = this.gameEngine.mapData.bunny_starts.map((startNode, index) => {
+            const startPosition = this.gameEngine.scaledPositions.get(startNode);
+            if (!startPosition) {
+                throw new Error(`无法找到兔子起始位置: ${startNode}`);
+            }
+            const bunny = new Bunny(startNode, startPosition, this.gameEngine.getGameState(), bunnyAnimation, Bunny.getSpriteId(index));
+            bunny.speed = bunnySpeed;
+            bunny.setRandom(random);
+            bunny.setStrategy(strategy);
+            // 时间预算取决于机器速度，无头模拟只按搜索局面数截断，批量模拟和回放（包括跳转时重建）结果可复现
+            bunny.setStrategyOptions({ ...strategyOptions, timeBudgetMs: 0 });
+            return bunny;
+        });
+        this.bunny = this.bunnies[0]; // 第一只兔子（单兔子地图保持原有接口）
+        this.blockerService.setBunnies(this.bunnies);
+        this.endCondition = endCondition;
+        
+        // 回合制服务
+        this.turnService = new TurnService();
+        this.turnService.setEnabled(turnBased);
+        this.turnService.resetRound(this.bunnies);
+        
+        // 模拟统计
+        this.elapsedTime = 0;
+        this.blockersPlaced = 0;
+        this.blockersRemoved = 0;
+        
+        // 相当于倒计时结束进入RUNNING状态
+        this.bunnies.forEach(bunny => bunny.startGame());
+        this.checkGameOver();
+    }
+    
+    /**
+     * 推进模拟
+     * 大步长会被拆分为不超过 Bunny.maxDeltaTime 的子步，结果与逐帧运行一致
+     * @param {number} dt - 秒
+     * @returns {Object} 当前结果，同 getOutcome()
+     */
+    step(dt) {
+        let remaining = dt;
+        while (remaining > 0 && !this.gameEngine.gameOver) {
+            const slice = Math.min(remaining, this.bunny.maxDeltaTime);
+            this.bunnies.forEach(bunny => bunny.update(slice));
+            this.elapsedTime += slice;
+            remaining -= slice;
+            this.checkGameOver();
+        }
+        return this.getOutcome();
+    }
+    
+    /**
+     * 放置路障（遵循游戏规则：不能放在洞口边或兔子正在经过的边上，超出上限时回收最早的路障）
+     * @param {string} edgeKey - 边键，如 "((3, 4), (4, 4))"，两个方向均可
+     * @returns {boolean} 是否放置成功
+     */
+    placeBlocker(edgeKey) {
+        if (this.gameEngine.gameOver || !this.isWaitingForPlayer()) {
+            return false;
+        }
+        
+        const resolvedKey = this.resolveEdgeKey(edgeKey);
+        if (!resolvedKey || this.blockerService.hasBlocker(resolvedKey)) {
+            return false;
+        }
+        if (!this.blockerService.canPlaceBlocker(resolvedKey)) {
+            return false;
+        }
+        
+        const success = this.blockerService.placeBlocker(resolvedKey);
+        if (success) {
+            this.blockersPlaced++;
+            this.turnService.playerMoved(this.bunnies);
+            this.checkGameOver();
+        }
+        return success;
+    }
+    
+    /**
+     * 手动回收路障
+     * @param {string} edgeKey - 边键，两个方向均可
+     * @returns {boolean} 是否回收成功
+     */
+    removeBlocker(edgeKey) {
+        if (this.gameEngine.gameOver || !this.isWaitingForPlayer()) {
+            return false;
+        }
+        
+        const resolvedKey = this.resolveEdgeKey(edgeKey);
+        if (!resolvedKey || !this.blockerService.hasBlocker(resolvedKey)) {
+            return false;
+        }
+        
+        const success = this.blockerService.recycleBlocker(resolvedKey);
+        if (success) {
+            this.blockersRemoved++;
+            this.turnService.playerMoved(this.bunnies);
+        }
+        return success;
+    }
+    
+    /**
+     * 是否可以操作路障（实时模式总是可以；回合制下需等兔子跳完）
+     */
+    isWaitingForPlayer() {
+        return this.turnService.isWaitingForPlayer(this.bunnies);
+    }
+    
+    /**
+     * 获取当前结果
+     * @returns {Object} {finished, winner, bunnyState, strategy, bunnyNode, bunnies, trapCapture, elapsedTime, blockersPlaced, blockersRemoved, moveCount, activeBlockers}
+     *   bunnyState / bunnyNode 为第一只兔子的状态，bunnies 为所有兔子的 [{id, state, node}]
+     */
+    getOutcome() {
+        return {
+            finished: this.gameEngine.gameOver,
+            winner: this.gameEngine.winner, // 'bunny' | 'player' | null
+            bunnyState: this.bunny.state,
+            strategy: this.bunny.strategyName,
+            bunnyNode: this.bunny.currentNode,
+            bunnies: this.bunnies.map(bunny => ({ id: bunny.spriteId, state: bunny.state, node: bunny.currentNode })),
+            trapCapture: this.gameEngine.trapCapture ? this.gameEngine.trapCapture.center : null,
+            elapsedTime: this.elapsedTime,
+            blockersPlaced: this.blockersPlaced,
+            blockersRemoved: this.blockersRemoved,
+            moveCount: this.turnService.getMoveCount(),
+            activeBlockers: Array.from(this.blockerService.blockers.keys())
+        };
+    }
+    
+    /**
+     * 检查游戏结束条件（与 GameLoop.updateGameEngine 保持一致）
+     */
+    checkGameOver() {
+        this.gameEngine.checkRoundOutcome(this.bunnies, this.endCondition);
+    }
+    
+    /**
+     * 将任意方向的边键解析为地图中存在的边键
+     */
+    resolveEdgeKey(edgeKey) {
+        const edges = this.gameEngine.edges;
+        if (edges.has(edgeKey)) {
+            return edgeKey;
+        }
+        
+        const edgeNodes = this.blockerService.parseEdgeKey(edgeKey);
+        if (!edgeNodes) {
+            return null;
+        }
+        
+        const forwardKey = `(${edgeNodes[0]}, ${edgeNodes[1]})`;
+        const reverseKey = `(${edgeNodes[1]}, ${edgeNodes[0]})`;
+        if (edges.has(forwardKey)) return forwardKey;
+        if (edges.has(reverseKey)) return reverseKey;
+        return null;
+    }
+    
+    /**
+     * 获取所有边键（供批量模拟的策略使用）
+     */
+    getEdgeKeys() {
+        return Array.from(this.gameEngine.edges.keys());
+    }
+    
+    /**
+     * 销毁模拟，释放事件监听器和路障资源
+     */
+    destroy() {
+        this.blockerService.destroy();
+        this.bunnies.forEach(bunny => bunny.destroy());
+        this.gameEngine.destroy();
+    }
+}
+
+export default Simulation;
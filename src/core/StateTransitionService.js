@@ -4,8 +4,7 @@
  */
 
 import { gameEventBus } from './GameEventBus.js';
-import { GAME_EVENTS } from './GameEvents.js';
-import { GAME_CONFIG } from '../managers/ConfigManager.js';
+import { GAME_EVENTS, EventFactory } from './GameEvents.js';
 import { CentralizedStateManager } from './CentralizedStateManager.js';
 
 export class StateTransitionService {
@@ -145,6 +144,10 @@ export class StateTransitionService {
         return await this.stateManager.pauseGame();
     }
     
+    async restoreSavedGame() {
+        return await this.stateManager.restoreSavedGame();
+    }
+    
     async resumeGame() {
         return await this.stateManager.resumeGame();
     }
@@ -187,6 +190,29 @@ export class StateTransitionService {
         return this.stateManager.isTransitioning();
     }
     
+    // ========== 游戏模式 ==========
+    
+    setGameMode(mode) {
+        return this.stateManager.setGameMode(mode);
+    }
+    
+    getGameMode() {
+        return this.stateManager.getGameMode();
+    }
+    
+    isTurnBased() {
+        return this.stateManager.isTurnBased();
+    }
+    
+    // ========== 随机数 ==========
+    
+    /**
+     * 获取种子随机数（委托给状态管理器）
+     */
+    random() {
+        return this.stateManager.random();
+    }
+    
     // ========== 按钮处理逻辑 ==========
     
     /**
@@ -238,11 +264,37 @@ export class StateTransitionService {
             });
         }
         
+        // 记录回合结果（含提示使用情况）
+        const roundResult = this.gameController && this.gameController.getRoundResult
+            ? this.gameController.getRoundResult(winner)
+            : null;
+        if (this.gameController) {
+            this.gameController.lastRoundResult = roundResult;
+        }
+        
+        // 记入地图进度，星级和新纪录随回合结果显示在胜利对话框中
+        if (roundResult && this.gameController.recordProgress) {
+            roundResult.progress = this.gameController.recordProgress(roundResult);
+        }
+        
+        // 回合统计（放置、回收、跳跃、重新寻路及各自的时间），胜利对话框据此显示回合总结
+        const stats = this.gameController && this.gameController.getRoundStats
+            ? this.gameController.getRoundStats()
+            : {};
+        if (roundResult) {
+            roundResult.roundStats = stats;
+        }
+        const playerWon = winner === 'player' || winner === 'Player';
+        const reason = roundResult && roundResult.trapCapture ? 'trap' : (playerWon ? 'trapped' : 'escaped');
+        
         // 1. 直接执行状态转换（性能优化）
-        const result = await this.stateManager.gameOver(winner);
+        const result = await this.stateManager.gameOver(winner, roundResult);
         
         // 2. 发布事件（保持解耦和兼容性）
-        gameEventBus.emit(GAME_EVENTS.GAME_OVER, { winner });
+        gameEventBus.emit(GAME_EVENTS.GAME_OVER, {
+            ...EventFactory.createGameOverEvent(winner, reason, stats),
+            roundResult
+        });
         
         return result;
     }
@@ -298,7 +350,7 @@ export class StateTransitionService {
         // 检查是否可以切换到下一张地图
         if (this.stateManager.gameController && this.stateManager.gameController.gameEngine) {
             const currentMapNumber = this.stateManager.gameController.gameEngine.getCurrentMapNumber();
-            const maxMapNumber = this.stateManager.gameController.MAX_MAP_NUMBER || GAME_CONFIG.MAX_MAP_NUMBER;
+            const maxMapNumber = this.stateManager.gameController.getMapCount();
             
             // console.log(`🔍 DEBUG: 当前地图编号 = ${currentMapNumber}, 最大地图编号 = ${maxMapNumber}`);
             // console.log(`🔍 DEBUG: GameController.currentMapNumber = ${this.stateManager.gameController.currentMapNumber}`);
@@ -6,6 +6,16 @@
 import { gameEventBus } from './GameEventBus.js';
 import { GAME_EVENTS } from './GameEvents.js';
 
+// 地图编辑器各工具的操作说明（见 MapEditor）
+const MAP_EDITOR_TOOL_HELP = {
+    node: 'Click empty space to add a node, click a node to remove it.',
+    move: 'Drag a node to move it.',
+    edge: 'Click a path to remove it, or a dashed line to connect two neighbouring nodes.',
+    hole: 'Click a node to turn it into an exit hole or back.',
+    start: 'Click a node to add or remove a bunny start (one bunny per start).',
+    trap: 'Click nodes to add them to the current trap or remove them. Use New Trap to start another one.'
+};
+
 export class UIManager {
     constructor() {
         this.stateTransitionService = null;
@@ -140,10 +150,16 @@ export class UIManager {
         
         // 更新按钮启用状态
         // 在倒计时期间禁用Stop按钮，避免倒计时暂停问题
+        // 回放播放期间不能开始游戏
         const isCountdownState = this.stateTransitionService.isCountdown();
-        this.updateHTMLButtonState('unifiedGameBtn', !isCountdownState);
+        const isReplaying = !!(this.gameController && this.gameController.replayPlayer);
+        const isEditingMap = !!(this.gameController && this.gameController.mapEditor);
+        this.updateHTMLButtonState('unifiedGameBtn', !isCountdownState && !isReplaying && !isEditingMap);
         this.updateHTMLButtonState('pauseBtn', 
             this.stateTransitionService.isRunning() || this.stateTransitionService.isPaused());
+        this.updateHintButton();
+        this.updateReplayControls();
+        this.updateMapEditorControls();
         
         // 更新游戏状态显示
         this.updateGameStatus();
@@ -209,7 +225,7 @@ export class UIManager {
             const mapInfoElement = document.getElementById('mapInfo');
             if (mapInfoElement) {
                 mapInfoElement.textContent = 
-                    `${stats.currentDifficulty.toUpperCase()} Map ${stats.currentMapNumber}`;
+                    `${stats.currentDifficultyTitle.toUpperCase()} ${stats.currentMapTitle}`;
             } else {
                 console.warn('⚠️ Map info element not found in DOM');
             }
@@ -308,6 +324,139 @@ export class UIManager {
         // 智能更新：只在状态变化时更新
         this.updateHTMLButtonState('unifiedGameBtn', !isCountdownState);
         this.updateHTMLButtonState('pauseBtn', isRunning || isPaused);
+        this.updateHintButton();
+    }
+    
+    /**
+     * 更新提示按钮（仅在运行状态、有剩余次数且不在冷却中时可用）
+     */
+    updateHintButton() {
+        const hintBtn = document.getElementById('hintBtn');
+        const hintService = this.gameController ? this.gameController.hintService : null;
+        if (!hintBtn || !hintService) return;
+        
+        const isRunning = this.stateTransitionService && this.stateTransitionService.isRunning();
+        hintBtn.disabled = !isRunning || !hintService.canRequestHint();
+        
+        const text = `💡 Hint (${hintService.getRemainingHints()} left)`;
+        if (hintBtn.textContent !== text) {
+            hintBtn.textContent = text;
+        }
+    }
+    
+    /**
+     * 更新回放控制（智能更新：只在值变化时更新DOM）
+     * 只能在游戏开始前观看或加载回放；播放面板只在回放播放时显示
+     */
+    updateReplayControls() {
+        const controller = this.gameController;
+        if (!controller || !controller.replayRecorder) return;
+        
+        const player = controller.replayPlayer;
+        const canStartReplay = !player && !controller.mapEditor && !!this.stateTransitionService && this.stateTransitionService.isInitial();
+        const hasReplay = !!controller.replayRecorder.getLastReplay();
+        
+        const setDisabled = (elementId, disabled) => {
+            const element = document.getElementById(elementId);
+            if (element && element.disabled !== disabled) {
+                element.disabled = disabled;
+            }
+        };
+        setDisabled('watchReplayBtn', !canStartReplay || !hasReplay);
+        setDisabled('saveReplayBtn', !hasReplay);
+        setDisabled('loadReplayBtn', !canStartReplay);
+        
+        const panel = document.getElementById('replayPlayerPanel');
+        if (panel) {
+            const display = player ? '' : 'none';
+            if (panel.style.display !== display) {
+                panel.style.display = display;
+            }
+        }
+        if (!player) return;
+        
+        this.updateHTMLButtonText('replayPlayBtn', player.isPlaying() ? 'Pause' : 'Play');
+        
+        const speedSelect = document.getElementById('replaySpeedSelect');
+        if (speedSelect && parseFloat(speedSelect.value) !== player.getSpeed()) {
+            speedSelect.value = String(player.getSpeed());
+        }
+        
+        const seek = document.getElementById('replaySeek');
+        if (seek) {
+            const max = player.getDuration().toFixed(2);
+            if (seek.max !== max) {
+                seek.max = max;
+            }
+            const value = player.getTime().toFixed(2);
+            if (seek.value !== value) {
+                seek.value = value;
+            }
+        }
+        
+        const timeElement = document.getElementById('replayTime');
+        const timeText = `${player.getTime().toFixed(1)}s / ${player.getDuration().toFixed(1)}s`;
+        if (timeElement && timeElement.textContent !== timeText) {
+            timeElement.textContent = timeText;
+        }
+    }
+    
+    /**
+     * 更新地图编辑器控制：只能在游戏开始前进入编辑；编辑面板显示当前工具、操作说明和地图校验结果
+     */
+    updateMapEditorControls() {
+        const controller = this.gameController;
+        if (!controller) return;
+        
+        const editor = controller.mapEditor;
+        const canEdit = !editor && !controller.replayPlayer && controller.isMapLoaded &&
+            !!this.stateTransitionService && this.stateTransitionService.isInitial();
+        const editMapBtn = document.getElementById('editMapBtn');
+        if (editMapBtn && editMapBtn.disabled === canEdit) {
+            editMapBtn.disabled = !canEdit;
+        }
+        
+        const panel = document.getElementById('mapEditorPanel');
+        if (panel) {
+            const display = editor ? '' : 'none';
+            if (panel.style.display !== display) {
+                panel.style.display = display;
+            }
+        }
+        if (!editor) return;
+        
+        document.querySelectorAll('#mapEditorTools .map-editor-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === editor.tool);
+        });
+        
+        const help = document.getElementById('mapEditorHelp');
+        const helpText = MAP_EDITOR_TOOL_HELP[editor.tool] || '';
+        if (help && help.textContent !== helpText) {
+            help.textContent = helpText;
+        }
+        
+        const { valid, errors, warnings } = editor.validation;
+        const items = [
+            ...(editor.message ? [['error', editor.message]] : []),
+            ...errors.map(error => ['error', error]),
+            ...warnings.map(warning => ['warning', warning]),
+            ...(valid ? [['ok', 'Map is playable']] : [])
+        ];
+        const list = document.getElementById('mapEditorValidation');
+        if (list) {
+            list.innerHTML = '';
+            for (const [type, text] of items) {
+                const item = document.createElement('li');
+                item.className = type;
+                item.textContent = text;
+                list.appendChild(item);
+            }
+        }
+        
+        const playTestBtn = document.getElementById('playTestMapBtn');
+        if (playTestBtn && playTestBtn.disabled === valid) {
+            playTestBtn.disabled = !valid;
+        }
     }
     
     /**
@@ -394,6 +543,8 @@ export class UIManager {
                 console.warn('⚠️ Pause Game button not found in DOM');
             }
             
+            this.updateHintButton();
+            
             // 根据状态决定地图控制按钮和难度切换按钮的状态
             if (isInitialState) {
                 // 初始状态：启用地图控制按钮和难度切换按钮
@@ -415,7 +566,7 @@ export class UIManager {
      * 禁用地图控制按钮
      */
     disableMapControlButtons() {
-        const mapButtons = ['prevMapBtn', 'nextMapBtn', 'randomMapBtn', 'customMapBtn'];
+        const mapButtons = ['prevMapBtn', 'nextMapBtn', 'randomMapBtn', 'customMapBtn', 'bunnyPersonalitySelect', 'gameModeSelect'];
         mapButtons.forEach(buttonId => {
             const button = document.getElementById(buttonId);
             if (button) {
@@ -429,7 +580,7 @@ export class UIManager {
      * 启用地图控制按钮（仅在非游戏状态时使用）
      */
     enableMapControlButtons() {
-        const mapButtons = ['prevMapBtn', 'nextMapBtn', 'randomMapBtn', 'customMapBtn'];
+        const mapButtons = ['prevMapBtn', 'nextMapBtn', 'randomMapBtn', 'customMapBtn', 'bunnyPersonalitySelect', 'gameModeSelect'];
         mapButtons.forEach(buttonId => {
             const button = document.getElementById(buttonId);
             if (button) {
@@ -439,6 +590,56 @@ export class UIManager {
         });
     }
     
+    /**
+     * 同步兔子性格选择器的当前值
+     */
+    updatePersonalitySelector(strategyName) {
+        const personalitySelect = document.getElementById('bunnyPersonalitySelect');
+        if (personalitySelect && strategyName) {
+            personalitySelect.value = strategyName;
+        }
+    }
+    
+    /**
+     * 同步游戏模式选择器，回合制模式下显示步数
+     */
+    updateGameModeSelector(mode) {
+        const gameModeSelect = document.getElementById('gameModeSelect');
+        if (gameModeSelect && mode) {
+            gameModeSelect.value = mode;
+        }
+        
+        const moveCountItem = document.getElementById('moveCountItem');
+        if (moveCountItem) {
+            moveCountItem.style.display = mode === 'turn-based' ? '' : 'none';
+        }
+    }
+    
+    /**
+     * 手柄连接时在画布上显示按键提示和手柄名称，断开时隐藏
+     * @param {Gamepad|null} gamepad - 正在使用的手柄
+     */
+    updateGamepadGlyphs(gamepad) {
+        const glyphs = document.getElementById('gamepadGlyphs');
+        if (!glyphs) return;
+        
+        glyphs.style.display = gamepad ? '' : 'none';
+        const name = document.getElementById('gamepadName');
+        if (name) {
+            name.textContent = gamepad ? gamepad.id : '';
+        }
+    }
+    
+    /**
+     * 更新回合制步数显示（智能更新：只在值变化时更新DOM）
+     */
+    updateMoveCounter(moveCount) {
+        const moveCountElement = document.getElementById('moveCount');
+        if (moveCountElement && moveCountElement.textContent !== String(moveCount)) {
+            moveCountElement.textContent = moveCount;
+        }
+    }
+    
     /**
      * 禁用难度切换按钮
      */
@@ -463,6 +664,38 @@ export class UIManager {
         }
     }
     
+    /**
+     * 同步难度切换开关的显示（不触发难度切换）
+     * 开关左侧为地图清单的第一个难度，右侧为当前难度（当前为第一个难度时显示第二个），每次点击切换到清单中的下一个难度
+     */
+    updateDifficultyToggle(difficulty) {
+        const difficultyToggle = document.getElementById('difficultyToggle');
+        const easyModeText = document.getElementById('easyModeText');
+        const hardModeText = document.getElementById('hardModeText');
+        if (!difficultyToggle || !easyModeText || !hardModeText) {
+            return;
+        }
+        
+        const difficulties = this.gameController ? this.gameController.getDifficulties(true) : [];
+        const isFirst = difficulties.length === 0 || difficulties[0].id === difficulty;
+        if (difficulties.length > 0) {
+            const right = isFirst ? difficulties[1] || difficulties[0] : difficulties.find(entry => entry.id === difficulty);
+            easyModeText.textContent = `${difficulties[0].title} mode`;
+            hardModeText.textContent = `${right ? right.title : difficulty} mode`;
+        }
+        
+        difficultyToggle.dataset.difficulty = difficulty;
+        difficultyToggle.classList.toggle('hard', !isFirst);
+        
+        const [activeText, inactiveText] = !isFirst
+            ? [hardModeText, easyModeText]
+            : [easyModeText, hardModeText];
+        activeText.style.color = '#ffd700'; // 金色高亮
+        activeText.style.fontWeight = 'bold';
+        inactiveText.style.color = 'rgba(255,255,255,0.7)'; // 普通颜色
+        inactiveText.style.fontWeight = 'normal';
+    }
+    
     /**
      * 禁用游戏控制（游戏停止时使用）
      */
@@ -480,6 +713,11 @@ export class UIManager {
                 // console.log('❌ Pause Game button disabled');
             }
             
+            const hintBtn = document.getElementById('hintBtn');
+            if (hintBtn) {
+                hintBtn.disabled = true;
+            }
+            
             // 检查当前状态，决定是否启用地图控制按钮
             const isInitialState = this.stateTransitionService && this.stateTransitionService.isInitial();
             if (isInitialState) {
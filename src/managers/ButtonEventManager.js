@@ -2,6 +2,27 @@
  * 按钮事件管理器 - 管理所有按钮的事件监听器
  */
 
+import { bunnyStrategyRegistry, DEFAULT_STRATEGY } from '../services/BunnyStrategies.js';
+import { HotkeyService, HOTKEY_ACTIONS } from '../services/HotkeyService.js';
+import { UIManager } from '../core/UIManager.js';
+import { gameEventBus } from '../core/GameEventBus.js';
+import { GAME_EVENTS } from '../core/GameEvents.js';
+
+// Esc 关闭对话框时点击的按钮（没有列出的对话框需要玩家做出选择，Esc 不关闭）
+const DIALOG_CLOSE_BUTTONS = {
+    fullDocumentDialog: 'closeFullDocumentBtn',
+    hotkeysDialog: 'closeHotkeysBtn',
+    boardDescriptionDialog: 'closeBoardDescriptionBtn',
+    tutorialDialog: 'closeTutorialBtn',
+    aboutDialog: 'closeAboutBtn',
+    creditsDialog: 'closeCreditsBtn',
+    licenseDialog: 'closeLicenseBtn',
+    mapErrorDialog: 'closeMapErrorBtn',
+    customMapDialog: 'cancelCustomMap',
+    mapSelectionDialog: 'cancelMapSelectionBtn',
+    stopGameDialog: 'cancelStopBtn'
+};
+
 export class ButtonEventManager {
     constructor(gameController, dialogManager) {
         this.gameController = gameController;
@@ -16,7 +37,15 @@ export class ButtonEventManager {
         this.setupGameControlButtons();
         this.setupDifficultyButtons();
         this.setupMapControlButtons();
+        this.setupPersonalitySelector();
+        this.setupGameModeSelector();
+        this.setupReplayControls();
+        this.setupMapEditorControls();
         this.setupDialogButtons();
+        this.setupHotkeyDialog();
+        this.setupBoardDescriptionDialog();
+        this.setupHotkeys();
+        this.setupGamepad();
     }
     
     /**
@@ -42,6 +71,16 @@ export class ButtonEventManager {
                 }
             });
         }
+        
+        // 提示按钮
+        const hintBtn = document.getElementById('hintBtn');
+        if (hintBtn) {
+            hintBtn.addEventListener('click', () => {
+                if (this.gameController && this.gameController.requestHint) {
+                    this.gameController.requestHint();
+                }
+            });
+        }
     }
     
     /**
@@ -55,25 +94,15 @@ export class ButtonEventManager {
         
         if (difficultyToggle && easyModeText && hardModeText) {
             difficultyToggle.addEventListener('click', () => {
-                const currentDifficulty = difficultyToggle.dataset.difficulty;
-                const newDifficulty = currentDifficulty === 'easy' ? 'hard' : 'easy';
+                // 按地图清单的顺序切换到下一个难度
+                const difficulties = this.gameController ? this.gameController.getDifficulties().map(entry => entry.id) : [];
+                if (difficulties.length < 2) return;
                 
-                // 更新toggle状态
-                difficultyToggle.dataset.difficulty = newDifficulty;
-                difficultyToggle.classList.toggle('hard', newDifficulty === 'hard');
+                const currentIndex = difficulties.indexOf(difficultyToggle.dataset.difficulty);
+                const newDifficulty = difficulties[(currentIndex + 1) % difficulties.length];
                 
-                // 更新文本样式以突出显示当前模式
-                if (newDifficulty === 'easy') {
-                    easyModeText.style.color = '#ffd700'; // 金色高亮
-                    easyModeText.style.fontWeight = 'bold';
-                    hardModeText.style.color = 'rgba(255,255,255,0.7)'; // 普通颜色
-                    hardModeText.style.fontWeight = 'normal';
-                } else {
-                    hardModeText.style.color = '#ffd700'; // 金色高亮
-                    hardModeText.style.fontWeight = 'bold';
-                    easyModeText.style.color = 'rgba(255,255,255,0.7)'; // 普通颜色
-                    easyModeText.style.fontWeight = 'normal';
-                }
+                // 更新toggle状态和文本样式以突出显示当前模式
+                this.gameController.uiManager.updateDifficultyToggle(newDifficulty);
                 
                 console.log('Mode changed to:', newDifficulty);
                 
@@ -119,11 +148,14 @@ export class ButtonEventManager {
             });
         }
         
-        // 自选地图按钮
+        // 自选地图按钮：打开选关图库，默认显示当前难度
         const customMapBtn = document.getElementById('customMapBtn');
         if (customMapBtn) {
-            customMapBtn.addEventListener('click', () => {
+            customMapBtn.addEventListener('click', async () => {
                 this.dialogManager.showCustomMapDialog();
+                if (this.gameController) {
+                    await this.loadMapGallery(this.gameController.selectedDifficulty);
+                }
             });
         }
         
@@ -140,6 +172,205 @@ export class ButtonEventManager {
         }
     }
     
+    /**
+     * 停止进行中的回合，回到当前地图的初始状态（停止确认对话框的 Yes 和重新开始快捷键）
+     */
+    async stopCurrentGame() {
+        this.dialogManager.hideStopGameDialog();
+        if (this.gameController && this.gameController.resetGame && this.gameController.stateTransitionService) {
+            // 先重置游戏对象
+            await this.gameController.resetGame();
+            // 如果当前处于暂停状态，先恢复游戏到运行状态
+            if (this.gameController.stateTransitionService.isPaused()) {
+                console.log('🔄 检测到游戏处于暂停状态，先恢复游戏到运行状态');
+                await this.gameController.stateTransitionService.resumeGame();
+            }
+            // 设置 STOP_OK 标志位为 true，这会自动触发状态转换
+            this.gameController.stateTransitionService.setStopOk(true);
+        }
+    }
+    
+    /**
+     * 重新开始当前地图：停止本回合，回到初始状态后立即开始新的回合（和点击开始按钮一样进入倒计时）
+     * 停止后的状态转换在下一个事件循环中进行（见 CentralizedStateManager.setStopOk），因此等待状态变化事件；
+     * 监听器在事件分发结束后再注销，分发过程中注销会让同一事件的下一个监听器被跳过
+     */
+    async restartCurrentGame() {
+        let finished = false;
+        const removeListener = () => {
+            finished = true;
+            setTimeout(() => gameEventBus.off(GAME_EVENTS.UI_UPDATE, listenerId), 0);
+        };
+        const listenerId = gameEventBus.on(GAME_EVENTS.UI_UPDATE, (data) => {
+            if (finished || !data || data.component !== 'state_manager' || data.data.toState !== 'initial') return;
+            removeListener();
+            this.gameController.handleButtonClick('unifiedGameBtn');
+        });
+        try {
+            await this.stopCurrentGame();
+        } finally {
+            // 停止后仍在运行说明回到初始状态的转换已排队；停止失败或没有触发转换时不会再有事件，直接注销
+            const stateService = this.gameController && this.gameController.stateTransitionService;
+            if (!finished && !(stateService && stateService.isRunning())) {
+                removeListener();
+            }
+        }
+    }
+    
+    /**
+     * 加载选关图库中某个难度的地图（首次加载需要渲染缩略图）
+     */
+    async loadMapGallery(difficulty) {
+        if (!this.gameController || !this.gameController.getMapGallery) return;
+        
+        this.dialogManager.showMapGalleryLoading(difficulty, this.gameController.getDifficulties(true));
+        const gallery = await this.gameController.getMapGallery(difficulty);
+        this.dialogManager.renderMapGallery(gallery);
+    }
+    
+    /**
+     * 加载玩家选择或拖入的地图文件：成功后关闭选关图库，失败时在拖放区域显示原因
+     * @param {File} file - 地图 JSON 文件
+     */
+    async loadMapFile(file) {
+        if (!file || !this.gameController || !this.gameController.loadMapFile) return;
+        
+        this.dialogManager.showMapFileStatus(`Loading ${file.name}...`);
+        const result = await this.gameController.loadMapFile(file);
+        if (result.success) {
+            this.dialogManager.hideCustomMapDialog();
+        } else {
+            this.dialogManager.showMapFileStatus(`Could not load ${file.name}: ${result.error}`, true);
+        }
+    }
+    
+    /**
+     * 设置兔子性格选择器（每回合可在地图选择时切换）
+     */
+    setupPersonalitySelector() {
+        const personalitySelect = document.getElementById('bunnyPersonalitySelect');
+        if (!personalitySelect) {
+            return;
+        }
+        
+        // 根据策略注册表生成选项
+        bunnyStrategyRegistry.list().forEach(strategy => {
+            const option = document.createElement('option');
+            option.value = strategy.id;
+            option.textContent = strategy.label;
+            option.title = strategy.description;
+            personalitySelect.appendChild(option);
+        });
+        
+        // 参数加载前先选中默认策略，兔子创建后由UIManager同步为实际策略
+        personalitySelect.value = DEFAULT_STRATEGY;
+        
+        personalitySelect.addEventListener('change', () => {
+            if (this.gameController && this.gameController.setBunnyPersonality) {
+                this.gameController.setBunnyPersonality(personalitySelect.value);
+            }
+        });
+    }
+    
+    /**
+     * 设置游戏模式选择器（实时 / 回合制，只能在初始状态切换）
+     */
+    setupGameModeSelector() {
+        const gameModeSelect = document.getElementById('gameModeSelect');
+        if (!gameModeSelect) {
+            return;
+        }
+        
+        gameModeSelect.addEventListener('change', () => {
+            if (this.gameController && this.gameController.setGameMode) {
+                this.gameController.setGameMode(gameModeSelect.value);
+            }
+        });
+    }
+    
+    /**
+     * 设置回放控制（观看/保存/加载回放，播放、暂停、变速和跳转）
+     */
+    setupReplayControls() {
+        const controller = this.gameController;
+        if (!controller) {
+            return;
+        }
+        
+        const bindClick = (buttonId, handler) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        };
+        
+        bindClick('watchReplayBtn', () => controller.startReplay());
+        bindClick('saveReplayBtn', () => controller.saveReplay());
+        bindClick('replayPlayBtn', () => controller.toggleReplayPlayback());
+        bindClick('exitReplayBtn', () => controller.exitReplay());
+        
+        // 加载回放：通过隐藏的文件输入选择 JSON 文件
+        const replayFileInput = document.getElementById('replayFileInput');
+        if (replayFileInput) {
+            bindClick('loadReplayBtn', () => replayFileInput.click());
+            replayFileInput.addEventListener('change', async () => {
+                const file = replayFileInput.files[0];
+                replayFileInput.value = ''; // 允许重复选择同一个文件
+                if (file) {
+                    await controller.loadReplayFile(file);
+                }
+            });
+        }
+        
+        const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+        if (replaySpeedSelect) {
+            replaySpeedSelect.addEventListener('change', () => {
+                controller.setReplaySpeed(parseFloat(replaySpeedSelect.value));
+            });
+        }
+        
+        const replaySeek = document.getElementById('replaySeek');
+        if (replaySeek) {
+            replaySeek.addEventListener('input', () => {
+                controller.seekReplay(parseFloat(replaySeek.value));
+            });
+        }
+    }
+    
+    /**
+     * 设置地图编辑器控制（进入/退出编辑、切换工具、新陷阱、空白地图、试玩和导出）
+     */
+    setupMapEditorControls() {
+        const controller = this.gameController;
+        if (!controller) {
+            return;
+        }
+        
+        const bindClick = (buttonId, handler) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        };
+        
+        bindClick('editMapBtn', () => controller.enterMapEditor());
+        bindClick('exitMapEditorBtn', () => controller.exitMapEditor());
+        bindClick('playTestMapBtn', () => controller.playTestEditedMap());
+        bindClick('exportMapBtn', () => controller.exportEditedMap());
+        bindClick('newTrapBtn', () => controller.mapEditor && controller.mapEditor.startNewTrap());
+        bindClick('blankMapBtn', () => controller.mapEditor && controller.mapEditor.loadBlankMap());
+        
+        const mapEditorTools = document.getElementById('mapEditorTools');
+        if (mapEditorTools) {
+            mapEditorTools.addEventListener('click', (event) => {
+                const button = event.target.closest('.map-editor-tool');
+                if (button && controller.mapEditor) {
+                    controller.mapEditor.setTool(button.dataset.tool);
+                }
+            });
+        }
+    }
+    
     /**
      * 设置对话框按钮
      */
@@ -148,22 +379,10 @@ export class ButtonEventManager {
         const confirmStopBtn = document.getElementById('confirmStopBtn');
         if (confirmStopBtn) {
             confirmStopBtn.addEventListener('click', async () => {
-                this.dialogManager.hideStopGameDialog();
-                if (this.gameController && this.gameController.resetGame && this.gameController.stateTransitionService) {
-                    // 先重置游戏对象
-                    await this.gameController.resetGame();
-                    // 如果当前处于暂停状态，先恢复游戏到运行状态
-                    if (this.gameController.stateTransitionService.isPaused()) {
-                        console.log('🔄 检测到游戏处于暂停状态，先恢复游戏到运行状态');
-                        await this.gameController.stateTransitionService.resumeGame();
-                    }
-                    // 设置 STOP_OK 标志位为 true，这会自动触发状态转换
-                    this.gameController.stateTransitionService.setStopOk(true);
-                } else {
-                }
+                await this.stopCurrentGame();
             });
         }
-
+        
         const cancelStopBtn = document.getElementById('cancelStopBtn');
         if (cancelStopBtn) {
             cancelStopBtn.addEventListener('click', () => {
@@ -174,7 +393,36 @@ export class ButtonEventManager {
                 }
             });
         }
-
+        
+        // 恢复存档对话框按钮
+        const confirmResumeSavedGameBtn = document.getElementById('confirmResumeSavedGameBtn');
+        if (confirmResumeSavedGameBtn) {
+            confirmResumeSavedGameBtn.addEventListener('click', async () => {
+                this.dialogManager.hideResumeSavedGameDialog();
+                if (this.gameController && this.gameController.resumeSavedGame) {
+                    await this.gameController.resumeSavedGame();
+                }
+            });
+        }
+        
+        const discardSavedGameBtn = document.getElementById('discardSavedGameBtn');
+        if (discardSavedGameBtn) {
+            discardSavedGameBtn.addEventListener('click', () => {
+                this.dialogManager.hideResumeSavedGameDialog();
+                if (this.gameController && this.gameController.discardSavedGame) {
+                    this.gameController.discardSavedGame();
+                }
+            });
+        }
+        
+        // 地图加载失败对话框按钮
+        const closeMapErrorBtn = document.getElementById('closeMapErrorBtn');
+        if (closeMapErrorBtn) {
+            closeMapErrorBtn.addEventListener('click', () => {
+                this.dialogManager.hideMapErrorDialog();
+            });
+        }
+        
         // 新游戏对话框按钮
         const confirmNewGameBtn = document.getElementById('confirmNewGameBtn');
         if (confirmNewGameBtn) {
@@ -185,7 +433,7 @@ export class ButtonEventManager {
                 }
             });
         }
-
+        
         const cancelNewGameBtn = document.getElementById('cancelNewGameBtn');
         if (cancelNewGameBtn) {
             cancelNewGameBtn.addEventListener('click', () => {
@@ -195,7 +443,7 @@ export class ButtonEventManager {
                 }
             });
         }
-
+        
         // 地图选择对话框按钮
         const confirmMapBtn = document.getElementById('confirmMapSelectionBtn');
         if (confirmMapBtn) {
@@ -206,7 +454,7 @@ export class ButtonEventManager {
                 }
             });
         }
-
+        
         const cancelMapBtn = document.getElementById('cancelMapSelectionBtn');
         if (cancelMapBtn) {
             cancelMapBtn.addEventListener('click', () => {
@@ -216,36 +464,81 @@ export class ButtonEventManager {
                 }
             });
         }
-
+        
         // 地图选择对话框中的地图选择按钮（复用现有功能）
         // 注意：这些按钮和面板上的按钮是同一个ID，所以事件监听器会共享
         // 但我们需要确保在地图选择对话框中点击时能正确工作
-
+        
+        // 选关图库：按难度筛选（按钮由地图清单生成）、排序
+        const mapGalleryFilter = document.getElementById('mapGalleryFilter');
+        if (mapGalleryFilter) {
+            mapGalleryFilter.addEventListener('click', async (event) => {
+                const button = event.target.closest('.map-gallery-filter-btn');
+                if (button) {
+                    await this.loadMapGallery(button.dataset.difficulty);
+                }
+            });
+        }
+        
+        // 选关图库：选择或拖入地图文件，加入临时的自定义难度
+        const mapFileInput = document.getElementById('mapFileInput');
+        const loadMapFileBtn = document.getElementById('loadMapFileBtn');
+        if (mapFileInput && loadMapFileBtn) {
+            loadMapFileBtn.addEventListener('click', () => mapFileInput.click());
+            mapFileInput.addEventListener('change', async () => {
+                const file = mapFileInput.files[0];
+                mapFileInput.value = ''; // 允许修改后重复选择同一个文件
+                await this.loadMapFile(file);
+            });
+        }
+        
+        const mapFileDrop = document.getElementById('mapFileDrop');
+        if (mapFileDrop) {
+            mapFileDrop.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                mapFileDrop.classList.add('dragover');
+            });
+            mapFileDrop.addEventListener('dragleave', () => {
+                mapFileDrop.classList.remove('dragover');
+            });
+            mapFileDrop.addEventListener('drop', async (event) => {
+                event.preventDefault();
+                mapFileDrop.classList.remove('dragover');
+                await this.loadMapFile(event.dataTransfer.files[0]);
+            });
+        }
+        
+        const mapGallerySort = document.getElementById('mapGallerySort');
+        if (mapGallerySort) {
+            mapGallerySort.addEventListener('change', () => {
+                this.dialogManager.setMapGallerySort(mapGallerySort.value);
+            });
+        }
+        
         // 自选地图对话框按钮
         const confirmCustomMapBtn = document.getElementById('confirmCustomMap');
         if (confirmCustomMapBtn) {
             confirmCustomMapBtn.addEventListener('click', () => {
-                const mapNumberInput = document.getElementById('customMapNumber');
-                const mapNumber = parseInt(mapNumberInput.value);
+                const selected = this.dialogManager.getSelectedGalleryMap();
                 
-                if (mapNumber >= 1 && mapNumber <= 30) {
+                if (selected) {
                     this.dialogManager.hideCustomMapDialog();
                     if (this.gameController && this.gameController.loadCustomMap) {
-                        this.gameController.loadCustomMap(mapNumber);
+                        this.gameController.loadCustomMap(selected.mapNumber, selected.difficulty);
                     }
                 } else {
-                    alert('Please enter a map number between 1 and 30');
+                    alert('Please select a map');
                 }
             });
         }
-
+        
         const cancelCustomMapBtn = document.getElementById('cancelCustomMap');
         if (cancelCustomMapBtn) {
             cancelCustomMapBtn.addEventListener('click', () => {
                 this.dialogManager.hideCustomMapDialog();
             });
         }
-
+        
         // 胜利对话框按钮
         const newGameBtn = document.getElementById('newGameBtn');
         if (newGameBtn) {
@@ -262,7 +555,288 @@ export class ButtonEventManager {
                 }
             });
         }
-
+    
+    }
+    
+    /**
+     * 设置快捷键对话框（信息菜单打开；点击按键改键、恢复默认、关闭）
+     */
+    setupHotkeyDialog() {
+        const hotkeyService = this.gameController ? this.gameController.hotkeyService : null;
+        if (!hotkeyService) {
+            return;
+        }
+        
+        const hotkeysBtn = document.getElementById('hotkeysBtn');
+        if (hotkeysBtn) {
+            hotkeysBtn.addEventListener('click', () => {
+                this.dialogManager.showHotkeysDialog(HOTKEY_ACTIONS, hotkeyService.getBindings());
+                UIManager.hideInfoMenu();
+            });
+        }
+        
+        const hotkeyList = document.getElementById('hotkeyList');
+        if (hotkeyList) {
+            hotkeyList.addEventListener('click', (event) => {
+                const button = event.target.closest('.hotkey-key-btn');
+                if (button) {
+                    this.dialogManager.startHotkeyCapture(button.dataset.action);
+                }
+            });
+        }
+        
+        const resetHotkeysBtn = document.getElementById('resetHotkeysBtn');
+        if (resetHotkeysBtn) {
+            resetHotkeysBtn.addEventListener('click', () => {
+                hotkeyService.resetBindings();
+                this.dialogManager.renderHotkeys(HOTKEY_ACTIONS, hotkeyService.getBindings());
+                this.dialogManager.showHotkeyStatus('Default shortcuts restored.');
+            });
+        }
+        
+        const closeHotkeysBtn = document.getElementById('closeHotkeysBtn');
+        if (closeHotkeysBtn) {
+            closeHotkeysBtn.addEventListener('click', () => {
+                this.dialogManager.hideHotkeysDialog();
+            });
+        }
+    }
+    
+    /**
+     * 设置棋盘文字描述对话框（信息菜单打开）
+     */
+    setupBoardDescriptionDialog() {
+        const liveRegion = this.gameController ? this.gameController.liveRegion : null;
+        const boardDescriptionBtn = document.getElementById('boardDescriptionBtn');
+        if (liveRegion && boardDescriptionBtn) {
+            boardDescriptionBtn.addEventListener('click', () => {
+                this.dialogManager.showBoardDescriptionDialog(liveRegion.describeBoard(), liveRegion.getBoardGrid());
+                UIManager.hideInfoMenu();
+            });
+        }
+        
+        const closeBoardDescriptionBtn = document.getElementById('closeBoardDescriptionBtn');
+        if (closeBoardDescriptionBtn) {
+            closeBoardDescriptionBtn.addEventListener('click', () => {
+                this.dialogManager.hideBoardDescriptionDialog();
+            });
+        }
+    }
+    
+    /**
+     * 设置全局快捷键：按 HotkeyService 的绑定分发到对应的按钮
+     * 画布获得焦点时的方向键、Tab 和 Enter 由 BlockerService 处理，已处理的按键（defaultPrevented）不再分发
+     */
+    setupHotkeys() {
+        document.addEventListener('keydown', (event) => {
+            this.handleHotkey(event);
+        });
+    }
+    
+    /**
+     * 处理一次按键：正在改键时绑定到改键的动作，否则执行按键绑定的动作
+     */
+    handleHotkey(event) {
+        const hotkeyService = this.gameController ? this.gameController.hotkeyService : null;
+        if (!hotkeyService || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        
+        // 输入框和下拉框中的按键不作为快捷键
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
+        const key = HotkeyService.normalizeKey(event.key);
+        const capturingAction = this.dialogManager.getCapturingHotkey();
+        if (capturingAction) {
+            event.preventDefault();
+            this.captureHotkey(hotkeyService, capturingAction, key);
+            return;
+        }
+        
+        const action = event.repeat ? null : hotkeyService.getAction(key);
+        if (action && this.runHotkeyAction(action)) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * 改键：Esc 取消，不能绑定的键提示原因并继续等待
+     */
+    captureHotkey(hotkeyService, action, key) {
+        if (key === 'Escape') {
+            this.dialogManager.renderHotkeys(HOTKEY_ACTIONS, hotkeyService.getBindings());
+            this.dialogManager.showHotkeyStatus('');
+            return;
+        }
+        if (!hotkeyService.setBinding(action, key)) {
+            this.dialogManager.showHotkeyStatus(`${key} cannot be used as a shortcut.`, true);
+            return;
+        }
+        
+        const label = HOTKEY_ACTIONS.find(entry => entry.id === action).label;
+        this.dialogManager.renderHotkeys(HOTKEY_ACTIONS, hotkeyService.getBindings());
+        this.dialogManager.showHotkeyStatus(`${label}: ${key}`);
+    }
+    
+    /**
+     * 执行快捷键动作，和点击对应按钮一样受当前状态限制：按钮禁用时动作也不可用
+     * 对话框打开时只响应 Esc（胜利对话框中重新开始和下一张地图对应对话框的两个按钮）；地图编辑和回放期间只响应 Esc 和帮助
+     * @returns {boolean} 是否执行了动作
+     */
+    runHotkeyAction(action) {
+        const controller = this.gameController;
+        const state = controller ? controller.stateTransitionService : null;
+        if (!state) {
+            return false;
+        }
+        
+        const openDialog = this.getOpenDialog();
+        if (action === 'escape') {
+            return this.handleEscapeHotkey(openDialog, state);
+        }
+        if (action === 'help') {
+            UIManager.showDialog('tutorialDialog');
+            return true;
+        }
+        
+        if (openDialog) {
+            if (openDialog.id === 'victoryDialog') {
+                if (action === 'restart') return this.clickIfEnabled('continueCurrentMapBtn');
+                if (action === 'nextMap') return this.clickIfEnabled('tryNextMapBtn');
+            }
+            return false;
+        }
+        if (controller.mapEditor || controller.replayPlayer) {
+            return false;
+        }
+        
+        switch (action) {
+            case 'startPause':
+                if (state.isInitial()) return this.clickIfEnabled('unifiedGameBtn');
+                if (state.isRunning() || state.isPaused()) return this.clickIfEnabled('pauseBtn');
+                return false;
+                
+            case 'restart':
+                // 和停止按钮一样：倒计时期间不可用
+                if ((state.isRunning() || state.isPaused()) && this.isControlEnabled('unifiedGameBtn')) {
+                    this.restartCurrentGame();
+                    return true;
+                }
+                return false;
+                
+            case 'nextMap':
+                return state.isInitial() && this.clickIfEnabled('nextMapBtn');
+                
+            case 'previousMap':
+                // 只有手柄 LB 使用，没有快捷键
+                return state.isInitial() && this.clickIfEnabled('prevMapBtn');
+                
+            case 'difficulty':
+                return state.isInitial() && this.clickIfEnabled('difficultyToggle');
+                
+            case 'describeBoard':
+                if (!controller.liveRegion) return false;
+                controller.liveRegion.announceBoard();
+                return true;
+                
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * 设置手柄：GamepadService 的命令和快捷键一样分发
+     */
+    setupGamepad() {
+        const gamepadService = this.gameController ? this.gameController.gamepadService : null;
+        if (gamepadService) {
+            gamepadService.setOnCommand((command, value) => this.handleGamepadCommand(command, value));
+        }
+    }
+    
+    /**
+     * 处理手柄命令：棋盘光标命令交给 BlockerService（对话框打开时不处理），其他命令按对应的快捷键动作执行
+     * Start 和暂停按钮一样经状态机暂停，由 PauseManager 冻结游戏；B 在游戏进行中且光标显示时先隐藏光标，否则和 Esc 一样
+     */
+    handleGamepadCommand(command, value) {
+        const controller = this.gameController;
+        const blockerManager = controller ? controller.blockerManager : null;
+        const boardCommands = {
+            move: ['move', value],
+            nextEdge: ['cycleEdge', 1],
+            previousEdge: ['cycleEdge', -1],
+            activate: ['activate']
+        };
+        
+        if (command in boardCommands) {
+            if (blockerManager && !this.getOpenDialog()) {
+                blockerManager.handleCursorCommand(...boardCommands[command]);
+            }
+            return;
+        }
+        if (command === 'back') {
+            if (controller.stateTransitionService.isRunning() && controller.keyboardCursor.getFocus() && !this.getOpenDialog()) {
+                controller.keyboardCursor.reset();
+                return;
+            }
+            this.runHotkeyAction('escape');
+            return;
+        }
+        this.runHotkeyAction(command);
+    }
+    
+    /**
+     * Esc：关闭打开的对话框或信息菜单；都没有打开时，游戏进行中显示停止确认对话框
+     */
+    handleEscapeHotkey(openDialog, state) {
+        if (openDialog) {
+            const closeButtonId = DIALOG_CLOSE_BUTTONS[openDialog.id];
+            return closeButtonId ? this.clickIfEnabled(closeButtonId) : false;
+        }
+        
+        const infoMenu = document.getElementById('infoMenu');
+        if (infoMenu && infoMenu.style.display !== 'none') {
+            UIManager.hideInfoMenu();
+            return true;
+        }
+        
+        if (state.isRunning() || state.isPaused()) {
+            return this.clickIfEnabled('unifiedGameBtn');
+        }
+        return false;
+    }
+    
+    /**
+     * 当前打开的对话框（完整文档对话框可能叠在教程等对话框上，优先返回）
+     */
+    getOpenDialog() {
+        const openDialogs = [...document.querySelectorAll('.dialog-overlay')]
+            .filter(dialog => dialog.style.display && dialog.style.display !== 'none');
+        return openDialogs.find(dialog => dialog.id === 'fullDocumentDialog') || openDialogs[0] || null;
+    }
+    
+    /**
+     * 控件是否可用：存在、未禁用、没有被隐藏（难度开关禁用时关闭了 pointer-events）
+     */
+    isControlEnabled(elementId) {
+        const element = document.getElementById(elementId);
+        return !!element && !element.disabled && element.style.pointerEvents !== 'none' &&
+            element.style.display !== 'none' && element.offsetParent !== null;
+    }
+    
+    /**
+     * 控件可用时点击它
+     * @returns {boolean} 是否点击了
+     */
+    clickIfEnabled(elementId) {
+        if (!this.isControlEnabled(elementId)) {
+            return false;
+        }
+        document.getElementById(elementId).click();
+        return true;
     }
 }
 
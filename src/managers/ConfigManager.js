@@ -8,8 +8,7 @@
  * 游戏配置常量
  */
 export const GAME_CONFIG = {
-    // 地图配置
-    MAX_MAP_NUMBER: 30,
+    // 地图配置（每个难度的地图数量见 assets/maps/manifest.json）
     MIN_MAP_NUMBER: 1,
     
     // 加载状态消息
@@ -2,6 +2,8 @@
  * 对话框管理器 - 管理所有游戏对话框的显示和隐藏
  */
 
+import { MapGalleryService, MAP_GALLERY_SORTS } from '../services/MapGalleryService.js';
+
 export class DialogManager {
     constructor() {
         this.dialogs = {
@@ -9,7 +11,22 @@ export class DialogManager {
             newGame: 'newGameDialog',
             mapSelection: 'mapSelectionDialog',
             customMap: 'customMapDialog',
-            victory: 'victoryDialog'
+            victory: 'victoryDialog',
+            resumeSavedGame: 'resumeSavedGameDialog',
+            mapError: 'mapErrorDialog',
+            hotkeys: 'hotkeysDialog',
+            boardDescription: 'boardDescriptionDialog'
+        };
+        
+        // 快捷键对话框：正在等待新按键的动作
+        this.capturingHotkey = null;
+        
+        // 选关图库：正在筛选的难度、已加载的地图、排序方式和选中的地图
+        this.mapGallery = {
+            difficulty: null,
+            gallery: null,
+            sortBy: 'number',
+            selected: null
         };
         
         // 设置事件监听器
@@ -141,15 +158,136 @@ export class DialogManager {
     }
     
     /**
-     * 显示自选地图对话框
+     * 显示选关图库对话框（地图由 renderMapGallery 填入）
      */
     showCustomMapDialog() {
         const dialog = document.getElementById(this.dialogs.customMap);
         if (dialog) {
             dialog.style.display = 'flex';
+            this.showMapFileStatus('');
+        }
+    }
+    
+    /**
+     * 在选关图库的拖放区域显示地图文件的加载状态
+     * @param {boolean} isError - 是否是加载失败的原因
+     */
+    showMapFileStatus(message, isError = false) {
+        const status = document.getElementById('mapFileStatus');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        }
+    }
+    
+    /**
+     * 选关图库开始加载某个难度的地图：按地图清单生成难度筛选按钮并高亮，显示加载提示
+     * @param {Object[]} difficulties - GameController.getDifficulties 的返回结果
+     */
+    showMapGalleryLoading(difficulty, difficulties = []) {
+        this.mapGallery.difficulty = difficulty;
+        
+        const filter = document.getElementById('mapGalleryFilter');
+        if (filter) {
+            filter.innerHTML = '';
+            for (const entry of difficulties) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'control-btn map-gallery-filter-btn';
+                button.classList.toggle('active', entry.id === difficulty);
+                button.dataset.difficulty = entry.id;
+                button.textContent = entry.title;
+                filter.appendChild(button);
+            }
+        }
+        
+        const container = document.getElementById('mapGallery');
+        if (container) {
+            container.innerHTML = '<p class="map-gallery-status">Loading maps...</p>';
         }
     }
     
+    /**
+     * 渲染选关图库：每张地图显示缩略图、节点/洞口/陷阱数量和通关情况，点击选中
+     * @param {Object} gallery - GameController.getMapGallery 的返回结果；不是正在筛选的难度时忽略（加载期间切换了难度）
+     */
+    renderMapGallery(gallery = this.mapGallery.gallery) {
+        const container = document.getElementById('mapGallery');
+        if (!container || !gallery || gallery.difficulty !== this.mapGallery.difficulty) return;
+        
+        this.mapGallery.gallery = gallery;
+        if (!this.mapGallery.selected || this.mapGallery.selected.difficulty !== gallery.difficulty) {
+            this.mapGallery.selected = gallery.currentMapNumber
+                ? { difficulty: gallery.difficulty, mapNumber: gallery.currentMapNumber }
+                : null;
+        }
+        
+        container.innerHTML = '';
+        if (gallery.maps.length === 0) {
+            container.innerHTML = '<p class="map-gallery-status">No maps found.</p>';
+            return;
+        }
+        
+        for (const map of MapGalleryService.sortEntries(gallery.maps, this.mapGallery.sortBy)) {
+            const { info, record } = map;
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'map-gallery-card';
+            card.classList.toggle('won', !!(record && record.won));
+            card.classList.toggle('current', map.mapNumber === gallery.currentMapNumber);
+            card.classList.toggle('selected', !!this.mapGallery.selected && this.mapGallery.selected.mapNumber === map.mapNumber);
+            
+            const title = document.createElement('span');
+            title.className = 'map-gallery-title';
+            title.textContent = map.title;
+            const details = document.createElement('span');
+            details.className = 'map-gallery-info';
+            details.textContent = `${info.nodeCount} nodes · ${info.holeCount} hole${info.holeCount === 1 ? '' : 's'} · ` +
+                `${info.trapCount} trap${info.trapCount === 1 ? '' : 's'}` +
+                (info.par !== null ? ` · par ${info.par}` : '');
+            const stars = document.createElement('span');
+            stars.className = 'map-gallery-stars';
+            stars.textContent = this.formatStars(record ? record.stars : 0);
+            const status = document.createElement('span');
+            status.className = 'map-gallery-info';
+            status.textContent = record && record.won
+                ? `Best ${this.formatGameTime(record.bestTime)}, ${record.fewestBlockers} fence${record.fewestBlockers === 1 ? '' : 's'}`
+                : record ? 'Not cleared yet' : 'Not played yet';
+            card.append(map.thumbnail, title, details, stars, status);
+            
+            card.addEventListener('click', () => {
+                this.mapGallery.selected = { difficulty: gallery.difficulty, mapNumber: map.mapNumber };
+                container.querySelectorAll('.map-gallery-card.selected').forEach(selected => selected.classList.remove('selected'));
+                card.classList.add('selected');
+            });
+            container.appendChild(card);
+        }
+    }
+    
+    /**
+     * 切换选关图库的排序方式并重新渲染
+     * @param {string} sortBy - 见 MAP_GALLERY_SORTS
+     */
+    setMapGallerySort(sortBy) {
+        this.mapGallery.sortBy = MAP_GALLERY_SORTS.includes(sortBy) ? sortBy : 'number';
+        this.renderMapGallery();
+    }
+    
+    /**
+     * 选关图库中选中的地图
+     * @returns {Object|null} {difficulty, mapNumber}
+     */
+    getSelectedGalleryMap() {
+        return this.mapGallery.selected;
+    }
+    
+    /**
+     * 星级文本，如 2 星显示为 ★★☆
+     */
+    formatStars(stars, maxStars = 3) {
+        return '★'.repeat(stars) + '☆'.repeat(Math.max(0, maxStars - stars));
+    }
+    
     /**
      * 隐藏自选地图对话框
      */
@@ -174,11 +312,22 @@ export class DialogManager {
             if (winner === 'player' || winner === 'Player') {
                 title.textContent = '🎉 Bunny Caught! You Win! 🎉';
                 message.textContent = 'Congratulations! You successfully trapped the bunny!';
+                if (stats.trapCapture) {
+                    message.textContent = `Trap sprung! The bunny walked into a sealed trap. +${stats.bonusScore} bonus!`;
+                }
+                if (stats.gameMode === 'turn-based') {
+                    message.textContent += ` Caught in ${stats.moveCount} move${stats.moveCount === 1 ? '' : 's'}.`;
+                }
+                if (stats.hinted) {
+                    message.textContent += ` (${stats.hintsUsed} hint${stats.hintsUsed > 1 ? 's' : ''} used)`;
+                }
             } else {
                 title.textContent = '🐰 Bunny Escaped! You Lose! 🐰';
                 message.textContent = 'The bunny got away! Try again to catch it!';
             }
             
+            this.renderVictoryStats(winner, stats);
+            
             // 检查是否可以尝试下一张地图
             const canTryNext = this.canTryNextMap();
             tryNextBtn.disabled = !canTryNext;
@@ -196,6 +345,243 @@ export class DialogManager {
         }
     }
     
+    /**
+     * 显示恢复存档对话框
+     * @param {Object} savedGame - SaveGameService 读取的存档快照
+     */
+    showResumeSavedGameDialog(savedGame) {
+        const dialog = document.getElementById(this.dialogs.resumeSavedGame);
+        const message = document.getElementById('resumeSavedGameMessage');
+        if (!dialog) return;
+        
+        if (message && savedGame) {
+            const difficulty = savedGame.difficulty === 'hard' ? 'Hard' : 'Easy';
+            const fences = savedGame.blockers.length;
+            message.textContent = `You have an unfinished round on ${difficulty} map #${savedGame.mapNumber} ` +
+                `(${fences} fence${fences === 1 ? '' : 's'} placed, ${this.formatGameTime(savedGame.elapsedTime)} played). ` +
+                'It will resume paused.';
+        }
+        dialog.style.display = 'flex';
+    }
+    
+    /**
+     * 隐藏恢复存档对话框
+     */
+    hideResumeSavedGameDialog() {
+        const dialog = document.getElementById(this.dialogs.resumeSavedGame);
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 显示地图加载失败对话框，列出校验发现的所有问题
+     * @param {Object} loadError - MapService 的加载错误 {title, filePath, errors, warnings}
+     */
+    showMapErrorDialog(loadError) {
+        const dialog = document.getElementById(this.dialogs.mapError);
+        const message = document.getElementById('mapErrorMessage');
+        const list = document.getElementById('mapErrorList');
+        if (!dialog) return;
+        
+        if (message) {
+            const file = loadError.filePath ? ` (${loadError.filePath})` : '';
+            message.textContent = `${loadError.title}${file} could not be loaded:`;
+        }
+        if (list) {
+            list.innerHTML = '';
+            const problems = [
+                ...loadError.errors.map(text => ['error', text]),
+                ...loadError.warnings.map(text => ['warning', text])
+            ];
+            for (const [level, text] of problems) {
+                const item = document.createElement('li');
+                item.className = level;
+                item.textContent = text;
+                list.appendChild(item);
+            }
+        }
+        dialog.style.display = 'flex';
+    }
+    
+    /**
+     * 隐藏地图加载失败对话框
+     */
+    hideMapErrorDialog() {
+        const dialog = document.getElementById(this.dialogs.mapError);
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 显示快捷键对话框
+     * @param {Object[]} actions - HOTKEY_ACTIONS
+     * @param {Object} bindings - HotkeyService.getBindings 的返回结果
+     */
+    showHotkeysDialog(actions, bindings) {
+        const dialog = document.getElementById(this.dialogs.hotkeys);
+        if (!dialog) return;
+        
+        this.renderHotkeys(actions, bindings);
+        this.showHotkeyStatus('');
+        dialog.style.display = 'flex';
+    }
+    
+    /**
+     * 列出每个动作和它的按键，点击按键按钮开始改键
+     */
+    renderHotkeys(actions, bindings) {
+        const list = document.getElementById('hotkeyList');
+        if (!list) return;
+        
+        this.capturingHotkey = null;
+        list.innerHTML = '';
+        for (const action of actions) {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = action.label;
+            const keyCell = document.createElement('td');
+            const keyButton = document.createElement('button');
+            keyButton.className = 'control-btn hotkey-key-btn';
+            keyButton.dataset.action = action.id;
+            keyButton.textContent = bindings[action.id] || '—';
+            keyCell.appendChild(keyButton);
+            row.appendChild(label);
+            row.appendChild(keyCell);
+            list.appendChild(row);
+        }
+    }
+    
+    /**
+     * 开始为动作改键：按钮显示等待按键，下一次按键由 ButtonEventManager 交给 HotkeyService
+     */
+    startHotkeyCapture(actionId) {
+        this.capturingHotkey = actionId;
+        document.querySelectorAll('#hotkeyList .hotkey-key-btn').forEach(button => {
+            const capturing = button.dataset.action === actionId;
+            button.classList.toggle('capturing', capturing);
+            if (capturing) {
+                button.textContent = 'Press a key...';
+            }
+        });
+        this.showHotkeyStatus('Press the new key, or Esc to cancel.');
+    }
+    
+    /**
+     * 正在改键的动作，没有时为 null
+     */
+    getCapturingHotkey() {
+        return this.capturingHotkey;
+    }
+    
+    /**
+     * 在快捷键对话框中显示改键结果
+     * @param {boolean} isError - 是否是改键失败的原因
+     */
+    showHotkeyStatus(message, isError = false) {
+        const status = document.getElementById('hotkeyStatus');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        }
+    }
+    
+    /**
+     * 隐藏快捷键对话框
+     */
+    hideHotkeysDialog() {
+        const dialog = document.getElementById(this.dialogs.hotkeys);
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        this.capturingHotkey = null;
+    }
+    
+    /**
+     * 显示棋盘的文字描述和文字棋盘（见 LiveRegionService）
+     * @param {string} description - 每项一行
+     * @param {string[]} gridRows - 文字棋盘的每一行
+     */
+    showBoardDescriptionDialog(description, gridRows) {
+        const dialog = document.getElementById(this.dialogs.boardDescription);
+        if (!dialog) return;
+        
+        const text = document.getElementById('boardDescriptionText');
+        if (text) {
+            text.textContent = description;
+        }
+        const grid = document.getElementById('boardDescriptionGrid');
+        if (grid) {
+            grid.textContent = gridRows.join('\n');
+        }
+        dialog.style.display = 'flex';
+    }
+    
+    hideBoardDescriptionDialog() {
+        const dialog = document.getElementById(this.dialogs.boardDescription);
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 显示回合总结：用时、放置/回收次数、兔子跳跃和重新寻路次数；玩家获胜且有进度记录时加上星级、最好成绩和新纪录
+     */
+    renderVictoryStats(winner, stats) {
+        const container = document.getElementById('victoryStats');
+        if (!container) return;
+        
+        const roundStats = stats.roundStats;
+        if (!roundStats) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const playerWon = winner === 'player' || winner === 'Player';
+        const progress = playerWon ? stats.progress : null;
+        const recordMessages = {
+            firstWin: 'First clear!',
+            bestTime: 'New best time!',
+            fewestBlockers: 'New fewest fences!',
+            stars: 'New star rating!'
+        };
+        
+        const items = [];
+        if (progress) {
+            items.push(['Rating', this.formatStars(progress.stars)]);
+            items.push(['Time', `${this.formatGameTime(roundStats.gameTime)} (best ${this.formatGameTime(progress.record.bestTime)})`]);
+            items.push(['Fences', `${roundStats.placements} (best ${progress.record.fewestBlockers})`]);
+        } else {
+            items.push(['Time', this.formatGameTime(roundStats.gameTime)]);
+            items.push(['Fences', `${roundStats.placements}`]);
+        }
+        items.push(
+            ['Recycled', `${roundStats.recycles}`],
+            ['Removed', `${roundStats.removals}`],
+            ['Bunny hops', `${roundStats.hops}`],
+            ['Replans', `${roundStats.replans}`]
+        );
+        if (progress && progress.newRecords.length > 0) {
+            items.push(['🏆', progress.newRecords.map(record => recordMessages[record]).join(' ')]);
+        }
+        
+        container.innerHTML = '';
+        for (const [label, value] of items) {
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+            const labelElement = document.createElement('span');
+            labelElement.className = 'stat-label';
+            labelElement.textContent = label;
+            const valueElement = document.createElement('span');
+            valueElement.className = 'stat-value';
+            valueElement.textContent = value;
+            item.append(labelElement, valueElement);
+            container.appendChild(item);
+        }
+        container.style.display = '';
+    }
+    
     /**
      * 检查是否可以尝试下一张地图
      */
@@ -203,8 +589,7 @@ export class DialogManager {
         // 通过全局gameController获取当前地图信息
         if (window.gameController && window.gameController.gameEngine) {
             const currentMapNumber = window.gameController.gameEngine.getCurrentMapNumber();
-            const maxMapNumber = 30; // 假设最大地图号是30
-            return currentMapNumber < maxMapNumber;
+            return currentMapNumber < window.gameController.getMapCount();
         }
         return false;
     }
@@ -242,6 +627,12 @@ export class DialogManager {
         window.hideCustomMapDialog = () => this.hideCustomMapDialog();
         window.showVictoryDialog = (winner, stats) => this.showVictoryDialog(winner, stats);
         window.hideVictoryDialog = () => this.hideVictoryDialog();
+        window.showResumeSavedGameDialog = (savedGame) => this.showResumeSavedGameDialog(savedGame);
+        window.hideResumeSavedGameDialog = () => this.hideResumeSavedGameDialog();
+        window.showMapErrorDialog = (loadError) => this.showMapErrorDialog(loadError);
+        window.hideMapErrorDialog = () => this.hideMapErrorDialog();
+        window.hideHotkeysDialog = () => this.hideHotkeysDialog();
+        window.hideBoardDescriptionDialog = () => this.hideBoardDescriptionDialog();
     }
 }
 
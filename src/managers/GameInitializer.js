@@ -208,8 +208,20 @@ export class GameInitializer {
                 // 设置全局gameInitializer引用，供教程系统使用
                 window.gameInitializer = this;
                 
-                // 检查是否需要显示教程
-                if (this.tutorialManager.shouldShowTutorial()) {
+                // 关闭或切走页面时保存进行中的回合
+                window.addEventListener('pagehide', () => this.gameController.saveInProgressGame());
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'hidden') {
+                        this.gameController.saveInProgressGame();
+                    }
+                });
+                
+                // 有未完成的回合时询问是否恢复（代替教程），否则检查是否需要显示教程
+                const savedGame = this.gameController.getSavedGame();
+                if (savedGame) {
+                    this.updateLoadingDetails('Saved game found', 'Complete');
+                    this.dialogManager.showResumeSavedGameDialog(savedGame);
+                } else if (this.tutorialManager.shouldShowTutorial()) {
                     this.updateLoadingDetails('Starting interactive tutorial...', 'Step 8 of 8');
                     // 延迟一点时间确保游戏界面完全加载
                     setTimeout(() => {
@@ -54,7 +54,7 @@ export class ParameterManager {
             bunny: {
                 animation: { frame_duration: 500 },
                 default_speed: 70,
-                behavior: { auto_initialize: true }
+                behavior: { auto_initialize: true, pathfinding_algorithm: 'astar' }
             },
             rendering: {
                 scaling: { bunny: 0.075, fence: 0.075, stump: 0.075, hole: 0.5, stones: 0.3 },
@@ -101,6 +101,131 @@ export class ParameterManager {
         return this.get(`bunny.${key}`, defaultValue);
     }
     
+    /**
+     * 获取兔子寻路策略（兔子性格）
+     */
+    getBunnyStrategy(defaultValue = 'astar') {
+        return this.get('bunny.behavior.pathfinding_algorithm', defaultValue);
+    }
+    
+    /**
+     * 设置兔子寻路策略（仅修改运行时参数）
+     */
+    setBunnyStrategy(strategyName) {
+        return this.set('bunny.behavior.pathfinding_algorithm', strategyName);
+    }
+    
+    /**
+     * 获取专家策略参数（搜索深度、每次决策的时间预算和搜索局面数等）
+     */
+    getBunnyExpertOptions() {
+        return {
+            searchDepth: this.get('bunny.behavior.expert.search_depth', 3),
+            timeBudgetMs: this.get('bunny.behavior.expert.time_budget_ms', 30),
+            nodeBudget: this.get('bunny.behavior.expert.node_budget', 1000),
+            searchMode: this.get('bunny.behavior.expert.search_mode', 'minimax'),
+            maxPlayerCandidates: this.get('bunny.behavior.expert.max_player_candidates', 8)
+        };
+    }
+    
+    /**
+     * 获取提示参数（每回合次数、冷却时间、高亮时间）
+     */
+    getHintOptions() {
+        return {
+            maxPerRound: this.get('hints.max_per_round', 3),
+            cooldownSeconds: this.get('hints.cooldown_seconds', 5),
+            highlightSeconds: this.get('hints.highlight_seconds', 4),
+            placementInterval: this.get('hints.placement_interval', 0.5)
+        };
+    }
+    
+    /**
+     * 获取多兔子地图的回合结束条件（见 GameEngine.checkRoundOutcome）
+     */
+    getBunnyEndCondition() {
+        const condition = this.get('bunny.multiple.end_condition', 'any-escape');
+        return ['any-escape', 'all-resolved'].includes(condition) ? condition : 'any-escape';
+    }
+    
+    /**
+     * 获取游戏模式：'realtime' 实时 | 'turn-based' 回合制（见 TurnService）
+     */
+    getGameMode() {
+        const mode = this.get('game.mode', 'realtime');
+        return ['realtime', 'turn-based'].includes(mode) ? mode : 'realtime';
+    }
+    
+    /**
+     * 设置游戏模式
+     */
+    setGameMode(mode) {
+        return this.set('game.mode', mode);
+    }
+    
+    /**
+     * 获取陷阱参数（在陷阱中捕获兔子的奖励分数）
+     */
+    getTrapOptions() {
+        return {
+            captureBonus: this.get('traps.capture_bonus', 50)
+        };
+    }
+    
+    /**
+     * 获取地图进度的星级标准（见 ProgressService）
+     */
+    getProgressOptions() {
+        return {
+            maxBlockers: this.get('progress.star_max_blockers', 6),
+            maxSeconds: this.get('progress.star_max_seconds', 30)
+        };
+    }
+    
+    /**
+     * 获取指针输入参数（长按时间、缩放上限、边检测容差和放大镜，见 PointerInputService）
+     */
+    getPointerOptions() {
+        return {
+            longPressMs: this.get('input.long_press_ms', 500),
+            moveTolerance: this.get('input.move_tolerance', 10),
+            maxZoom: this.get('input.max_zoom', 3),
+            hitTolerances: {
+                mouse: this.get('input.mouse_hit_tolerance', 20),
+                pen: this.get('input.pen_hit_tolerance', 14),
+                touch: this.get('input.touch_hit_tolerance', 24)
+            },
+            loupeRadius: this.get('input.loupe_radius', 60),
+            loupeMagnification: this.get('input.loupe_magnification', 2)
+        };
+    }
+    
+    /**
+     * 获取手柄参数（摇杆死区和按住方向时的重复移动，见 GamepadService）
+     */
+    getGamepadOptions() {
+        return {
+            stickDeadzone: this.get('gamepad.stick_deadzone', 0.5),
+            repeatDelayMs: this.get('gamepad.repeat_delay_ms', 350),
+            repeatIntervalMs: this.get('gamepad.repeat_interval_ms', 150)
+        };
+    }
+    
+    /**
+     * 获取默认快捷键（玩家改过的快捷键见 HotkeyService）
+     */
+    getHotkeyOptions() {
+        return {
+            startPause: this.get('hotkeys.start_pause', 'Space'),
+            restart: this.get('hotkeys.restart', 'R'),
+            nextMap: this.get('hotkeys.next_map', 'N'),
+            difficulty: this.get('hotkeys.difficulty', 'D'),
+            escape: this.get('hotkeys.escape', 'Escape'),
+            help: this.get('hotkeys.help', 'H'),
+            describeBoard: this.get('hotkeys.describe_board', 'B')
+        };
+    }
+    
     /**
      * 获取渲染相关参数
      */
@@ -28,6 +28,7 @@ export class AnimationManager {
         this.updateThreshold = 16; // 60fps阈值（毫秒）
         
         // 事件系统（为未来扩展预留）
+        this.eventListenerIds = [];
         this.setupEventListeners();
         
         console.log(`✅ AnimationManager: ${spriteId} 初始化完成`);
@@ -38,16 +39,18 @@ export class AnimationManager {
      */
     setupEventListeners() {
         // 监听全局暂停事件
-        gameEventBus.on(GAME_EVENTS.GAME_PAUSE, () => {
+        const pauseListenerId = gameEventBus.on(GAME_EVENTS.GAME_PAUSE, () => {
             console.log(`🎯 AnimationManager: ${this.spriteId} 收到暂停事件`);
             this.pauseAnimation();
         });
+        this.eventListenerIds.push([GAME_EVENTS.GAME_PAUSE, pauseListenerId]);
         
         // 监听全局恢复事件
-        gameEventBus.on(GAME_EVENTS.GAME_RESUME, () => {
+        const resumeListenerId = gameEventBus.on(GAME_EVENTS.GAME_RESUME, () => {
             console.log(`🎯 AnimationManager: ${this.spriteId} 收到恢复事件`);
             this.resumeAnimation();
         });
+        this.eventListenerIds.push([GAME_EVENTS.GAME_RESUME, resumeListenerId]);
         
         console.log(`✅ AnimationManager: ${this.spriteId} 事件监听器设置完成`);
     }
@@ -195,9 +198,11 @@ export class AnimationManager {
      */
     destroy() {
         this.reset();
-        // 移除事件监听器（为未来扩展预留）
-        // gameEventBus.off(GAME_EVENTS.GAME_PAUSE, this.pauseAnimation);
-        // gameEventBus.off(GAME_EVENTS.GAME_RESUME, this.resumeAnimation);
+        // 移除事件监听器
+        for (const [event, listenerId] of this.eventListenerIds) {
+            gameEventBus.off(event, listenerId);
+        }
+        this.eventListenerIds = [];
         
         console.log(`🗑️ AnimationManager: ${this.spriteId} 已销毁`);
     }
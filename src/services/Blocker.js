@@ -190,6 +190,15 @@ export class Blocker {
         }
     }
     
+    /**
+     * 跳过掉落动画，直接落在边上（无头模式和回放播放没有动画定时器）
+     */
+    skipDropAnimation() {
+        this.dropAnimation.height = 0;
+        this.dropAnimation.rotationOffset = 0;
+        this.dropAnimation.phase = 'settle';
+    }
+    
     /**
      * 启动异步回收飞跳动画
      */
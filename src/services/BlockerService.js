@@ -7,6 +7,8 @@
 import { Blocker } from './Blocker.js';
 import { CanvasCoordinateHelper } from '../utils/CanvasCoordinateHelper.js';
 import { gameEventBus } from '../core/GameEventBus.js';
+import { GAME_EVENTS, EventFactory } from '../core/GameEvents.js';
+import { CURSOR_DIRECTIONS } from './KeyboardCursorService.js';
 
 export class BlockerService {
     constructor(assetLoader, onBlockerStateChange = null) {
@@ -29,11 +31,20 @@ export class BlockerService {
         this.canvas = null;
         this.gameState = null; // 存储游戏状态信息（地图、位置等）
         this.stateTransitionService = null; // 状态转换服务
-        this.bunny = null; // 兔子实例引用
+        this.bunny = null; // 兔子实例引用（第一只兔子，保持兼容）
+        this.bunnies = []; // 本回合所有兔子，路障更新广播给每一只
+        this.turnService = null; // 回合制服务（回合制模式下每次放置/回收算玩家走一步）
+        this.replayRecorder = null; // 回放录制（记录每一次放置、回收和自动回收）
+        this.roundStats = null; // 回合统计（放置、自动回收、手动回收的次数和时间）
+        this.keyboardCursor = null; // 键盘光标（方向键选节点、Tab 选边、Enter 放置或回收路障）
+        this.pointerInput = null; // 指针输入（鼠标、触摸和触控笔；不支持 Pointer Events 时使用 click 事件）
         
         // 事件总线监听器管理
         this.eventBusListeners = new Set();
         
+        // 无头模式：不启动动画/闪烁定时器，不触发UI更新（用于Node环境下的模拟）
+        this.headless = false;
+        
         // console.log('🚧 路障服务初始化完成');
     }
     
@@ -44,11 +55,16 @@ export class BlockerService {
         this.canvas = canvas;
         this.gameState = gameState;
         this.stateTransitionService = stateTransitionService;
-        this.bunny = bunny;
+        this.setBunnies(bunny ? [bunny] : []);
         this.gameController = gameController; // 🔧 新增：保存GameController引用用于UI更新
         
-        // 🆕 添加直接Canvas点击处理
-        this.setupCanvasClickHandler();
+        // 🆕 添加直接Canvas点击处理（支持 Pointer Events 时改用指针事件，包括触摸）
+        if (this.pointerInput) {
+            this.setupCanvasPointerHandler();
+        } else {
+            this.setupCanvasClickHandler();
+        }
+        this.setupCanvasKeyHandler();
         
         // console.log('🖱️ BlockerService事件监听已设置（直接Canvas点击模式）'); // 调试日志
     }
@@ -108,6 +124,143 @@ export class BlockerService {
         }
     }
     
+    /**
+     * 设置Canvas指针事件处理：点击放置或回收路障；触摸和触控笔点击只放置、长按回收，瞄准时高亮将要操作的边
+     */
+    setupCanvasPointerHandler() {
+        this.pointerInput.attach(this.canvas, {
+            canStart: () => !!this.stateTransitionService && this.stateTransitionService.isRunning(),
+            onTap: (point, pointerType) => this.handleCanvasTap(point, pointerType, pointerType === 'mouse' ? 'toggle' : 'place'),
+            onLongPress: (point, pointerType) => this.handleCanvasTap(point, pointerType, 'recycle'),
+            onAim: (point, pointerType) => this.handleCanvasAim(point, pointerType)
+        });
+    }
+    
+    /**
+     * 处理指针点击或长按（地图坐标），边检测阈值按指针类型和画布缩放计算
+     * @param {string} mode - 见 handleEdgeClick
+     */
+    handleCanvasTap(point, pointerType, mode) {
+        if (!this.stateTransitionService || !this.stateTransitionService.isRunning()) {
+            return;
+        }
+        
+        const edgeKey = this.detectEdgeClick(point.x, point.y, this.pointerInput.getHitThreshold(pointerType));
+        if (edgeKey) {
+            this.handleEdgeClick(edgeKey, point, mode);
+        }
+    }
+    
+    /**
+     * 触摸和触控笔瞄准时高亮阈值内最近的边，抬起或取消时清除
+     */
+    handleCanvasAim(point, pointerType) {
+        if (!this.mapRenderer) {
+            return;
+        }
+        
+        const nearest = point && pointerType !== 'mouse'
+            ? this.findEdgesNear(point.x, point.y, this.pointerInput.getHitThreshold(pointerType))[0]
+            : null;
+        this.mapRenderer.setPointerEdge(nearest ? nearest.edgeKey : null);
+    }
+    
+    /**
+     * 设置Canvas键盘事件处理：画布获得焦点后可以只用键盘操作，失去焦点时隐藏光标
+     */
+    setupCanvasKeyHandler() {
+        if (!this.canvas || !this.keyboardCursor) {
+            return;
+        }
+        
+        if (!this.handleCanvasKeyDown) {
+            this.handleCanvasKeyDown = (event) => this.handleCanvasKey(event);
+            this.handleCanvasBlur = () => this.keyboardCursor.reset();
+        }
+        this.canvas.removeEventListener('keydown', this.handleCanvasKeyDown);
+        this.canvas.removeEventListener('blur', this.handleCanvasBlur);
+        this.canvas.addEventListener('keydown', this.handleCanvasKeyDown);
+        this.canvas.addEventListener('blur', this.handleCanvasBlur);
+    }
+    
+    /**
+     * 处理Canvas按键：方向键移动光标，Tab / Shift+Tab 轮换边，Enter 在聚焦的边上放置或回收路障，Esc 离开画布
+     * 只有在 running 状态下才处理，其他状态下 Tab 仍可以把焦点移出画布；处理过的按键不再作为全局快捷键（见 ButtonEventManager.handleHotkey）
+     */
+    handleCanvasKey(event) {
+        if (!this.stateTransitionService || !this.stateTransitionService.isRunning() || !this.gameState) {
+            return;
+        }
+        
+        const cursor = this.keyboardCursor;
+        const direction = CURSOR_DIRECTIONS[event.key];
+        const isNewCursor = !cursor.getFocus();
+        
+        if (event.key === 'Escape') {
+            if (!isNewCursor) {
+                event.preventDefault(); // 光标显示时 Esc 只离开画布
+            }
+            cursor.reset();
+            this.canvas.blur();
+            return;
+        }
+        if (!direction && event.key !== 'Tab' && event.key !== 'Enter') {
+            return;
+        }
+        event.preventDefault();
+        
+        if (direction) {
+            this.handleCursorCommand('move', direction);
+        } else if (event.key === 'Tab') {
+            this.handleCursorCommand('cycleEdge', event.shiftKey ? -1 : 1);
+        } else {
+            this.handleCursorCommand('activate');
+        }
+    }
+    
+    /**
+     * 执行棋盘光标操作（键盘和手柄共用）：'move' 向方向 value（[dx, dy]）移动光标，'cycleEdge' 按 value（1 或 -1）轮换边，
+     * 'activate' 在聚焦的边上放置或回收路障；光标未显示时第一次操作只显示光标
+     * @returns {boolean} 是否处理了（不在 running 状态时为 false）
+     */
+    handleCursorCommand(command, value) {
+        if (!this.stateTransitionService || !this.stateTransitionService.isRunning() || !this.gameState) {
+            return false;
+        }
+        
+        const cursor = this.keyboardCursor;
+        const isNewCursor = !cursor.getFocus();
+        const startNode = this.bunny ? this.bunny.currentNode : null;
+        if (!cursor.ensureCursor(this.gameState, startNode) || isNewCursor) {
+            return true;
+        }
+        
+        if (command === 'move') {
+            cursor.move(this.gameState, value);
+        } else if (command === 'cycleEdge') {
+            cursor.cycleEdge(this.gameState, value);
+        } else if (command === 'activate') {
+            const { edgeKey } = cursor.getFocus();
+            if (edgeKey) {
+                this.handleEdgeClick(edgeKey, this.getEdgeMidpoint(edgeKey));
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * 边中点的画布坐标（键盘放置路障时代替点击位置）
+     */
+    getEdgeMidpoint(edgeKey) {
+        const edge = this.gameState.edges.get(edgeKey);
+        const fromPos = edge ? this.gameState.scaledPositions.get(edge.from) : null;
+        const toPos = edge ? this.gameState.scaledPositions.get(edge.to) : null;
+        if (!fromPos || !toPos) {
+            return null;
+        }
+        return { x: (fromPos[0] + toPos[0]) / 2, y: (fromPos[1] + toPos[1]) / 2 };
+    }
+    
     /**
      * 获取Canvas坐标 - 从 EventHandler 搬运过来
      */
@@ -214,10 +367,67 @@ export class BlockerService {
      * 设置Bunny实例引用
      */
     setBunny(bunny) {
-        this.bunny = bunny;
+        this.setBunnies(bunny ? [bunny] : []);
         // console.log('🔗 BlockerService已设置Bunny实例引用');
     }
     
+    /**
+     * 设置本回合所有兔子（多兔子地图）
+     */
+    setBunnies(bunnies) {
+        this.bunnies = [...bunnies];
+        this.bunny = this.bunnies[0] || null;
+    }
+    
+    /**
+     * 设置回合制服务引用
+     */
+    setTurnService(turnService) {
+        this.turnService = turnService;
+    }
+    
+    /**
+     * 设置指针输入（在 initializeMouseListeners 之前设置，代替 click 事件）
+     */
+    setPointerInput(pointerInput) {
+        this.pointerInput = pointerInput;
+    }
+    
+    /**
+     * 设置键盘光标（在 initializeMouseListeners 之前设置，键盘事件随点击事件一起注册）
+     */
+    setKeyboardCursor(keyboardCursor) {
+        this.keyboardCursor = keyboardCursor;
+    }
+    
+    /**
+     * 设置回放录制引用
+     */
+    setReplayRecorder(replayRecorder) {
+        this.replayRecorder = replayRecorder;
+    }
+    
+    /**
+     * 设置回合统计引用
+     */
+    setRoundStats(roundStats) {
+        this.roundStats = roundStats;
+    }
+    
+    /**
+     * 设置游戏状态引用（无Canvas时使用，替代initializeMouseListeners）
+     */
+    setGameState(gameState) {
+        this.gameState = gameState;
+    }
+    
+    /**
+     * 设置无头模式
+     */
+    setHeadless(headless) {
+        this.headless = headless;
+    }
+    
     // 注意：handleCanvasClick 方法已移除，现在使用事件接收者模式
     // 点击事件由 EventHandler 智能分发，通过 blocker_click 事件触发
     
@@ -230,58 +440,36 @@ export class BlockerService {
     }
     
     /**
-     * 检测点击的边
+     * 检测点击的边：阈值内最近的边
+     * @param {number} threshold - 检测阈值，默认为鼠标点击的阈值（触摸见 PointerInputService.getHitThreshold）
      */
-    detectEdgeClick(x, y) {
+    detectEdgeClick(x, y, threshold = CanvasCoordinateHelper.getAdjustedThreshold(this.canvas, 20)) {
         if (!this.gameState || !this.gameState.edges || !this.gameState.scaledPositions) {
             return null;
         }
         
-        // 使用动态阈值，考虑Canvas缩放
-        const threshold = CanvasCoordinateHelper.getAdjustedThreshold(this.canvas, 20);
-        
         // 🔍 调试：输出点击坐标和阈值信息
         console.log('🔍 边检测调试:');
         console.log('├─ 点击坐标:', `x=${x.toFixed(1)}, y=${y.toFixed(1)}`);
         console.log('├─ 检测阈值:', threshold);
         console.log('├─ Canvas缩放:', CanvasCoordinateHelper.getCanvasScale(this.canvas));
         
-        const candidates = [];
-        
-        for (const [edgeKey, edge] of this.gameState.edges) {
-            const fromPos = this.gameState.scaledPositions.get(edge.from);
-            const toPos = this.gameState.scaledPositions.get(edge.to);
-            
-            if (fromPos && toPos) {
-                const distance = this.pointToLineDistance(x, y, fromPos[0], fromPos[1], toPos[0], toPos[1]);
-                
-                // 记录所有候选边（距离在阈值2倍范围内）
-                if (distance <= threshold * 2) {
-                    candidates.push({
-                        edgeKey,
-                        distance,
-                        fromPos,
-                        toPos,
-                        withinThreshold: distance <= threshold
-                    });
-                }
-                
-                if (distance <= threshold) {
-                    console.log('✅ 检测到边点击:');
-                    console.log('├─ 边键:', edgeKey);
-                    console.log('├─ 距离:', distance.toFixed(2));
-                    console.log('├─ 起点:', `[${fromPos[0].toFixed(1)}, ${fromPos[1].toFixed(1)}]`);
-                    console.log('├─ 终点:', `[${toPos[0].toFixed(1)}, ${toPos[1].toFixed(1)}]`);
-                    console.log('└─ 阈值:', threshold);
-                    return edgeKey;
-                }
-            }
+        // 记录所有候选边（距离在阈值2倍范围内）
+        const candidates = this.findEdgesNear(x, y, threshold * 2);
+        const nearest = candidates[0];
+        if (nearest && nearest.distance <= threshold) {
+            console.log('✅ 检测到边点击:');
+            console.log('├─ 边键:', nearest.edgeKey);
+            console.log('├─ 距离:', nearest.distance.toFixed(2));
+            console.log('├─ 起点:', `[${nearest.fromPos[0].toFixed(1)}, ${nearest.fromPos[1].toFixed(1)}]`);
+            console.log('├─ 终点:', `[${nearest.toPos[0].toFixed(1)}, ${nearest.toPos[1].toFixed(1)}]`);
+            console.log('└─ 阈值:', threshold);
+            return nearest.edgeKey;
         }
         
         // 🔍 调试：如果没有检测到边，输出最近的候选边
         if (candidates.length > 0) {
             console.log('❌ 未检测到边点击，最近的候选边:');
-            candidates.sort((a, b) => a.distance - b.distance);
             candidates.slice(0, 3).forEach((candidate, index) => {
                 console.log(`├─ 候选${index + 1}: ${candidate.edgeKey} (距离: ${candidate.distance.toFixed(2)})`);
             });
@@ -292,6 +480,30 @@ export class BlockerService {
         return null;
     }
     
+    /**
+     * 距离点不超过 maxDistance 的边，按距离从近到远排序
+     * @returns {Object[]} [{edgeKey, distance, fromPos, toPos}]
+     */
+    findEdgesNear(x, y, maxDistance) {
+        if (!this.gameState || !this.gameState.edges || !this.gameState.scaledPositions) {
+            return [];
+        }
+        
+        const candidates = [];
+        for (const [edgeKey, edge] of this.gameState.edges) {
+            const fromPos = this.gameState.scaledPositions.get(edge.from);
+            const toPos = this.gameState.scaledPositions.get(edge.to);
+            
+            if (fromPos && toPos) {
+                const distance = this.pointToLineDistance(x, y, fromPos[0], fromPos[1], toPos[0], toPos[1]);
+                if (distance <= maxDistance) {
+                    candidates.push({ edgeKey, distance, fromPos, toPos });
+                }
+            }
+        }
+        return candidates.sort((a, b) => a.distance - b.distance);
+    }
+    
     /**
      * 计算点到线段的距离
      */
@@ -327,8 +539,14 @@ export class BlockerService {
     
     /**
      * 处理边点击
+     * @param {string} mode - 'toggle' 没有路障时放置、有路障时回收；'place' 只放置；'recycle' 只回收（触摸长按）
      */
-    handleEdgeClick(edgeKey, position) {
+    handleEdgeClick(edgeKey, position, mode = 'toggle') {
+        // 回合制：兔子跳跃期间不能操作
+        if (this.turnService && !this.turnService.isWaitingForPlayer(this.bunnies)) {
+            return;
+        }
+        
         // 检查是否可以放置路障
         if (!this.canPlaceBlocker(edgeKey)) {
             return;
@@ -336,35 +554,72 @@ export class BlockerService {
         
         // 确定操作类型（添加或移除）
         const hasBlocker = this.hasBlocker(edgeKey);
+        if ((mode === 'place' && hasBlocker) || (mode === 'recycle' && !hasBlocker)) {
+            return;
+        }
         const action = hasBlocker ? 'remove_blocker' : 'add_blocker';
         
         // console.log(`🖱️ 边点击处理: ${edgeKey}, 操作类型: ${action === 'add_blocker' ? '添加路障' : '手动回收路障'}`);
         
-        if (action === 'add_blocker') {
-            // 添加路障
-            // console.log(`🔍 尝试添加路障: ${edgeKey}`);
-            const edgeObj = this.gameState.edges.get(edgeKey);
-            // console.log(`🔍 边对象: ${edgeObj ? '存在' : '不存在'}`);
-            if (edgeObj) {
-                const success = this.addBlocker(edgeKey, edgeObj, this.gameState);
-                // console.log(`🔍 添加路障结果: ${success ? '成功' : '失败'}`);
-                if (success) {
-                    // 触发路障更新事件给Bunny
-                    this.emitBlockerUpdateEvent(edgeKey, 'added', position);
-                    // console.log(`✅ 路障添加成功: ${edgeKey}`);
-                }
-            } else {
-                console.warn(`⚠️ 边对象不存在: ${edgeKey}`);
+        const success = action === 'add_blocker'
+            ? this.placeBlocker(edgeKey, position)
+            : this.recycleBlocker(edgeKey, position);
+        
+        // 回合制：兔子已按新的路障重新规划，现在各前进一个节点
+        if (success && this.turnService) {
+            this.turnService.playerMoved(this.bunnies);
+        }
+    }
+    
+    /**
+     * 在边上放置路障并通知Bunny
+     * @returns {boolean} 是否放置成功
+     */
+    placeBlocker(edgeKey, position = null) {
+        // console.log(`🔍 尝试添加路障: ${edgeKey}`);
+        const edgeObj = this.gameState ? this.gameState.edges.get(edgeKey) : null;
+        if (!edgeObj) {
+            console.warn(`⚠️ 边对象不存在: ${edgeKey}`);
+            return false;
+        }
+        
+        const success = this.addBlocker(edgeKey, edgeObj, this.gameState);
+        if (success) {
+            if (this.replayRecorder) {
+                this.replayRecorder.record('add', edgeKey);
             }
-        } else {
-            // 手动回收路障
-            const success = this.removeBlocker(edgeKey);
-            if (success) {
-                // 触发路障更新事件给Bunny
-                this.emitBlockerUpdateEvent(edgeKey, 'removed', position);
-                // console.log(`✅ 手动回收路障成功: ${edgeKey}`);
+            if (this.roundStats) {
+                this.roundStats.recordPlacement(edgeKey);
+            }
+            
+            // 触发路障更新事件给Bunny
+            this.emitBlockerUpdateEvent(edgeKey, 'added', position);
+            gameEventBus.emit(GAME_EVENTS.BLOCKER_ADDED, EventFactory.createBlockerAddedEvent(edgeKey, position, this.blockers.size));
+            // console.log(`✅ 路障添加成功: ${edgeKey}`);
+        }
+        return success;
+    }
+    
+    /**
+     * 手动回收路障并通知Bunny
+     * @returns {boolean} 是否回收成功
+     */
+    recycleBlocker(edgeKey, position = null) {
+        const success = this.removeBlocker(edgeKey);
+        if (success) {
+            if (this.replayRecorder) {
+                this.replayRecorder.record('remove', edgeKey);
             }
+            if (this.roundStats) {
+                this.roundStats.recordRemoval(edgeKey);
+            }
+            
+            // 触发路障更新事件给Bunny
+            this.emitBlockerUpdateEvent(edgeKey, 'removed', position);
+            gameEventBus.emit(GAME_EVENTS.BLOCKER_REMOVED, EventFactory.createBlockerRemovedEvent(edgeKey, 'manual', this.blockers.size));
+            // console.log(`✅ 手动回收路障成功: ${edgeKey}`);
         }
+        return success;
     }
     
     /**
@@ -377,9 +632,11 @@ export class BlockerService {
         const normalizedEdgeKey = this.normalizeEdgeKey(edgeKey);
         // console.log(`🚧 标准化边键: ${edgeKey} -> ${normalizedEdgeKey}`);
         
-        // 直接调用Bunny的路障更新处理方法
-        if (this.bunny && this.bunny.handleBlockerUpdate) {
-            this.bunny.handleBlockerUpdate(normalizedEdgeKey, action, position);
+        // 直接调用每只兔子的路障更新处理方法
+        for (const bunny of this.bunnies) {
+            if (bunny.handleBlockerUpdate) {
+                bunny.handleBlockerUpdate(normalizedEdgeKey, action, position);
+            }
         }
         
         // 保留原有的回调函数调用（向后兼容）
@@ -421,6 +678,11 @@ export class BlockerService {
      * 触发UI更新事件
      */
     triggerUIUpdate() {
+        // 无头模式下没有UI
+        if (this.headless) {
+            return;
+        }
+        
         // 通过GameController更新UI
         if (this.gameController && this.gameController.uiManager) {
             this.gameController.uiManager.updateMapInfo();
@@ -432,8 +694,9 @@ export class BlockerService {
     
     /**
      * 添加路障（带数量限制和FIFO回收）
+     * @param {boolean} animate - 是否播放掉落动画（恢复存档时直接落定）
      */
-    addBlocker(edgeId, edgeObj, gameState = null) {
+    addBlocker(edgeId, edgeObj, gameState = null, animate = true) {
         // console.log(`🔍 开始添加路障: ${edgeId}`);
         // console.log(`🔍 当前路障数量: ${this.blockers.size}`);
         
@@ -479,7 +742,11 @@ export class BlockerService {
         }
         
         // 立即启动掉落动画，避免延迟导致的重复渲染
-        blocker.startAsyncDropAnimation(dropStartPos, null);
+        if (animate && !this.headless) {
+            blocker.startAsyncDropAnimation(dropStartPos, null);
+        } else {
+            blocker.skipDropAnimation();
+        }
         
         // 解析边信息用于日志（使用blocker实例的方法）
         const edgeInfo = blocker.parseEdgeKey(edgeId);
@@ -554,6 +821,34 @@ export class BlockerService {
         return this.blockers.size;
     }
     
+    /**
+     * 获取路障的存档快照：按回收顺序（最老的在前）排列的边
+     */
+    getSnapshot() {
+        return [...this.blockerQueue];
+    }
+    
+    /**
+     * 从存档快照恢复路障（不通知兔子，兔子随后按 gameState.blockers 重建可行地图）
+     * @param {string[]} edgeKeys - getSnapshot 的返回结果
+     * @returns {number} 恢复的路障数量
+     */
+    restoreSnapshot(edgeKeys) {
+        this.clearAll();
+        
+        for (const edgeKey of edgeKeys) {
+            const edgeObj = this.gameState ? this.gameState.edges.get(edgeKey) : null;
+            if (!edgeObj) {
+                console.warn(`⚠️ 存档中的边不存在: ${edgeKey}`);
+                continue;
+            }
+            this.addBlocker(edgeKey, edgeObj, this.gameState, false);
+        }
+        
+        this.triggerUIUpdate();
+        return this.blockers.size;
+    }
+    
     /**
      * 清空所有路障
      */
@@ -777,7 +1072,7 @@ export class BlockerService {
             // 启动飞跳动画（在移除之前）
             if (this.blockers.has(oldBlocker)) {
                 const blocker = this.blockers.get(oldBlocker);
-                if (gameState && gameState.scaledPositions) {
+                if (!this.headless && gameState && gameState.scaledPositions) {
                     const newEdgeInfo = blocker.parseEdgeKey(newEdgeId);
                     if (newEdgeInfo && newEdgeInfo.length === 2) {
                         const fromPos = gameState.scaledPositions.get(newEdgeInfo[0]);
@@ -790,11 +1085,20 @@ export class BlockerService {
                 
                 blocker.setBlocked(false); // 通知边状态变化
                 
+                if (this.replayRecorder) {
+                    this.replayRecorder.record('recycle', oldBlocker);
+                }
+                if (this.roundStats) {
+                    this.roundStats.recordRecycle(oldBlocker);
+                }
+                
                 // 🔧 修复：通知Bunny路障被移除
                 this.emitBlockerUpdateEvent(oldBlocker, 'removed', null);
                 
                 blocker.destroy(); // 清理异步资源
                 this.blockers.delete(oldBlocker);
+                gameEventBus.emit(GAME_EVENTS.BLOCKER_REMOVED,
+                    EventFactory.createBlockerRemovedEvent(oldBlocker, 'recycled', this.blockers.size));
             }
             
             // console.log(`🔄 回收旧路障并启动飞跳动画: ${oldBlocker} -> ${newEdgeId}, 当前路障数量: ${this.blockerQueue.length}`);
@@ -805,6 +1109,11 @@ export class BlockerService {
      * 更新路障闪烁效果
      */
     updateBlockerBlinkEffect() {
+        // 无头模式下不需要闪烁定时器
+        if (this.headless) {
+            return;
+        }
+        
         // 缓存当前状态，避免频繁重复设置
         const shouldBlink = this.blockerQueue.length >= this.maxBlockers && this.blockerQueue.length > 0;
         const currentLastBlocker = shouldBlink ? this.blockerQueue[0] : null;
@@ -828,10 +1137,22 @@ export class BlockerService {
     }
     
     /**
-     * 检查兔子是否正在经过指定边
+     * 检查是否有兔子正在经过指定边
      */
     isBunnyOnEdge(edgeId) {
-        if (!this.bunny || !this.bunny.path || this.bunny.path.length === 0) {
+        return this.bunnies.some(bunny => this.isSpriteOnEdge(bunny, edgeId));
+    }
+    
+    /**
+     * 检查指定兔子是否正在经过指定边
+     */
+    isSpriteOnEdge(bunny, edgeId) {
+        if (!bunny || !bunny.path || bunny.path.length === 0) {
+            return false;
+        }
+        
+        // 回合制下等待的兔子停在节点上，不在任何边上
+        if (bunny.isWaitingForTurn && bunny.isWaitingForTurn()) {
             return false;
         }
         
@@ -844,16 +1165,16 @@ export class BlockerService {
         const [fromNode, toNode] = edgeInfo;
         
         // 检查兔子当前路径中是否包含这条边
-        for (let i = 0; i < this.bunny.path.length - 1; i++) {
-            const pathFrom = this.bunny.path[i];
-            const pathTo = this.bunny.path[i + 1];
+        for (let i = 0; i < bunny.path.length - 1; i++) {
+            const pathFrom = bunny.path[i];
+            const pathTo = bunny.path[i + 1];
             
             // 检查是否是同一条边（考虑双向）
             if ((pathFrom === fromNode && pathTo === toNode) ||
                 (pathFrom === toNode && pathTo === fromNode)) {
                 
                 // 检查兔子是否正在这条边上移动
-                if (i === this.bunny.pathIndex) {
+                if (i === bunny.pathIndex) {
                     // console.log(`🚫 兔子正在经过边 ${edgeId}，不允许放置路障`);
                     return true;
                 }
@@ -995,6 +1316,7 @@ export class BlockerService {
         this.gameState = null;
         this.stateTransitionService = null;
         this.bunny = null;
+        this.bunnies = [];
         this.gameController = null;
         
         // console.log('✅ BlockerService: 销毁完成');
@@ -8,9 +8,16 @@ import { gameEventBus } from '../core/GameEventBus.js';
 import { GAME_EVENTS } from '../core/GameEvents.js';
 import { PathPlanningModule } from './PathPlanningModule.js';
 import { AnimationManager } from './AnimationManager.js';
+import { bunnyStrategyRegistry, DEFAULT_STRATEGY } from './BunnyStrategies.js';
+import { getTerrainType, getEdgeTerrain } from './TerrainTypes.js';
 
 export class Bunny {
-    constructor(startNode, startPosition, gameState, animation = null) {
+    /**
+     * @param {string} spriteId - 精灵标识（多兔子地图中第一只为 'bunny'，之后为 'bunny-2'、'bunny-3'...）
+     */
+    constructor(startNode, startPosition, gameState, animation = null, spriteId = 'bunny') {
+        this.spriteId = spriteId;
+        
         // 初始化渲染相关属性（仿照AnimatedSprite）
         this.position = { x: startPosition[0], y: startPosition[1] };
         this.animation = animation;
@@ -26,13 +33,15 @@ export class Bunny {
         if (this.animation && this.animation.frames.length > 0) {
             this.currentImage = this.animation.frames[0];
             // console.log(`🎬 兔子动画初始化: 帧数${this.animation.frames.length}, 帧持续时间${this.animation.duration}ms`);
-        } else {
+        } else if (this.animation) {
+            // animation 为 null 时为无头模式（如 Simulation），不需要警告
             console.warn('⚠️ 兔子动画数据无效:', this.animation);
         }
         
         // 基本属性
         this.state = 'IDLE'; // IDLE, MOVING, ESCAPED, TRAPPED
         this.hasEscaped = false;
+        this.captured = false; // 落入封死的陷阱，本回合不再移动
         this.gameOver = false;
         
         // 移动相关
@@ -41,10 +50,24 @@ export class Bunny {
         this.pathIndex = 0;
         this.currentNode = startNode;
         this.nextNode = null; // 兔子当前所在边的另一个节点
-
+        this.visitedNodes = [startNode]; // 路障上次变化以来经过的节点（专家策略用来识别兜圈子）
+        
+        // 回合制：玩家每走一步兔子获得一次跳跃，用完后停在节点上等待
+        this.turnBased = false;
+        this.hopsRemaining = 0;
+        
         // 帧率平滑相关
         this.maxDeltaTime = 1/30; // 限制最大deltaTime为30fps，防止跳跃
         
+        // 寻路策略（兔子性格），可通过 setStrategy 切换
+        this.strategy = bunnyStrategyRegistry.get(DEFAULT_STRATEGY);
+        this.strategyName = this.strategy.id;
+        this.random = Math.random;
+        this.strategyOptions = {}; // 策略参数（如专家策略的搜索深度和时间预算）
+        
+        // 回调函数：局面变化后重新寻路（回合统计用）
+        this.onReplan = null;
+        
         // 游戏状态引用
         this.gameState = gameState;
         
@@ -61,20 +84,28 @@ export class Bunny {
         // this.smartReroute(); // 移除，等游戏开始后再调用
         
         // 初始化事件系统（保守迁移：保持原有逻辑不变）
+        this.eventListenerIds = [];
         this.setupPathCalculationEvents();
         
         // 初始化独立路径规划模块（保守迁移：保持原有逻辑不变）
-        this.pathPlanningModule = new PathPlanningModule('bunny', gameState);
+        this.pathPlanningModule = new PathPlanningModule(spriteId, gameState);
         this.pathPlanningModule.setCurrentNode(startNode);
         
         // 初始化独立动画管理器（保守迁移：保持原有逻辑不变）
-        this.animationManager = new AnimationManager('bunny', this);
+        this.animationManager = new AnimationManager(spriteId, this);
         if (animation) {
             this.animationManager.addAnimation('default', animation);
         }
         
     }
     
+    /**
+     * 第 index 只兔子的精灵标识（从0开始）
+     */
+    static getSpriteId(index) {
+        return index === 0 ? 'bunny' : `bunny-${index + 1}`;
+    }
+    
     /**
      * 开始游戏 - 在游戏从INITIAL转换到RUNNING时调用
      */
@@ -91,11 +122,91 @@ export class Bunny {
         }
         
         // 初始化独立动画管理器（保守迁移：保持原有逻辑不变）
-        if (this.animationManager) {
+        if (this.animationManager && this.animation) {
             this.animationManager.playAnimation('default', true);
         }
     }
     
+    /**
+     * 设置回合制移动（见 TurnService）
+     */
+    setTurnBased(enabled) {
+        this.turnBased = enabled;
+        this.hopsRemaining = 0;
+    }
+    
+    /**
+     * 回合制：获得一次跳跃，沿当前路径前进一个节点
+     */
+    grantHop() {
+        if (!this.turnBased || this.hasEscaped || this.state === 'TRAPPED') {
+            return;
+        }
+        
+        this.hopsRemaining++;
+        if (this.nextNode === null) {
+            this.updateNextNode();
+        }
+    }
+    
+    /**
+     * 回合制：是否正在跳向下一个节点
+     */
+    isHopping() {
+        return this.turnBased && this.hopsRemaining > 0 && this.nextNode !== null &&
+            !this.hasEscaped && this.state !== 'TRAPPED';
+    }
+    
+    /**
+     * 回合制：是否停在节点上等待玩家的下一步
+     */
+    isWaitingForTurn() {
+        return this.turnBased && this.hopsRemaining <= 0;
+    }
+    
+    /**
+     * 获取兔子的存档快照（见 SaveGameService）
+     */
+    getSnapshot() {
+        return {
+            currentNode: this.currentNode,
+            position: { x: this.position.x, y: this.position.y },
+            path: this.path ? [...this.path] : null,
+            pathIndex: this.pathIndex,
+            visitedNodes: [...this.visitedNodes],
+            state: this.state,
+            captured: this.captured,
+            hopsRemaining: this.hopsRemaining
+        };
+    }
+    
+    /**
+     * 从存档快照恢复兔子（路障应已恢复到 gameState.blockers）
+     */
+    restoreSnapshot(snapshot) {
+        this.currentNode = snapshot.currentNode;
+        this.position = { x: snapshot.position.x, y: snapshot.position.y };
+        this.path = snapshot.path ? [...snapshot.path] : [];
+        this.pathIndex = snapshot.pathIndex;
+        this.state = snapshot.state || 'IDLE';
+        this.hasEscaped = this.state === 'ESCAPED';
+        this.captured = !!snapshot.captured;
+        this.hopsRemaining = this.turnBased ? (snapshot.hopsRemaining || 0) : 0;
+        this.updateNextNode();
+        
+        // 按已放置的路障重建兔子的可行地图
+        this.initializeBunnyMap();
+        for (const edgeKey of this.gameState.blockers ? this.gameState.blockers.keys() : []) {
+            this.updateBunnyBlocker(edgeKey, true);
+        }
+        this.visitedNodes = snapshot.visitedNodes ? [...snapshot.visitedNodes] : [this.currentNode];
+        
+        if (this.pathPlanningModule) {
+            this.pathPlanningModule.initializeMap();
+            this.pathPlanningModule.setCurrentNode(this.currentNode);
+        }
+    }
+    
     /**
      * 同步更新nextNode - 根据当前路径索引更新下一个节点
      */
@@ -200,8 +311,10 @@ export class Bunny {
             return;
         }
         
-        // 复制全局地图到兔子的动态地图
-        this.bunnyAdjacencyList = new Map(this.gameState.adjacencyList);
+        // 复制全局地图到兔子的动态地图（邻居数组也复制，多只兔子各自维护可行地图）
+        this.bunnyAdjacencyList = new Map(
+            Array.from(this.gameState.adjacencyList, ([node, neighbors]) => [node, [...neighbors]])
+        );
         this.bunnyScaledPositions = new Map(this.gameState.scaledPositions);
         this.bunnyHoles = new Set(this.gameState.holes);
         this.bunnyBlockers = new Set(this.gameState.blockers ? this.gameState.blockers.keys() : []);
@@ -223,10 +336,11 @@ export class Bunny {
         // 更新兔子的路障信息
         this.updateBunnyBlocker(edgeKey, action === 'added');
         
-        // 检查是否需要重新寻路
+        // 检查是否需要重新寻路；被困的兔子在路障回收后重新寻找出路（多兔子地图中回合仍在继续）
         const needRepath = this.checkNeedRepath(edgeKey);
-        if (needRepath) {
-            this.smartReroute();
+        const freed = this.state === 'TRAPPED' && !this.captured && action !== 'added';
+        if (needRepath || freed) {
+            this.replan();
         }
         
         // 保守迁移：同步独立路径规划模块（保持兼容性）
@@ -264,6 +378,9 @@ export class Bunny {
         const from = `(${match[1]}, ${match[2]})`;
         const to = `(${match[3]}, ${match[4]})`;
         
+        // 地图变化后重新走到经过的节点是改道，不算兜圈子
+        this.visitedNodes = [this.currentNode];
+        
         // 🔍 调试4：检查路障更新前后的位置数据
         const fromPosBefore = this.bunnyScaledPositions.get(from);
         const toPosBefore = this.bunnyScaledPositions.get(to);
@@ -412,6 +529,24 @@ export class Bunny {
         return false;
     }
     
+    /**
+     * 设置重新寻路回调，回调参数为兔子本身
+     */
+    setOnReplan(callback) {
+        this.onReplan = callback;
+    }
+    
+    /**
+     * 局面变化后重新寻路并触发回调（开局和从暂停恢复时的寻路不算）
+     */
+    replan() {
+        const result = this.smartReroute();
+        if (this.onReplan) {
+            this.onReplan(this);
+        }
+        return result;
+    }
+    
     /**
      * 智能重新寻路
      */
@@ -446,7 +581,7 @@ export class Bunny {
         // console.log(`   - 路障数量: ${this.bunnyBlockers.size}`);
         // console.log(`   - 起始节点的邻居:`, this.bunnyAdjacencyList.get(this.currentNode) || []);
         
-        const newPath = this.astar(this.currentNode, this.bunnyHoles, this.bunnyAdjacencyList, this.bunnyBlockers);
+        const newPath = this.findEscapePath(this.currentNode, this.bunnyHoles, this.bunnyAdjacencyList, this.bunnyBlockers);
         // console.log(`🔍 smartReroute: A*寻路结果=`, newPath);
         
         // 🔍 详细验证路径的相邻性
@@ -513,7 +648,8 @@ export class Bunny {
                 // console.log(`   新路径: [${this.path.join(' -> ')}]`);
                 
                 // 检查nextNode是否为null，避免插入null值
-                if (this.nextNode !== null) {
+                // 回合制下等待的兔子停在当前节点上，还没有走上通往nextNode的边，不需要掉头
+                if (this.nextNode !== null && !this.isWaitingForTurn()) {
                     // 执行掉头：把当前目标插入路径开头
                     this.path.unshift(this.nextNode);
                     // console.log(`   掉头后路径: [${this.path.join(' -> ')}]`);
@@ -560,125 +696,74 @@ export class Bunny {
     }
     
     /**
-     * A*寻路算法
+     * 设置寻路策略（兔子性格）
+     * @param {string} strategyName - 策略名称，见 BunnyStrategies
      */
-    astar(start, goals, adjacencyList, blockers) {
-        if (!start || !goals || goals.size === 0) return null;
+    setStrategy(strategyName) {
+        this.strategy = bunnyStrategyRegistry.get(strategyName);
+        this.strategyName = this.strategy.id;
         
-        // console.log(`🔍 A*寻路开始: 起始节点=${start}, 目标数量=${goals.size}`);
-        
-        const openSet = [start];
-        const cameFrom = new Map();
-        const gScore = new Map();
-        const fScore = new Map();
-        
-        gScore.set(start, 0);
-        fScore.set(start, this.heuristic(start, goals));
-        
-        // console.log(`🔍 A*初始化: 起始节点=${start}, gScore=${gScore.get(start)}, fScore=${fScore.get(start)}`);
-        
-        while (openSet.length > 0) {
-            // 找到fScore最小的节点
-            let current = openSet[0];
-            let currentIndex = 0;
-            for (let i = 1; i < openSet.length; i++) {
-                if (fScore.get(openSet[i]) < fScore.get(current)) {
-                    current = openSet[i];
-                    currentIndex = i;
-                }
-            }
-            
-            openSet.splice(currentIndex, 1);
-            
-            // 检查是否到达目标
-            if (goals.has(current)) {
-                // console.log(`🔍 A*找到目标: ${current}, cameFrom大小=${cameFrom.size}`);
-                // console.log(`🔍 cameFrom内容:`, Array.from(cameFrom.entries()));
-                const path = this.reconstructPath(cameFrom, current);
-                // console.log(`🔍 A*重构路径:`, path);
-                return path;
-            }
-            
-            // 检查邻居节点
-            const neighbors = adjacencyList.get(current) || [];
-            for (const neighbor of neighbors) {
-                // 检查边是否被阻塞
-                if (this.isEdgeBlocked(current, neighbor, blockers)) {
-                    // console.log(`🚫 A*跳过被阻塞的边: ${current} -> ${neighbor}`);
-                    continue;
-                }
-                
-                const tentativeGScore = gScore.get(current) + 1;
-                
-                if (!gScore.has(neighbor) || tentativeGScore < gScore.get(neighbor)) {
-                    cameFrom.set(neighbor, current);
-                    gScore.set(neighbor, tentativeGScore);
-                    fScore.set(neighbor, tentativeGScore + this.heuristic(neighbor, goals));
-                    
-                    if (!openSet.includes(neighbor)) {
-                        openSet.push(neighbor);
-                    }
-                }
-            }
+        // 同步独立路径规划模块
+        if (this.pathPlanningModule) {
+            this.pathPlanningModule.setStrategy(this.strategyName);
         }
-        
-        return null;
     }
     
     /**
-     * 启发式函数（曼哈顿距离）
+     * 设置随机数函数（随机类策略使用，传入种子随机数以便复现）
      */
-    heuristic(node, goals) {
-        let minDistance = Infinity;
-        for (const goal of goals) {
-            const distance = this.manhattanDistance(node, goal);
-            minDistance = Math.min(minDistance, distance);
+    setRandom(random) {
+        this.random = random;
+        if (this.pathPlanningModule) {
+            this.pathPlanningModule.random = random;
         }
-        return minDistance;
     }
     
     /**
-     * 曼哈顿距离
+     * 设置策略参数（如专家策略的 searchDepth、timeBudgetMs、nodeBudget）
      */
-    manhattanDistance(node1, node2) {
-        const match1 = node1.match(/\((-?\d+),\s*(-?\d+)\)/);
-        const match2 = node2.match(/\((-?\d+),\s*(-?\d+)\)/);
-        
-        if (match1 && match2) {
-            const x1 = parseInt(match1[1]);
-            const y1 = parseInt(match1[2]);
-            const x2 = parseInt(match2[1]);
-            const y2 = parseInt(match2[2]);
-            return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+    setStrategyOptions(options) {
+        this.strategyOptions = { ...options };
+        if (this.pathPlanningModule) {
+            this.pathPlanningModule.strategyOptions = this.strategyOptions;
         }
-        
-        return 0;
     }
     
     /**
-     * 重构路径
+     * 使用当前策略计算逃脱路径
      */
-    reconstructPath(cameFrom, current) {
-        // console.log(`🔍 reconstructPath开始: 目标节点=${current}, cameFrom大小=${cameFrom.size}`);
-        // console.log(`🔍 cameFrom内容:`, Array.from(cameFrom.entries()));
-        
-        const path = [current];
-        let step = 0;
-        while (cameFrom.has(current)) {
-            current = cameFrom.get(current);
-            path.unshift(current);
-            step++;
-            // console.log(`🔍 重构步骤${step}: 添加节点=${current}, 当前路径=`, path);
-            
-            // 防止无限循环
-            if (step > 100) {
-                console.error(`❌ reconstructPath无限循环检测！步骤数=${step}`);
-                break;
-            }
-        }
-        
-        // console.log(`🔍 reconstructPath完成: 最终路径=`, path);
-        return path;
+    findEscapePath(start, goals, adjacencyList, blockers) {
+        return this.strategy.findPath(start, goals, adjacencyList, blockers, this.getStrategyContext());
+    }
+    
+    /**
+     * 构建策略上下文：随机数、策略参数、玩家的路障信息以及路障上次变化以来兔子经过的节点
+     * gameState.blockers 按放置顺序保存，即FIFO回收顺序（最老的在前）
+     */
+    getStrategyContext() {
+        const blockerMap = this.gameState ? this.gameState.blockers : null;
+        return {
+            random: this.random,
+            options: this.strategyOptions,
+            maxBlockers: this.gameState ? this.gameState.maxBlockers : undefined,
+            blockerQueue: blockerMap ? Array.from(blockerMap.keys()) : [],
+            visitedNodes: this.visitedNodes,
+            edgeCost: (from, to) => this.getTerrain(from, to).cost
+        };
+    }
+    
+    /**
+     * 获取两个节点之间的边的地形定义（见 TerrainTypes）
+     */
+    getTerrain(from, to) {
+        return getTerrainType(getEdgeTerrain(this.gameState ? this.gameState.edges : null, from, to));
+    }
+    
+    /**
+     * A*寻路算法（保留接口，委托给A*策略）
+     */
+    astar(start, goals, adjacencyList, blockers) {
+        return bunnyStrategyRegistry.get('astar').findPath(start, goals, adjacencyList, blockers, this.getStrategyContext());
     }
     
     /**
@@ -730,6 +815,11 @@ export class Bunny {
             return { status: 0, reachedNode: null };
         }
         
+        // 回合制：没有剩余跳跃时停在节点上等待玩家
+        if (this.isWaitingForTurn()) {
+            return { status: 0, reachedNode: null };
+        }
+        
         // 连续移动逻辑
         if (this.path && this.pathIndex < this.path.length) {
             if (this.pathIndex < this.path.length - 1) {
@@ -746,7 +836,8 @@ export class Bunny {
                     
                     // 限制deltaTime防止帧率不稳定导致的跳跃
                     const clampedDt = Math.min(dt, this.maxDeltaTime);
-                    const step = this.speed * clampedDt;
+                    // 当前所在边的地形改变移动速度
+                    const step = this.speed * this.getTerrain(this.currentNode, this.nextNode).speedMultiplier * clampedDt;
                     
                     // 运动控制
                     if (distance <= step) {
@@ -778,6 +869,7 @@ export class Bunny {
                             // 更新路径索引和当前节点
                             this.pathIndex++;
                             this.currentNode = this.path[this.pathIndex];
+                            this.visitedNodes.push(this.currentNode);
                             this.updateNextNode();
                             
                             // 检查是否到达洞口
@@ -787,6 +879,17 @@ export class Bunny {
                                 return { status: 2, reachedNode: this.currentNode };
                             }
                             
+                            // 回合制：这一跳结束，停在节点上等待玩家
+                            if (this.turnBased) {
+                                this.hopsRemaining--;
+                            }
+                            
+                            // 前瞻类策略在每个节点重新决策（兔子正停在节点上，不需要掉头）
+                            if (this.strategy.replanOnArrival) {
+                                this.nextNode = null;
+                                this.replan();
+                            }
+                            
                             return { status: 2, reachedNode: this.currentNode };
                         }
                     }
@@ -836,11 +939,14 @@ export class Bunny {
         this.position = { x: startPosition[0], y: startPosition[1] };
         this.state = 'IDLE';
         this.hasEscaped = false;
+        this.captured = false;
         this.gameOver = false;
         this.path = [];
         this.pathIndex = 0;
         this.currentNode = startNode;
         this.nextNode = null; // 重置nextNode
+        this.visitedNodes = [startNode];
+        this.hopsRemaining = 0;
         
         // 重新初始化动态地图
         this.initializeBunnyMap();
@@ -859,24 +965,45 @@ export class Bunny {
         // console.log('🐰 兔子状态已重置');
     }
     
+    /**
+     * 销毁兔子，移除事件监听器（批量模拟时避免监听器累积）
+     */
+    destroy() {
+        for (const [event, listenerId] of this.eventListenerIds) {
+            gameEventBus.off(event, listenerId);
+        }
+        this.eventListenerIds = [];
+        
+        if (this.pathPlanningModule) {
+            this.pathPlanningModule.destroy();
+        }
+        if (this.animationManager) {
+            this.animationManager.destroy();
+        }
+        
+        this.gameState = null;
+    }
+    
     /**
      * 设置路径计算事件系统（保守迁移：保持原有逻辑不变）
      * 为多精灵框架做准备，但暂时不改变现有行为
      */
     setupPathCalculationEvents() {
         // 监听路径计算请求事件（为未来多精灵协调做准备）
-        gameEventBus.on(GAME_EVENTS.PATH_CALCULATION_REQUESTED, (data) => {
+        const requestListenerId = gameEventBus.on(GAME_EVENTS.PATH_CALCULATION_REQUESTED, (data) => {
             console.log('🎯 Bunny: 收到路径计算请求事件', data);
             // 保守迁移：暂时只记录，不改变现有逻辑
             this.lastPathCalculationRequest = data;
         });
+        this.eventListenerIds.push([GAME_EVENTS.PATH_CALCULATION_REQUESTED, requestListenerId]);
         
         // 监听路径更新需求事件（为未来智能路径更新做准备）
-        gameEventBus.on(GAME_EVENTS.PATH_NEEDS_UPDATE, (data) => {
+        const updateListenerId = gameEventBus.on(GAME_EVENTS.PATH_NEEDS_UPDATE, (data) => {
             console.log('🎯 Bunny: 收到路径更新需求事件', data);
             // 保守迁移：暂时只记录，不改变现有逻辑
             this.lastPathUpdateRequest = data;
         });
+        this.eventListenerIds.push([GAME_EVENTS.PATH_NEEDS_UPDATE, updateListenerId]);
         
         console.log('✅ Bunny: 路径计算事件系统设置完成（保守迁移模式）');
     }
@@ -0,0 +1,673 @@
+/**
+ * 兔子AI策略注册表 - 可插拔的寻路"大脑"（兔子性格）
+ * 每个策略实现 findPath(start, goals, adjacencyList, blockers, context)，
+ * 返回从 start 到某个洞口的节点路径（含首尾），无法到达时返回 null
+ *
+ * context: { random } - 随机数函数（默认 Math.random，游戏中使用种子随机数以便复现）
+ *          { edgeCost } - (from, to) => 边的寻路代价（地形，见 TerrainTypes），缺省时每条边为1
+ *          { options, maxBlockers, blockerQueue, visitedNodes } - 策略参数、玩家路障信息及路障上次变化以来兔子经过的节点（专家策略使用）
+ */
+
+import { MIN_TERRAIN_COST } from './TerrainTypes.js';
+
+export const DEFAULT_STRATEGY = 'astar';
+
+// ===== 通用图工具 =====
+
+/**
+ * 解析节点坐标 "(x, y)" -> [x, y]
+ */
+function parseNode(node) {
+    const match = node.match(/\((-?\d+),\s*(-?\d+)\)/);
+    return match ? [parseInt(match[1]), parseInt(match[2])] : null;
+}
+
+/**
+ * 曼哈顿距离
+ */
+function manhattanDistance(node1, node2) {
+    const a = parseNode(node1);
+    const b = parseNode(node2);
+    if (!a || !b) return 0;
+    return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]);
+}
+
+/**
+ * 到最近目标的曼哈顿距离
+ */
+function nearestGoalDistance(node, goals) {
+    let minDistance = Infinity;
+    for (const goal of goals) {
+        minDistance = Math.min(minDistance, manhattanDistance(node, goal));
+    }
+    return minDistance;
+}
+
+/**
+ * 检查边是否被阻塞（两个方向的边键均检查）
+ */
+function isEdgeBlocked(from, to, blockers) {
+    if (!blockers || blockers.size === 0) return false;
+    return blockers.has(`(${from}, ${to})`) || blockers.has(`(${to}, ${from})`);
+}
+
+/**
+ * 获取未被阻塞的邻居
+ */
+function getOpenNeighbors(node, adjacencyList, blockers) {
+    const neighbors = adjacencyList.get(node) || [];
+    return neighbors.filter(neighbor => !isEdgeBlocked(node, neighbor, blockers));
+}
+
+/**
+ * 边的寻路代价（由 context.edgeCost 提供地形代价）
+ */
+function getEdgeCost(from, to, context) {
+    return context && context.edgeCost ? context.edgeCost(from, to) : 1;
+}
+
+/**
+ * 根据前驱表重构路径
+ */
+function reconstructPath(cameFrom, current) {
+    const path = [current];
+    while (cameFrom.has(current)) {
+        current = cameFrom.get(current);
+        path.unshift(current);
+    }
+    return path;
+}
+
+/**
+ * BFS最短路径（边数最少），target 可以是节点集合
+ */
+function bfsPath(start, goals, adjacencyList, blockers) {
+    if (!start || !goals || goals.size === 0) return null;
+    if (goals.has(start)) return [start];
+    
+    const queue = [start];
+    const visited = new Set([start]);
+    const cameFrom = new Map();
+    
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const neighbor of getOpenNeighbors(current, adjacencyList, blockers)) {
+            if (visited.has(neighbor)) continue;
+            visited.add(neighbor);
+            cameFrom.set(neighbor, current);
+            
+            if (goals.has(neighbor)) {
+                return reconstructPath(cameFrom, neighbor);
+            }
+            queue.push(neighbor);
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * 计算 start 到目标节点集合的边不相交路径数量（单位容量最大流）
+ * 与洞口相连的边不能放置路障，视为无限容量
+ */
+function countEdgeDisjointPaths(start, targets, adjacencyList, blockers, holes) {
+    const residual = new Map(); // "from|to" -> 剩余容量
+    const capacityKey = (from, to) => `${from}|${to}`;
+    const getCapacity = (from, to) => {
+        const key = capacityKey(from, to);
+        if (!residual.has(key)) {
+            residual.set(key, holes.has(from) || holes.has(to) ? Infinity : 1);
+        }
+        return residual.get(key);
+    };
+    
+    let flow = 0;
+    while (true) {
+        // BFS寻找增广路径
+        const cameFrom = new Map();
+        const visited = new Set([start]);
+        const queue = [start];
+        let reached = null;
+        while (queue.length > 0 && !reached) {
+            const current = queue.shift();
+            for (const neighbor of getOpenNeighbors(current, adjacencyList, blockers)) {
+                if (visited.has(neighbor) || getCapacity(current, neighbor) <= 0) continue;
+                visited.add(neighbor);
+                cameFrom.set(neighbor, current);
+                if (targets.has(neighbor)) {
+                    reached = neighbor;
+                    break;
+                }
+                queue.push(neighbor);
+            }
+        }
+        
+        if (!reached) {
+            return flow;
+        }
+        
+        // 计算瓶颈容量并更新残量
+        const path = reconstructPath(cameFrom, reached);
+        let bottleneck = Infinity;
+        for (let i = 0; i < path.length - 1; i++) {
+            bottleneck = Math.min(bottleneck, getCapacity(path[i], path[i + 1]));
+        }
+        if (bottleneck === Infinity) {
+            // 整条路径都无法阻挡（起点紧邻洞口）
+            return Infinity;
+        }
+        for (let i = 0; i < path.length - 1; i++) {
+            residual.set(capacityKey(path[i], path[i + 1]), getCapacity(path[i], path[i + 1]) - bottleneck);
+            residual.set(capacityKey(path[i + 1], path[i]), getCapacity(path[i + 1], path[i]) + bottleneck);
+        }
+        flow += bottleneck;
+    }
+}
+
+// ===== 内置策略 =====
+
+/**
+ * A*（原有逻辑）：边代价按地形计算，曼哈顿距离（乘以最小地形代价）启发
+ */
+const astarStrategy = {
+    id: 'astar',
+    label: 'Classic (A*)',
+    description: 'Always takes the shortest route to the nearest hole',
+    findPath(start, goals, adjacencyList, blockers, context = {}) {
+        if (!start || !goals || goals.size === 0) return null;
+        
+        const heuristic = (node) => nearestGoalDistance(node, goals) * MIN_TERRAIN_COST;
+        
+        const openSet = [start];
+        const cameFrom = new Map();
+        const gScore = new Map();
+        const fScore = new Map();
+        
+        gScore.set(start, 0);
+        fScore.set(start, heuristic(start));
+        
+        while (openSet.length > 0) {
+            // 找到fScore最小的节点
+            let current = openSet[0];
+            let currentIndex = 0;
+            for (let i = 1; i < openSet.length; i++) {
+                if (fScore.get(openSet[i]) < fScore.get(current)) {
+                    current = openSet[i];
+                    currentIndex = i;
+                }
+            }
+            
+            openSet.splice(currentIndex, 1);
+            
+            if (goals.has(current)) {
+                return reconstructPath(cameFrom, current);
+            }
+            
+            for (const neighbor of getOpenNeighbors(current, adjacencyList, blockers)) {
+                const tentativeGScore = gScore.get(current) + getEdgeCost(current, neighbor, context);
+                
+                if (!gScore.has(neighbor) || tentativeGScore < gScore.get(neighbor)) {
+                    cameFrom.set(neighbor, current);
+                    gScore.set(neighbor, tentativeGScore);
+                    fScore.set(neighbor, tentativeGScore + heuristic(neighbor));
+                    
+                    if (!openSet.includes(neighbor)) {
+                        openSet.push(neighbor);
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+};
+
+/**
+ * 广度优先搜索：按层扩展，得到边数最少的路径
+ */
+const bfsStrategy = {
+    id: 'bfs',
+    label: 'Methodical (BFS)',
+    description: 'Explores evenly in every direction and takes the fewest steps',
+    findPath(start, goals, adjacencyList, blockers) {
+        return bfsPath(start, goals, adjacencyList, blockers);
+    }
+};
+
+/**
+ * 贪心最近洞口：锁定直线距离最近的洞口，贪心地朝它前进（不保证最短）
+ */
+const greedyNearestHoleStrategy = {
+    id: 'greedy-nearest-hole',
+    label: 'Greedy',
+    description: 'Rushes straight at the closest-looking hole',
+    findPath(start, goals, adjacencyList, blockers) {
+        if (!start || !goals || goals.size === 0) return null;
+        if (goals.has(start)) return [start];
+        
+        const orderedGoals = Array.from(goals)
+            .sort((a, b) => manhattanDistance(start, a) - manhattanDistance(start, b));
+        
+        for (const goal of orderedGoals) {
+            // 贪心最佳优先搜索：只看到目标的距离
+            const openSet = [start];
+            const visited = new Set([start]);
+            const cameFrom = new Map();
+            
+            while (openSet.length > 0) {
+                let bestIndex = 0;
+                for (let i = 1; i < openSet.length; i++) {
+                    if (manhattanDistance(openSet[i], goal) < manhattanDistance(openSet[bestIndex], goal)) {
+                        bestIndex = i;
+                    }
+                }
+                const current = openSet.splice(bestIndex, 1)[0];
+                
+                if (current === goal) {
+                    return reconstructPath(cameFrom, current);
+                }
+                
+                for (const neighbor of getOpenNeighbors(current, adjacencyList, blockers)) {
+                    if (visited.has(neighbor)) continue;
+                    visited.add(neighbor);
+                    cameFrom.set(neighbor, current);
+                    openSet.push(neighbor);
+                }
+            }
+        }
+        
+        return null;
+    }
+};
+
+/**
+ * 随机游走：随机顺序深度优先，走出一条曲折但可达洞口的简单路径
+ */
+const randomWalkStrategy = {
+    id: 'random-walk',
+    label: 'Wanderer (Random Walk)',
+    description: 'Wanders around unpredictably until it stumbles on a hole',
+    findPath(start, goals, adjacencyList, blockers, context = {}) {
+        if (!start || !goals || goals.size === 0) return null;
+        
+        const random = context.random || Math.random;
+        const shuffledNeighbors = (node) => {
+            const neighbors = getOpenNeighbors(node, adjacencyList, blockers);
+            for (let i = neighbors.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [neighbors[i], neighbors[j]] = [neighbors[j], neighbors[i]];
+            }
+            return neighbors;
+        };
+        
+        const visited = new Set([start]);
+        const stack = [{ node: start, neighbors: shuffledNeighbors(start) }];
+        
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            if (goals.has(top.node)) {
+                return stack.map(entry => entry.node);
+            }
+            
+            const next = top.neighbors.pop();
+            if (next === undefined) {
+                stack.pop();
+                continue;
+            }
+            if (visited.has(next)) continue;
+            
+            visited.add(next);
+            stack.push({ node: next, neighbors: shuffledNeighbors(next) });
+        }
+        
+        return null;
+    }
+};
+
+/**
+ * 最安全洞口：选择边不相交路线最多的洞口（最难被路障封死），同等时选最近的
+ */
+const safestHoleStrategy = {
+    id: 'safest-hole',
+    label: 'Cautious (Safest Hole)',
+    description: 'Heads for the hole with the most independent escape routes',
+    findPath(start, goals, adjacencyList, blockers) {
+        if (!start || !goals || goals.size === 0) return null;
+        if (goals.has(start)) return [start];
+        
+        let bestPath = null;
+        let bestRoutes = 0;
+        
+        for (const goal of goals) {
+            const path = bfsPath(start, new Set([goal]), adjacencyList, blockers);
+            if (!path) continue;
+            
+            const routes = countEdgeDisjointPaths(start, new Set([goal]), adjacencyList, blockers, goals);
+            if (routes > bestRoutes || (routes === bestRoutes && path.length < bestPath.length)) {
+                bestRoutes = routes;
+                bestPath = path;
+            }
+        }
+        
+        return bestPath;
+    }
+};
+
+/**
+ * 专家（前瞻对抗）：在兔子走法与玩家后续 k 次路障放置之间做 minimax/expectimax 搜索
+ * 模拟玩家的路障上限与FIFO回收，评估时偏好边不相交逃跑路线多的节点；
+ * 使用迭代加深，搜索深度受每次决策的时间预算限制；搜索局面数上限与机器速度无关，
+ * 无头模拟（Simulation）不限时间，只按局面数截断，模拟和回放可复现
+ *
+ * context: { options: {searchDepth, timeBudgetMs, nodeBudget, searchMode, maxPlayerCandidates},
+ *            maxBlockers, blockerQueue（当前路障，按放置顺序，最老的在前），visitedNodes（路障上次变化以来兔子经过的节点） }
+ */
+export const EXPERT_DEFAULTS = {
+    searchDepth: 3,          // 前瞻的玩家放置次数
+    timeBudgetMs: 30,        // 每次决策的时间预算（毫秒），<= 0 表示不限制
+    nodeBudget: 1000,        // 每次决策最多搜索的兔子回合局面数，<= 0 表示不限制
+    searchMode: 'minimax',   // 'minimax'：假设玩家最优；'expectimax'：假设玩家在候选中随机放置
+    maxPlayerCandidates: 8   // 每层考虑的玩家放置候选数量
+};
+
+const WIN_SCORE = 10000;
+const LOSS_SCORE = -10000;
+const ROUTE_WEIGHT = 10;
+const SEARCH_BUDGET_EXCEEDED = Symbol('search-budget-exceeded');
+
+/**
+ * 多源BFS：每个节点到最近目标的步数
+ */
+function distancesToGoals(goals, adjacencyList, blockers) {
+    const distances = new Map();
+    const queue = [];
+    for (const goal of goals) {
+        distances.set(goal, 0);
+        queue.push(goal);
+    }
+    
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const neighbor of getOpenNeighbors(current, adjacencyList, blockers)) {
+            if (distances.has(neighbor)) continue;
+            distances.set(neighbor, distances.get(current) + 1);
+            queue.push(neighbor);
+        }
+    }
+    
+    return distances;
+}
+
+/**
+ * 还原完整邻接表（兔子的邻接表中已移除被阻塞的边，搜索中需要模拟路障回收）
+ */
+function buildFullAdjacency(adjacencyList, blockerQueue) {
+    const fullAdjacency = new Map();
+    for (const [node, neighbors] of adjacencyList) {
+        fullAdjacency.set(node, [...neighbors]);
+    }
+    
+    const link = (from, to) => {
+        if (!fullAdjacency.has(from)) fullAdjacency.set(from, []);
+        const neighbors = fullAdjacency.get(from);
+        if (!neighbors.includes(to)) neighbors.push(to);
+    };
+    for (const edgeKey of blockerQueue) {
+        const edgeNodes = parseEdgeNodes(edgeKey);
+        if (!edgeNodes) continue;
+        link(edgeNodes[0], edgeNodes[1]);
+        link(edgeNodes[1], edgeNodes[0]);
+    }
+    
+    return fullAdjacency;
+}
+
+/**
+ * 解析边键 "((x1, y1), (x2, y2))" -> ["(x1, y1)", "(x2, y2)"]
+ */
+function parseEdgeNodes(edgeKey) {
+    const match = edgeKey.match(/\(\((-?\d+),\s*(-?\d+)\),\s*\((-?\d+),\s*(-?\d+)\)\)/);
+    return match ? [`(${match[1]}, ${match[2]})`, `(${match[3]}, ${match[4]})`] : null;
+}
+
+/**
+ * 放置路障（超出上限时按FIFO回收最老的路障），返回新的路障队列
+ */
+function placeWithRecycling(blockerQueue, edgeKey, maxBlockers) {
+    const nextQueue = [...blockerQueue, edgeKey];
+    while (nextQueue.length > maxBlockers) {
+        nextQueue.shift();
+    }
+    return nextQueue;
+}
+
+const expertStrategy = {
+    id: 'expert',
+    label: 'Expert (Look-ahead)',
+    description: 'Thinks a few blockers ahead and keeps as many escape routes open as possible',
+    replanOnArrival: true, // 每到达一个节点重新决策
+    findPath(start, goals, adjacencyList, blockers, context = {}) {
+        if (!start || !goals || goals.size === 0) return null;
+        if (goals.has(start)) return [start];
+        
+        const options = { ...EXPERT_DEFAULTS, ...(context.options || {}) };
+        const maxBlockers = Math.max(1, context.maxBlockers || 5);
+        const initialQueue = (context.blockerQueue || Array.from(blockers || [])).filter(edgeKey => parseEdgeNodes(edgeKey));
+        const fullAdjacency = buildFullAdjacency(adjacencyList, initialQueue);
+        const isHoleEdge = (from, to) => goals.has(from) || goals.has(to);
+        
+        // 当前局面已无路可逃
+        const currentBlocked = new Set(initialQueue);
+        if (!bfsPath(start, goals, fullAdjacency, currentBlocked)) {
+            return null;
+        }
+        
+        const startTime = performance.now();
+        let deadline = Infinity;
+        let nodeBudget = Infinity;
+        let nodesSearched = 0;
+        const countNode = () => {
+            if (++nodesSearched > nodeBudget || (deadline !== Infinity && performance.now() > deadline)) {
+                throw SEARCH_BUDGET_EXCEEDED;
+            }
+        };
+        
+        /**
+         * 静态评估（兔子视角）：边不相交路线越多、离洞口越近越好
+         * 超过玩家路障上限的路线无法同时被封死，不再加分
+         */
+        const evaluate = (node, blocked) => {
+            const distance = distancesToGoals(goals, fullAdjacency, blocked).get(node);
+            if (distance === undefined) return LOSS_SCORE;
+            
+            const routes = countEdgeDisjointPaths(node, goals, fullAdjacency, blocked, goals);
+            if (routes === Infinity) return WIN_SCORE - distance; // 紧邻洞口，洞口边无法阻挡
+            return Math.min(routes, maxBlockers + 1) * ROUTE_WEIGHT - distance;
+        };
+        
+        /**
+         * 玩家候选放置：兔子到洞口最短路径上的边，按离兔子的远近排序
+         * 不能放在兔子正在经过的边和洞口边上
+         */
+        const playerCandidates = (from, to, blocked) => {
+            const toGoal = distancesToGoals(goals, fullAdjacency, blocked);
+            const fromBunny = distancesToGoals(new Set([to]), fullAdjacency, blocked);
+            const candidates = [];
+            for (const [node, distance] of fromBunny) {
+                const nodeToGoal = toGoal.get(node);
+                if (nodeToGoal === undefined) continue;
+                for (const neighbor of getOpenNeighbors(node, fullAdjacency, blocked)) {
+                    if (toGoal.get(neighbor) !== nodeToGoal - 1) continue;
+                    if (isHoleEdge(node, neighbor)) continue;
+                    if ((node === from && neighbor === to) || (node === to && neighbor === from)) continue;
+                    candidates.push({ edgeKey: `(${node}, ${neighbor})`, distance });
+                }
+            }
+            candidates.sort((a, b) => a.distance - b.distance);
+            return candidates.slice(0, options.maxPlayerCandidates).map(candidate => candidate.edgeKey);
+        };
+        
+        // 兔子回合：选择下一步
+        const bunnyTurn = (node, queue, depth, alpha, beta) => {
+            if (goals.has(node)) return WIN_SCORE + depth; // 越早逃脱越好
+            countNode();
+            const blocked = new Set(queue);
+            if (depth === 0) return evaluate(node, blocked);
+            
+            const moves = getOpenNeighbors(node, fullAdjacency, blocked);
+            if (moves.length === 0) return LOSS_SCORE - depth; // 越晚被困越好
+            
+            let best = -Infinity;
+            for (const move of moves) {
+                best = Math.max(best, playerTurn(node, move, queue, depth, alpha, beta));
+                alpha = Math.max(alpha, best);
+                if (options.searchMode === 'minimax' && alpha >= beta) break;
+            }
+            return best;
+        };
+        
+        // 玩家回合：兔子在 from -> to 的边上时放置一个路障（也可以不放，避免回收掉关键路障）
+        const playerTurn = (from, to, queue, depth, alpha, beta) => {
+            if (goals.has(to)) return WIN_SCORE + depth;
+            
+            const candidates = playerCandidates(from, to, new Set(queue));
+            const outcomes = [null, ...candidates];
+            
+            if (options.searchMode === 'expectimax') {
+                let total = 0;
+                for (const edgeKey of outcomes) {
+                    const nextQueue = edgeKey ? placeWithRecycling(queue, edgeKey, maxBlockers) : queue;
+                    total += bunnyTurn(to, nextQueue, depth - 1, -Infinity, Infinity);
+                }
+                return total / outcomes.length;
+            }
+            
+            let worst = Infinity;
+            for (const edgeKey of outcomes) {
+                const nextQueue = edgeKey ? placeWithRecycling(queue, edgeKey, maxBlockers) : queue;
+                worst = Math.min(worst, bunnyTurn(to, nextQueue, depth - 1, alpha, beta));
+                beta = Math.min(beta, worst);
+                if (alpha >= beta) break;
+            }
+            return worst;
+        };
+        
+        // 根节点：对每个走法打分，同分时选离洞口更近的
+        // 得分最高的走法回到路障变化以来已经过的节点时（兜圈子），改走没有被证明会被困住的、靠近洞口的走法：
+        // 地图没变时有限深度的评估会在几个节点之间互相偏好，每到一个节点重新决策时绕着同一圈走
+        const toGoal = distancesToGoals(goals, fullAdjacency, currentBlocked);
+        const startDistance = toGoal.get(start);
+        const visitedNodes = new Set(context.visitedNodes || []);
+        const searchRoot = (depth) => {
+            let best = null;
+            let bestApproach = null;
+            for (const move of getOpenNeighbors(start, fullAdjacency, currentBlocked)) {
+                const candidate = {
+                    move,
+                    score: playerTurn(start, move, initialQueue, depth, -Infinity, Infinity),
+                    distance: toGoal.has(move) ? toGoal.get(move) : Infinity
+                };
+                const isBetter = (current) => !current || candidate.score > current.score ||
+                    (candidate.score === current.score && candidate.distance < current.distance);
+                if (isBetter(best)) best = candidate;
+                if (candidate.distance < startDistance && isBetter(bestApproach)) bestApproach = candidate;
+            }
+            if (best && visitedNodes.has(best.move) && bestApproach && bestApproach.score > LOSS_SCORE) {
+                return bestApproach.move;
+            }
+            return best ? best.move : null;
+        };
+        
+        // 迭代加深：第一层总是完整搜索，之后超出时间预算或搜索局面数则使用上一层的结果
+        let bestMove = searchRoot(1);
+        deadline = options.timeBudgetMs > 0 ? startTime + options.timeBudgetMs : Infinity;
+        nodeBudget = options.nodeBudget > 0 ? options.nodeBudget : Infinity;
+        for (let depth = 2; depth <= options.searchDepth; depth++) {
+            try {
+                bestMove = searchRoot(depth);
+            } catch (error) {
+                if (error !== SEARCH_BUDGET_EXCEEDED) throw error;
+                break;
+            }
+        }
+        
+        // 先走选定的一步，后续沿当前最短路径（到达下一个节点后会重新决策）
+        const rest = bestMove ? bfsPath(bestMove, goals, fullAdjacency, currentBlocked) : null;
+        if (!rest) {
+            return bfsPath(start, goals, fullAdjacency, currentBlocked);
+        }
+        return [start, ...rest];
+    }
+};
+
+// ===== 注册表 =====
+
+export class BunnyStrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.aliases = new Map();
+    }
+    
+    /**
+     * 注册策略
+     * @param {Object} strategy - {id, label, description, findPath}
+     * @param {string[]} aliases - 别名（如配置文件中的旧名称）
+     */
+    register(strategy, aliases = []) {
+        if (!strategy || !strategy.id || typeof strategy.findPath !== 'function') {
+            console.error('❌ BunnyStrategyRegistry: 无效的策略', strategy);
+            return false;
+        }
+        
+        this.strategies.set(strategy.id, strategy);
+        aliases.forEach(alias => this.aliases.set(alias, strategy.id));
+        return true;
+    }
+    
+    /**
+     * 解析策略名称（支持别名）
+     */
+    resolveName(name) {
+        if (this.strategies.has(name)) return name;
+        if (this.aliases.has(name)) return this.aliases.get(name);
+        return null;
+    }
+    
+    /**
+     * 检查策略是否存在
+     */
+    has(name) {
+        return this.resolveName(name) !== null;
+    }
+    
+    /**
+     * 获取策略，未知名称时回退到默认策略
+     */
+    get(name) {
+        const resolvedName = this.resolveName(name);
+        if (!resolvedName) {
+            console.warn(`⚠️ 未知的兔子策略: ${name}，使用默认策略 ${DEFAULT_STRATEGY}`);
+            return this.strategies.get(DEFAULT_STRATEGY);
+        }
+        return this.strategies.get(resolvedName);
+    }
+    
+    /**
+     * 列出所有策略（供UI使用）
+     */
+    list() {
+        return Array.from(this.strategies.values()).map(({ id, label, description }) => ({ id, label, description }));
+    }
+}
+
+// 全局策略注册表实例
+export const bunnyStrategyRegistry = new BunnyStrategyRegistry();
+
+bunnyStrategyRegistry.register(astarStrategy, ['a*', 'a_star']);
+bunnyStrategyRegistry.register(bfsStrategy);
+bunnyStrategyRegistry.register(greedyNearestHoleStrategy, ['greedy']);
+bunnyStrategyRegistry.register(randomWalkStrategy, ['random']);
+bunnyStrategyRegistry.register(safestHoleStrategy, ['safest']);
+bunnyStrategyRegistry.register(expertStrategy, ['lookahead']);
+
+export default bunnyStrategyRegistry;
@@ -5,6 +5,8 @@
  */
 
 import { createError, handleError, ErrorTypes, ErrorSeverity } from '../utils/ErrorHandler.js';
+import { gameEventBus } from '../core/GameEventBus.js';
+import { GAME_EVENTS } from '../core/GameEvents.js';
 
 export class CountdownService {
     constructor(assetManager = null) {
@@ -76,10 +78,17 @@ export class CountdownService {
         
         console.log('倒计时开始');
         
-        // 触发数字变化回调
+        this.notifyNumberChanged();
+    }
+    
+    /**
+     * 触发数字变化回调并发布倒计时事件（屏幕阅读器播报，见 LiveRegionService）
+     */
+    notifyNumberChanged() {
         if (this.onNumberChanged) {
             this.onNumberChanged(this.currentNumber);
         }
+        gameEventBus.emit(GAME_EVENTS.COUNTDOWN_TICK, { number: this.currentNumber });
     }
     
     /**
@@ -125,10 +134,7 @@ export class CountdownService {
                     alpha: this.config.animation.startAlpha
                 };
                 
-                // 触发数字变化回调
-                if (this.onNumberChanged) {
-                    this.onNumberChanged(this.currentNumber);
-                }
+                this.notifyNumberChanged();
             }
         }
         
@@ -0,0 +1,256 @@
+/**
+ * 手柄服务 - 用 Gamepad API 读取手柄（标准布局），把按键转换为游戏命令
+ *
+ * 十字键和左摇杆移动棋盘光标，按住时重复移动；A 在聚焦的边上放置或回收路障，X / Y 轮换边，
+ * B 返回，Start 开始、暂停或继续，LB / RB 切换地图（命令由 ButtonEventManager.handleGamepadCommand 分发）
+ *
+ * 每帧由 GameLoop 调用 poll()；游戏循环不运行时（开始前、暂停、结束后）手柄连接期间由待机循环轮询
+ * 插拔通过 gamepadconnected / gamepaddisconnected 事件检测，轮询时也会发现已连接的手柄
+ */
+
+// 标准布局的按键编号（见 Gamepad API 的 standard mapping）
+export const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    BACK: 8,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+// 按下时触发的命令
+const BUTTON_COMMANDS = [
+    [GAMEPAD_BUTTONS.A, 'activate'],
+    [GAMEPAD_BUTTONS.B, 'back'],
+    [GAMEPAD_BUTTONS.X, 'nextEdge'],
+    [GAMEPAD_BUTTONS.Y, 'previousEdge'],
+    [GAMEPAD_BUTTONS.LB, 'previousMap'],
+    [GAMEPAD_BUTTONS.RB, 'nextMap'],
+    [GAMEPAD_BUTTONS.START, 'startPause']
+];
+
+// 游戏循环停止轮询超过此时间（毫秒）后由待机循环轮询
+const STANDBY_AFTER_MS = 100;
+
+export class GamepadService {
+    /**
+     * @param {Window|null} target - 监听插拔事件和读取手柄的窗口，默认为 window（没有时手柄不可用）
+     */
+    constructor(target = typeof window !== 'undefined' ? window : null) {
+        this.target = target;
+        
+        // 配置（可由 config.json 的 gamepad 覆盖）
+        this.stickDeadzone = 0.5;    // 摇杆推过此值才算移动
+        this.repeatDelayMs = 350;    // 按住方向后开始重复移动的时间
+        this.repeatIntervalMs = 150; // 重复移动的间隔
+        
+        this.activeIndex = null;      // 正在使用的手柄编号
+        this.activeId = null;         // 正在使用的手柄名称
+        this.pressedButtons = new Set(); // 上次轮询时按下的按键
+        this.heldDirection = null;    // 按住的方向 {key, nextRepeat}
+        this.lastTickTime = -Infinity; // 游戏循环上次轮询的时间
+        this.standbyId = null;
+        
+        // 回调函数
+        this.onCommand = null;          // (command, value) - command 见 BUTTON_COMMANDS，方向为 ('move', [dx, dy])
+        this.onConnectionChanged = null; // (gamepad|null) - 正在使用的手柄变化
+        
+        this.handleConnected = (event) => this.connect(event.gamepad);
+        this.handleDisconnected = (event) => this.disconnect(event.gamepad);
+        if (this.target) {
+            this.target.addEventListener('gamepadconnected', this.handleConnected);
+            this.target.addEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+    }
+    
+    /**
+     * 从参数管理器读取手柄配置
+     */
+    configure(parameterManager) {
+        if (!parameterManager) return;
+        
+        const options = parameterManager.getGamepadOptions();
+        this.stickDeadzone = options.stickDeadzone;
+        this.repeatDelayMs = options.repeatDelayMs;
+        this.repeatIntervalMs = options.repeatIntervalMs;
+    }
+    
+    setOnCommand(callback) {
+        this.onCommand = callback;
+    }
+    
+    setOnConnectionChanged(callback) {
+        this.onConnectionChanged = callback;
+    }
+    
+    /**
+     * 正在使用的手柄，没有时为 null
+     */
+    getActiveGamepad() {
+        return this.activeIndex === null ? null : this.getGamepads()[this.activeIndex] || null;
+    }
+    
+    getGamepads() {
+        const navigator = this.target ? this.target.navigator : null;
+        return navigator && navigator.getGamepads ? [...navigator.getGamepads()] : [];
+    }
+    
+    // ========== 插拔 ==========
+    
+    /**
+     * 手柄接入：改用新接入的手柄
+     */
+    connect(gamepad) {
+        if (!gamepad || gamepad.index === this.activeIndex) return;
+        
+        console.log(`🎮 手柄已连接: ${gamepad.id}`);
+        this.activeIndex = gamepad.index;
+        this.activeId = gamepad.id;
+        this.pressedButtons = new Set(this.getPressedButtons(gamepad)); // 接入时已按下的键不触发命令
+        this.heldDirection = null;
+        this.startStandby();
+        this.notifyConnection();
+    }
+    
+    /**
+     * 手柄断开：改用其他已连接的手柄，都没有时停止轮询
+     */
+    disconnect(gamepad) {
+        if (!gamepad || gamepad.index !== this.activeIndex) return;
+        
+        console.log(`🎮 手柄已断开: ${gamepad.id}`);
+        this.activeIndex = null;
+        this.activeId = null;
+        const other = this.getGamepads().find(pad => pad && pad.connected && pad.index !== gamepad.index);
+        if (other) {
+            this.connect(other);
+            return;
+        }
+        this.pressedButtons.clear();
+        this.heldDirection = null;
+        this.stopStandby();
+        this.notifyConnection();
+    }
+    
+    notifyConnection() {
+        if (this.onConnectionChanged) {
+            this.onConnectionChanged(this.getActiveGamepad());
+        }
+    }
+    
+    // ========== 轮询 ==========
+    
+    /**
+     * 游戏循环每帧调用
+     */
+    poll(now = performance.now()) {
+        this.lastTickTime = now;
+        this.update(now);
+    }
+    
+    /**
+     * 读取手柄状态，按键按下时触发命令，方向按住时重复移动
+     */
+    update(now) {
+        const gamepad = this.getActiveGamepad();
+        if (!gamepad || !gamepad.connected) {
+            // 没有收到插拔事件时（例如页面加载前已连接）从轮询结果中发现手柄
+            const found = this.getGamepads().find(pad => pad && pad.connected);
+            if (found) this.connect(found);
+            else if (this.activeIndex !== null) this.disconnect({ index: this.activeIndex, id: this.activeId });
+            return;
+        }
+        
+        const pressed = new Set(this.getPressedButtons(gamepad));
+        for (const [button, command] of BUTTON_COMMANDS) {
+            if (pressed.has(button) && !this.pressedButtons.has(button)) {
+                this.emit(command);
+            }
+        }
+        this.pressedButtons = pressed;
+        
+        this.updateDirection(this.readDirection(gamepad, pressed), now);
+    }
+    
+    getPressedButtons(gamepad) {
+        return gamepad.buttons.map((button, index) => (button.pressed ? index : -1)).filter(index => index >= 0);
+    }
+    
+    /**
+     * 当前的方向：十字键优先，否则为左摇杆推过死区的方向
+     * @returns {Object|null} {key, vector} - key 区分方向是否变化，vector 为 [dx, dy]（y 轴向下）
+     */
+    readDirection(gamepad, pressed) {
+        const dx = (pressed.has(GAMEPAD_BUTTONS.DPAD_RIGHT) ? 1 : 0) - (pressed.has(GAMEPAD_BUTTONS.DPAD_LEFT) ? 1 : 0);
+        const dy = (pressed.has(GAMEPAD_BUTTONS.DPAD_DOWN) ? 1 : 0) - (pressed.has(GAMEPAD_BUTTONS.DPAD_UP) ? 1 : 0);
+        if (dx !== 0 || dy !== 0) {
+            return { key: `dpad:${dx},${dy}`, vector: [dx, dy] };
+        }
+        
+        const x = gamepad.axes[0] || 0;
+        const y = gamepad.axes[1] || 0;
+        const length = Math.hypot(x, y);
+        if (length < this.stickDeadzone) {
+            return null;
+        }
+        // 摇杆方向按 45° 分为八个方向，小幅晃动不算改变方向
+        const sector = (Math.round(Math.atan2(y, x) / (Math.PI / 4)) + 8) % 8;
+        return { key: `stick:${sector}`, vector: [x / length, y / length] };
+    }
+    
+    /**
+     * 方向改变时立即移动一次，按住不变时在 repeatDelayMs 后每 repeatIntervalMs 移动一次
+     */
+    updateDirection(direction, now) {
+        if (!direction) {
+            this.heldDirection = null;
+            return;
+        }
+        
+        if (!this.heldDirection || this.heldDirection.key !== direction.key) {
+            this.heldDirection = { key: direction.key, nextRepeat: now + this.repeatDelayMs };
+            this.emit('move', direction.vector);
+        } else if (now >= this.heldDirection.nextRepeat) {
+            this.heldDirection.nextRepeat = now + this.repeatIntervalMs;
+            this.emit('move', direction.vector);
+        }
+    }
+    
+    emit(command, value) {
+        if (this.onCommand) {
+            this.onCommand(command, value);
+        }
+    }
+    
+    // ========== 待机轮询 ==========
+    
+    /**
+     * 手柄连接期间的轮询循环，游戏循环在轮询时不重复读取
+     */
+    startStandby() {
+        if (this.standbyId !== null || !this.target || !this.target.requestAnimationFrame) return;
+        
+        const standby = (now) => {
+            if (now - this.lastTickTime > STANDBY_AFTER_MS) {
+                this.update(now);
+            }
+            this.standbyId = this.activeIndex === null ? null : this.target.requestAnimationFrame(standby);
+        };
+        this.standbyId = this.target.requestAnimationFrame(standby);
+    }
+    
+    stopStandby() {
+        if (this.standbyId !== null) {
+            this.target.cancelAnimationFrame(this.standbyId);
+            this.standbyId = null;
+        }
+    }
+}
+
+export default GamepadService;
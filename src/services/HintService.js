@@ -0,0 +1,194 @@
+/**
+ * 提示服务 - 为卡关的玩家建议下一个最有价值的路障位置
+ * 每回合限制提示次数并有冷却时间，使用情况记录到回合结果中（使用提示的胜利可以单独计分）
+ */
+
+import { MapSolver } from './MapSolver.js';
+
+export class HintService {
+    constructor() {
+        // 提示配置（可由 config.json 的 hints 覆盖）
+        this.maxPerRound = 3;        // 每回合最多提示次数
+        this.cooldown = 5.0;         // 两次提示之间的冷却时间（秒，游戏时间）
+        this.highlightDuration = 4.0; // 提示高亮显示时间（秒）
+        this.placementInterval = 0.5; // 求解时假设的玩家放置间隔（秒）
+        
+        // 回合状态
+        this.hintsUsed = 0;
+        this.hintedEdges = [];
+        this.cooldownRemaining = 0;
+        this.currentHint = null;
+        this.highlightRemaining = 0;
+        
+        // 回调函数：提示高亮或可用状态变化
+        this.onHintChanged = null;
+    }
+    
+    /**
+     * 从参数管理器读取提示配置
+     */
+    configure(parameterManager) {
+        if (!parameterManager) return;
+        
+        const options = parameterManager.getHintOptions();
+        this.maxPerRound = options.maxPerRound;
+        this.cooldown = options.cooldownSeconds;
+        this.highlightDuration = options.highlightSeconds;
+        this.placementInterval = options.placementInterval;
+    }
+    
+    /**
+     * 设置提示变化回调
+     */
+    setOnHintChanged(callback) {
+        this.onHintChanged = callback;
+    }
+    
+    /**
+     * 开始新回合：清空提示次数和当前高亮
+     */
+    resetRound() {
+        this.hintsUsed = 0;
+        this.hintedEdges = [];
+        this.cooldownRemaining = 0;
+        this.clearHint();
+    }
+    
+    /**
+     * 本回合剩余提示次数
+     */
+    getRemainingHints() {
+        return Math.max(0, this.maxPerRound - this.hintsUsed);
+    }
+    
+    /**
+     * 是否可以请求提示（还有剩余次数且不在冷却中）
+     */
+    canRequestHint() {
+        return this.getRemainingHints() > 0 && this.cooldownRemaining <= 0;
+    }
+    
+    /**
+     * 请求提示
+     * @param {Object} gameState - GameEngine.getGameState() 的返回结果
+     * @param {Bunny} bunny - 兔子实例（使用 currentNode、nextNode、path、speed）
+     * @returns {Object|null} {edgeKey, reason} 或 null（受限或没有可建议的边）
+     */
+    requestHint(gameState, bunny) {
+        if (!this.canRequestHint() || !bunny) {
+            return null;
+        }
+        
+        const solver = new MapSolver(gameState);
+        const suggestion = solver.suggestNextBlocker(bunny, {
+            maxBlockers: gameState.maxBlockers,
+            speed: bunny.speed,
+            placementInterval: this.placementInterval
+        });
+        if (!suggestion) {
+            return null;
+        }
+        
+        // 只有给出建议时才消耗次数
+        this.hintsUsed++;
+        this.hintedEdges.push(suggestion.edgeKey);
+        this.cooldownRemaining = this.cooldown;
+        this.currentHint = { edgeKey: suggestion.edgeKey, reason: suggestion.reason };
+        this.highlightRemaining = this.highlightDuration;
+        this.notifyHintChanged();
+        
+        return this.currentHint;
+    }
+    
+    /**
+     * 更新冷却和高亮计时（仅在游戏运行时调用，暂停不计时）
+     * @param {number} deltaTime - 秒
+     * @param {Object} gameState - 用于检查提示的边是否已放置路障
+     */
+    update(deltaTime, gameState = null) {
+        let changed = false;
+        
+        if (this.cooldownRemaining > 0) {
+            this.cooldownRemaining = Math.max(0, this.cooldownRemaining - deltaTime);
+            changed = this.cooldownRemaining === 0;
+        }
+        
+        if (this.currentHint) {
+            this.highlightRemaining -= deltaTime;
+            const followed = gameState && gameState.blockers && gameState.blockers.has(this.currentHint.edgeKey);
+            if (this.highlightRemaining <= 0 || followed) {
+                this.currentHint = null;
+                this.highlightRemaining = 0;
+                changed = true;
+            }
+        }
+        
+        if (changed) {
+            this.notifyHintChanged();
+        }
+    }
+    
+    /**
+     * 清除当前高亮
+     */
+    clearHint() {
+        this.currentHint = null;
+        this.highlightRemaining = 0;
+        this.notifyHintChanged();
+    }
+    
+    /**
+     * 获取当前高亮的边键
+     */
+    getHintEdge() {
+        return this.currentHint ? this.currentHint.edgeKey : null;
+    }
+    
+    /**
+     * 获取本回合的提示记录（写入回合结果）
+     */
+    getRoundRecord() {
+        return {
+            hintsUsed: this.hintsUsed,
+            hinted: this.hintsUsed > 0,
+            hintedEdges: [...this.hintedEdges]
+        };
+    }
+    
+    /**
+     * 获取存档快照（提示次数、提示过的边和剩余冷却，当前高亮不保存）
+     */
+    getSnapshot() {
+        return {
+            hintsUsed: this.hintsUsed,
+            hintedEdges: [...this.hintedEdges],
+            cooldownRemaining: this.cooldownRemaining
+        };
+    }
+    
+    /**
+     * 从存档快照恢复；旧存档没有提示快照时按新回合处理
+     * @param {Object|null} snapshot - getSnapshot 的返回结果
+     */
+    restoreSnapshot(snapshot) {
+        this.resetRound();
+        if (!snapshot || !Number.isInteger(snapshot.hintsUsed) || !Array.isArray(snapshot.hintedEdges)) {
+            return;
+        }
+        this.hintsUsed = snapshot.hintsUsed;
+        this.hintedEdges = [...snapshot.hintedEdges];
+        this.cooldownRemaining = Number.isFinite(snapshot.cooldownRemaining) ? snapshot.cooldownRemaining : 0;
+        this.notifyHintChanged();
+    }
+    
+    /**
+     * 触发提示变化回调
+     */
+    notifyHintChanged() {
+        if (this.onHintChanged) {
+            this.onHintChanged(this.currentHint);
+        }
+    }
+}
+
+export default HintService;
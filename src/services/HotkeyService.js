@@ -0,0 +1,170 @@
+/**
+ * 快捷键服务 - 保存游戏控制的快捷键绑定，玩家改过的绑定保存在 localStorage
+ * 默认绑定来自 config.json 的 hotkeys，按键由 ButtonEventManager 分发，改键界面见 DialogManager.showHotkeysDialog
+ *
+ * 按键名：空格为 'Space'，字母和数字为大写的单个字符，其他键使用 KeyboardEvent.key（如 'Escape'、'F1'）
+ *
+ * 存储格式（version 1）：
+ *   {version, bindings: {startPause: 'Space', ...}} - 只保存与默认绑定不同的动作
+ */
+
+import { SaveGameService } from './SaveGameService.js';
+
+export const HOTKEYS_VERSION = 1;
+export const HOTKEYS_STORAGE_KEY = 'bunnyRunAway.hotkeys';
+
+// 可绑定的动作（顺序即改键界面的顺序）
+export const HOTKEY_ACTIONS = [
+    { id: 'startPause', label: 'Start / Pause / Resume' },
+    { id: 'restart', label: 'Restart current map' },
+    { id: 'nextMap', label: 'Next map' },
+    { id: 'difficulty', label: 'Switch difficulty' },
+    { id: 'escape', label: 'Close dialog / Stop game' },
+    { id: 'help', label: 'Help' },
+    { id: 'describeBoard', label: 'Read out the board (screen reader)' }
+];
+
+export const DEFAULT_HOTKEYS = {
+    startPause: 'Space',
+    restart: 'R',
+    nextMap: 'N',
+    difficulty: 'D',
+    escape: 'Escape',
+    help: 'H',
+    describeBoard: 'B'
+};
+
+// 键盘操作棋盘使用的键和修饰键不能绑定（见 BlockerService.handleCanvasKey）
+const RESERVED_KEYS = new Set(['Tab', 'Enter', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Shift', 'Control', 'Alt', 'Meta']);
+
+export class HotkeyService {
+    /**
+     * @param {Storage|null} storage - 默认使用 localStorage；不可用时改键只在本次打开页面期间有效
+     */
+    constructor(storage = SaveGameService.getDefaultStorage()) {
+        this.storage = storage;
+        this.defaults = { ...DEFAULT_HOTKEYS };
+        this.overrides = this.load();
+    }
+    
+    /**
+     * 从参数管理器读取默认绑定
+     */
+    configure(parameterManager) {
+        if (parameterManager) {
+            this.defaults = parameterManager.getHotkeyOptions();
+        }
+    }
+    
+    /**
+     * 把 KeyboardEvent.key 转换为按键名
+     */
+    static normalizeKey(key) {
+        if (key === ' ' || key === 'Spacebar') return 'Space';
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+    
+    /**
+     * 按键是否可以绑定
+     */
+    static isBindableKey(key) {
+        return typeof key === 'string' && key !== '' && key !== 'Unidentified' && !RESERVED_KEYS.has(key);
+    }
+    
+    /**
+     * 当前的全部绑定 {动作: 按键名}
+     */
+    getBindings() {
+        return { ...this.defaults, ...this.overrides };
+    }
+    
+    /**
+     * 按键绑定的动作
+     * @param {string} key - 按键名（见 normalizeKey）
+     * @returns {string|null} 动作 id
+     */
+    getAction(key) {
+        const bindings = this.getBindings();
+        return Object.keys(bindings).find(action => bindings[action] === key) || null;
+    }
+    
+    /**
+     * 改键并保存；按键已绑定到其他动作时两个动作互换按键
+     * @returns {boolean} 是否修改成功（动作未知或按键不能绑定时为 false）
+     */
+    setBinding(action, key) {
+        const bindings = this.getBindings();
+        if (!(action in bindings) || !HotkeyService.isBindableKey(key)) {
+            return false;
+        }
+        
+        const previousAction = this.getAction(key);
+        if (previousAction && previousAction !== action) {
+            bindings[previousAction] = bindings[action];
+        }
+        bindings[action] = key;
+        
+        this.overrides = {};
+        for (const [id, boundKey] of Object.entries(bindings)) {
+            if (boundKey !== this.defaults[id]) {
+                this.overrides[id] = boundKey;
+            }
+        }
+        this.save();
+        return true;
+    }
+    
+    /**
+     * 恢复默认绑定
+     */
+    resetBindings() {
+        this.overrides = {};
+        this.save();
+    }
+    
+    /**
+     * 读取玩家改过的绑定；存储损坏或版本不符时使用默认绑定
+     */
+    load() {
+        if (!this.storage) return {};
+        
+        try {
+            const raw = this.storage.getItem(HOTKEYS_STORAGE_KEY);
+            if (!raw) return {};
+            
+            const data = JSON.parse(raw);
+            if (!data || data.version !== HOTKEYS_VERSION || typeof data.bindings !== 'object' || data.bindings === null) {
+                console.warn(`⚠️ 快捷键数据版本不符，已使用默认快捷键: ${data ? data.version : data}`);
+                return {};
+            }
+            const overrides = {};
+            for (const [action, key] of Object.entries(data.bindings)) {
+                if (action in DEFAULT_HOTKEYS && HotkeyService.isBindableKey(key)) {
+                    overrides[action] = key;
+                }
+            }
+            return overrides;
+        } catch (error) {
+            console.warn(`⚠️ 快捷键数据无效，已使用默认快捷键: ${error.message}`);
+            return {};
+        }
+    }
+    
+    /**
+     * 保存玩家改过的绑定
+     * @returns {boolean} 是否保存成功
+     */
+    save() {
+        if (!this.storage) return false;
+        
+        try {
+            this.storage.setItem(HOTKEYS_STORAGE_KEY, JSON.stringify({ version: HOTKEYS_VERSION, bindings: this.overrides }));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ 快捷键保存失败: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+export default HotkeyService;
@@ -0,0 +1,157 @@
+/**
+ * 键盘光标服务 - 不用鼠标也能玩：光标停在一个节点上，并聚焦该节点的一条边
+ * 方向键移到该方向上最近的节点（优先沿边相连的节点），Tab / Shift+Tab 轮换节点的边
+ * 按键由 BlockerService 处理（Enter 在聚焦的边上放置或回收路障），焦点由 MapRenderer 绘制为焦点框
+ */
+
+// 方向键对应的画布方向（y 轴向下）
+export const CURSOR_DIRECTIONS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+export class KeyboardCursorService {
+    constructor() {
+        this.nodeKey = null; // 光标所在节点
+        this.edgeKey = null; // 聚焦的边（节点没有边时为 null）
+        
+        // 回调函数：光标或聚焦的边变化
+        this.onFocusChanged = null;
+    }
+    
+    /**
+     * 设置焦点变化回调
+     */
+    setOnFocusChanged(callback) {
+        this.onFocusChanged = callback;
+    }
+    
+    /**
+     * 当前焦点
+     * @returns {Object|null} {nodeKey, edgeKey}，光标未显示时为 null
+     */
+    getFocus() {
+        return this.nodeKey ? { nodeKey: this.nodeKey, edgeKey: this.edgeKey } : null;
+    }
+    
+    /**
+     * 隐藏光标（画布失去焦点、换地图或新回合）
+     */
+    reset() {
+        if (!this.nodeKey) return;
+        this.nodeKey = null;
+        this.edgeKey = null;
+        this.notify();
+    }
+    
+    /**
+     * 光标不在当前地图上时放到起始节点
+     * @param {string} startNode - 优先使用的节点（通常是兔子所在节点），不存在时使用第一个非洞口节点
+     * @returns {boolean} 光标是否可用（地图没有节点时为 false）
+     */
+    ensureCursor(gameState, startNode = null) {
+        if (this.nodeKey && gameState.nodes.has(this.nodeKey) &&
+            (!this.edgeKey || gameState.edges.has(this.edgeKey))) {
+            return true;
+        }
+        
+        let nodeKey = startNode && gameState.nodes.has(startNode) ? startNode : null;
+        if (!nodeKey) {
+            const firstNode = [...gameState.nodes.values()].find(node => !node.is_hole);
+            nodeKey = firstNode ? firstNode.key : null;
+        }
+        if (!nodeKey) return false;
+        
+        this.focusNode(gameState, nodeKey);
+        return true;
+    }
+    
+    /**
+     * 把光标移到方向上最近的节点：方向两侧 45° 以内，沿方向的距离加上两倍的偏离距离最小者；
+     * 有沿边相连的节点时只在相连节点中选择
+     * @param {number[]} direction - [dx, dy]，见 CURSOR_DIRECTIONS
+     * @returns {boolean} 是否移动了
+     */
+    move(gameState, direction) {
+        const origin = gameState.scaledPositions.get(this.nodeKey);
+        if (!origin) return false;
+        
+        const neighbors = new Set(gameState.adjacencyList.get(this.nodeKey) || []);
+        let best = null;
+        for (const nodeKey of gameState.nodes.keys()) {
+            const position = gameState.scaledPositions.get(nodeKey);
+            if (nodeKey === this.nodeKey || !position) continue;
+            
+            const dx = position[0] - origin[0];
+            const dy = position[1] - origin[1];
+            const along = dx * direction[0] + dy * direction[1];
+            const across = Math.abs(dx * direction[1] - dy * direction[0]);
+            if (along <= 0 || across > along) continue;
+            
+            const candidate = { nodeKey, isNeighbor: neighbors.has(nodeKey), score: along + 2 * across };
+            if (!best || (candidate.isNeighbor && !best.isNeighbor) ||
+                (candidate.isNeighbor === best.isNeighbor && candidate.score < best.score)) {
+                best = candidate;
+            }
+        }
+        if (!best) return false;
+        
+        // 沿边移动时继续聚焦刚走过的边
+        const previousNode = this.nodeKey;
+        this.focusNode(gameState, best.nodeKey, (edge) =>
+            (edge.from === previousNode && edge.to === best.nodeKey) || (edge.to === previousNode && edge.from === best.nodeKey));
+        return true;
+    }
+    
+    /**
+     * 轮换光标所在节点的边
+     * @param {number} step - 1 为下一条（顺时针），-1 为上一条
+     */
+    cycleEdge(gameState, step) {
+        const edges = this.getIncidentEdges(gameState, this.nodeKey);
+        if (edges.length === 0) return;
+        
+        const index = edges.findIndex(edge => edge.key === this.edgeKey);
+        const next = index === -1 ? 0 : (index + step + edges.length) % edges.length;
+        this.edgeKey = edges[next].key;
+        this.notify();
+    }
+    
+    /**
+     * 节点的所有边，按方向从正上方开始顺时针排序
+     */
+    getIncidentEdges(gameState, nodeKey) {
+        const origin = gameState.scaledPositions.get(nodeKey);
+        if (!origin) return [];
+        
+        const angleOf = (edge) => {
+            const other = gameState.scaledPositions.get(edge.from === nodeKey ? edge.to : edge.from);
+            const angle = Math.atan2(other[0] - origin[0], origin[1] - other[1]);
+            return angle < 0 ? angle + 2 * Math.PI : angle;
+        };
+        return [...gameState.edges.values()]
+            .filter(edge => edge.from === nodeKey || edge.to === nodeKey)
+            .sort((a, b) => angleOf(a) - angleOf(b));
+    }
+    
+    /**
+     * 把光标放到节点上，聚焦满足 preferEdge 的边（没有时聚焦第一条边）
+     */
+    focusNode(gameState, nodeKey, preferEdge = null) {
+        const edges = this.getIncidentEdges(gameState, nodeKey);
+        const edge = (preferEdge && edges.find(preferEdge)) || edges[0] || null;
+        this.nodeKey = nodeKey;
+        this.edgeKey = edge ? edge.key : null;
+        this.notify();
+    }
+    
+    notify() {
+        if (this.onFocusChanged) {
+            this.onFocusChanged(this.getFocus());
+        }
+    }
+}
+
+export default KeyboardCursorService;
@@ -0,0 +1,352 @@
+/**
+ * 屏幕阅读器播报服务 - 游戏画面全部画在 Canvas 上，辅助技术读不到；
+ * 订阅 gameEventBus，把倒计时、兔子跳跃、路障放置和回收、胜负结果写入 ARIA live region（index.html 的 #liveRegionPolite / #liveRegionAssertive）
+ * 并可以随时查询棋盘的文字描述（快捷键和 ℹ️ → Board Description，见 ButtonEventManager）
+ *
+ * 位置用行和列描述：节点键 "(x, y)" 的 y 为行、x 为列，从包含洞口在内的最小坐标开始编号为 1
+ * 洞口按相对棋盘中心的方位描述（如 "north-west hole"），同一方位有多个洞口时加上行列
+ */
+
+import { gameEventBus } from '../core/GameEventBus.js';
+import { GAME_EVENTS } from '../core/GameEvents.js';
+import { MapSolver } from './MapSolver.js';
+
+// 方位名称，按 atan2 的角度（y 轴向下）从正东开始顺时针每 45° 一个
+const COMPASS_POINTS = ['east', 'south-east', 'south', 'south-west', 'west', 'north-west', 'north', 'north-east'];
+
+// 文字棋盘的字符
+const GRID_SYMBOLS = {
+    node: '+',
+    hole: 'O',
+    bunny: 'B',
+    horizontal: '-',
+    vertical: '|',
+    fence: '#'
+};
+
+export class LiveRegionService {
+    /**
+     * @param {Document|null} documentRef - 默认使用 document（没有时只记录最后一条播报）
+     */
+    constructor(documentRef = typeof document !== 'undefined' ? document : null) {
+        this.document = documentRef;
+        this.gameController = null;
+        this.listenerIds = [];
+        this.pending = [];           // 同一轮事件中等待合并播报的消息
+        this.pendingPriority = 'polite';
+        this.lastMessage = '';
+    }
+    
+    /**
+     * 设置游戏控制器（读取当前地图、兔子和路障）
+     */
+    setGameController(gameController) {
+        this.gameController = gameController;
+    }
+    
+    /**
+     * 订阅游戏事件
+     */
+    subscribe() {
+        this.unsubscribe();
+        const handlers = [
+            [GAME_EVENTS.COUNTDOWN_TICK, (data) => this.announce(String(data.number), 'assertive')],
+            ['countdown_finished', () => this.handleCountdownFinished()],
+            [GAME_EVENTS.BUNNY_MOVED, (data) => this.handleBunnyMoved(data)],
+            [GAME_EVENTS.BLOCKER_ADDED, (data) => this.handleBlockerAdded(data)],
+            [GAME_EVENTS.BLOCKER_REMOVED, (data) => this.handleBlockerRemoved(data)],
+            [GAME_EVENTS.GAME_OVER, (data) => this.handleGameOver(data)]
+        ];
+        for (const [event, handler] of handlers) {
+            this.listenerIds.push([event, gameEventBus.on(event, handler)]);
+        }
+    }
+    
+    unsubscribe() {
+        for (const [event, id] of this.listenerIds) {
+            gameEventBus.off(event, id);
+        }
+        this.listenerIds = [];
+    }
+    
+    // ========== 播报 ==========
+    
+    /**
+     * 播报一条消息；同一轮事件中的多条消息合并为一次播报（例如自动回收和放置）
+     * @param {string} priority - 'polite' 等屏幕阅读器读完当前内容，'assertive' 立即打断（倒计时和胜负）
+     */
+    announce(message, priority = 'polite') {
+        if (!message) return;
+        
+        if (this.pending.length === 0) {
+            queueMicrotask(() => this.flush());
+        }
+        this.pending.push(message);
+        if (priority === 'assertive') {
+            this.pendingPriority = 'assertive';
+        }
+    }
+    
+    flush() {
+        let message = this.pending.join(' ');
+        const priority = this.pendingPriority;
+        this.pending = [];
+        this.pendingPriority = 'polite';
+        
+        // 和上一条相同时加一个不换行空格，内容有变化屏幕阅读器才会重新播报
+        if (message === this.lastMessage) {
+            message += ' ';
+        }
+        this.lastMessage = message;
+        
+        const region = this.document
+            ? this.document.getElementById(priority === 'assertive' ? 'liveRegionAssertive' : 'liveRegionPolite')
+            : null;
+        if (region) {
+            region.textContent = message;
+        }
+    }
+    
+    getGameState() {
+        const engine = this.gameController ? this.gameController.gameEngine : null;
+        return engine && this.gameController.isMapLoaded ? engine.getGameState() : null;
+    }
+    
+    getBunnies() {
+        return this.gameController ? this.gameController.getBunnies() : [];
+    }
+    
+    // ========== 事件 ==========
+    
+    handleCountdownFinished() {
+        const gameState = this.getGameState();
+        const bunnies = gameState ? this.getBunnies().map(bunny => this.describeBunny(gameState, bunny.currentNode, bunny.spriteId)) : [];
+        this.announce(['Go!', ...bunnies.map(text => this.sentence(text))].join(' '), 'assertive');
+    }
+    
+    handleBunnyMoved(data) {
+        const gameState = this.getGameState();
+        if (!gameState || gameState.holes.has(data.toNode)) return; // 逃到洞口时由胜负结果播报
+        
+        this.announce(this.sentence(this.describeBunny(gameState, data.toNode, data.spriteId)));
+    }
+    
+    handleBlockerAdded(data) {
+        const gameState = this.getGameState();
+        if (!gameState) return;
+        
+        const remaining = Math.max(0, gameState.maxBlockers - data.blockerCount);
+        this.announce(`Fence placed ${this.describeEdge(gameState, data.edgeId)}. ${this.pluralize(remaining, 'fence')} left.`);
+    }
+    
+    handleBlockerRemoved(data) {
+        const gameState = this.getGameState();
+        if (!gameState) return;
+        
+        const where = this.describeEdge(gameState, data.edgeId);
+        if (data.reason === 'recycled') {
+            this.announce(`Oldest fence ${where} recycled.`);
+        } else {
+            const remaining = Math.max(0, gameState.maxBlockers - data.blockerCount);
+            this.announce(`Fence recycled ${where}. ${this.pluralize(remaining, 'fence')} left.`);
+        }
+    }
+    
+    handleGameOver(data) {
+        const playerWon = data.winner === 'player' || data.winner === 'Player';
+        const stats = data.stats || {};
+        const parts = [];
+        
+        if (playerWon) {
+            parts.push(data.reason === 'trap' ? 'You win! The bunny is caught in a sealed trap.' : 'You win! The bunny is trapped.');
+        } else {
+            const gameState = this.getGameState();
+            const escaped = gameState ? this.getBunnies().find(bunny => gameState.holes.has(bunny.currentNode)) : null;
+            parts.push(escaped
+                ? `The bunny escaped through the ${this.describeHole(gameState, escaped.currentNode)}. You lose.`
+                : 'The bunny escaped. You lose.');
+        }
+        if (typeof stats.gameTime === 'number') {
+            parts.push(`Time ${stats.gameTime.toFixed(1)} seconds, ${this.pluralize(stats.placements || 0, 'fence')} placed.`);
+        }
+        const progress = data.roundResult ? data.roundResult.progress : null;
+        if (playerWon && progress && progress.stars) {
+            parts.push(`${this.pluralize(progress.stars, 'star')}.`);
+        }
+        this.announce(parts.join(' '), 'assertive');
+    }
+    
+    // ========== 文字描述 ==========
+    
+    /**
+     * 播报棋盘的文字描述
+     */
+    announceBoard() {
+        this.announce(this.describeBoard(), 'assertive');
+    }
+    
+    /**
+     * 棋盘的文字描述：地图、棋盘大小、兔子位置、路障和洞口
+     * @returns {string} 每项一行，地图未加载时说明没有地图
+     */
+    describeBoard() {
+        const gameState = this.getGameState();
+        if (!gameState) {
+            return 'No map is loaded.';
+        }
+        
+        const bounds = this.getGridBounds(gameState);
+        const mapInfo = this.gameController.gameEngine.getCurrentMapInfo();
+        const difficulty = mapInfo.difficulty.charAt(0).toUpperCase() + mapInfo.difficulty.slice(1);
+        const lines = [
+            `${difficulty} map ${mapInfo.mapNumber}: ${bounds.rows} rows by ${bounds.columns} columns, ` +
+            `${gameState.nodes.size - gameState.holes.size} nodes and ${this.pluralize(gameState.holes.size, 'hole')}.`
+        ];
+        
+        for (const bunny of this.getBunnies()) {
+            lines.push(this.sentence(this.describeBunny(gameState, bunny.currentNode, bunny.spriteId)));
+        }
+        
+        const fences = [...gameState.blockers.keys()];
+        const remaining = Math.max(0, gameState.maxBlockers - fences.length);
+        lines.push(fences.length === 0
+            ? `No fences placed, ${this.pluralize(remaining, 'fence')} left.`
+            : `${this.pluralize(fences.length, 'fence')}, oldest first: ` +
+              `${fences.map(edgeKey => this.describeEdge(gameState, edgeKey)).join('; ')}. ${this.pluralize(remaining, 'fence')} left.`);
+        
+        const holes = [...gameState.holes].map(hole => `${this.describeHole(gameState, hole)} at ${this.describeNode(gameState, hole)}`);
+        lines.push(`Holes: ${holes.join('; ')}.`);
+        return lines.join('\n');
+    }
+    
+    /**
+     * 文字棋盘：节点在偶数行列，横竖边在节点之间（斜边不显示）
+     * O 洞口、B 兔子、+ 节点、- | 通路、# 路障；每行前面是行号
+     * @returns {string[]} 每行一个字符串，地图未加载时为空数组
+     */
+    getBoardGrid() {
+        const gameState = this.getGameState();
+        if (!gameState) return [];
+        
+        const bounds = this.getGridBounds(gameState);
+        const grid = Array.from({ length: bounds.rows * 2 - 1 }, () => Array(bounds.columns * 2 - 1).fill(' '));
+        const bunnyNodes = new Set(this.getBunnies().map(bunny => bunny.currentNode));
+        const cell = (key) => {
+            const [x, y] = this.parseNode(key);
+            return [(y - bounds.minY) * 2, (x - bounds.minX) * 2];
+        };
+        
+        for (const [key, node] of gameState.nodes) {
+            const [row, column] = cell(key);
+            grid[row][column] = bunnyNodes.has(key) ? GRID_SYMBOLS.bunny : (node.is_hole ? GRID_SYMBOLS.hole : GRID_SYMBOLS.node);
+        }
+        for (const [edgeKey, edge] of gameState.edges) {
+            const [fromRow, fromColumn] = cell(edge.from);
+            const [toRow, toColumn] = cell(edge.to);
+            const isHorizontal = fromRow === toRow && Math.abs(fromColumn - toColumn) === 2;
+            const isVertical = fromColumn === toColumn && Math.abs(fromRow - toRow) === 2;
+            if (!isHorizontal && !isVertical) continue;
+            
+            const symbol = gameState.blockers.has(edgeKey)
+                ? GRID_SYMBOLS.fence
+                : (isHorizontal ? GRID_SYMBOLS.horizontal : GRID_SYMBOLS.vertical);
+            grid[(fromRow + toRow) / 2][(fromColumn + toColumn) / 2] = symbol;
+        }
+        
+        const labelWidth = String(bounds.rows).length;
+        return grid.map((cells, index) => {
+            const label = index % 2 === 0 ? String(index / 2 + 1).padStart(labelWidth) : ' '.repeat(labelWidth);
+            return `${label} ${cells.join('')}`.trimEnd();
+        });
+    }
+    
+    /**
+     * 兔子的位置和到最近洞口的步数，如 "bunny at row 3, column 5, 4 steps from the north-west hole"
+     */
+    describeBunny(gameState, nodeKey, spriteId = 'bunny') {
+        const name = spriteId === 'bunny' ? 'bunny' : spriteId.replace('-', ' ');
+        const solver = new MapSolver(gameState);
+        const nearest = solver.findNearestHole(nodeKey, solver.blockedEdges);
+        const distance = nearest
+            ? `${this.pluralize(nearest.distance, 'step')} from the ${this.describeHole(gameState, nearest.hole)}`
+            : 'no open path to any hole';
+        return `${name} at ${this.describeNode(gameState, nodeKey)}, ${distance}`;
+    }
+    
+    /**
+     * 节点的行列，如 "row 3, column 5"
+     */
+    describeNode(gameState, nodeKey) {
+        const bounds = this.getGridBounds(gameState);
+        const [x, y] = this.parseNode(nodeKey);
+        return `row ${y - bounds.minY + 1}, column ${x - bounds.minX + 1}`;
+    }
+    
+    /**
+     * 边的两端，如 "between row 2, column 3 and row 2, column 4"
+     */
+    describeEdge(gameState, edgeKey) {
+        const edge = gameState.edges.get(edgeKey);
+        if (!edge) return `on edge ${edgeKey}`;
+        return `between ${this.describeNode(gameState, edge.from)} and ${this.describeNode(gameState, edge.to)}`;
+    }
+    
+    /**
+     * 洞口相对棋盘中心的方位，如 "north-west hole"；同一方位有多个洞口时加上行列
+     */
+    describeHole(gameState, holeKey) {
+        const compass = this.getCompassPoint(gameState, holeKey);
+        const isUnique = [...gameState.holes].every(hole => hole === holeKey || this.getCompassPoint(gameState, hole) !== compass);
+        return isUnique ? `${compass} hole` : `${compass} hole at ${this.describeNode(gameState, holeKey)}`;
+    }
+    
+    getCompassPoint(gameState, nodeKey) {
+        const positions = [...gameState.nodes.keys()]
+            .filter(key => !gameState.holes.has(key))
+            .map(key => gameState.scaledPositions.get(key))
+            .filter(Boolean);
+        const position = gameState.scaledPositions.get(nodeKey);
+        if (positions.length === 0 || !position) return 'unknown';
+        
+        const xs = positions.map(point => point[0]);
+        const ys = positions.map(point => point[1]);
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const sector = Math.round(Math.atan2(position[1] - centerY, position[0] - centerX) / (Math.PI / 4));
+        return COMPASS_POINTS[(sector + 8) % 8];
+    }
+    
+    /**
+     * 所有节点（含洞口）的坐标范围
+     * @returns {Object} {minX, minY, rows, columns}
+     */
+    getGridBounds(gameState) {
+        const coords = [...gameState.nodes.keys()].map(key => this.parseNode(key));
+        const xs = coords.map(coord => coord[0]);
+        const ys = coords.map(coord => coord[1]);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return { minX, minY, rows: Math.max(...ys) - minY + 1, columns: Math.max(...xs) - minX + 1 };
+    }
+    
+    /**
+     * 解析节点键 "(x, y)" -> [x, y]
+     */
+    parseNode(nodeKey) {
+        const match = nodeKey.match(/\((-?\d+),\s*(-?\d+)\)/);
+        return match ? [parseInt(match[1]), parseInt(match[2])] : [0, 0];
+    }
+    
+    /**
+     * 首字母大写并加句号
+     */
+    sentence(text) {
+        return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    }
+    
+    pluralize(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+}
+
+export default LiveRegionService;
@@ -0,0 +1,458 @@
+/**
+ * 地图编辑服务 - 地图编辑器的文档模型：增删节点、移动节点、开关边、标记洞口、设置兔子起点、划定陷阱区域
+ * 不依赖画布，导出当前格式（version 2）的地图文件 JSON，与 assets/maps 中的地图文件相同（MapService.decodeMapData 可直接读取）
+ *
+ * 用法：
+ *   const editor = new MapEditorService();
+ *   editor.load(mapService.decodeMapData(rawJson));
+ *   editor.toggleEdge('(0, 0)', '(1, 0)');
+ *   const { valid, errors } = editor.validate();
+ *   const rawMap = editor.toRawMapData();
+ *
+ * 节点以网格坐标 "(x, y)" 为键，位置为地图坐标（网格坐标加上抖动，与地图文件的 positions 相同）
+ * 边只能连接网格上相邻的节点；边键方向与 MapGenerator 一致：网格边从坐标较小的节点指向较大的节点，洞口边从网格节点指向洞口
+ */
+
+import { MapGenerator } from './MapGenerator.js';
+import { MAP_FORMAT_VERSION } from './MapService.js';
+
+export const MAP_EDITOR_TOOLS = ['node', 'move', 'edge', 'hole', 'start', 'trap'];
+
+const BLANK_MAP_OPTIONS = {
+    seed: 1,
+    grid_size: 8,
+    enable_trap_scan: false,
+    random_edge_fraction: 0,
+    deform_strength: 0
+};
+
+const nodeKey = (x, y) => `(${x}, ${y})`;
+const edgeKey = (from, to) => `(${from}, ${to})`;
+
+export class MapEditorService {
+    constructor() {
+        this.load(null);
+    }
+    
+    /**
+     * 新的空白地图：完整网格，四个角外侧各一个洞口，中间一个兔子起点
+     * @returns {Object} 原始地图JSON
+     */
+    static createBlankMap() {
+        return new MapGenerator().generate(BLANK_MAP_OPTIONS);
+    }
+    
+    /**
+     * 加载地图
+     * @param {Object|null} decodedMap - MapService.decodeMapData 的返回结果，为 null 时清空
+     */
+    load(decodedMap) {
+        this.nodes = new Map();   // nodeKey -> {coord: [x, y], position: [x, y]}
+        this.edges = new Map();   // edgeKey -> [fromKey, toKey]
+        this.holes = new Set();
+        this.bunnyStarts = [];    // nodeKey，每个起点生成一只兔子
+        this.traps = [];          // [{center, nodes: Set<nodeKey>}]
+        this.terrain = {};        // edgeKey -> 地形
+        this.generationParams = {};
+        this.meta = {};           // {title, author}，par 随地图改变，导出时重新计算
+        if (!decodedMap) return;
+        
+        for (const coord of decodedMap.nodes) {
+            const key = nodeKey(coord[0], coord[1]);
+            const position = decodedMap.positions[key] || coord;
+            this.nodes.set(key, { coord: [...coord], position: [...position] });
+        }
+        for (const [from, to] of decodedMap.edges) {
+            const fromKey = nodeKey(from[0], from[1]);
+            const toKey = nodeKey(to[0], to[1]);
+            const key = edgeKey(fromKey, toKey);
+            this.edges.set(key, [fromKey, toKey]);
+            // 地形可以用任意方向的边键指定，统一为地图中的边键
+            const terrain = decodedMap.terrain && (decodedMap.terrain[key] || decodedMap.terrain[edgeKey(toKey, fromKey)]);
+            if (terrain) {
+                this.terrain[key] = terrain;
+            }
+        }
+        decodedMap.holes.forEach(hole => this.holes.add(nodeKey(hole[0], hole[1])));
+        this.bunnyStarts = decodedMap.bunnyStarts.map(start => nodeKey(start[0], start[1]));
+        this.traps = (decodedMap.traps || []).map(trap => ({
+            center: trap.center,
+            nodes: new Set((trap.internal_nodes || trap.block || []).filter(node => this.nodes.has(node)))
+        })).filter(trap => trap.nodes.size > 0);
+        this.generationParams = { ...decodedMap.generation_params };
+        const { par, ...meta } = decodedMap.meta || {};
+        this.meta = meta;
+    }
+    
+    // ========== 节点 ==========
+    
+    /**
+     * 在网格坐标处加入节点
+     * @param {number[]} coord - 网格坐标 [x, y]（整数）
+     * @param {number[]} position - 地图坐标，默认与网格坐标相同
+     * @returns {string} 节点键
+     */
+    addNode(coord, position = coord) {
+        const key = nodeKey(coord[0], coord[1]);
+        if (!coord.every(Number.isInteger)) {
+            throw new Error(`网格坐标必须是整数: ${key}`);
+        }
+        if (this.nodes.has(key)) {
+            throw new Error(`${key} 已经有节点`);
+        }
+        this.nodes.set(key, { coord: [...coord], position: [...position] });
+        return key;
+    }
+    
+    /**
+     * 删除节点及其所有边，同时从洞口、兔子起点和陷阱中移除
+     */
+    removeNode(key) {
+        if (!this.nodes.has(key)) return false;
+        
+        this.nodes.delete(key);
+        for (const [edge, [from, to]] of this.edges) {
+            if (from === key || to === key) {
+                this.removeEdge(edge);
+            }
+        }
+        this.holes.delete(key);
+        this.bunnyStarts = this.bunnyStarts.filter(start => start !== key);
+        this.traps.forEach(trap => trap.nodes.delete(key));
+        this.traps = this.traps.filter(trap => trap.nodes.size > 0);
+        return true;
+    }
+    
+    /**
+     * 移动节点到新的地图坐标（网格坐标不变）
+     */
+    moveNode(key, position) {
+        const node = this.nodes.get(key);
+        if (!node) return false;
+        node.position = [...position];
+        return true;
+    }
+    
+    // ========== 边 ==========
+    
+    /**
+     * 找到连接两个节点的边键（任意方向），没有时为 null
+     */
+    findEdge(a, b) {
+        if (this.edges.has(edgeKey(a, b))) return edgeKey(a, b);
+        if (this.edges.has(edgeKey(b, a))) return edgeKey(b, a);
+        return null;
+    }
+    
+    /**
+     * 两个节点在网格上是否相邻（只有相邻节点之间可以连边）
+     */
+    areAdjacent(a, b) {
+        const nodeA = this.nodes.get(a);
+        const nodeB = this.nodes.get(b);
+        if (!nodeA || !nodeB) return false;
+        return Math.abs(nodeA.coord[0] - nodeB.coord[0]) + Math.abs(nodeA.coord[1] - nodeB.coord[1]) === 1;
+    }
+    
+    /**
+     * 新边的边键方向：网格边从坐标较小的节点指向较大的节点，洞口边从网格节点指向洞口（与 MapGenerator 一致）
+     */
+    orientedEdgeKey(a, b) {
+        if (this.holes.has(a)) return edgeKey(b, a);
+        if (this.holes.has(b)) return edgeKey(a, b);
+        const [ax, ay] = this.nodes.get(a).coord;
+        const [bx, by] = this.nodes.get(b).coord;
+        return (ax < bx || (ax === bx && ay < by)) ? edgeKey(a, b) : edgeKey(b, a);
+    }
+    
+    /**
+     * 开关两个相邻节点之间的边
+     * @returns {boolean} 开关后边是否存在
+     */
+    toggleEdge(a, b) {
+        const existing = this.findEdge(a, b);
+        if (existing) {
+            this.removeEdge(existing);
+            return false;
+        }
+        if (!this.areAdjacent(a, b)) {
+            throw new Error(`${a} 和 ${b} 在网格上不相邻，不能连边`);
+        }
+        const key = this.orientedEdgeKey(a, b);
+        this.edges.set(key, key === edgeKey(a, b) ? [a, b] : [b, a]);
+        return true;
+    }
+    
+    removeEdge(key) {
+        this.edges.delete(key);
+        delete this.terrain[key];
+    }
+    
+    /**
+     * 所有可以开关的边：已有的边和网格上相邻但还没有连边的节点对
+     * @returns {Object[]} [{edgeKey, from, to, exists}]
+     */
+    getEdgeCandidates() {
+        const candidates = [];
+        for (const [key, [from, to]] of this.edges) {
+            candidates.push({ edgeKey: key, from, to, exists: true });
+        }
+        for (const [key, node] of this.nodes) {
+            for (const [dx, dy] of [[1, 0], [0, 1]]) {
+                const neighbor = nodeKey(node.coord[0] + dx, node.coord[1] + dy);
+                if (this.nodes.has(neighbor) && !this.findEdge(key, neighbor)) {
+                    const candidateKey = this.orientedEdgeKey(key, neighbor);
+                    const [from, to] = candidateKey === edgeKey(key, neighbor) ? [key, neighbor] : [neighbor, key];
+                    candidates.push({ edgeKey: candidateKey, from, to, exists: false });
+                }
+            }
+        }
+        return candidates;
+    }
+    
+    // ========== 洞口、兔子起点和陷阱 ==========
+    
+    /**
+     * 标记或取消洞口（洞口不能作为兔子起点，也不能在陷阱中）
+     * @returns {boolean} 开关后是否是洞口
+     */
+    toggleHole(key) {
+        if (!this.nodes.has(key)) return false;
+        if (this.holes.delete(key)) return false;
+        
+        if (this.bunnyStarts.includes(key)) {
+            throw new Error(`${key} 是兔子起点，不能作为洞口`);
+        }
+        if (this.getTrapIndex(key) >= 0) {
+            throw new Error(`${key} 在陷阱中，不能作为洞口`);
+        }
+        this.holes.add(key);
+        return true;
+    }
+    
+    /**
+     * 加入或移除兔子起点（可以有多个起点，每个起点一只兔子）
+     * @returns {boolean} 开关后是否是起点
+     */
+    toggleBunnyStart(key) {
+        if (!this.nodes.has(key)) return false;
+        if (this.bunnyStarts.includes(key)) {
+            this.bunnyStarts = this.bunnyStarts.filter(start => start !== key);
+            return false;
+        }
+        if (this.holes.has(key)) {
+            throw new Error(`${key} 是洞口，不能作为兔子起点`);
+        }
+        this.bunnyStarts.push(key);
+        return true;
+    }
+    
+    /**
+     * 节点所在陷阱的序号，不在陷阱中时为 -1
+     */
+    getTrapIndex(key) {
+        return this.traps.findIndex(trap => trap.nodes.has(key));
+    }
+    
+    /**
+     * 把节点加入陷阱或从所在陷阱中移除；陷阱之间不重叠，节点都移除后陷阱随之删除
+     * @param {number} trapIndex - 加入哪个陷阱，超出范围时新建陷阱
+     * @returns {number} 之后继续编辑的陷阱序号（陷阱被删除时为 -1）
+     */
+    toggleTrapNode(key, trapIndex) {
+        if (!this.nodes.has(key)) return trapIndex;
+        
+        const current = this.getTrapIndex(key);
+        if (current >= 0) {
+            const trap = this.traps[current];
+            trap.nodes.delete(key);
+            if (trap.nodes.size === 0) {
+                this.traps.splice(current, 1);
+                return -1;
+            }
+            return current;
+        }
+        
+        if (this.holes.has(key)) {
+            throw new Error(`${key} 是洞口，不能放进陷阱`);
+        }
+        if (trapIndex < 0 || trapIndex >= this.traps.length) {
+            this.traps.push({ center: key, nodes: new Set() });
+            trapIndex = this.traps.length - 1;
+        }
+        this.traps[trapIndex].nodes.add(key);
+        return trapIndex;
+    }
+    
+    /**
+     * 陷阱的中心：原来的中心仍在陷阱中时保留，否则取离陷阱重心最近的节点
+     */
+    getTrapCenter(trap) {
+        if (trap.nodes.has(trap.center)) return trap.center;
+        
+        const coords = [...trap.nodes].map(key => this.nodes.get(key).coord);
+        const cx = coords.reduce((sum, coord) => sum + coord[0], 0) / coords.length;
+        const cy = coords.reduce((sum, coord) => sum + coord[1], 0) / coords.length;
+        let best = null;
+        let bestDistance = Infinity;
+        for (const key of trap.nodes) {
+            const [x, y] = this.nodes.get(key).coord;
+            const distance = Math.hypot(x - cx, y - cy);
+            if (distance < bestDistance) {
+                best = key;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * 按当前的边计算陷阱在地图文件中的格式（出口为一端在陷阱内、一端在陷阱外的边）
+     * @returns {Object} {center, block, edges, internal_nodes, boundary_nodes}
+     */
+    exportTrap(trap) {
+        const exits = [];
+        const boundary = new Set();
+        for (const [key, [from, to]] of this.edges) {
+            if (trap.nodes.has(from) !== trap.nodes.has(to)) {
+                exits.push(key);
+                boundary.add(trap.nodes.has(from) ? to : from);
+            }
+        }
+        const internalNodes = [...trap.nodes].sort();
+        return {
+            center: this.getTrapCenter(trap),
+            block: internalNodes,
+            edges: exits.sort(),
+            internal_nodes: internalNodes,
+            boundary_nodes: [...boundary].sort()
+        };
+    }
+    
+    // ========== 校验和导出 ==========
+    
+    /**
+     * 邻接表（nodeKey -> [neighborKey]）
+     */
+    getAdjacency() {
+        const adjacency = new Map([...this.nodes.keys()].map(key => [key, []]));
+        for (const [from, to] of this.edges.values()) {
+            adjacency.get(from).push(to);
+            adjacency.get(to).push(from);
+        }
+        return adjacency;
+    }
+    
+    /**
+     * 从起点出发能到达的节点（兔子不能穿过洞口）
+     */
+    getReachableNodes(start, adjacency = this.getAdjacency()) {
+        const reachable = new Set([start]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (this.holes.has(current)) continue;
+            for (const neighbor of adjacency.get(current) || []) {
+                if (!reachable.has(neighbor)) {
+                    reachable.add(neighbor);
+                    queue.push(neighbor);
+                }
+            }
+        }
+        return reachable;
+    }
+    
+    /**
+     * 校验地图：错误会让地图无法游玩，警告只是提示
+     * @returns {Object} {valid, errors, warnings, reachableNodes}
+     *   reachableNodes: 至少一只兔子能到达的节点
+     */
+    validate() {
+        const errors = [];
+        const warnings = [];
+        const adjacency = this.getAdjacency();
+        const reachableNodes = new Set();
+        
+        if (this.nodes.size === 0) {
+            errors.push('地图没有节点');
+        }
+        if (this.holes.size === 0) {
+            errors.push('地图没有洞口');
+        }
+        if (this.bunnyStarts.length === 0) {
+            errors.push('地图没有兔子起点');
+        }
+        
+        for (const start of this.bunnyStarts) {
+            const reachable = this.getReachableNodes(start, adjacency);
+            reachable.forEach(node => reachableNodes.add(node));
+            if (![...reachable].some(node => this.holes.has(node))) {
+                errors.push(`兔子起点 ${start} 到不了任何洞口`);
+            }
+            if (this.getTrapIndex(start) >= 0) {
+                warnings.push(`兔子起点 ${start} 在陷阱中`);
+            }
+        }
+        
+        for (const hole of this.holes) {
+            if (adjacency.get(hole).length === 0) {
+                warnings.push(`洞口 ${hole} 没有连接任何边`);
+            }
+        }
+        
+        if (this.bunnyStarts.length > 0) {
+            const unreachable = [...this.nodes.keys()].filter(node => !reachableNodes.has(node));
+            if (unreachable.length > 0) {
+                warnings.push(`${unreachable.length} 个节点兔子到不了`);
+            }
+        }
+        
+        for (const trap of this.traps) {
+            const { center, edges } = this.exportTrap(trap);
+            if (edges.length === 0) {
+                warnings.push(`陷阱 ${center} 没有出口`);
+            }
+        }
+        
+        return { valid: errors.length === 0, errors, warnings, reachableNodes };
+    }
+    
+    /**
+     * 导出为地图文件 JSON（version 2）
+     * @param {Object} meta - 地图的 {title, author, par}，默认为加载时的 title 和 author
+     */
+    toRawMapData(meta = this.meta) {
+        const coordOf = (key) => [...this.nodes.get(key).coord];
+        const edgeOf = (key) => this.edges.get(key).map(coordOf);
+        const nodes = [...this.nodes.keys()];
+        
+        const rawMapData = { version: MAP_FORMAT_VERSION };
+        if (Object.keys(meta).length > 0) {
+            rawMapData.meta = { ...meta };
+        }
+        rawMapData.nodes = nodes.map(coordOf);
+        rawMapData.positions = nodes.map(key => [...this.nodes.get(key).position]);
+        rawMapData.edges = [...this.edges.keys()].map(key => {
+            const terrain = this.terrain[key];
+            return terrain ? [...edgeOf(key), { terrain }] : edgeOf(key);
+        });
+        rawMapData.holes = nodes.filter(node => this.holes.has(node)).map(coordOf);
+        rawMapData.bunny_start = this.bunnyStarts.map(coordOf);
+        rawMapData.traps = this.traps.map(trap => {
+            const exported = this.exportTrap(trap);
+            return {
+                center: coordOf(exported.center),
+                block: exported.block.map(coordOf),
+                edges: exported.edges.map(edgeOf),
+                internal_nodes: exported.internal_nodes.map(coordOf),
+                boundary_nodes: exported.boundary_nodes.map(coordOf)
+            };
+        });
+        if (Object.keys(this.generationParams).length > 0) {
+            rawMapData.generation_params = { ...this.generationParams };
+        }
+        return rawMapData;
+    }
+}
+
+export default MapEditorService;
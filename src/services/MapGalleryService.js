@@ -0,0 +1,158 @@
+/**
+ * 地图图库服务 - 为选关对话框加载地图并生成缩略图
+ * 每张地图用无头 GameEngine 解析，由独立的 MapRenderer 在离屏画布上按游戏画布尺寸渲染（无路障、无兔子、无提示），再缩小为缩略图
+ * 缩略图和地图信息按难度和编号缓存，地图文件不会变化
+ */
+
+import { GameEngine } from '../core/GameEngine.js';
+import { MapService, CUSTOM_DIFFICULTY } from './MapService.js';
+import { MapRenderer } from './MapRenderer.js';
+
+export const MAP_GALLERY_SORTS = ['number', 'size-asc', 'size-desc'];
+
+export class MapGalleryService {
+    /**
+     * @param {Object} options - {assetLoader, parameterManager, canvasWidth, canvasHeight, thumbnailWidth, thumbnailHeight, mapService}
+     */
+    constructor(options = {}) {
+        const {
+            assetLoader = null,
+            parameterManager = null,
+            canvasWidth = 900,    // 与游戏画布尺寸一致，石头和洞口的比例与游戏中相同
+            canvasHeight = 600,
+            thumbnailWidth = 180,
+            thumbnailHeight = 120,
+            mapService = new MapService() // 独立的地图服务，不占用游戏的地图缓存
+        } = options;
+        
+        this.mapService = mapService;
+        this.mapRenderer = new MapRenderer(assetLoader, parameterManager);
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.thumbnailWidth = thumbnailWidth;
+        this.thumbnailHeight = thumbnailHeight;
+        
+        this.entries = new Map(); // 'easy-1' -> {difficulty, mapNumber, title, info, thumbnail}
+        this.offscreenCanvas = null;
+    }
+    
+    /**
+     * 统计地图的节点、边、洞口和陷阱数量，par 为地图文件 meta 中的标准路障数（没有时为 null）
+     * @param {Object} decodedMap - MapService.decodeMapData 的返回结果
+     */
+    static getMapInfo(decodedMap) {
+        const par = decodedMap.meta ? decodedMap.meta.par : undefined;
+        return {
+            nodeCount: decodedMap.nodes.length,
+            edgeCount: decodedMap.edges.length,
+            holeCount: decodedMap.holes.length,
+            trapCount: (decodedMap.traps || []).length,
+            par: Number.isInteger(par) ? par : null
+        };
+    }
+    
+    /**
+     * 排序图库条目
+     * @param {Object[]} entries - loadGallery 的返回结果
+     * @param {string} sortBy - 'number' 按编号 | 'size-asc' 从小到大 | 'size-desc' 从大到小（按节点数，相同时按边数）
+     * @returns {Object[]} 排序后的新数组
+     */
+    static sortEntries(entries, sortBy = 'number') {
+        const bySize = (a, b) => (a.info.nodeCount - b.info.nodeCount) ||
+            (a.info.edgeCount - b.info.edgeCount) ||
+            (a.mapNumber - b.mapNumber);
+        
+        const sorted = [...entries];
+        if (sortBy === 'size-asc') {
+            sorted.sort(bySize);
+        } else if (sortBy === 'size-desc') {
+            sorted.sort((a, b) => bySize(b, a));
+        } else {
+            sorted.sort((a, b) => a.mapNumber - b.mapNumber);
+        }
+        return sorted;
+    }
+    
+    /**
+     * 加载一个难度在地图清单中的所有地图（加载失败的地图跳过）
+     * @returns {Promise<Object[]>} [{difficulty, mapNumber, title, info, thumbnail}]，按编号排列
+     */
+    async loadGallery(difficulty) {
+        await this.mapService.loadManifest();
+        const mapCount = this.mapService.getAvailableMapCount(difficulty);
+        
+        const entries = [];
+        for (let mapNumber = 1; mapNumber <= mapCount; mapNumber++) {
+            const entry = await this.getEntry(difficulty, mapNumber);
+            if (entry) {
+                entries.push(entry);
+            }
+        }
+        return entries;
+    }
+    
+    /**
+     * 加入玩家提供的地图文件（与游戏的地图服务同步），替换同名文件时丢弃旧的缩略图
+     * @returns {number} 地图在自定义难度中的编号
+     */
+    addCustomMap(rawMapData, fileName) {
+        const mapNumber = this.mapService.addCustomMap(rawMapData, fileName);
+        this.entries.delete(`${CUSTOM_DIFFICULTY}-${mapNumber}`);
+        return mapNumber;
+    }
+    
+    /**
+     * 获取一张地图的图库条目，没有缓存时加载地图并渲染缩略图
+     * @returns {Promise<Object|null>} {difficulty, mapNumber, title, info, thumbnail}，加载失败时为 null
+     */
+    async getEntry(difficulty, mapNumber) {
+        const key = `${difficulty}-${mapNumber}`;
+        if (this.entries.has(key)) {
+            return this.entries.get(key);
+        }
+        
+        const decodedMap = await this.mapService.loadMapData(difficulty, mapNumber);
+        if (!decodedMap) {
+            return null;
+        }
+        
+        const entry = {
+            difficulty,
+            mapNumber,
+            title: this.mapService.getMapTitle(difficulty, mapNumber),
+            info: MapGalleryService.getMapInfo(decodedMap),
+            thumbnail: this.renderThumbnail(decodedMap)
+        };
+        this.entries.set(key, entry);
+        return entry;
+    }
+    
+    /**
+     * 在离屏画布上渲染地图，缩小为缩略图
+     * @returns {HTMLCanvasElement} 缩略图画布
+     */
+    renderThumbnail(decodedMap) {
+        const gameEngine = new GameEngine(this.mapService);
+        gameEngine.setCanvasSize(this.canvasWidth, this.canvasHeight);
+        gameEngine.loadDecodedMap(decodedMap);
+        
+        if (!this.offscreenCanvas) {
+            this.offscreenCanvas = this.createCanvas(this.canvasWidth, this.canvasHeight);
+        }
+        const offscreenCtx = this.offscreenCanvas.getContext('2d');
+        this.mapRenderer.renderMap(offscreenCtx, gameEngine.getGameState(), this.canvasWidth, this.canvasHeight, null, null);
+        
+        const thumbnail = this.createCanvas(this.thumbnailWidth, this.thumbnailHeight);
+        thumbnail.getContext('2d').drawImage(this.offscreenCanvas, 0, 0, this.thumbnailWidth, this.thumbnailHeight);
+        return thumbnail;
+    }
+    
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
+
+export default MapGalleryService;
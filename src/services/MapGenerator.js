@@ -0,0 +1,419 @@
+/**
+ * 程序化地图生成器 - 生成与 assets/maps/{easy,hard}/bunny_map_NNN.json 相同格式的地图
+ * 生成结果可以直接交给 MapService.decodeMapData 加载
+ *
+ * 生成步骤：
+ *   1. grid_size × grid_size 的网格，四个角外侧各放一个洞口
+ *   2. 陷阱扫描：选取 3×3 区域，移除区域边界上的边，只保留不超过 max_trap_exits 个出口
+ *   3. 随机移除 random_edge_fraction 比例的网格边（可在陷阱之前或之后进行）
+ *   4. 节点位置按 deform_strength 随机抖动
+ *   5. 选择一个能到达洞口、且不在陷阱中的兔子起点
+ * 所有移除都保证节点度数不低于下限且图保持连通
+ *
+ * 用法：
+ *   const generator = new MapGenerator();
+ *   const rawMap = generator.generate({ seed: 2024, ...MAP_GENERATOR_PRESETS.hard });
+ *   const mapData = mapService.decodeMapData(rawMap);
+ */
+
+/**
+ * 与内置地图一致的生成参数（内置地图第 N 张的种子为 999 + N）
+ */
+export const MAP_GENERATOR_PRESETS = {
+    easy: {
+        grid_size: 8,
+        random_edge_phase: 'after',
+        max_random_edges: null,
+        random_edge_fraction: 0.05,
+        max_traps: 2,
+        enable_trap_scan: true,
+        min_node_degree: 3,
+        min_grid_degree: 3,
+        max_trap_exits: 5,
+        deform_strength: 0.2
+    },
+    hard: {
+        grid_size: 8,
+        random_edge_phase: 'after',
+        max_random_edges: null,
+        random_edge_fraction: 0.08,
+        max_traps: 1,
+        enable_trap_scan: true,
+        min_node_degree: 3,
+        min_grid_degree: 3,
+        max_trap_exits: 5,
+        deform_strength: 0.2
+    }
+};
+
+const TRAP_RADIUS = 1;           // 陷阱区域为以中心为圆心的 3×3 方块
+const MIN_START_DISTANCE = 3;    // 兔子起点到最近洞口的最少步数（地图太小时放宽）
+
+/**
+ * 带种子的随机数生成器（与 CentralizedStateManager 相同的 Park-Miller 算法）
+ */
+function createSeededRandom(seed) {
+    let m_seed = seed % 2147483647;
+    if (m_seed <= 0) m_seed += 2147483646;
+    
+    return function() {
+        m_seed = m_seed * 16807 % 2147483647;
+        return (m_seed - 1) / 2147483646;
+    };
+}
+
+/**
+ * Fisher-Yates 洗牌（原地）
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+const nodeKey = (x, y) => `(${x}, ${y})`;
+const edgeKey = (from, to) => `(${from}, ${to})`;
+
+/**
+ * 位置坐标格式化：避免科学计数法，保证 MapService.parseCoordinate 可以解析
+ */
+function formatNumber(value) {
+    const text = String(value);
+    return /e/i.test(text) ? value.toFixed(12) : text;
+}
+
+export class MapGenerator {
+    /**
+     * 生成地图
+     * @param {Object} options - {seed, grid_size, random_edge_phase, max_random_edges, random_edge_fraction,
+     *                            max_traps, enable_trap_scan, min_node_degree, min_grid_degree,
+     *                            max_trap_exits, deform_strength}，未指定的参数使用 easy 预设
+     * @returns {Object} 原始地图JSON（与内置地图文件格式相同）
+     */
+    generate(options = {}) {
+        const { seed = Date.now() % 2147483647, ...overrides } = options;
+        const params = { ...MAP_GENERATOR_PRESETS.easy, ...overrides };
+        const gridSize = params.grid_size;
+        if (!Number.isInteger(gridSize) || gridSize < 2 * TRAP_RADIUS + 2) {
+            throw new Error(`无效的网格大小: ${gridSize}`);
+        }
+        
+        const random = createSeededRandom(seed);
+        const graph = this.createGrid(gridSize);
+        
+        const traps = [];
+        let removedEdgesCount = 0;
+        if (params.random_edge_phase === 'before') {
+            removedEdgesCount = this.removeRandomEdges(graph, params, random, traps);
+        }
+        if (params.enable_trap_scan) {
+            this.scanTraps(graph, params, random, traps);
+        }
+        if (params.random_edge_phase !== 'before') {
+            removedEdgesCount = this.removeRandomEdges(graph, params, random, traps);
+        }
+        
+        const positions = this.deformPositions(graph, params.deform_strength, random);
+        const bunnyStart = this.chooseBunnyStart(graph, traps, random);
+        
+        return {
+            nodes: [...graph.gridNodes, ...graph.holes],
+            edges: this.listEdges(graph),
+            positions,
+            grid_size: gridSize,
+            seed,
+            holes: [...graph.holes],
+            bunny_start: bunnyStart,
+            traps,
+            removed_edges_count: removedEdgesCount,
+            algorithm_params: {
+                random_edge_phase: params.random_edge_phase,
+                max_random_edges: params.max_random_edges,
+                random_edge_fraction: params.random_edge_fraction,
+                max_traps: params.max_traps,
+                enable_trap_scan: params.enable_trap_scan,
+                min_node_degree: params.min_node_degree,
+                min_grid_degree: params.min_grid_degree,
+                max_trap_exits: params.max_trap_exits,
+                deform_strength: params.deform_strength
+            }
+        };
+    }
+    
+    /**
+     * 创建完整网格和四个角的洞口
+     * @returns {Object} {gridSize, gridNodes, holes, adjacency: Map<node, Set<node>>}
+     */
+    createGrid(gridSize) {
+        const gridNodes = [];
+        const adjacency = new Map();
+        const link = (from, to) => {
+            adjacency.get(from).add(to);
+            adjacency.get(to).add(from);
+        };
+        
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                gridNodes.push(nodeKey(x, y));
+                adjacency.set(nodeKey(x, y), new Set());
+            }
+        }
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                if (x + 1 < gridSize) link(nodeKey(x, y), nodeKey(x + 1, y));
+                if (y + 1 < gridSize) link(nodeKey(x, y), nodeKey(x, y + 1));
+            }
+        }
+        
+        // 洞口位于四个角的左右外侧：(-1, 0)、(n, 0)、(-1, n-1)、(n, n-1)
+        const last = gridSize - 1;
+        const corners = [[-1, 0, 0, 0], [gridSize, 0, last, 0], [-1, last, 0, last], [gridSize, last, last, last]];
+        const holes = [];
+        for (const [hx, hy, cx, cy] of corners) {
+            const hole = nodeKey(hx, hy);
+            holes.push(hole);
+            adjacency.set(hole, new Set());
+            link(hole, nodeKey(cx, cy));
+        }
+        
+        return { gridSize, gridNodes, holes, adjacency };
+    }
+    
+    /**
+     * 陷阱扫描：随机顺序检查 3×3 区域，把边界出口削减到 max_trap_exits 个以内
+     */
+    scanTraps(graph, params, random, traps) {
+        const { gridSize } = graph;
+        const centers = [];
+        for (let x = TRAP_RADIUS; x < gridSize - TRAP_RADIUS; x++) {
+            for (let y = TRAP_RADIUS; y < gridSize - TRAP_RADIUS; y++) {
+                centers.push([x, y]);
+            }
+        }
+        shuffle(centers, random);
+        
+        const occupied = new Set(traps.flatMap(trap => trap.block));
+        for (const [cx, cy] of centers) {
+            if (traps.length >= params.max_traps) break;
+            
+            const block = [];
+            for (let x = cx - TRAP_RADIUS; x <= cx + TRAP_RADIUS; x++) {
+                for (let y = cy - TRAP_RADIUS; y <= cy + TRAP_RADIUS; y++) {
+                    block.push(nodeKey(x, y));
+                }
+            }
+            // 陷阱之间互不重叠，也不相邻
+            if (block.some(node => occupied.has(node) || [...graph.adjacency.get(node)].some(n => occupied.has(n)))) {
+                continue;
+            }
+            
+            const trap = this.carveTrap(graph, block, nodeKey(cx, cy), params, random);
+            if (trap) {
+                traps.push(trap);
+                block.forEach(node => occupied.add(node));
+            }
+        }
+    }
+    
+    /**
+     * 尝试把区域做成陷阱，无法满足出口数量限制时撤销修改并返回 null
+     */
+    carveTrap(graph, block, center, params, random) {
+        const blockSet = new Set(block);
+        const boundary = [];
+        for (const node of block) {
+            for (const neighbor of graph.adjacency.get(node)) {
+                if (!blockSet.has(neighbor)) boundary.push([node, neighbor]);
+            }
+        }
+        shuffle(boundary, random);
+        
+        const removed = [];
+        const exits = [];
+        for (const [inside, outside] of boundary) {
+            const needsRemoval = boundary.length - removed.length > params.max_trap_exits;
+            if (needsRemoval && this.canRemoveEdge(graph, inside, outside, params.min_node_degree)) {
+                this.unlink(graph, inside, outside);
+                removed.push([inside, outside]);
+            } else {
+                exits.push([inside, outside]);
+            }
+        }
+        
+        if (exits.length > params.max_trap_exits || exits.length === 0) {
+            removed.forEach(([inside, outside]) => this.link(graph, inside, outside));
+            return null;
+        }
+        
+        return {
+            center,
+            block,
+            edges: exits.map(([inside, outside]) => this.orientedEdgeKey(graph, inside, outside)).sort(),
+            internal_nodes: block,
+            boundary_nodes: [...new Set(exits.map(([, outside]) => outside))].sort()
+        };
+    }
+    
+    /**
+     * 随机移除网格边（不移除洞口边和陷阱出口）
+     * @returns {number} 实际移除的边数
+     */
+    removeRandomEdges(graph, params, random, traps) {
+        const { gridSize } = graph;
+        const gridEdgeCount = 2 * gridSize * (gridSize - 1);
+        let target = Math.floor(params.random_edge_fraction * gridEdgeCount);
+        if (params.max_random_edges !== null && params.max_random_edges !== undefined) {
+            target = Math.min(target, params.max_random_edges);
+        }
+        
+        const protectedEdges = new Set(traps.flatMap(trap => trap.edges));
+        const candidates = [];
+        for (const node of graph.gridNodes) {
+            for (const neighbor of graph.adjacency.get(node)) {
+                if (node < neighbor && !graph.holes.includes(neighbor)) candidates.push([node, neighbor]);
+            }
+        }
+        shuffle(candidates, random);
+        
+        let removedCount = 0;
+        for (const [from, to] of candidates) {
+            if (removedCount >= target) break;
+            if (protectedEdges.has(edgeKey(from, to)) || protectedEdges.has(edgeKey(to, from))) continue;
+            if (!this.canRemoveEdge(graph, from, to, params.min_grid_degree)) continue;
+            
+            this.unlink(graph, from, to);
+            removedCount++;
+        }
+        return removedCount;
+    }
+    
+    /**
+     * 移除后两端节点度数不低于下限，且所有节点仍能到达洞口
+     */
+    canRemoveEdge(graph, from, to, minDegree) {
+        if (graph.adjacency.get(from).size <= minDegree || graph.adjacency.get(to).size <= minDegree) {
+            return false;
+        }
+        
+        this.unlink(graph, from, to);
+        const connected = this.countReachable(graph, from) === graph.adjacency.size;
+        this.link(graph, from, to);
+        return connected;
+    }
+    
+    /**
+     * 节点位置随机抖动，洞口保持在整数坐标
+     */
+    deformPositions(graph, strength, random) {
+        const positions = {};
+        for (const node of graph.gridNodes) {
+            const [x, y] = node.match(/-?\d+/g).map(Number);
+            const px = x + (random() * 2 - 1) * strength;
+            const py = y + (random() * 2 - 1) * strength;
+            positions[node] = `(${formatNumber(px)}, ${formatNumber(py)})`;
+        }
+        for (const hole of graph.holes) {
+            const [x, y] = hole.match(/-?\d+/g).map(Number);
+            positions[hole] = `(${x.toFixed(1)}, ${y.toFixed(1)})`;
+        }
+        return positions;
+    }
+    
+    /**
+     * 选择兔子起点：不在陷阱中、能到达洞口，并尽量远离洞口
+     */
+    chooseBunnyStart(graph, traps, random) {
+        const distances = this.distancesToHoles(graph);
+        const trapNodes = new Set(traps.flatMap(trap => trap.block));
+        const reachable = graph.gridNodes.filter(node => distances.has(node) && !trapNodes.has(node));
+        
+        const farEnough = reachable.filter(node => distances.get(node) >= MIN_START_DISTANCE);
+        const candidates = farEnough.length > 0 ? farEnough : reachable;
+        if (candidates.length === 0) {
+            throw new Error('无法找到可以到达洞口的兔子起点');
+        }
+        return candidates[Math.floor(random() * candidates.length)];
+    }
+    
+    /**
+     * 多源BFS：每个节点到最近洞口的步数（不可达的节点不在结果中）
+     */
+    distancesToHoles(graph) {
+        const distances = new Map(graph.holes.map(hole => [hole, 0]));
+        const queue = [...graph.holes];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const neighbor of graph.adjacency.get(current)) {
+                if (distances.has(neighbor)) continue;
+                distances.set(neighbor, distances.get(current) + 1);
+                queue.push(neighbor);
+            }
+        }
+        return distances;
+    }
+    
+    /**
+     * 从节点出发可到达的节点数
+     */
+    countReachable(graph, start) {
+        const visited = new Set([start]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const neighbor of graph.adjacency.get(current)) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+                queue.push(neighbor);
+            }
+        }
+        return visited.size;
+    }
+    
+    /**
+     * 列出所有边（按节点顺序，每条边只出现一次）
+     */
+    listEdges(graph) {
+        const edges = [];
+        const seen = new Set();
+        for (const node of [...graph.gridNodes, ...graph.holes]) {
+            for (const neighbor of graph.adjacency.get(node)) {
+                const key = this.orientedEdgeKey(graph, node, neighbor);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                edges.push(key);
+            }
+        }
+        return edges;
+    }
+    
+    /**
+     * 边键方向：网格边从坐标较小的节点指向较大的节点，洞口边从网格节点指向洞口（与内置地图一致）
+     */
+    orientedEdgeKey(graph, a, b) {
+        if (graph.holes.includes(a)) return edgeKey(b, a);
+        if (graph.holes.includes(b)) return edgeKey(a, b);
+        const [ax, ay] = a.match(/-?\d+/g).map(Number);
+        const [bx, by] = b.match(/-?\d+/g).map(Number);
+        return (ax < bx || (ax === bx && ay < by)) ? edgeKey(a, b) : edgeKey(b, a);
+    }
+    
+    /**
+     * 连接两个节点
+     */
+    link(graph, a, b) {
+        graph.adjacency.get(a).add(b);
+        graph.adjacency.get(b).add(a);
+    }
+    
+    /**
+     * 断开两个节点
+     */
+    unlink(graph, a, b) {
+        graph.adjacency.get(a).delete(b);
+        graph.adjacency.get(b).delete(a);
+    }
+}
+
+export default MapGenerator;
@@ -28,6 +28,15 @@ export class MapRenderer {
         for (let i = 1; i <= 9; i++) {
             this.stoneTextures.push(`stone${i}`);
         }
+        
+        // 提示高亮的边（由HintService给出）
+        this.hintEdge = null;
+        
+        // 键盘光标的焦点 {nodeKey, edgeKey}（由KeyboardCursorService给出）
+        this.keyboardFocus = null;
+        
+        // 触摸瞄准的边（由BlockerService给出）
+        this.pointerEdge = null;
     }
     
     /**
@@ -46,7 +55,18 @@ export class MapRenderer {
             node_normal: '#48bb78',
             node_hole: '#f56565',
             path_preview: 'rgba(255, 182, 206, 0.8)',
+            hint_highlight: 'rgba(255, 215, 0, 0.9)',
+            keyboard_focus: 'rgba(99, 179, 237, 0.95)',
+            pointer_target: 'rgba(255, 255, 255, 0.95)',
+            trap_zone: 'rgba(159, 122, 234, 0.25)',
+            trap_zone_sealed: 'rgba(245, 101, 101, 0.35)',
+            trap_exit: 'rgba(214, 188, 250, 0.9)',
+            terrain_mud: 'rgba(121, 85, 52, 0.85)',
+            terrain_water: 'rgba(66, 153, 225, 0.7)',
+            terrain_bridge: 'rgba(92, 64, 38, 0.9)',
+            terrain_bridge_plank: '#c69c6d',
             ui_background: 'rgba(0, 0, 0, 0.7)',
+            background_gradient_end: '#1a3d1a',
             ui_text: 'white'
         };
         
@@ -75,23 +95,35 @@ export class MapRenderer {
     
     /**
      * 渲染完整地图
+     * @param {BlockerService} blockerManager - 渲染哪个路障服务的路障（回放播放时使用回放自己的路障服务）
      */
-    renderMap(ctx, gameState, canvasWidth, canvasHeight, spriteManager = null) {
+    renderMap(ctx, gameState, canvasWidth, canvasHeight, spriteManager = null, blockerManager = this.blockerManager) {
         // 清空画布
         this.clearCanvas(ctx, canvasWidth, canvasHeight);
         
         // 按层级渲染（仿照Python版本的draw_order）
         this.renderBackground(ctx, canvasWidth, canvasHeight);
         this.renderTiles(ctx, gameState);
+        this.renderTrapZones(ctx, gameState);
         this.renderEdges(ctx, gameState);
         
         // 渲染路障（在边之后，节点之前）
-        if (this.blockerManager) {
-            this.blockerManager.renderAll(ctx, gameState);
+        if (blockerManager) {
+            blockerManager.renderAll(ctx, gameState);
         }
         
+        // 渲染陷阱出口（尚未封堵的咽喉要道）
+        this.renderTrapExits(ctx, gameState);
+        
+        // 渲染提示高亮（在路障之后，节点之前）
+        this.renderHintEdge(ctx, gameState);
+        
         this.renderNodes(ctx, gameState);
         
+        // 渲染键盘光标和触摸瞄准的边（在节点之后，精灵之前）
+        this.renderKeyboardFocus(ctx, gameState);
+        this.renderPointerEdge(ctx, gameState);
+        
         // 渲染精灵（兔子等角色）
         if (spriteManager) {
             this.renderSprites(ctx, spriteManager);
@@ -174,6 +206,64 @@ export class MapRenderer {
         // 装饰性石头已移除，只保留石头路
     }
     
+    /**
+     * 渲染陷阱区域：在陷阱内部节点下方绘制半透明底色，出口全部封死后变为红色
+     */
+    renderTrapZones(ctx, gameState) {
+        if (!gameState.traps || gameState.traps.length === 0 || !gameState.scaledPositions) return;
+        
+        // 网格间距为原始坐标的1个单位
+        const radius = gameState.mapData && gameState.mapData.scaling ? gameState.mapData.scaling.scale * 0.55 : 30;
+        
+        ctx.save();
+        for (const trap of gameState.traps) {
+            const sealed = trap.exitEdges.length > 0 && gameState.blockers &&
+                trap.exitEdges.every(edgeKey => gameState.blockers.has(edgeKey));
+            
+            // 所有圆合并为一条路径，重叠部分不会加深颜色
+            ctx.beginPath();
+            for (const nodeKey of trap.internalNodes) {
+                const pos = gameState.scaledPositions.get(nodeKey);
+                if (!pos) continue;
+                ctx.moveTo(pos[0] + radius, pos[1]);
+                ctx.arc(pos[0], pos[1], radius, 0, Math.PI * 2);
+            }
+            ctx.fillStyle = this.getColor(sealed ? 'trap_zone_sealed' : 'trap_zone');
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * 渲染陷阱出口：未放置路障的出口边绘制为虚线，提示玩家在此封堵
+     */
+    renderTrapExits(ctx, gameState) {
+        if (!gameState.traps || gameState.traps.length === 0 || !gameState.edges || !gameState.scaledPositions) return;
+        
+        ctx.save();
+        ctx.strokeStyle = this.getColor('trap_exit');
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.setLineDash([6, 6]);
+        
+        for (const trap of gameState.traps) {
+            for (const edgeKey of trap.exitEdges) {
+                if (gameState.blockers && gameState.blockers.has(edgeKey)) continue;
+                
+                const edge = gameState.edges.get(edgeKey);
+                const fromPos = edge ? gameState.scaledPositions.get(edge.from) : null;
+                const toPos = edge ? gameState.scaledPositions.get(edge.to) : null;
+                if (!fromPos || !toPos) continue;
+                
+                ctx.beginPath();
+                ctx.moveTo(fromPos[0], fromPos[1]);
+                ctx.lineTo(toPos[0], toPos[1]);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+    
     /**
      * 渲染边（路径）
      */
@@ -189,7 +279,7 @@ export class MapRenderer {
             
             if (fromPos && toPos) {
                 // 始终绘制石子路（不管是否有路障）
-                this.renderStoneEdge(ctx, fromPos, toPos, edge.is_hole_edge || false, edgeKey);
+                this.renderStoneEdge(ctx, fromPos, toPos, edge.is_hole_edge || false, edgeKey, edge.terrain);
             }
         }
         
@@ -200,8 +290,9 @@ export class MapRenderer {
     
     /**
      * 使用小石子渲染边 - 仿照Python版本的石子平铺方法
+     * 非草地地形先绘制地形底色：泥地为褐色、水面为蓝色（只有零星踏脚石）、桥为木板
      */
-    renderStoneEdge(ctx, fromPos, toPos, isHoleEdge = false, edgeKey = '') {
+    renderStoneEdge(ctx, fromPos, toPos, isHoleEdge = false, edgeKey = '', terrain = 'grass') {
         const dx = toPos[0] - fromPos[0];
         const dy = toPos[1] - fromPos[1];
         const length = Math.sqrt(dx * dx + dy * dy);
@@ -212,9 +303,17 @@ export class MapRenderer {
         const unitX = dx / length;
         const unitY = dy / length;
         
-        // 石子密度：每3.75像素一个石子（仿照Python版本）
-        const stoneSpacing = 3.75;
-        const numStones = Math.max(5, Math.floor(length / stoneSpacing));
+        if (terrain && terrain !== 'grass') {
+            this.renderTerrainBase(ctx, fromPos, toPos, terrain);
+        }
+        if (terrain === 'bridge') {
+            this.renderBridgePlanks(ctx, fromPos, toPos);
+            return;
+        }
+        
+        // 石子密度：每3.75像素一个石子（仿照Python版本），水面上每15像素一块踏脚石
+        const stoneSpacing = terrain === 'water' ? 15 : 3.75;
+        const numStones = Math.max(terrain === 'water' ? 2 : 5, Math.floor(length / stoneSpacing));
         
         // 使用边的键作为随机种子，确保每次渲染一致
         const edgeSeed = this.hashString(edgeKey) % 10000;
@@ -250,6 +349,47 @@ export class MapRenderer {
         }
     }
     
+    /**
+     * 渲染地形底色：沿边绘制一条带颜色的宽线
+     */
+    renderTerrainBase(ctx, fromPos, toPos, terrain) {
+        ctx.save();
+        ctx.strokeStyle = this.getColor(`terrain_${terrain}`);
+        ctx.lineWidth = terrain === 'water' ? 14 : 12;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(fromPos[0], fromPos[1]);
+        ctx.lineTo(toPos[0], toPos[1]);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * 渲染桥面木板：垂直于边的短横线
+     */
+    renderBridgePlanks(ctx, fromPos, toPos) {
+        const dx = toPos[0] - fromPos[0];
+        const dy = toPos[1] - fromPos[1];
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const perpX = -dy / length;
+        const perpY = dx / length;
+        const plankSpacing = 6;
+        const halfWidth = 7;
+        
+        ctx.save();
+        ctx.strokeStyle = this.getColor('terrain_bridge_plank');
+        ctx.lineWidth = 3;
+        for (let d = plankSpacing / 2; d < length; d += plankSpacing) {
+            const x = fromPos[0] + dx * d / length;
+            const y = fromPos[1] + dy * d / length;
+            ctx.beginPath();
+            ctx.moveTo(x - perpX * halfWidth, y - perpY * halfWidth);
+            ctx.lineTo(x + perpX * halfWidth, y + perpY * halfWidth);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
     /**
      * 渲染单个石头
      */
@@ -324,6 +464,179 @@ export class MapRenderer {
         ctx.restore();
     }
     
+    /**
+     * 设置提示高亮的边
+     */
+    setHintEdge(edgeKey) {
+        this.hintEdge = edgeKey || null;
+    }
+    
+    /**
+     * 清除提示高亮
+     */
+    clearHintEdge() {
+        this.hintEdge = null;
+    }
+    
+    /**
+     * 渲染提示高亮：沿建议放置路障的边绘制闪烁的发光线
+     */
+    renderHintEdge(ctx, gameState) {
+        if (!this.hintEdge || !gameState.edges || !gameState.scaledPositions) return;
+        
+        // 已经放置了路障则不再高亮
+        if (gameState.blockers && gameState.blockers.has(this.hintEdge)) return;
+        
+        const edge = gameState.edges.get(this.hintEdge);
+        if (!edge) return;
+        
+        const fromPos = gameState.scaledPositions.get(edge.from);
+        const toPos = gameState.scaledPositions.get(edge.to);
+        if (!fromPos || !toPos) return;
+        
+        // 0.5 ~ 1.0 之间的脉冲透明度
+        const pulse = 0.75 + 0.25 * Math.sin(performance.now() / 150);
+        
+        ctx.save();
+        ctx.globalAlpha = pulse;
+        ctx.strokeStyle = this.getColor('hint_highlight');
+        ctx.shadowColor = this.getColor('hint_highlight');
+        ctx.shadowBlur = 15;
+        ctx.lineWidth = 8;
+        ctx.lineCap = 'round';
+        
+        ctx.beginPath();
+        ctx.moveTo(fromPos[0], fromPos[1]);
+        ctx.lineTo(toPos[0], toPos[1]);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * 设置键盘光标的焦点
+     * @param {Object|null} focus - {nodeKey, edgeKey}，null 表示隐藏光标
+     */
+    setKeyboardFocus(focus) {
+        this.keyboardFocus = focus || null;
+    }
+    
+    /**
+     * 渲染键盘光标：光标所在节点画圆圈，聚焦的边画一圈包住整条边的焦点框（只在游戏进行中显示）
+     */
+    renderKeyboardFocus(ctx, gameState) {
+        if (!this.keyboardFocus || !gameState.scaledPositions) return;
+        if (this.stateTransitionService && !this.stateTransitionService.isRunning()) return;
+        
+        const nodePos = gameState.scaledPositions.get(this.keyboardFocus.nodeKey);
+        if (!nodePos) return;
+        
+        ctx.save();
+        ctx.strokeStyle = this.getColor('keyboard_focus');
+        ctx.shadowColor = this.getColor('keyboard_focus');
+        ctx.shadowBlur = 6;
+        
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.arc(nodePos[0], nodePos[1], this.getSize('hole_radius') + 4, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        const edge = this.keyboardFocus.edgeKey && gameState.edges ? gameState.edges.get(this.keyboardFocus.edgeKey) : null;
+        const fromPos = edge ? gameState.scaledPositions.get(edge.from) : null;
+        const toPos = edge ? gameState.scaledPositions.get(edge.to) : null;
+        if (fromPos && toPos) {
+            ctx.lineWidth = 3;
+            ctx.setLineDash([]);
+            this.traceEdgeRing(ctx, fromPos, toPos, 10);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    /**
+     * 两端为半圆、包住整条边的胶囊形路径
+     */
+    traceEdgeRing(ctx, fromPos, toPos, radius) {
+        const angle = Math.atan2(toPos[1] - fromPos[1], toPos[0] - fromPos[0]);
+        ctx.beginPath();
+        ctx.arc(fromPos[0], fromPos[1], radius, angle + Math.PI / 2, angle + Math.PI * 3 / 2);
+        ctx.arc(toPos[0], toPos[1], radius, angle - Math.PI / 2, angle + Math.PI / 2);
+        ctx.closePath();
+    }
+    
+    /**
+     * 设置触摸瞄准的边
+     * @param {string|null} edgeKey - null 表示没有瞄准的边
+     */
+    setPointerEdge(edgeKey) {
+        this.pointerEdge = edgeKey || null;
+    }
+    
+    /**
+     * 渲染触摸瞄准的边：抬起手指时将放置路障的边（长按时回收）
+     */
+    renderPointerEdge(ctx, gameState) {
+        if (!this.pointerEdge || !gameState.edges || !gameState.scaledPositions) return;
+        
+        const edge = gameState.edges.get(this.pointerEdge);
+        const fromPos = edge ? gameState.scaledPositions.get(edge.from) : null;
+        const toPos = edge ? gameState.scaledPositions.get(edge.to) : null;
+        if (!fromPos || !toPos) return;
+        
+        ctx.save();
+        ctx.strokeStyle = this.getColor('pointer_target');
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = 4;
+        ctx.lineWidth = 3;
+        this.traceEdgeRing(ctx, fromPos, toPos, 12);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * 渲染放大镜：把手指下的画面放大显示在手指上方（靠近画布顶部时显示在下方），在地图和界面之后绘制
+     * @param {Object} loupe - {x, y, radius, magnification}，见 PointerInputService.getLoupe
+     */
+    renderLoupe(ctx, loupe) {
+        if (!loupe) return;
+        
+        const { x, y, radius, magnification } = loupe;
+        const gap = radius * 0.4;
+        const centerX = Math.max(radius, Math.min(ctx.canvas.width - radius, x));
+        const centerY = y - radius - gap >= radius ? y - radius - gap : Math.min(ctx.canvas.height - radius, y + radius + gap);
+        const sourceSize = radius * 2 / magnification;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.fillStyle = this.getColor('background_gradient_end');
+        ctx.fillRect(centerX - radius, centerY - radius, radius * 2, radius * 2);
+        ctx.drawImage(ctx.canvas, x - sourceSize / 2, y - sourceSize / 2, sourceSize, sourceSize,
+            centerX - radius, centerY - radius, radius * 2, radius * 2);
+        
+        // 十字准星标出手指位置
+        ctx.strokeStyle = this.getColor('pointer_target');
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(centerX - 8, centerY);
+        ctx.lineTo(centerX + 8, centerY);
+        ctx.moveTo(centerX, centerY - 8);
+        ctx.lineTo(centerX, centerY + 8);
+        ctx.stroke();
+        ctx.restore();
+        
+        ctx.save();
+        ctx.strokeStyle = this.getColor('pointer_target');
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = 6;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
     /**
      * 渲染节点
      */
@@ -1,8 +1,55 @@
 /**
  * 真实地图管理器 - 仿照Python版本的MapManager
  * 负责加载和管理真实地图数据
+ *
+ * 地图清单 assets/maps/manifest.json 列出所有难度和地图，新增地图或难度目录只需修改清单：
+ *   {version: 1, difficulties: [{id, title, folder, maps: [{file, title}, ...]}, ...]}
+ *   难度按清单顺序排列，地图编号为地图在 maps 中的位置（从1开始）
+ *
+ * 玩家选择或拖入的地图文件加入临时的自定义难度 'custom'（只保存在内存中，不请求服务器），
+ * 地图编号为加入的顺序，同名文件再次加入时替换原来的地图
+ *
+ * 地图文件格式（两种格式解码后的结果相同，见 decodeMapData；scripts/convert-maps.js 把旧格式转换为 version 2）：
+ *   version 2：坐标都是数字数组
+ *     {version: 2, meta: {title, author, par},
+ *      nodes: [[x, y], ...], positions: [[px, py], ...]（与 nodes 一一对应）,
+ *      edges: [[[x1, y1], [x2, y2]], [[x1, y1], [x2, y2], {terrain: 'mud'}], ...]（第三项为可选的边属性）,
+ *      holes: [[x, y], ...], bunny_start: [[x, y], ...],
+ *      traps: [{center: [x, y], block, edges, internal_nodes, boundary_nodes}, ...], generation_params: {...}}
+ *     meta 的各项均可省略；par 为把兔子与洞口隔开所需的最少路障数
+ *   version 1（没有 version 字段）：坐标为 Python 风格的字符串 "(x, y)" 和 "((x1, y1), (x2, y2))"，
+ *     positions 为以节点字符串为键的对象，地形写在单独的 terrain 对象中，traps 可能是整个列表的字符串
  */
 
+import { DEFAULT_TERRAIN } from './TerrainTypes.js';
+import { MapValidator, MapValidationError } from './MapValidator.js';
+
+export const MAP_MANIFEST_VERSION = 1;
+export const MAP_FORMAT_VERSION = 2;
+export const CUSTOM_DIFFICULTY = 'custom';
+
+// version 1 地图写在顶层的生成信息，解码时归入 generation_params
+const LEGACY_GENERATION_FIELDS = ['grid_size', 'seed', 'removed_edges_count', 'algorithm_params'];
+
+/**
+ * 地图加载错误：message 为中文日志文本，userMessage 为显示给玩家的英文文本
+ */
+export function mapLoadError(message, userMessage) {
+    const error = new Error(message);
+    error.userMessage = userMessage;
+    return error;
+}
+
+/**
+ * 错误的英文说明：校验错误为第一条问题，没有英文文本的错误使用通用说明
+ */
+export function getUserMessage(error) {
+    if (error && error.userErrors && error.userErrors.length > 0) {
+        return error.userErrors[0];
+    }
+    return error && error.userMessage ? error.userMessage : 'The map data could not be read.';
+}
+
 export class MapService {
     constructor() {
         this.currentDifficulty = 'easy'; // 默认难度
@@ -15,22 +62,155 @@ export class MapService {
         // 地图文件路径配置
         this.mapBasePath = 'assets/maps/';
         
+        // 地图清单（loadManifest 或 setManifest 后可用）
+        this.manifest = null;
+        
+        // 自定义难度 {id, title, folder, maps: [{file, title, mapData}]}，加入第一张地图文件后可用
+        this.customDifficulty = null;
+        
+        // 加载和加入地图时的校验（见 MapValidator）；地图加载失败时通知监听器（游戏中显示错误对话框）
+        this.validator = new MapValidator(this);
+        this.loadErrorListener = null;
+        
         // console.log('MapService initialized');
     }
     
+    /**
+     * 获取地图清单路径
+     */
+    getManifestPath() {
+        return `${this.mapBasePath}manifest.json`;
+    }
+    
+    /**
+     * 加载地图清单（只加载一次）
+     * @returns {Promise<Object>} 地图清单
+     */
+    async loadManifest() {
+        if (this.manifest) {
+            return this.manifest;
+        }
+        
+        const response = await fetch(this.getManifestPath());
+        if (!response.ok) {
+            throw new Error(`地图清单加载失败: ${response.status} ${response.statusText}`);
+        }
+        this.setManifest(await response.json());
+        return this.manifest;
+    }
+    
+    /**
+     * 设置地图清单（Node 脚本从文件读取后传入）
+     */
+    setManifest(manifest) {
+        this.manifest = MapService.validateManifest(manifest);
+    }
+    
+    /**
+     * 校验地图清单结构
+     * @returns {Object} 地图清单
+     */
+    static validateManifest(manifest) {
+        if (!manifest || manifest.version !== MAP_MANIFEST_VERSION) {
+            throw new Error(`不支持的地图清单版本: ${manifest ? manifest.version : manifest}`);
+        }
+        if (!Array.isArray(manifest.difficulties) || manifest.difficulties.length === 0) {
+            throw new Error('地图清单没有难度');
+        }
+        
+        const ids = new Set();
+        for (const difficulty of manifest.difficulties) {
+            if (!difficulty || typeof difficulty.id !== 'string' || !difficulty.id || ids.has(difficulty.id) ||
+                difficulty.id === CUSTOM_DIFFICULTY) {
+                throw new Error(`地图清单的难度无效: ${JSON.stringify(difficulty && difficulty.id)}`);
+            }
+            if (typeof difficulty.folder !== 'string' || !Array.isArray(difficulty.maps) ||
+                !difficulty.maps.every(map => map && typeof map.file === 'string')) {
+                throw new Error(`地图清单的难度 ${difficulty.id} 缺少目录或地图文件`);
+            }
+            ids.add(difficulty.id);
+        }
+        
+        return manifest;
+    }
+    
+    /**
+     * 获取清单中的所有难度（按清单顺序）
+     * @param {boolean} includeCustom - 是否在最后加上自定义难度（已加入地图文件时）
+     * @returns {Object[]} [{id, title, mapCount}]，清单未加载时为空
+     */
+    getDifficulties(includeCustom = false) {
+        if (!this.manifest) return [];
+        const difficulties = [...this.manifest.difficulties];
+        if (includeCustom && this.customDifficulty) {
+            difficulties.push(this.customDifficulty);
+        }
+        return difficulties.map(difficulty => ({
+            id: difficulty.id,
+            title: difficulty.title || difficulty.id,
+            mapCount: difficulty.maps.length
+        }));
+    }
+    
+    /**
+     * 清单中是否有该难度
+     */
+    hasDifficulty(difficulty) {
+        return this.getDifficultyEntry(difficulty) !== null;
+    }
+    
+    /**
+     * 获取清单中的难度条目 {id, title, folder, maps}，没有时为 null（自定义难度返回自定义难度条目）
+     */
+    getDifficultyEntry(difficulty) {
+        if (difficulty === CUSTOM_DIFFICULTY) return this.customDifficulty;
+        if (!this.manifest) return null;
+        return this.manifest.difficulties.find(entry => entry.id === difficulty) || null;
+    }
+    
+    /**
+     * 难度的显示名称
+     */
+    getDifficultyTitle(difficulty) {
+        const entry = this.getDifficultyEntry(difficulty);
+        return entry ? entry.title || entry.id : difficulty;
+    }
+    
+    /**
+     * 获取清单中的地图条目
+     * @returns {Object|null} {file, title}
+     */
+    getMapEntry(difficulty, mapNumber) {
+        const entry = this.getDifficultyEntry(difficulty);
+        if (!entry || !Number.isInteger(mapNumber) || mapNumber < 1 || mapNumber > entry.maps.length) {
+            return null;
+        }
+        return entry.maps[mapNumber - 1];
+    }
+    
+    /**
+     * 地图的显示名称，清单中没有标题时为 "Map N"
+     */
+    getMapTitle(difficulty, mapNumber) {
+        const map = this.getMapEntry(difficulty, mapNumber);
+        return map && map.title ? map.title : `Map ${mapNumber}`;
+    }
+    
     /**
      * 获取地图文件路径
+     * @returns {string|null} 地图不在清单中或是自定义地图时为 null
      */
     getMapFilePath(difficulty, mapNumber) {
-        const paddedNumber = mapNumber.toString().padStart(3, '0');
-        return `${this.mapBasePath}${difficulty}/bunny_map_${paddedNumber}.json`;
+        const map = this.getMapEntry(difficulty, mapNumber);
+        if (!map || difficulty === CUSTOM_DIFFICULTY) return null;
+        return `${this.mapBasePath}${this.getDifficultyEntry(difficulty).folder}/${map.file}`;
     }
     
     /**
      * 设置当前难度
      */
     setDifficulty(difficulty) {
-        if (['easy', 'hard'].includes(difficulty)) {
+        if (this.hasDifficulty(difficulty)) {
             this.currentDifficulty = difficulty;
             // console.log(`地图难度设置为: ${difficulty}`);
         } else {
@@ -45,7 +225,7 @@ export class MapService {
         // console.log(`🔍 DEBUG: MapService.setMapNumber 被调用 - 新地图编号: ${mapNumber}`);
         // console.log(`🔍 DEBUG: 当前地图编号: ${this.currentMapNumber}`);
         
-        if (mapNumber >= 1 && mapNumber <= 100) {
+        if (mapNumber >= 1 && mapNumber <= this.getAvailableMapCount()) {
             this.currentMapNumber = mapNumber;
             // console.log(`地图编号设置为: ${mapNumber}`);
             // console.log(`🔍 DEBUG: MapService.currentMapNumber 已更新为: ${this.currentMapNumber}`);
@@ -61,6 +241,7 @@ export class MapService {
         return {
             difficulty: this.currentDifficulty,
             mapNumber: this.currentMapNumber,
+            title: this.getMapTitle(this.currentDifficulty, this.currentMapNumber),
             filePath: this.getMapFilePath(this.currentDifficulty, this.currentMapNumber)
         };
     }
@@ -72,6 +253,16 @@ export class MapService {
         const targetDifficulty = difficulty || this.currentDifficulty;
         const targetMapNumber = mapNumber || this.currentMapNumber;
         
+        // 自定义地图已在加入时解码
+        if (targetDifficulty === CUSTOM_DIFFICULTY) {
+            const map = this.getMapEntry(targetDifficulty, targetMapNumber);
+            if (!map) {
+                console.error(`❌ 地图加载失败: 没有自定义地图 #${targetMapNumber}`);
+                return null;
+            }
+            return map.mapData;
+        }
+        
         // 检查缓存
         const cacheKey = `${targetDifficulty}_${targetMapNumber}`;
         if (this.mapCache.has(cacheKey)) {
@@ -80,18 +271,28 @@ export class MapService {
         }
         
         try {
+            await this.loadManifest();
             const filePath = this.getMapFilePath(targetDifficulty, targetMapNumber);
+            if (!filePath) {
+                throw mapLoadError(`地图不在清单中: ${targetDifficulty} #${targetMapNumber}`, 'The map is not listed in the map manifest.');
+            }
             // console.log(`开始加载地图: ${filePath}`);
             
             const response = await fetch(filePath);
             if (!response.ok) {
-                throw new Error(`地图文件加载失败: ${response.status} ${response.statusText}`);
+                throw mapLoadError(`地图文件加载失败: ${response.status} ${response.statusText}`,
+                    `The map file could not be downloaded (${response.status} ${response.statusText}).`);
             }
             
-            const rawMapData = await response.json();
+            let rawMapData;
+            try {
+                rawMapData = await response.json();
+            } catch (error) {
+                throw mapLoadError(`地图文件不是有效的 JSON: ${error.message}`, 'The map file is not valid JSON.');
+            }
             
-            // 解码字符串为坐标
-            const mapData = this.decodeMapData(rawMapData);
+            // 校验并解码为坐标
+            const mapData = this.decodeValidatedMapData(rawMapData, filePath);
             
             // 缓存地图数据
             this.mapCache.set(cacheKey, mapData);
@@ -102,23 +303,74 @@ export class MapService {
             
         } catch (error) {
             console.error(`❌ 地图加载失败: ${error.message}`);
+            this.reportLoadError(targetDifficulty, targetMapNumber, error);
             return null;
         }
     }
     
     /**
-     * 解码地图数据 - 将字符串坐标转换为实际坐标
+     * 设置地图加载失败的监听器
+     * @param {Function|null} listener - (loadError) => void，loadError 为 {difficulty, mapNumber, title, filePath, message, errors, warnings}
+     *   message 为中文日志文本，errors 和 warnings 为显示给玩家的英文文本
+     */
+    setLoadErrorListener(listener) {
+        this.loadErrorListener = listener;
+    }
+    
+    reportLoadError(difficulty, mapNumber, error) {
+        if (!this.loadErrorListener) return;
+        
+        this.loadErrorListener({
+            difficulty,
+            mapNumber,
+            title: `${this.getDifficultyTitle(difficulty)} ${this.getMapTitle(difficulty, mapNumber)}`,
+            filePath: this.getMapFilePath(difficulty, mapNumber),
+            message: error.message,
+            errors: error.userErrors || [getUserMessage(error)],
+            warnings: error.userWarnings || []
+        });
+    }
+    
+    /**
+     * 解码地图数据 - 将地图文件（version 1 或 2）中的坐标转换为数组
+     * @returns {Object} {version, meta, nodes, edges, positions, holes, bunnyStart, bunnyStarts, traps, terrain, generation_params}
+     *   positions 以节点字符串 "(x, y)" 为键；traps 和 terrain 使用字符串坐标，由 GameEngine.parseTraps 和 convertToGameEngineFormat 读取
      */
     decodeMapData(rawMapData) {
+        const version = rawMapData.version === undefined ? 1 : rawMapData.version;
+        if (version === MAP_FORMAT_VERSION) {
+            return this.decodeMapDataV2(rawMapData);
+        }
+        if (version === 1) {
+            return this.decodeMapDataV1(rawMapData);
+        }
+        throw new Error(`不支持的地图格式版本: ${rawMapData.version}`);
+    }
+    
+    /**
+     * 解码 version 1 地图（字符串坐标）
+     */
+    decodeMapDataV1(rawMapData) {
         const mapData = {
+            version: 1,
+            meta: {},
             nodes: [],
             edges: [],
             positions: {},
             holes: [],
             bunnyStart: null,
-            traps: rawMapData.traps || [],
+            bunnyStarts: [],
+            traps: this.parseTrapList(rawMapData.traps),
+            terrain: rawMapData.terrain || {}, // 可选的边地形，见 TerrainTypes
             generation_params: rawMapData.generation_params || {}
         };
+        if (!rawMapData.generation_params) {
+            for (const field of LEGACY_GENERATION_FIELDS) {
+                if (rawMapData[field] !== undefined) {
+                    mapData.generation_params[field] = rawMapData[field];
+                }
+            }
+        }
         
         // 解码节点列表
         mapData.nodes = rawMapData.nodes.map(nodeStr => this.parseCoordinate(nodeStr));
@@ -136,12 +388,178 @@ export class MapService {
         // 解码洞口
         mapData.holes = rawMapData.holes.map(holeStr => this.parseCoordinate(holeStr));
         
-        // 解码兔子起始位置
-        mapData.bunnyStart = this.parseCoordinate(rawMapData.bunny_start);
+        // 解码兔子起始位置（bunny_start 可以是数组，每个起点生成一只兔子）
+        const bunnyStarts = Array.isArray(rawMapData.bunny_start) ? rawMapData.bunny_start : [rawMapData.bunny_start];
+        mapData.bunnyStarts = bunnyStarts.map(startStr => this.parseCoordinate(startStr));
+        mapData.bunnyStart = mapData.bunnyStarts[0];
         
         return mapData;
     }
     
+    /**
+     * 解析 version 1 的陷阱列表，整个列表写成 Python 字符串时先转换为 JSON
+     */
+    parseTrapList(traps) {
+        if (typeof traps === 'string') {
+            return JSON.parse(traps.replace(/'/g, '"'));
+        }
+        return traps || [];
+    }
+    
+    /**
+     * 解码 version 2 地图（数字坐标）
+     */
+    decodeMapDataV2(rawMapData) {
+        const mapData = {
+            version: MAP_FORMAT_VERSION,
+            meta: { ...rawMapData.meta },
+            nodes: rawMapData.nodes.map(node => [...node]),
+            edges: [],
+            positions: {},
+            holes: rawMapData.holes.map(hole => [...hole]),
+            bunnyStart: null,
+            bunnyStarts: rawMapData.bunny_start.map(start => [...start]),
+            traps: (rawMapData.traps || []).map(trap => this.decodeTrap(trap)),
+            terrain: {},
+            generation_params: rawMapData.generation_params || {}
+        };
+        
+        rawMapData.nodes.forEach((node, index) => {
+            mapData.positions[this.coordToString(node)] = [...rawMapData.positions[index]];
+        });
+        
+        // 边属性目前只有 terrain，其他属性忽略
+        for (const [from, to, attributes] of rawMapData.edges) {
+            const edge = [[...from], [...to]];
+            mapData.edges.push(edge);
+            if (attributes && attributes.terrain) {
+                mapData.terrain[this.edgeToString(edge)] = attributes.terrain;
+            }
+        }
+        
+        mapData.bunnyStart = mapData.bunnyStarts[0];
+        return mapData;
+    }
+    
+    /**
+     * version 2 陷阱的数字坐标转换为字符串坐标（只转换文件中有的字段）
+     */
+    decodeTrap(trap) {
+        const decoded = {};
+        for (const [field, value] of Object.entries(trap)) {
+            if (field === 'center') {
+                decoded.center = this.coordToString(value);
+            } else if (field === 'edges') {
+                decoded.edges = value.map(edge => this.edgeToString(edge));
+            } else if (Array.isArray(value)) {
+                decoded[field] = value.map(node => this.coordToString(node));
+            } else {
+                decoded[field] = value;
+            }
+        }
+        return decoded;
+    }
+    
+    /**
+     * decodeTrap 的逆过程
+     */
+    encodeTrap(trap) {
+        const encoded = {};
+        for (const [field, value] of Object.entries(trap)) {
+            if (field === 'center') {
+                encoded.center = this.parseCoordinate(value);
+            } else if (field === 'edges') {
+                encoded.edges = value.map(edgeStr => this.parseEdge(edgeStr));
+            } else if (Array.isArray(value)) {
+                encoded[field] = value.map(nodeStr => this.parseCoordinate(nodeStr));
+            } else {
+                encoded[field] = value;
+            }
+        }
+        return encoded;
+    }
+    
+    /**
+     * 编码为当前格式（version 2）的地图文件
+     * @param {Object} mapData - decodeMapData 的返回结果
+     * @param {Object} meta - {title, author, par}，默认使用地图原有的 meta；值为空的项不写入
+     * @returns {Object} 地图文件 JSON
+     */
+    encodeMapData(mapData, meta = mapData.meta || {}) {
+        const rawMapData = { version: MAP_FORMAT_VERSION };
+        
+        const entries = Object.entries(meta).filter(([, value]) => value !== undefined && value !== null && value !== '');
+        if (entries.length > 0) {
+            rawMapData.meta = Object.fromEntries(entries);
+        }
+        
+        rawMapData.nodes = mapData.nodes.map(node => [...node]);
+        rawMapData.positions = mapData.nodes.map(node => [...mapData.positions[this.coordToString(node)]]);
+        rawMapData.edges = mapData.edges.map(edge => {
+            const terrain = this.findEdgeTerrain(mapData.terrain, edge);
+            return terrain ? [[...edge[0]], [...edge[1]], { terrain }] : [[...edge[0]], [...edge[1]]];
+        });
+        rawMapData.holes = mapData.holes.map(hole => [...hole]);
+        rawMapData.bunny_start = mapData.bunnyStarts.map(start => [...start]);
+        rawMapData.traps = (mapData.traps || []).map(trap => this.encodeTrap(trap));
+        if (mapData.generation_params && Object.keys(mapData.generation_params).length > 0) {
+            rawMapData.generation_params = mapData.generation_params;
+        }
+        
+        return rawMapData;
+    }
+    
+    /**
+     * 地图文件的 JSON 文本：缩进2格，坐标和边各占一行
+     */
+    static stringifyMapData(rawMapData) {
+        const collapse = (text) => text.replace(/\s*\n\s*/g, ' ').replace(/\[ /g, '[').replace(/ \]/g, ']');
+        return JSON.stringify(rawMapData, null, 2)
+            // 只含数字和字符串的数组（坐标）
+            .replace(/\[[^[\]{}]*\]/g, collapse)
+            // 两个坐标组成的数组（边）
+            .replace(/\[\s*\[[^[\]{}]*\],\s*\[[^[\]{}]*\]\s*\]/g, collapse);
+    }
+    
+    /**
+     * 加入玩家提供的地图文件（自定义难度），同名文件替换原来的地图
+     * @param {Object} rawMapData - 与 assets/maps 中的地图文件格式相同的 JSON 对象
+     * @param {string} fileName - 地图文件名，地图没有 meta.title 时去掉 .json 后作为地图名称
+     * @returns {number} 地图在自定义难度中的编号
+     */
+    addCustomMap(rawMapData, fileName) {
+        const mapData = this.decodeValidatedMapData(rawMapData, fileName);
+        const title = mapData.meta.title || fileName.replace(/\.json$/i, '');
+        
+        if (!this.customDifficulty) {
+            this.customDifficulty = { id: CUSTOM_DIFFICULTY, title: 'Custom', folder: null, maps: [] };
+        }
+        const maps = this.customDifficulty.maps;
+        const index = maps.findIndex(map => map.file === fileName);
+        if (index >= 0) {
+            maps[index] = { file: fileName, title, mapData };
+            return index + 1;
+        }
+        maps.push({ file: fileName, title, mapData });
+        return maps.length;
+    }
+    
+    /**
+     * 校验并解码地图 JSON（见 MapValidator），有错误时抛出 MapValidationError，警告只输出到控制台
+     * @param {string} source - 地图的文件名或路径，用于警告信息
+     * @returns {Object} decodeMapData 的返回结果
+     */
+    decodeValidatedMapData(rawMapData, source = '地图') {
+        const { valid, errors, warnings, userErrors, userWarnings, mapData } = this.validator.validate(rawMapData);
+        if (!valid) {
+            throw new MapValidationError(errors, warnings, userErrors, userWarnings);
+        }
+        if (warnings.length > 0) {
+            console.warn(`⚠️ ${source}: ${warnings.join('；')}`);
+        }
+        return mapData;
+    }
+    
     /**
      * 解析坐标字符串 "(x, y)" -> [x, y]
      * 支持整数和浮点数
@@ -183,6 +601,16 @@ export class MapService {
         return `((${edge[0][0]}, ${edge[0][1]}), (${edge[1][0]}, ${edge[1][1]}))`;
     }
     
+    /**
+     * 查找边的地形（地形可以用任意方向的边键指定），没有指定时为 null
+     * @param {Object} terrain - 解码结果的 terrain（边键 -> 地形）
+     * @param {Array} edge - [[x1, y1], [x2, y2]]
+     */
+    findEdgeTerrain(terrain, edge) {
+        if (!terrain) return null;
+        return terrain[this.edgeToString(edge)] || terrain[this.edgeToString([edge[1], edge[0]])] || null;
+    }
+    
     /**
      * 计算地图缩放参数
      */
@@ -229,7 +657,8 @@ export class MapService {
         const gameMapData = {
             nodes: {},
             edges: {},
-            bunny_start: this.coordToString(mapData.bunnyStart), // 转换为字符串格式
+            bunny_start: mapData.bunnyStart ? this.coordToString(mapData.bunnyStart) : null, // 转换为字符串格式（编辑中的地图可能还没有起点）
+            bunny_starts: (mapData.bunnyStarts || [mapData.bunnyStart]).map(start => this.coordToString(start)),
             hole_positions: mapData.holes
         };
         
@@ -259,15 +688,21 @@ export class MapService {
                 (hole[0] === edge[1][0] && hole[1] === edge[1][1])
             );
             
+            const terrain = this.findEdgeTerrain(mapData.terrain, edge) || DEFAULT_TERRAIN;
+            
             gameMapData.edges[edgeKey] = {
                 from: fromKey,
                 to: toKey,
                 is_hole_edge: isHoleEdge,
+                terrain,
                 coordinate_from: edge[0],
                 coordinate_to: edge[1]
             };
         }
         
+        // 陷阱区域（困兽区）保持解码结果的字符串格式，由 GameEngine.parseTraps 解析
+        gameMapData.traps = mapData.traps || [];
+        
         // 保存缩放信息
         gameMapData.scaling = scaling;
         gameMapData.original_positions = mapData.positions;
@@ -280,7 +715,7 @@ export class MapService {
      */
     async nextMap() {
         const nextNumber = this.currentMapNumber + 1;
-        if (nextNumber <= 100) {
+        if (nextNumber <= this.getAvailableMapCount()) {
             this.currentMapNumber = nextNumber;
             // console.log(`切换到地图 ${nextNumber}`);
             return await this.loadMapData();
@@ -317,11 +752,11 @@ export class MapService {
     }
     
     /**
-     * 获取可用地图数量
+     * 获取可用地图数量（清单中该难度的地图数）
      */
     getAvailableMapCount(difficulty = null) {
-        // 简单返回固定数量，实际应用中可能需要扫描文件系统
-        return 100;
+        const entry = this.getDifficultyEntry(difficulty || this.currentDifficulty);
+        return entry ? entry.maps.length : 0;
     }
     
     /**
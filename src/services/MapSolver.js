@@ -0,0 +1,467 @@
+/**
+ * 地图求解器 - 判断地图在给定路障数量下是否可以困住兔子，并给出放置方案
+ * 基于 GameEngine 的 adjacencyList 和 holes 计算兔子与所有洞口之间的最小边割，
+ * 洞口边不能放置路障（同 BlockerService.isHoleEdge），视为无限容量
+ *
+ * 用法：
+ *   const solver = new MapSolver(gameEngine.getGameState());
+ *   const result = solver.solve(mapData.bunny_start, { maxBlockers: 5, speed: 70 });
+ *   const hint = solver.suggestNextBlocker(bunny, { speed: bunny.speed });
+ */
+
+import { getTerrainType, getEdgeTerrain } from './TerrainTypes.js';
+
+export class MapSolver {
+    /**
+     * @param {Object} gameState - GameEngine.getGameState() 的返回结果
+     *                             使用 {adjacencyList, holes, scaledPositions, edges, blockers, maxBlockers, traps}
+     */
+    constructor(gameState) {
+        this.adjacencyList = gameState.adjacencyList;
+        this.holes = gameState.holes;
+        this.scaledPositions = gameState.scaledPositions || null; // 缺省时每条边按长度1计算
+        this.edges = gameState.edges || null;                     // 用于还原地图中的边键方向
+        this.maxBlockers = gameState.maxBlockers || 5;
+        // 已放置的路障（按放置顺序，即FIFO回收顺序），对应的边视为不可通行
+        this.blockers = gameState.blockers ? Array.from(gameState.blockers.keys()) : [];
+        this.blockedEdges = new Set(this.blockers);
+        // 陷阱区域（GameEngine.parseTraps 的结果），出口边作为建议的咽喉要道
+        this.traps = gameState.traps || [];
+    }
+    
+    /**
+     * 求解地图
+     * 兔子起点的最小割往往就是起点周围的几条边，玩家来不及放置；
+     * 因此按兔子最早到达时间逐步扩大"包围区域"，对每个区域求最小割，选出时间余量最大的可行方案
+     * 时间余量按兔子沿最短路径的最早到达时间估计，是保守的下界：兔子会因路障改道，
+     * 'too-slow' 的方案在实际对局中仍可能获胜，需要确认时用 Simulation 按 placementOrder 实际对局
+     * @param {string} startNode - 兔子起始节点
+     * @param {Object} options - {maxBlockers, speed, placementInterval, firstPlacementDelay}
+     * @returns {Object} {estimatedWinnable, reason, minCutSize, cutSize, cutEdges, placementOrder, minSlack, maxBlockers}
+     *   estimatedWinnable: 按到达时间估计能否困住兔子，不是可行性结论；'no-escape' 和 'cut-too-large' 与时间无关，结论确定
+     *   reason: 'no-escape'（兔子本来就无路可逃）| 'ok' | 'cut-too-large'（路障不够）| 'too-slow'（按估计来不及放置）
+     *   minCutSize: 兔子节点与洞口之间的最小割大小；cutSize: 所选方案使用的路障数量
+     *   placementOrder: [{edgeKey, placeAt, bunnyArrival, slack}]，按放置顺序排列
+     */
+    solve(startNode, options = {}) {
+        const {
+            maxBlockers = this.maxBlockers,
+            speed = 70,               // pixels/second，对应 config.json 的 bunny.default_speed
+            placementInterval = 0.5,  // 玩家相邻两次放置的间隔（秒）
+            firstPlacementDelay = 0   // 游戏开始到第一次放置的时间（秒）
+        } = options;
+        
+        const base = { minCutSize: 0, cutSize: 0, cutEdges: [], placementOrder: [], minSlack: Infinity, maxBlockers };
+        
+        const minCut = this.findMinimumCut(new Set([startNode]));
+        if (minCut.size === 0) {
+            return { ...base, estimatedWinnable: true, reason: 'no-escape' };
+        }
+        // 任何包围区域的割都不小于最小割；为无穷大时兔子可以只经过洞口边逃脱
+        if (minCut.size > maxBlockers) {
+            return { ...base, minCutSize: minCut.size, cutSize: minCut.size, estimatedWinnable: false, reason: 'cut-too-large' };
+        }
+        
+        const arrivalTimes = this.estimateArrivalTimes(startNode, speed);
+        const timing = { placementInterval, firstPlacementDelay };
+        const thresholds = [...new Set(
+            [...arrivalTimes].filter(([node]) => !this.holes.has(node)).map(([, time]) => time)
+        )].sort((a, b) => a - b);
+        
+        let best = null;
+        for (const threshold of thresholds) {
+            const region = new Set();
+            for (const [node, time] of arrivalTimes) {
+                if (time <= threshold && !this.holes.has(node)) region.add(node);
+            }
+            
+            const cut = this.findMinimumCut(region);
+            if (cut.size > maxBlockers) continue;
+            
+            // 每个区域有两个候选割：靠近兔子的一侧和靠近洞口的一侧
+            for (const cutEdges of [cut.sourceSide, cut.sinkSide]) {
+                const plan = this.planPlacement(cutEdges, arrivalTimes, timing);
+                if (!best || plan.minSlack > best.minSlack) {
+                    best = { ...plan, size: cut.size };
+                }
+            }
+        }
+        
+        const result = {
+            ...base,
+            minCutSize: minCut.size,
+            cutSize: best.size,
+            cutEdges: best.placementOrder.map(step => step.edgeKey),
+            placementOrder: best.placementOrder,
+            minSlack: best.minSlack
+        };
+        
+        if (best.minSlack <= 0) {
+            return { ...result, estimatedWinnable: false, reason: 'too-slow' };
+        }
+        return { ...result, estimatedWinnable: true, reason: 'ok' };
+    }
+    
+    /**
+     * 地图的标准路障数（地图文件的 meta.par）：把所有兔子起点与洞口隔开所需的最少路障，不考虑放置时间
+     * @param {string[]} startNodes - 兔子起点
+     * @returns {number|null} 兔子只经过洞口边就能逃脱时为 null
+     */
+    getPar(startNodes) {
+        const { size } = this.findMinimumCut(new Set(startNodes));
+        return Number.isFinite(size) ? size : null;
+    }
+    
+    /**
+     * 计算区域到所有洞口的最小边割（单位容量最大流，Edmonds-Karp，区域内节点视为同一个源点）
+     * @param {Set} sources - 源点集合（兔子节点或包围区域）
+     * @returns {Object} {size, sourceSide, sinkSide} - 割的大小及两侧的割边（[near, far] 节点对，near 为兔子一侧）
+     */
+    findMinimumCut(sources) {
+        const residual = new Map(); // "from|to" -> 剩余容量
+        const capacityKey = (from, to) => `${from}|${to}`;
+        const getCapacity = (from, to) => {
+            const key = capacityKey(from, to);
+            if (!residual.has(key)) {
+                residual.set(key, this.isHoleEdge(from, to) ? Infinity : 1);
+            }
+            return residual.get(key);
+        };
+        const neighborsOf = (node) => this.getOpenNeighbors(node);
+        
+        let size = 0;
+        while (true) {
+            // BFS寻找增广路径
+            const cameFrom = new Map();
+            const visited = new Set(sources);
+            const queue = [...sources];
+            let reached = null;
+            while (queue.length > 0 && !reached) {
+                const current = queue.shift();
+                for (const neighbor of neighborsOf(current)) {
+                    if (visited.has(neighbor) || getCapacity(current, neighbor) <= 0) continue;
+                    visited.add(neighbor);
+                    cameFrom.set(neighbor, current);
+                    if (this.holes.has(neighbor)) {
+                        reached = neighbor;
+                        break;
+                    }
+                    queue.push(neighbor);
+                }
+            }
+            
+            if (!reached) break;
+            
+            // 计算瓶颈容量并更新残量
+            const path = [reached];
+            while (cameFrom.has(path[0])) {
+                path.unshift(cameFrom.get(path[0]));
+            }
+            let bottleneck = Infinity;
+            for (let i = 0; i < path.length - 1; i++) {
+                bottleneck = Math.min(bottleneck, getCapacity(path[i], path[i + 1]));
+            }
+            if (bottleneck === Infinity) {
+                return { size: Infinity, sourceSide: [], sinkSide: [] };
+            }
+            for (let i = 0; i < path.length - 1; i++) {
+                residual.set(capacityKey(path[i], path[i + 1]), getCapacity(path[i], path[i + 1]) - bottleneck);
+                residual.set(capacityKey(path[i + 1], path[i]), getCapacity(path[i + 1], path[i]) + bottleneck);
+            }
+            size += bottleneck;
+        }
+        
+        if (size === 0) {
+            return { size, sourceSide: [], sinkSide: [] };
+        }
+        
+        // 兔子一侧：残量图中从源点可达的节点
+        const sourceReachable = new Set(sources);
+        const sourceQueue = [...sources];
+        while (sourceQueue.length > 0) {
+            const current = sourceQueue.shift();
+            for (const neighbor of neighborsOf(current)) {
+                if (sourceReachable.has(neighbor) || getCapacity(current, neighbor) <= 0) continue;
+                sourceReachable.add(neighbor);
+                sourceQueue.push(neighbor);
+            }
+        }
+        
+        // 洞口一侧：残量图中能到达洞口的节点
+        const sinkReachable = new Set(this.holes);
+        const sinkQueue = [...this.holes];
+        while (sinkQueue.length > 0) {
+            const current = sinkQueue.shift();
+            for (const neighbor of neighborsOf(current)) {
+                if (sinkReachable.has(neighbor) || getCapacity(neighbor, current) <= 0) continue;
+                sinkReachable.add(neighbor);
+                sinkQueue.push(neighbor);
+            }
+        }
+        
+        const sourceSide = [];
+        const sinkSide = [];
+        for (const node of this.adjacencyList.keys()) {
+            for (const neighbor of neighborsOf(node)) {
+                if (sourceReachable.has(node) && !sourceReachable.has(neighbor)) {
+                    sourceSide.push([node, neighbor]);
+                }
+                if (!sinkReachable.has(node) && sinkReachable.has(neighbor)) {
+                    sinkSide.push([node, neighbor]);
+                }
+            }
+        }
+        
+        return { size, sourceSide, sinkSide };
+    }
+    
+    /**
+     * 估算兔子最早到达每个节点的时间（Dijkstra，边长为缩放后的像素距离，按地形速度倍率折算）
+     * @param {number} speed - pixels/second（没有位置数据时为 边/秒）
+     * @returns {Map} node -> 秒
+     */
+    estimateArrivalTimes(startNode, speed) {
+        const arrival = new Map([[startNode, 0]]);
+        const settled = new Set();
+        
+        while (true) {
+            // 地图节点很少，线性查找最小值即可
+            let current = null;
+            for (const [node, time] of arrival) {
+                if (!settled.has(node) && (current === null || time < arrival.get(current))) {
+                    current = node;
+                }
+            }
+            if (current === null) break;
+            settled.add(current);
+            
+            // 兔子进入洞口即逃脱，不会穿过洞口继续前进
+            if (this.holes.has(current)) continue;
+            
+            for (const neighbor of this.getOpenNeighbors(current)) {
+                const terrain = getTerrainType(getEdgeTerrain(this.edges, current, neighbor));
+                const time = arrival.get(current) + this.getEdgeLength(current, neighbor) / (speed * terrain.speedMultiplier);
+                if (!arrival.has(neighbor) || time < arrival.get(neighbor)) {
+                    arrival.set(neighbor, time);
+                }
+            }
+        }
+        
+        return arrival;
+    }
+    
+    /**
+     * 生成放置顺序：兔子最早能到达的割边最先放置
+     * 割边 (near, far) 必须在兔子到达 near 之前放好，否则兔子可能已经踏上这条边
+     * slack 必须为正：开局时兔子已经选定了出发的边
+     * 这是保守估计：兔子实际只沿一条路线移动，slack 为负时真实对局仍可能获胜
+     * @returns {Object} {placementOrder, minSlack}
+     */
+    planPlacement(cutEdges, arrivalTimes, timing) {
+        const { placementInterval, firstPlacementDelay } = timing;
+        const steps = cutEdges
+            .map(([near, far]) => ({
+                edgeKey: this.resolveEdgeKey(near, far),
+                bunnyArrival: arrivalTimes.has(near) ? arrivalTimes.get(near) : Infinity
+            }))
+            .sort((a, b) => a.bunnyArrival - b.bunnyArrival);
+        
+        let minSlack = Infinity;
+        const placementOrder = steps.map((step, index) => {
+            const placeAt = firstPlacementDelay + index * placementInterval;
+            const slack = step.bunnyArrival - placeAt;
+            minSlack = Math.min(minSlack, slack);
+            return { ...step, placeAt, slack };
+        });
+        
+        return { placementOrder, minSlack };
+    }
+    
+    /**
+     * 建议下一个最有价值的路障位置（游戏内提示）
+     * 剩余路障足以完成包围时，返回包围方案中最紧急的一步；
+     * 兔子路径经过陷阱时，建议封堵陷阱的其它出口（兔子进入后封死即可立即捕获）；
+     * 否则在兔子当前路径上选择一条边，使兔子到洞口的步数增加最多
+     * @param {Object} bunnyState - 兔子状态 {currentNode, nextNode, path, pathIndex}（可直接传入 Bunny 实例）
+     * @param {Object} options - {maxBlockers, speed, placementInterval}
+     * @returns {Object|null} {edgeKey, reason: 'cut' | 'trap' | 'path', plan}，兔子已被困住或没有可放置的边时返回 null
+     */
+    suggestNextBlocker(bunnyState, options = {}) {
+        const { currentNode, nextNode = null, path = [], pathIndex = 0 } = bunnyState;
+        const {
+            maxBlockers = this.maxBlockers,
+            speed = 70,
+            placementInterval = 0.5
+        } = options;
+        
+        if (!currentNode || this.holes.has(currentNode)) {
+            return null;
+        }
+        
+        // 兔子正在经过的边不能放置路障（同 BlockerService.isBunnyOnEdge）
+        const movingEdgeKey = nextNode ? this.resolveEdgeKey(currentNode, nextNode) : null;
+        const isPlaceable = (from, to) => {
+            const edgeKey = this.resolveEdgeKey(from, to);
+            return edgeKey !== movingEdgeKey && !this.isHoleEdge(from, to) && !this.isEdgeBlocked(from, to, this.blockedEdges);
+        };
+        
+        const available = maxBlockers - this.blockers.length;
+        if (available > 0) {
+            const plan = this.solve(currentNode, { maxBlockers: available, speed, placementInterval });
+            if (plan.reason === 'no-escape') {
+                return null;
+            }
+            if (plan.estimatedWinnable) {
+                const step = plan.placementOrder.find(candidate => {
+                    const nodes = this.parseEdgeNodes(candidate.edgeKey);
+                    return nodes && isPlaceable(nodes[0], nodes[1]);
+                });
+                if (step) {
+                    return { edgeKey: step.edgeKey, reason: 'cut', plan };
+                }
+            }
+        }
+        
+        const trapExit = this.suggestTrapExit(path.slice(pathIndex), isPlaceable, maxBlockers);
+        if (trapExit) {
+            return { edgeKey: trapExit, reason: 'trap', plan: null };
+        }
+        
+        // 路障已满时下一次放置会回收最老的路障
+        const blockedAfterPlacement = new Set(available > 0 ? this.blockers : this.blockers.slice(1));
+        
+        let best = null;
+        let bestDistance = -1;
+        for (let i = pathIndex; i < path.length - 1; i++) {
+            const [from, to] = [path[i], path[i + 1]];
+            if (!isPlaceable(from, to)) continue;
+            
+            const edgeKey = this.resolveEdgeKey(from, to);
+            const distance = this.escapeDistance(currentNode, new Set([...blockedAfterPlacement, edgeKey]));
+            if (distance > bestDistance) {
+                best = edgeKey;
+                bestDistance = distance;
+            }
+        }
+        
+        return best ? { edgeKey: best, reason: 'path', plan: null } : null;
+    }
+    
+    /**
+     * 兔子剩余路径经过陷阱时，返回该陷阱一个可放置的出口（不含兔子进入陷阱要走的边）
+     * 陷阱出口总数超过路障上限时无法封死，不作建议
+     * @param {Array} remainingPath - 兔子尚未走完的路径
+     * @param {Function} isPlaceable - (from, to) => 是否可以放置路障
+     * @param {number} maxBlockers - 路障上限
+     * @returns {string|null} 出口边键
+     */
+    suggestTrapExit(remainingPath, isPlaceable, maxBlockers) {
+        if (this.traps.length === 0 || remainingPath.length < 2) {
+            return null;
+        }
+        
+        const pathEdges = new Set();
+        for (let i = 0; i < remainingPath.length - 1; i++) {
+            pathEdges.add(this.resolveEdgeKey(remainingPath[i], remainingPath[i + 1]));
+        }
+        
+        for (const trap of this.traps) {
+            if (trap.exitEdges.length > maxBlockers) continue;
+            if (!remainingPath.some(node => trap.internalNodes.has(node))) continue;
+            
+            for (const edgeKey of trap.exitEdges) {
+                const nodes = this.parseEdgeNodes(edgeKey);
+                if (nodes && !pathEdges.has(edgeKey) && isPlaceable(nodes[0], nodes[1])) {
+                    return edgeKey;
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 在给定路障下兔子到最近洞口的步数（BFS），无法逃脱时为 Infinity
+     */
+    escapeDistance(startNode, blockedEdges) {
+        const nearest = this.findNearestHole(startNode, blockedEdges);
+        return nearest ? nearest.distance : Infinity;
+    }
+    
+    /**
+     * 在给定路障下离兔子步数最少的洞口（BFS）
+     * @returns {Object|null} {hole, distance}，无法逃脱时为 null
+     */
+    findNearestHole(startNode, blockedEdges) {
+        const distances = new Map([[startNode, 0]]);
+        const queue = [startNode];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (this.holes.has(current)) {
+                return { hole: current, distance: distances.get(current) };
+            }
+            for (const neighbor of this.adjacencyList.get(current) || []) {
+                if (distances.has(neighbor) || this.isEdgeBlocked(current, neighbor, blockedEdges)) continue;
+                distances.set(neighbor, distances.get(current) + 1);
+                queue.push(neighbor);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 获取未被路障阻挡的邻居
+     */
+    getOpenNeighbors(node) {
+        const neighbors = this.adjacencyList.get(node) || [];
+        return neighbors.filter(neighbor => !this.isEdgeBlocked(node, neighbor, this.blockedEdges));
+    }
+    
+    /**
+     * 检查边是否在路障集合中（两个方向的边键均检查）
+     */
+    isEdgeBlocked(from, to, blockedEdges) {
+        if (blockedEdges.size === 0) return false;
+        return blockedEdges.has(`(${from}, ${to})`) || blockedEdges.has(`(${to}, ${from})`);
+    }
+    
+    /**
+     * 解析边键 "((x1, y1), (x2, y2))" -> ["(x1, y1)", "(x2, y2)"]
+     */
+    parseEdgeNodes(edgeKey) {
+        const match = edgeKey.match(/\(\((-?\d+),\s*(-?\d+)\),\s*\((-?\d+),\s*(-?\d+)\)\)/);
+        return match ? [`(${match[1]}, ${match[2]})`, `(${match[3]}, ${match[4]})`] : null;
+    }
+    
+    /**
+     * 检查边是否与洞口相连（与 BlockerService.isHoleEdge 一致，这类边不能放置路障）
+     */
+    isHoleEdge(from, to) {
+        return this.holes.has(from) || this.holes.has(to);
+    }
+    
+    /**
+     * 边长：两端点缩放后位置的欧氏距离
+     */
+    getEdgeLength(from, to) {
+        const fromPos = this.scaledPositions ? this.scaledPositions.get(from) : null;
+        const toPos = this.scaledPositions ? this.scaledPositions.get(to) : null;
+        if (!fromPos || !toPos) {
+            return 1;
+        }
+        return Math.hypot(toPos[0] - fromPos[0], toPos[1] - fromPos[1]);
+    }
+    
+    /**
+     * 将节点对还原为地图中存在的边键
+     */
+    resolveEdgeKey(from, to) {
+        const forwardKey = `(${from}, ${to})`;
+        if (this.edges && !this.edges.has(forwardKey)) {
+            const reverseKey = `(${to}, ${from})`;
+            if (this.edges.has(reverseKey)) return reverseKey;
+        }
+        return forwardKey;
+    }
+}
+
+export default MapSolver;
@@ -0,0 +1,325 @@
+/**
+ * 地图校验器 - 检查地图文件（version 1 或 2）能否被游戏正确加载，收集全部问题而不是遇到第一个就停止
+ * MapService 在加载地图和加入自定义地图时使用；scripts/validate-maps.js 用它检查 assets/maps 下的所有地图
+ *
+ * 错误（地图不能加载）：
+ *   字段缺失或类型不对、节点重复、节点缺少位置、边的端点不是节点、边连接同一个节点、重复的边（包括反方向）、
+ *   洞口不是节点、兔子起点不是节点或是洞口、兔子起点到不了任何洞口
+ * 警告（可以加载）：
+ *   positions 中有多余的位置、洞口没有连接边或兔子到不了、重复的洞口或起点、陷阱引用了不存在的节点或边、陷阱出口不是有效的边键
+ *
+ * 每个问题有两种文本：errors / warnings 为中文，用于控制台日志和 validate-maps；
+ * userErrors / userWarnings 为英文，显示给玩家（地图加载失败对话框、加载地图文件的提示）
+ *
+ * 用法：
+ *   const validator = new MapValidator(mapService);
+ *   const { valid, errors, warnings, userErrors, userWarnings, mapData } = validator.validate(rawJson);
+ */
+
+import { MAP_FORMAT_VERSION } from './MapService.js';
+
+/**
+ * 地图校验失败，errors 和 warnings 为全部问题，userErrors 和 userWarnings 为对应的英文文本
+ */
+export class MapValidationError extends Error {
+    constructor(errors, warnings = [], userErrors = errors, userWarnings = warnings) {
+        const more = errors.length > 1 ? `（另有 ${errors.length - 1} 个问题）` : '';
+        super(`${errors[0]}${more}`);
+        this.name = 'MapValidationError';
+        this.errors = errors;
+        this.warnings = warnings;
+        this.userErrors = userErrors;
+        this.userWarnings = userWarnings;
+    }
+}
+
+/**
+ * 一组校验问题：push(message, text) 同时记录中文日志文本和英文玩家文本
+ */
+class ProblemList {
+    constructor() {
+        this.messages = [];
+        this.texts = [];
+    }
+    
+    push(message, text) {
+        this.messages.push(message);
+        this.texts.push(text);
+    }
+    
+    get length() {
+        return this.messages.length;
+    }
+}
+
+export class MapValidator {
+    /**
+     * @param {MapService} mapService - 用于解码地图和转换坐标
+     */
+    constructor(mapService) {
+        this.mapService = mapService;
+    }
+    
+    /**
+     * 校验地图文件
+     * @param {Object} rawMapData - 地图文件 JSON
+     * @returns {Object} {valid, errors, warnings, userErrors, userWarnings, mapData} - mapData 为解码结果，字段类型不对无法解码时为 null
+     */
+    validate(rawMapData) {
+        const errors = new ProblemList();
+        const warnings = new ProblemList();
+        const result = () => ({
+            valid: errors.length === 0,
+            errors: errors.messages,
+            warnings: warnings.messages,
+            userErrors: errors.texts,
+            userWarnings: warnings.texts,
+            mapData: errors.length === 0 ? mapData : null
+        });
+        let mapData = null;
+        
+        this.checkStructure(rawMapData, errors);
+        if (errors.length > 0) {
+            return result();
+        }
+        
+        try {
+            mapData = this.mapService.decodeMapData(rawMapData);
+        } catch (error) {
+            errors.push(error.message, 'The map coordinates could not be read.');
+            return result();
+        }
+        
+        this.checkReferences(mapData, errors, warnings);
+        if (errors.length === 0) {
+            this.checkReachability(mapData, errors, warnings);
+        }
+        return result();
+    }
+    
+    // ========== 字段类型 ==========
+    
+    checkStructure(rawMapData, errors) {
+        if (!rawMapData || typeof rawMapData !== 'object' || Array.isArray(rawMapData)) {
+            errors.push('地图文件的内容不是 JSON 对象', 'The file does not contain a map object.');
+        } else if (rawMapData.version === undefined || rawMapData.version === 1) {
+            this.checkStructureV1(rawMapData, errors);
+        } else if (rawMapData.version === MAP_FORMAT_VERSION) {
+            this.checkStructureV2(rawMapData, errors);
+        } else {
+            errors.push(`不支持的地图格式版本: ${rawMapData.version}`, `Map format version ${rawMapData.version} is not supported.`);
+        }
+    }
+    
+    /**
+     * version 1：坐标为字符串
+     */
+    checkStructureV1(rawMapData, errors) {
+        for (const key of ['nodes', 'edges', 'holes']) {
+            const list = rawMapData[key];
+            if (!Array.isArray(list) || list.length === 0 || !list.every(item => typeof item === 'string')) {
+                errors.push(`地图缺少 ${key}，或 ${key} 不是字符串数组`, `The map's ${key} list is missing or not a list of "(x, y)" strings.`);
+            }
+        }
+        if (!rawMapData.positions || typeof rawMapData.positions !== 'object' ||
+            !Object.values(rawMapData.positions).every(position => typeof position === 'string')) {
+            errors.push('地图缺少节点位置 positions，或位置不是 "(x, y)" 字符串', 'The node positions are missing or are not "(x, y)" strings.');
+        }
+        const bunnyStarts = Array.isArray(rawMapData.bunny_start) ? rawMapData.bunny_start : [rawMapData.bunny_start];
+        if (bunnyStarts.length === 0 || !bunnyStarts.every(start => typeof start === 'string')) {
+            errors.push('地图缺少兔子起点 bunny_start', 'The map has no bunny start.');
+        }
+        if (rawMapData.traps !== undefined && !Array.isArray(rawMapData.traps) && typeof rawMapData.traps !== 'string') {
+            errors.push('地图的陷阱 traps 不是数组', 'The traps are not a list.');
+        }
+    }
+    
+    /**
+     * version 2：坐标为数字数组
+     */
+    checkStructureV2(rawMapData, errors) {
+        const isPoint = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+        const isPointList = (list) => Array.isArray(list) && list.length > 0 && list.every(isPoint);
+        const isAttributes = (value) => value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value));
+        
+        for (const key of ['nodes', 'holes']) {
+            if (!isPointList(rawMapData[key])) {
+                errors.push(`地图缺少 ${key}，或 ${key} 不是 [x, y] 数组`, `The map's ${key} list is missing or not a list of [x, y] points.`);
+            }
+        }
+        if (!Array.isArray(rawMapData.positions) || !Array.isArray(rawMapData.nodes) ||
+            rawMapData.positions.length !== rawMapData.nodes.length || !rawMapData.positions.every(isPoint)) {
+            errors.push('地图的节点位置 positions 不是与 nodes 一一对应的 [x, y] 数组', 'The node positions do not match the nodes one to one.');
+        }
+        if (!Array.isArray(rawMapData.edges) || rawMapData.edges.length === 0 ||
+            !rawMapData.edges.every(edge => Array.isArray(edge) && (edge.length === 2 || edge.length === 3) &&
+                isPoint(edge[0]) && isPoint(edge[1]) && isAttributes(edge[2]))) {
+            errors.push('地图缺少 edges，或边不是 [[x1, y1], [x2, y2]] 数组（第三项可以是属性对象）', 'The edges are missing or not written as pairs of [x, y] points.');
+        }
+        if (!isPointList(rawMapData.bunny_start)) {
+            errors.push('地图缺少兔子起点 bunny_start', 'The map has no bunny start.');
+        }
+        if (rawMapData.traps !== undefined && !Array.isArray(rawMapData.traps)) {
+            errors.push('地图的陷阱 traps 不是数组', 'The traps are not a list.');
+        }
+        if (!isAttributes(rawMapData.meta)) {
+            errors.push('地图的 meta 不是对象', 'The map details (meta) are not an object.');
+        }
+    }
+    
+    // ========== 引用 ==========
+    
+    /**
+     * 检查节点、位置、边、洞口、兔子起点和陷阱之间的引用
+     */
+    checkReferences(mapData, errors, warnings) {
+        const toKey = (coord) => this.mapService.coordToString(coord);
+        const toEdgeKey = (edge) => this.mapService.edgeToString(edge);
+        
+        const nodeKeys = new Set();
+        for (const node of mapData.nodes) {
+            const key = toKey(node);
+            if (nodeKeys.has(key)) {
+                errors.push(`节点 ${key} 重复`, `Node ${key} is listed twice.`);
+            }
+            nodeKeys.add(key);
+            if (!mapData.positions[key]) {
+                errors.push(`节点 ${key} 缺少位置（positions 的键应写作 "(x, y)"）`, `Node ${key} has no position.`);
+            }
+        }
+        for (const key of Object.keys(mapData.positions)) {
+            if (!nodeKeys.has(key)) {
+                warnings.push(`positions 中的 ${key} 不是地图节点`, `There is a position for ${key}, which is not a node.`);
+            }
+        }
+        
+        const edgeKeys = new Set();
+        for (const edge of mapData.edges) {
+            const key = toEdgeKey(edge);
+            const [from, to] = edge.map(toKey);
+            for (const endpoint of [from, to]) {
+                if (!nodeKeys.has(endpoint)) {
+                    errors.push(`边 ${key} 的端点 ${endpoint} 不是地图节点`, `Edge ${key} ends at ${endpoint}, which is not a node.`);
+                }
+            }
+            if (from === to) {
+                errors.push(`边 ${key} 连接同一个节点`, `Edge ${key} connects a node to itself.`);
+            }
+            if (edgeKeys.has(key) || edgeKeys.has(toEdgeKey([edge[1], edge[0]]))) {
+                errors.push(`边 ${key} 重复`, `Edge ${key} is listed twice.`);
+            }
+            edgeKeys.add(key);
+        }
+        
+        const holeKeys = new Set();
+        for (const hole of mapData.holes) {
+            const key = toKey(hole);
+            if (!nodeKeys.has(key)) {
+                errors.push(`洞口 ${key} 不是地图节点`, `Hole ${key} is not a node.`);
+            }
+            if (holeKeys.has(key)) {
+                warnings.push(`洞口 ${key} 重复`, `Hole ${key} is listed twice.`);
+            }
+            holeKeys.add(key);
+        }
+        
+        const startKeys = new Set();
+        for (const start of mapData.bunnyStarts) {
+            const key = toKey(start);
+            if (!nodeKeys.has(key)) {
+                errors.push(`兔子起点 ${key} 不是地图节点`, `The bunny start ${key} is not a node.`);
+            } else if (holeKeys.has(key)) {
+                errors.push(`兔子起点 ${key} 是洞口`, `The bunny start ${key} is a hole.`);
+            }
+            if (startKeys.has(key)) {
+                warnings.push(`兔子起点 ${key} 重复`, `The bunny start ${key} is listed twice.`);
+            }
+            startKeys.add(key);
+        }
+        
+        for (const trap of mapData.traps || []) {
+            const label = trap.center || '';
+            const missingNodes = [...(trap.internal_nodes || trap.block || [])].filter(key => !nodeKeys.has(key));
+            if (missingNodes.length > 0) {
+                warnings.push(`陷阱 ${label} 的节点 ${missingNodes.join(' ')} 不是地图节点`, `The trap at ${label} uses ${missingNodes.join(' ')}, which ${missingNodes.length > 1 ? 'are not nodes' : 'is not a node'}.`);
+            }
+            // 无法解析的出口边键由 GameEngine.parseTraps 丢弃，地图仍可加载
+            const trapEdges = trap.edges || [];
+            const malformedEdges = trapEdges.filter(key => this.reverseEdgeKey(key) === null);
+            if (malformedEdges.length > 0) {
+                warnings.push(`陷阱 ${label} 的出口 ${malformedEdges.map(key => JSON.stringify(key)).join(' ')} 不是有效的边`,
+                    `The trap at ${label} has exits that are not edges: ${malformedEdges.map(key => JSON.stringify(key)).join(' ')}.`);
+            }
+            const missingEdges = trapEdges.filter(key => !malformedEdges.includes(key) &&
+                !edgeKeys.has(key) && !edgeKeys.has(this.reverseEdgeKey(key)));
+            if (missingEdges.length > 0) {
+                warnings.push(`陷阱 ${label} 的出口 ${missingEdges.join(' ')} 不是地图中的边`, `The trap at ${label} has exits that are not on the map: ${missingEdges.join(' ')}.`);
+            }
+        }
+    }
+    
+    /**
+     * 反方向的边键，边键无法解析时为 null
+     */
+    reverseEdgeKey(edgeKey) {
+        if (typeof edgeKey !== 'string') {
+            return null;
+        }
+        try {
+            const [from, to] = this.mapService.parseEdge(edgeKey);
+            return this.mapService.edgeToString([to, from]);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // ========== 连通性 ==========
+    
+    /**
+     * 检查每个兔子起点能否到达洞口（兔子不能穿过洞口），以及每个洞口是否有兔子能到达
+     */
+    checkReachability(mapData, errors, warnings) {
+        const toKey = (coord) => this.mapService.coordToString(coord);
+        const adjacency = new Map(mapData.nodes.map(node => [toKey(node), []]));
+        for (const edge of mapData.edges) {
+            const [from, to] = edge.map(toKey);
+            adjacency.get(from).push(to);
+            adjacency.get(to).push(from);
+        }
+        const holes = new Set(mapData.holes.map(toKey));
+        
+        const reachedHoles = new Set();
+        for (const start of new Set(mapData.bunnyStarts.map(toKey))) {
+            const visited = new Set([start]);
+            const queue = [start];
+            let reachesHole = false;
+            while (queue.length > 0) {
+                const current = queue.shift();
+                if (holes.has(current)) {
+                    reachesHole = true;
+                    reachedHoles.add(current);
+                    continue;
+                }
+                for (const neighbor of adjacency.get(current)) {
+                    if (!visited.has(neighbor)) {
+                        visited.add(neighbor);
+                        queue.push(neighbor);
+                    }
+                }
+            }
+            if (!reachesHole) {
+                errors.push(`兔子起点 ${start} 到不了任何洞口`, `The bunny cannot reach any hole from ${start}.`);
+            }
+        }
+        
+        for (const hole of holes) {
+            if (adjacency.get(hole).length === 0) {
+                warnings.push(`洞口 ${hole} 没有连接任何边`, `Hole ${hole} has no edges.`);
+            } else if (!reachedHoles.has(hole)) {
+                warnings.push(`洞口 ${hole} 兔子到不了`, `The bunny cannot reach hole ${hole}.`);
+            }
+        }
+    }
+}
+
+export default MapValidator;
@@ -6,6 +6,8 @@
 
 import { gameEventBus } from '../core/GameEventBus.js';
 import { GAME_EVENTS } from '../core/GameEvents.js';
+import { bunnyStrategyRegistry, DEFAULT_STRATEGY } from './BunnyStrategies.js';
+import { getTerrainType, getEdgeTerrain } from './TerrainTypes.js';
 
 export class PathPlanningModule {
     constructor(spriteId, gameState) {
@@ -27,9 +29,13 @@ export class PathPlanningModule {
         
         // 路径规划配置
         this.maxPathLength = 1000; // 防止无限循环
+        this.strategy = bunnyStrategyRegistry.get(DEFAULT_STRATEGY);
+        this.random = Math.random;
+        this.strategyOptions = {};
         this.pathUpdateThreshold = 0.01; // 路径更新阈值
         
         // 事件系统（为多精灵协调预留）
+        this.eventListenerIds = [];
         this.setupEventListeners();
         
         // console.log(`✅ PathPlanningModule: ${spriteId} 初始化完成`);
@@ -40,20 +46,22 @@ export class PathPlanningModule {
      */
     setupEventListeners() {
         // 监听路径计算请求事件
-        gameEventBus.on(GAME_EVENTS.PATH_CALCULATION_REQUESTED, (data) => {
+        const requestListenerId = gameEventBus.on(GAME_EVENTS.PATH_CALCULATION_REQUESTED, (data) => {
             if (data.spriteId === this.spriteId) {
                 // console.log(`🎯 PathPlanningModule: ${this.spriteId} 收到路径计算请求`, data);
                 this.handlePathCalculationRequest(data);
             }
         });
+        this.eventListenerIds.push([GAME_EVENTS.PATH_CALCULATION_REQUESTED, requestListenerId]);
         
         // 监听路径更新需求事件
-        gameEventBus.on(GAME_EVENTS.PATH_NEEDS_UPDATE, (data) => {
+        const updateListenerId = gameEventBus.on(GAME_EVENTS.PATH_NEEDS_UPDATE, (data) => {
             if (data.spriteId === this.spriteId) {
                 // console.log(`🎯 PathPlanningModule: ${this.spriteId} 收到路径更新需求`, data);
                 this.handlePathUpdateRequest(data);
             }
         });
+        this.eventListenerIds.push([GAME_EVENTS.PATH_NEEDS_UPDATE, updateListenerId]);
         
         // console.log(`✅ PathPlanningModule: ${this.spriteId} 事件监听器设置完成`);
     }
@@ -106,7 +114,7 @@ export class PathPlanningModule {
     }
     
     /**
-     * 智能重新寻路（A*算法）
+     * 智能重新寻路（使用当前策略）
      */
     smartReroute() {
         // console.log(`🐰 PathPlanningModule: ${this.spriteId} 开始智能重新寻路`);
@@ -123,8 +131,13 @@ export class PathPlanningModule {
             return true;
         }
         
-        // 执行A*寻路
-        const newPath = this.astar(this.currentNode, this.holes, this.adjacencyList, this.blockers);
+        // 使用当前策略寻路
+        const newPath = this.strategy.findPath(this.currentNode, this.holes, this.adjacencyList, this.blockers, {
+            random: this.random,
+            options: this.strategyOptions,
+            maxBlockers: this.gameState.maxBlockers,
+            edgeCost: (from, to) => getTerrainType(getEdgeTerrain(this.gameState.edges, from, to)).cost
+        });
         
         if (!newPath || newPath.length === 0) {
             // 无法找到路径
@@ -177,119 +190,17 @@ export class PathPlanningModule {
     }
     
     /**
-     * A*寻路算法
-     */
-    astar(start, goals, adjacencyList, blockers) {
-        if (!start || !goals || goals.size === 0) return null;
-        
-        // console.log(`🔍 PathPlanningModule: ${this.spriteId} A*寻路开始`);
-        // console.log(`   - 起始节点: ${start}`);
-        // console.log(`   - 目标数量: ${goals.size}`);
-        
-        const openSet = [start];
-        const cameFrom = new Map();
-        const gScore = new Map();
-        const fScore = new Map();
-        
-        gScore.set(start, 0);
-        fScore.set(start, this.heuristic(start, goals));
-        
-        while (openSet.length > 0) {
-            // 找到fScore最小的节点
-            let current = openSet[0];
-            let currentIndex = 0;
-            for (let i = 1; i < openSet.length; i++) {
-                if (fScore.get(openSet[i]) < fScore.get(current)) {
-                    current = openSet[i];
-                    currentIndex = i;
-                }
-            }
-            
-            openSet.splice(currentIndex, 1);
-            
-            // 检查是否到达目标
-            if (goals.has(current)) {
-                const path = this.reconstructPath(cameFrom, current);
-                // console.log(`🔍 PathPlanningModule: ${this.spriteId} A*找到目标，路径长度: ${path.length}`);
-                return path;
-            }
-            
-            // 检查邻居节点
-            const neighbors = adjacencyList.get(current) || [];
-            for (const neighbor of neighbors) {
-                // 检查边是否被阻塞
-                if (this.isEdgeBlocked(current, neighbor, blockers)) {
-                    continue;
-                }
-                
-                const tentativeGScore = gScore.get(current) + 1;
-                
-                if (!gScore.has(neighbor) || tentativeGScore < gScore.get(neighbor)) {
-                    cameFrom.set(neighbor, current);
-                    gScore.set(neighbor, tentativeGScore);
-                    fScore.set(neighbor, tentativeGScore + this.heuristic(neighbor, goals));
-                    
-                    if (!openSet.includes(neighbor)) {
-                        openSet.push(neighbor);
-                    }
-                }
-            }
-        }
-        
-        // console.log(`🔍 PathPlanningModule: ${this.spriteId} A*未找到路径`);
-        return null;
-    }
-    
-    /**
-     * 启发式函数（曼哈顿距离）
+     * 设置寻路策略（与Bunny保持一致）
      */
-    heuristic(node, goals) {
-        let minDistance = Infinity;
-        for (const goal of goals) {
-            const distance = this.manhattanDistance(node, goal);
-            minDistance = Math.min(minDistance, distance);
-        }
-        return minDistance;
+    setStrategy(strategyName) {
+        this.strategy = bunnyStrategyRegistry.get(strategyName);
     }
     
     /**
-     * 曼哈顿距离计算
+     * A*寻路算法（保留接口，委托给A*策略）
      */
-    manhattanDistance(node1, node2) {
-        const match1 = node1.match(/\((-?\d+),\s*(-?\d+)\)/);
-        const match2 = node2.match(/\((-?\d+),\s*(-?\d+)\)/);
-        
-        if (match1 && match2) {
-            const x1 = parseInt(match1[1]);
-            const y1 = parseInt(match1[2]);
-            const x2 = parseInt(match2[1]);
-            const y2 = parseInt(match2[2]);
-            return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-        }
-        
-        return 0;
-    }
-    
-    /**
-     * 重构路径
-     */
-    reconstructPath(cameFrom, current) {
-        const path = [current];
-        let step = 0;
-        
-        while (cameFrom.has(current)) {
-            current = cameFrom.get(current);
-            path.unshift(current);
-            step++;
-            
-            // 防止无限循环
-            if (step > this.maxPathLength) {
-                console.error(`❌ PathPlanningModule: ${this.spriteId} reconstructPath无限循环检测！步骤数=${step}`);
-                break;
-            }
-        }
-        
-        return path;
+    astar(start, goals, adjacencyList, blockers) {
+        return bunnyStrategyRegistry.get('astar').findPath(start, goals, adjacencyList, blockers);
     }
     
     /**
@@ -482,4 +393,15 @@ export class PathPlanningModule {
         this.nextNode = null;
         // console.log(`🔄 PathPlanningModule: ${this.spriteId} 路径规划状态已重置`);
     }
+    
+    /**
+     * 销毁路径规划模块，移除事件监听器
+     */
+    destroy() {
+        for (const [event, listenerId] of this.eventListenerIds) {
+            gameEventBus.off(event, listenerId);
+        }
+        this.eventListenerIds = [];
+        this.reset();
+    }
 }
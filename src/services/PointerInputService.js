@@ -0,0 +1,294 @@
+/**
+ * 指针输入服务 - 用 Pointer Events 统一处理鼠标、触摸和触控笔在游戏画布上的操作
+ *
+ * 单指（或鼠标、触控笔）：按下后移动时瞄准，抬起时为点击；按住不动超过 longPressMs 为长按
+ * 双指：捏合缩放和平移画布（缩放不小于 1，视图始终铺满画布），同时取消单指操作
+ * 触摸瞄准时在手指上方显示放大镜（见 MapRenderer.renderLoupe）
+ *
+ * 坐标：屏幕坐标为画布像素坐标（见 CanvasCoordinateHelper.getCorrectedCoordinates），
+ * 地图坐标 = (屏幕坐标 - offset) / zoom；回调收到的都是地图坐标
+ */
+
+import { CanvasCoordinateHelper } from '../utils/CanvasCoordinateHelper.js';
+
+export class PointerInputService {
+    constructor() {
+        // 配置（可由 config.json 的 input 覆盖）
+        this.longPressMs = 500;     // 长按时间（毫秒）
+        this.moveTolerance = 10;    // 移动不超过此距离仍算点击或长按（CSS 像素）
+        this.maxZoom = 3;           // 捏合缩放的最大倍数
+        this.hitTolerances = { mouse: 20, pen: 14, touch: 24 }; // 边检测阈值，见 CanvasCoordinateHelper.getPointerThreshold
+        this.loupeRadius = 60;      // 放大镜半径（CSS 像素）
+        this.loupeMagnification = 2; // 放大镜放大倍数
+        
+        // 画布视图（缩放和平移）
+        this.zoom = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        
+        this.canvas = null;
+        this.handlers = {};
+        this.listeners = null;
+        this.pointers = new Map(); // pointerId -> {x, y, pointerType}（屏幕坐标）
+        this.gesture = null;       // {type: 'press', ...} 或 {type: 'pinch', ...}
+        this.loupePoint = null;    // 放大镜中心（屏幕坐标），不显示时为 null
+    }
+    
+    /**
+     * 从参数管理器读取指针配置
+     */
+    configure(parameterManager) {
+        if (!parameterManager) return;
+        
+        const options = parameterManager.getPointerOptions();
+        this.longPressMs = options.longPressMs;
+        this.moveTolerance = options.moveTolerance;
+        this.maxZoom = options.maxZoom;
+        this.hitTolerances = options.hitTolerances;
+        this.loupeRadius = options.loupeRadius;
+        this.loupeMagnification = options.loupeMagnification;
+    }
+    
+    /**
+     * 绑定画布的指针事件
+     * @param {Object} handlers - {canStart(), onTap(point, pointerType), onLongPress(point, pointerType), onAim(point|null, pointerType)}
+     *                            canStart 返回 false 时不处理新的按下（例如游戏不在进行中）
+     */
+    attach(canvas, handlers) {
+        this.detach();
+        this.canvas = canvas;
+        this.handlers = handlers;
+        this.listeners = {
+            pointerdown: (event) => this.handlePointerDown(event),
+            pointermove: (event) => this.handlePointerMove(event),
+            pointerup: (event) => this.handlePointerUp(event),
+            pointercancel: (event) => this.handlePointerCancel(event)
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            canvas.addEventListener(type, listener);
+        }
+    }
+    
+    /**
+     * 解绑画布的指针事件
+     */
+    detach() {
+        if (!this.listeners) return;
+        
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.canvas.removeEventListener(type, listener);
+        }
+        this.listeners = null;
+        this.cancelGesture();
+    }
+    
+    // ========== 视图 ==========
+    
+    /**
+     * 恢复不缩放的视图（新回合、换地图）
+     */
+    resetView() {
+        this.zoom = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.cancelGesture();
+    }
+    
+    /**
+     * 在绘制地图之前设置画布变换，调用方负责 ctx.save() / ctx.restore()
+     */
+    applyView(ctx) {
+        ctx.translate(this.offsetX, this.offsetY);
+        ctx.scale(this.zoom, this.zoom);
+    }
+    
+    getZoom() {
+        return this.zoom;
+    }
+    
+    /**
+     * 屏幕坐标转换为地图坐标
+     */
+    toMapPoint(point) {
+        return { x: (point.x - this.offsetX) / this.zoom, y: (point.y - this.offsetY) / this.zoom };
+    }
+    
+    /**
+     * 边检测阈值（地图坐标），缩放后按缩放倍数缩小，手指在屏幕上覆盖的范围不变
+     */
+    getHitThreshold(pointerType) {
+        return CanvasCoordinateHelper.getPointerThreshold(this.canvas, pointerType, this.hitTolerances) / this.zoom;
+    }
+    
+    /**
+     * 放大镜，只在触摸瞄准时显示
+     * @returns {Object|null} {x, y, radius, magnification} - 手指位置（屏幕坐标）和半径（画布像素）
+     */
+    getLoupe() {
+        if (!this.loupePoint) return null;
+        
+        const radius = this.loupeRadius * CanvasCoordinateHelper.getDisplayScale(this.canvas);
+        return { ...this.loupePoint, radius, magnification: this.loupeMagnification };
+    }
+    
+    /**
+     * 设置缩放，使地图坐标 anchor 显示在屏幕坐标 screenPoint；平移限制在视图铺满画布的范围内
+     */
+    setView(zoom, anchor, screenPoint) {
+        this.zoom = Math.max(1, Math.min(zoom, this.maxZoom));
+        const minOffsetX = this.canvas.width * (1 - this.zoom);
+        const minOffsetY = this.canvas.height * (1 - this.zoom);
+        this.offsetX = Math.max(minOffsetX, Math.min(0, screenPoint.x - anchor.x * this.zoom));
+        this.offsetY = Math.max(minOffsetY, Math.min(0, screenPoint.y - anchor.y * this.zoom));
+    }
+    
+    // ========== 指针事件 ==========
+    
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        if (this.pointers.size === 0 && !(this.handlers.canStart && this.handlers.canStart())) return;
+        
+        event.preventDefault();
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(event.pointerId);
+        }
+        const point = CanvasCoordinateHelper.getCorrectedCoordinates(this.canvas, event);
+        this.pointers.set(event.pointerId, { ...point, pointerType: event.pointerType });
+        
+        if (this.pointers.size === 1) {
+            this.startPress(event.pointerId, point, event.pointerType);
+        } else if (this.pointers.size === 2 && event.pointerType === 'touch') {
+            this.startPinch();
+        }
+    }
+    
+    handlePointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        const point = CanvasCoordinateHelper.getCorrectedCoordinates(this.canvas, event);
+        pointer.x = point.x;
+        pointer.y = point.y;
+        
+        if (this.gesture && this.gesture.type === 'pinch') {
+            this.updatePinch();
+        } else if (this.gesture && this.gesture.pointerId === event.pointerId) {
+            this.updatePress(point);
+        }
+    }
+    
+    handlePointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        
+        const point = CanvasCoordinateHelper.getCorrectedCoordinates(this.canvas, event);
+        const gesture = this.gesture;
+        this.pointers.delete(event.pointerId);
+        
+        if (gesture && gesture.type === 'press' && gesture.pointerId === event.pointerId) {
+            this.endPress();
+            this.gesture = null;
+            if (!gesture.longPressed && this.handlers.onTap) {
+                this.handlers.onTap(this.toMapPoint(point), gesture.pointerType);
+            }
+        } else if (gesture && gesture.type === 'pinch' && this.pointers.size < 2) {
+            // 捏合结束后剩下的手指不再触发点击
+            this.gesture = null;
+        }
+    }
+    
+    handlePointerCancel(event) {
+        this.pointers.delete(event.pointerId);
+        if (this.pointers.size === 0) {
+            this.cancelGesture();
+        }
+    }
+    
+    /**
+     * 单指按下：开始长按计时，触摸时显示放大镜瞄准
+     */
+    startPress(pointerId, point, pointerType) {
+        const gesture = { type: 'press', pointerId, pointerType, start: point, longPressed: false, timer: null };
+        gesture.timer = setTimeout(() => {
+            gesture.timer = null;
+            gesture.longPressed = true;
+            this.endPress();
+            if (this.handlers.onLongPress) {
+                this.handlers.onLongPress(this.toMapPoint(this.pointers.get(pointerId) || point), pointerType);
+            }
+        }, this.longPressMs);
+        this.gesture = gesture;
+        this.aim(point);
+    }
+    
+    /**
+     * 单指移动：超过移动容差后不再算长按，继续瞄准
+     */
+    updatePress(point) {
+        const gesture = this.gesture;
+        if (gesture.longPressed) return;
+        
+        const tolerance = this.moveTolerance * CanvasCoordinateHelper.getDisplayScale(this.canvas);
+        if (gesture.timer && Math.hypot(point.x - gesture.start.x, point.y - gesture.start.y) > tolerance) {
+            clearTimeout(gesture.timer);
+            gesture.timer = null;
+        }
+        this.aim(point);
+    }
+    
+    endPress() {
+        if (this.gesture && this.gesture.timer) {
+            clearTimeout(this.gesture.timer);
+            this.gesture.timer = null;
+        }
+        this.loupePoint = null;
+        if (this.handlers.onAim && this.gesture) {
+            this.handlers.onAim(null, this.gesture.pointerType);
+        }
+    }
+    
+    aim(point) {
+        const pointerType = this.gesture.pointerType;
+        this.loupePoint = pointerType === 'touch' ? point : null;
+        if (this.handlers.onAim) {
+            this.handlers.onAim(this.toMapPoint(point), pointerType);
+        }
+    }
+    
+    /**
+     * 第二根手指按下：取消单指操作，记录捏合开始时的距离、缩放和两指中点下的地图坐标
+     */
+    startPinch() {
+        if (this.gesture && this.gesture.type === 'press') {
+            this.endPress();
+        }
+        const [a, b] = [...this.pointers.values()];
+        const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        this.gesture = {
+            type: 'pinch',
+            startDistance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+            startZoom: this.zoom,
+            anchor: this.toMapPoint(middle)
+        };
+    }
+    
+    /**
+     * 捏合：按两指距离的变化缩放，两指中点下保持开始时的地图位置（同时实现双指平移）
+     */
+    updatePinch() {
+        const [a, b] = [...this.pointers.values()];
+        const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        this.setView(this.gesture.startZoom * distance / this.gesture.startDistance, this.gesture.anchor, middle);
+    }
+    
+    cancelGesture() {
+        if (this.gesture && this.gesture.type === 'press') {
+            this.endPress();
+        }
+        this.gesture = null;
+        this.pointers.clear();
+        this.loupePoint = null;
+    }
+}
+
+export default PointerInputService;
@@ -0,0 +1,175 @@
+/**
+ * 进度服务 - 按难度和地图编号记录通关情况、最快时间、最少路障和星级，保存在 localStorage
+ *
+ * 星级：通关得1星；用的路障不超过 maxBlockers 加1星；用时不超过 maxSeconds 加1星
+ * 使用提示的通关最多2星
+ *
+ * 存储格式（version 1）：
+ *   {version, maps: {'easy-1': {plays, wins, won, bestTime, fewestBlockers, stars}, ...}}
+ */
+
+import { SaveGameService } from './SaveGameService.js';
+
+export const PROGRESS_VERSION = 1;
+export const PROGRESS_STORAGE_KEY = 'bunnyRunAway.progress';
+export const MAX_STARS = 3;
+
+export class ProgressService {
+    /**
+     * @param {Storage|null} storage - 默认使用 localStorage；不可用时进度只保存在内存中
+     */
+    constructor(storage = SaveGameService.getDefaultStorage()) {
+        this.storage = storage;
+        this.starThresholds = {
+            maxBlockers: 6,
+            maxSeconds: 30
+        };
+        this.maps = this.load();
+    }
+    
+    /**
+     * 从参数管理器读取星级标准
+     */
+    configure(parameterManager) {
+        if (parameterManager) {
+            this.starThresholds = parameterManager.getProgressOptions();
+        }
+    }
+    
+    static getMapKey(difficulty, mapNumber) {
+        return `${difficulty}-${mapNumber}`;
+    }
+    
+    /**
+     * 获取一张地图的进度记录，没有玩过时返回 null
+     */
+    getMapRecord(difficulty, mapNumber) {
+        return this.maps[ProgressService.getMapKey(difficulty, mapNumber)] || null;
+    }
+    
+    /**
+     * 获取某个难度所有玩过的地图的进度
+     * @returns {Object} {mapNumber: record}
+     */
+    getDifficultyProgress(difficulty) {
+        const progress = {};
+        const prefix = `${difficulty}-`;
+        for (const [key, record] of Object.entries(this.maps)) {
+            if (key.startsWith(prefix)) {
+                progress[Number(key.slice(prefix.length))] = record;
+            }
+        }
+        return progress;
+    }
+    
+    /**
+     * 按星级标准评价一次通关
+     * @param {Object} round - {blockersUsed, gameTime, hinted}
+     * @returns {number} 1-3
+     */
+    rateRound(round) {
+        let stars = 1;
+        if (round.blockersUsed <= this.starThresholds.maxBlockers) stars++;
+        if (round.gameTime <= this.starThresholds.maxSeconds) stars++;
+        return round.hinted ? Math.min(stars, MAX_STARS - 1) : stars;
+    }
+    
+    /**
+     * 记录一回合的结果并保存
+     * @param {Object} roundResult - GameController.getRoundResult 的返回结果（需含 gameTime、blockersUsed）
+     * @returns {Object} {record, stars, newRecords} - newRecords 为 'firstWin' | 'bestTime' | 'fewestBlockers' | 'stars' 的列表，输掉的回合 stars 为 0
+     */
+    recordRound(roundResult) {
+        const key = ProgressService.getMapKey(roundResult.difficulty, roundResult.mapNumber);
+        const previous = this.maps[key] || null;
+        const record = previous
+            ? { ...previous }
+            : { plays: 0, wins: 0, won: false, bestTime: null, fewestBlockers: null, stars: 0 };
+        
+        record.plays++;
+        const newRecords = [];
+        let stars = 0;
+        
+        const won = String(roundResult.winner).toLowerCase() === 'player';
+        if (won) {
+            stars = this.rateRound(roundResult);
+            record.wins++;
+            
+            if (!record.won) {
+                record.won = true;
+                newRecords.push('firstWin');
+            }
+            // 第一次通关时所有纪录都是新的，只报告首次通关
+            if (record.bestTime === null || roundResult.gameTime < record.bestTime) {
+                if (record.bestTime !== null) newRecords.push('bestTime');
+                record.bestTime = Math.round(roundResult.gameTime * 100) / 100;
+            }
+            if (record.fewestBlockers === null || roundResult.blockersUsed < record.fewestBlockers) {
+                if (record.fewestBlockers !== null) newRecords.push('fewestBlockers');
+                record.fewestBlockers = roundResult.blockersUsed;
+            }
+            if (stars > record.stars) {
+                if (record.stars > 0) newRecords.push('stars');
+                record.stars = stars;
+            }
+        }
+        
+        this.maps[key] = record;
+        this.save();
+        return { record: { ...record }, stars, newRecords };
+    }
+    
+    /**
+     * 读取进度；存储损坏或版本不符时从头开始
+     */
+    load() {
+        if (!this.storage) return {};
+        
+        try {
+            const raw = this.storage.getItem(PROGRESS_STORAGE_KEY);
+            if (!raw) return {};
+            
+            const data = JSON.parse(raw);
+            if (!data || data.version !== PROGRESS_VERSION || typeof data.maps !== 'object' || data.maps === null) {
+                console.warn(`⚠️ 进度数据版本不符，已重置: ${data ? data.version : data}`);
+                return {};
+            }
+            return data.maps;
+        } catch (error) {
+            console.warn(`⚠️ 进度数据无效，已重置: ${error.message}`);
+            return {};
+        }
+    }
+    
+    /**
+     * 保存进度
+     * @returns {boolean} 是否保存成功
+     */
+    save() {
+        if (!this.storage) return false;
+        
+        try {
+            this.storage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify({ version: PROGRESS_VERSION, maps: this.maps }));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ 进度保存失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 清空所有进度
+     */
+    reset() {
+        this.maps = {};
+        if (!this.storage) return;
+        
+        try {
+            this.storage.removeItem(PROGRESS_STORAGE_KEY);
+        } catch (error) {
+            console.warn(`⚠️ 进度删除失败: ${error.message}`);
+        }
+    }
+}
+
+export default ProgressService;
@@ -0,0 +1,165 @@
+/**
+ * 回放录制 - 记录一回合的地图、随机种子、兔子参数和每一次路障操作，序列化为紧凑的 JSON 回放
+ * 回放由 ReplayPlayer 重新驱动 GameEngine/Bunny 播放，可用于复现问题和分享对局
+ *
+ * 回放格式（version 1）：
+ *   {version, difficulty, mapNumber, seed, bunnySpeed, maxBlockers, strategy, strategyOptions,
+ *    gameMode, endCondition, events, result}
+ *   events: [[t, type, edgeKey, bunnies], ...]
+ *     t       - 游戏时间（秒，与兔子移动使用的时间一致，不含暂停）
+ *     type    - 'add' 放置 | 'remove' 手动回收 | 'recycle' 超出上限自动回收 | 'pause' | 'resume'
+ *     edgeKey - 路障所在的边，暂停/恢复时为 null
+ *     bunnies - 操作发生时每只兔子的 [node, x, y]，播放时用于校正位置和检测不同步
+ *   result: {winner, time, bunnies} - winner 为 'bunny' | 'player'，中途停止时为 null
+ */
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_EVENT_TYPES = ['add', 'remove', 'recycle', 'pause', 'resume'];
+
+/**
+ * 保留指定小数位（缩短 JSON）
+ */
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.replay = null;      // 正在录制的回放
+        this.lastReplay = null;  // 最近一回合录制完成的回放
+        this.bunnies = [];
+        
+        // 游戏时间：与 Bunny.update 一样限制单帧时长，保证回放时兔子移动的时间基准一致
+        this.elapsedTime = 0;
+        this.maxDeltaTime = 1 / 30;
+    }
+    
+    /**
+     * 开始录制新回合（应在兔子开始寻路之前调用）
+     * @param {Object} metadata - {difficulty, mapNumber, seed, bunnySpeed, maxBlockers, strategy, strategyOptions, gameMode, endCondition}
+     * @param {Bunny[]} bunnies - 本回合所有兔子
+     */
+    start(metadata, bunnies = []) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            difficulty: metadata.difficulty,
+            mapNumber: metadata.mapNumber,
+            seed: metadata.seed,
+            bunnySpeed: metadata.bunnySpeed,
+            maxBlockers: metadata.maxBlockers,
+            strategy: metadata.strategy,
+            strategyOptions: { ...(metadata.strategyOptions || {}) },
+            gameMode: metadata.gameMode || 'realtime',
+            endCondition: metadata.endCondition || 'any-escape',
+            events: [],
+            result: null
+        };
+        this.bunnies = [...bunnies];
+        this.elapsedTime = 0;
+        if (this.bunnies.length > 0) {
+            this.maxDeltaTime = this.bunnies[0].maxDeltaTime;
+        }
+        this.recording = true;
+    }
+    
+    /**
+     * 推进游戏时间（仅在运行状态、兔子移动时调用）
+     * @param {number} deltaTime - 秒
+     */
+    update(deltaTime) {
+        if (!this.recording) return;
+        this.elapsedTime += Math.min(deltaTime, this.maxDeltaTime);
+    }
+    
+    /**
+     * 记录一次操作
+     * @param {string} type - 见 REPLAY_EVENT_TYPES
+     * @param {string|null} edgeKey - 路障所在的边
+     */
+    record(type, edgeKey = null) {
+        if (!this.recording) return;
+        
+        const snapshot = this.bunnies.map(bunny => [
+            bunny.currentNode,
+            roundTo(bunny.position.x, 2),
+            roundTo(bunny.position.y, 2)
+        ]);
+        this.replay.events.push([roundTo(this.elapsedTime, 4), type, edgeKey, snapshot]);
+    }
+    
+    /**
+     * 结束录制
+     * @param {string|null} winner - 'bunny' | 'player'，中途停止时为 null
+     * @returns {Object|null} 录制完成的回放
+     */
+    stop(winner = null) {
+        if (!this.recording) return null;
+        
+        this.replay.result = {
+            winner: winner ? String(winner).toLowerCase() : null,
+            time: roundTo(this.elapsedTime, 4),
+            bunnies: this.bunnies.map(bunny => bunny.currentNode)
+        };
+        this.recording = false;
+        this.lastReplay = this.replay;
+        this.replay = null;
+        this.bunnies = [];
+        return this.lastReplay;
+    }
+    
+    isRecording() {
+        return this.recording;
+    }
+    
+    /**
+     * 获取最近一回合录制完成的回放
+     */
+    getLastReplay() {
+        return this.lastReplay;
+    }
+    
+    /**
+     * 序列化回放（紧凑 JSON）
+     */
+    static serialize(replay) {
+        return JSON.stringify(replay);
+    }
+    
+    /**
+     * 解析并校验回放 JSON
+     * @param {string|Object} json - JSON 字符串或已解析的对象
+     * @returns {Object} 回放
+     */
+    static parse(json) {
+        const replay = typeof json === 'string' ? JSON.parse(json) : json;
+        
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`不支持的回放版本: ${replay ? replay.version : replay}`);
+        }
+        // 难度和地图是否在地图清单中由加载地图时检查
+        if (typeof replay.difficulty !== 'string' || !replay.difficulty || !Number.isInteger(replay.mapNumber)) {
+            throw new Error(`回放的地图无效: ${replay.difficulty} #${replay.mapNumber}`);
+        }
+        if (!Number.isFinite(replay.seed) || !Number.isFinite(replay.bunnySpeed) || !Number.isInteger(replay.maxBlockers)) {
+            throw new Error('回放缺少随机种子、兔子速度或路障数量');
+        }
+        if (!Array.isArray(replay.events)) {
+            throw new Error('回放缺少操作记录');
+        }
+        
+        let lastTime = 0;
+        for (const event of replay.events) {
+            const [t, type] = event;
+            if (!Number.isFinite(t) || t < lastTime || !REPLAY_EVENT_TYPES.includes(type)) {
+                throw new Error(`回放操作记录无效: ${JSON.stringify(event)}`);
+            }
+            lastTime = t;
+        }
+        
+        return replay;
+    }
+}
+
+export default ReplayRecorder;
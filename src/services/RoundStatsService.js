@@ -0,0 +1,125 @@
+/**
+ * 回合统计服务 - 统计一回合内的路障放置、自动回收、手动回收、兔子跳跃和重新寻路，并记录每次发生的游戏时间
+ * 游戏结束时随 GAME_OVER 事件发布，胜利对话框据此显示回合总结
+ *
+ * 时间线：[{time, type, edgeKey}] 或 [{time, type, spriteId, node}]
+ *   type - 'place' 放置 | 'recycle' 超出上限自动回收 | 'remove' 手动回收 | 'hop' 兔子到达节点 | 'replan' 兔子重新寻路
+ */
+
+export const ROUND_STAT_TYPES = ['place', 'recycle', 'remove', 'hop', 'replan'];
+
+export class RoundStatsService {
+    constructor() {
+        this.start();
+    }
+    
+    /**
+     * 开始新回合：清空计数、时间线和游戏时间
+     */
+    start() {
+        this.gameTime = 0; // 本回合的游戏时间（秒，不含暂停），由 GameLoop 推进
+        this.counts = { place: 0, recycle: 0, remove: 0, hop: 0, replan: 0 };
+        this.events = [];
+    }
+    
+    /**
+     * 推进游戏时间（仅在运行状态、兔子移动时调用）
+     * @param {number} deltaTime - 秒
+     */
+    update(deltaTime) {
+        this.gameTime += deltaTime;
+    }
+    
+    getGameTime() {
+        return this.gameTime;
+    }
+    
+    /**
+     * 记录一次统计事件
+     * @param {string} type - 见 ROUND_STAT_TYPES
+     * @param {Object} detail - {edgeKey} 或 {spriteId, node}
+     */
+    record(type, detail = {}) {
+        this.counts[type]++;
+        this.events.push({ time: Math.round(this.gameTime * 1000) / 1000, type, ...detail });
+    }
+    
+    recordPlacement(edgeKey) {
+        this.record('place', { edgeKey });
+    }
+    
+    recordRecycle(edgeKey) {
+        this.record('recycle', { edgeKey });
+    }
+    
+    recordRemoval(edgeKey) {
+        this.record('remove', { edgeKey });
+    }
+    
+    recordHop(spriteId, node) {
+        this.record('hop', { spriteId, node });
+    }
+    
+    recordReplan(spriteId) {
+        this.record('replan', { spriteId });
+    }
+    
+    /**
+     * 本回合玩家放置路障的次数
+     */
+    getPlacementCount() {
+        return this.counts.place;
+    }
+    
+    /**
+     * 获取回合统计（GAME_OVER 事件的 stats）
+     * @param {number} blockerCount - 场上剩余的路障数量
+     * @returns {Object} {blockerCount, gameTime, moves, placements, recycles, removals, hops, replans, events}
+     */
+    getStats(blockerCount = 0) {
+        return {
+            blockerCount,
+            gameTime: Math.round(this.gameTime * 100) / 100,
+            moves: this.counts.place + this.counts.remove, // 玩家的操作次数（放置和手动回收）
+            placements: this.counts.place,
+            recycles: this.counts.recycle,
+            removals: this.counts.remove,
+            hops: this.counts.hop,
+            replans: this.counts.replan,
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+    
+    /**
+     * 获取存档快照
+     */
+    getSnapshot() {
+        return {
+            gameTime: this.gameTime,
+            counts: { ...this.counts },
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+    
+    /**
+     * 从存档快照恢复；旧存档没有统计快照时只恢复游戏时间和放置次数
+     * @param {Object|null} snapshot - getSnapshot 的返回结果
+     * @param {Object} fallback - {gameTime, placements}
+     */
+    restoreSnapshot(snapshot, fallback = {}) {
+        this.start();
+        if (snapshot && snapshot.counts && Array.isArray(snapshot.events)) {
+            this.gameTime = snapshot.gameTime;
+            for (const type of ROUND_STAT_TYPES) {
+                this.counts[type] = snapshot.counts[type] || 0;
+            }
+            this.events = snapshot.events.map(event => ({ ...event }));
+            return;
+        }
+        
+        this.gameTime = fallback.gameTime || 0;
+        this.counts.place = fallback.placements || 0;
+    }
+}
+
+export default RoundStatsService;
@@ -0,0 +1,130 @@
+/**
+ * 存档服务 - 把进行中的回合快照保存到 localStorage，下次打开页面时恢复
+ * 快照由 GameController.createSavedGameSnapshot 生成，本服务只负责存取和校验
+ *
+ * 存档格式（version 1）：
+ *   {version, savedAt, difficulty, mapNumber, gameMode, strategy, elapsedTime, blockersPlaced, roundStats, hints, moveCount, blockers, bunnies}
+ *   blockers: 路障所在的边，按 blockerQueue 顺序（最老的在前，决定回收顺序）
+ *   bunnies:  每只兔子的 Bunny.getSnapshot()（currentNode、position、path、pathIndex 等）
+ *   roundStats: RoundStatsService.getSnapshot()（较早的存档没有，恢复时只用 elapsedTime 和 blockersPlaced）
+ *   hints:      HintService.getSnapshot()（已用提示次数和提示过的边；较早的存档没有，恢复时按未用过提示处理）
+ */
+
+export const SAVED_GAME_VERSION = 1;
+export const SAVED_GAME_STORAGE_KEY = 'bunnyRunAway.savedGame';
+
+export class SaveGameService {
+    /**
+     * @param {Storage|null} storage - 默认使用 localStorage；不可用时存档功能关闭
+     */
+    constructor(storage = SaveGameService.getDefaultStorage()) {
+        this.storage = storage;
+    }
+    
+    /**
+     * 获取浏览器的 localStorage（隐私模式等情况下访问会抛错）
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    isAvailable() {
+        return this.storage !== null;
+    }
+    
+    /**
+     * 保存快照
+     * @returns {boolean} 是否保存成功
+     */
+    save(snapshot) {
+        if (!this.storage) return false;
+        
+        try {
+            this.storage.setItem(SAVED_GAME_STORAGE_KEY, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ 存档保存失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 读取快照；存档损坏或版本不符时删除并返回 null
+     * @returns {Object|null}
+     */
+    load() {
+        if (!this.storage) return null;
+        
+        let raw = null;
+        try {
+            raw = this.storage.getItem(SAVED_GAME_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+        if (!raw) return null;
+        
+        try {
+            return SaveGameService.validate(JSON.parse(raw));
+        } catch (error) {
+            console.warn(`⚠️ 存档无效，已删除: ${error.message}`);
+            this.clear();
+            return null;
+        }
+    }
+    
+    hasSavedGame() {
+        return this.load() !== null;
+    }
+    
+    /**
+     * 删除存档（回合结束或玩家放弃时调用）
+     */
+    clear() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.removeItem(SAVED_GAME_STORAGE_KEY);
+        } catch (error) {
+            console.warn(`⚠️ 存档删除失败: ${error.message}`);
+        }
+    }
+    
+    /**
+     * 校验快照结构
+     * @returns {Object} 快照
+     */
+    static validate(snapshot) {
+        if (!snapshot || snapshot.version !== SAVED_GAME_VERSION) {
+            throw new Error(`不支持的存档版本: ${snapshot ? snapshot.version : snapshot}`);
+        }
+        // 难度和地图是否在地图清单中由加载地图时检查
+        if (typeof snapshot.difficulty !== 'string' || !snapshot.difficulty || !Number.isInteger(snapshot.mapNumber)) {
+            throw new Error(`存档的地图无效: ${snapshot.difficulty} #${snapshot.mapNumber}`);
+        }
+        if (!Array.isArray(snapshot.blockers) || !snapshot.blockers.every(edgeKey => typeof edgeKey === 'string')) {
+            throw new Error('存档的路障无效');
+        }
+        if (!Array.isArray(snapshot.bunnies) || snapshot.bunnies.length === 0) {
+            throw new Error('存档缺少兔子状态');
+        }
+        for (const bunny of snapshot.bunnies) {
+            const position = bunny && bunny.position;
+            if (!bunny || typeof bunny.currentNode !== 'string' || !position ||
+                !Number.isFinite(position.x) || !Number.isFinite(position.y) ||
+                !Number.isInteger(bunny.pathIndex)) {
+                throw new Error(`存档的兔子状态无效: ${JSON.stringify(bunny)}`);
+            }
+        }
+        if (!Number.isFinite(snapshot.elapsedTime)) {
+            throw new Error('存档缺少游戏时间');
+        }
+        
+        return snapshot;
+    }
+}
+
+export default SaveGameService;
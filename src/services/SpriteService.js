@@ -194,6 +194,15 @@ export class SpriteService {
         return this.sprites.get(name);
     }
     
+    /**
+     * 获取指定组的所有精灵（按添加顺序）
+     */
+    getSpritesInGroup(groupName) {
+        const group = this.spriteGroups.get(groupName);
+        if (!group) return [];
+        return Array.from(group, name => this.sprites.get(name)).filter(sprite => sprite);
+    }
+    
     /**
      * 移除精灵
      */
@@ -225,8 +234,8 @@ export class SpriteService {
      */
     updateAllExceptBunny(dt) {
         for (const [name, sprite] of this.sprites) {
-            // 跳过兔子，避免重复更新
-            if (name !== 'bunny') {
+            // 跳过兔子（包括多兔子地图中的 bunny-2、bunny-3...），避免重复更新
+            if (name !== 'bunny' && !name.startsWith('bunny-')) {
                 sprite.update(dt);
             }
         }
@@ -42,8 +42,8 @@ export class StartButtonWidget extends FloatingWidgetBase {
             return false;
         }
         
-        // 只有在initial状态下才显示
-        return this.stateTransitionService.isInitial();
+        // 只有在initial状态下才显示，地图编辑期间隐藏
+        return this.stateTransitionService.isInitial() && !(this.gameController && this.gameController.mapEditor);
     }
     
     /**
@@ -133,8 +133,8 @@ export class StartButtonWidget extends FloatingWidgetBase {
      * 处理Canvas点击事件 - 从 EventHandler 搬运过来
      */
     handleCanvasClick(event) {
-        // 1. 状态检查：只有在 initial 状态下才处理
-        if (!this.stateTransitionService || !this.stateTransitionService.isInitial()) {
+        // 1. 状态检查：只有在显示按钮（initial 状态且不在编辑地图）时才处理
+        if (!this.shouldShow()) {
             return;
         }
         
@@ -172,8 +172,8 @@ export class StartButtonWidget extends FloatingWidgetBase {
      * 处理Canvas鼠标移动事件 - 从 EventHandler 搬运过来
      */
     handleCanvasMouseMove(event) {
-        // 1. 状态检查：只有在 initial 状态下才处理
-        if (!this.stateTransitionService || !this.stateTransitionService.isInitial()) {
+        // 1. 状态检查：只有在显示按钮（initial 状态且不在编辑地图）时才处理
+        if (!this.shouldShow()) {
             return;
         }
         
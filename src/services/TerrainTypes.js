@@ -0,0 +1,40 @@
+/**
+ * 地形类型 - 地图边的可选 terrain 属性
+ * cost: 寻路代价（草地为1）；speedMultiplier: 兔子在该边上的移动速度倍率
+ *
+ * 地图文件（version 2）中用边的属性指定地形，没有指定的边为草地：
+ *   "edges": [[[1, 2], [1, 3], {"terrain": "mud"}], [[4, 4], [5, 4], {"terrain": "bridge"}], ...]
+ * 旧格式（version 1）用单独的 terrain 对象：
+ *   "terrain": { "((1, 2), (1, 3))": "mud", "((4, 4), (5, 4))": "bridge" }
+ */
+
+export const DEFAULT_TERRAIN = 'grass';
+
+export const TERRAIN_TYPES = {
+    grass: { id: 'grass', label: 'Grass', cost: 1, speedMultiplier: 1 },
+    mud: { id: 'mud', label: 'Mud', cost: 2, speedMultiplier: 0.5 },
+    water: { id: 'water', label: 'Water', cost: 3, speedMultiplier: 0.35 },
+    bridge: { id: 'bridge', label: 'Bridge', cost: 0.75, speedMultiplier: 1.35 }
+};
+
+// 最小边代价，A* 启发函数乘以该值以保持可采纳
+export const MIN_TERRAIN_COST = Math.min(...Object.values(TERRAIN_TYPES).map(terrain => terrain.cost));
+
+/**
+ * 获取地形定义，未知地形按草地处理
+ */
+export function getTerrainType(name) {
+    return TERRAIN_TYPES[name] || TERRAIN_TYPES[DEFAULT_TERRAIN];
+}
+
+/**
+ * 查找两个节点之间的边的地形
+ * @param {Map} edges - GameEngine.edges（边键 -> {terrain, ...}），两个方向的边键均检查
+ */
+export function getEdgeTerrain(edges, from, to) {
+    if (!edges) return DEFAULT_TERRAIN;
+    const edge = edges.get(`(${from}, ${to})`) || edges.get(`(${to}, ${from})`);
+    return edge && edge.terrain ? edge.terrain : DEFAULT_TERRAIN;
+}
+
+export default TERRAIN_TYPES;
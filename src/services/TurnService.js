@@ -0,0 +1,99 @@
+/**
+ * 回合制服务 - "围住神经猫"玩法：玩家每放置或回收一个路障，兔子沿重新规划的路径前进一个节点
+ * 兔子跳完这一步后停在节点上等待玩家的下一步，跳跃期间玩家不能操作
+ */
+
+export class TurnService {
+    constructor() {
+        this.enabled = false;
+        
+        // 回合状态
+        this.moveCount = 0; // 本回合玩家已走的步数
+        
+        // 回调函数：步数变化
+        this.onMoveCountChanged = null;
+    }
+    
+    /**
+     * 设置步数变化回调
+     */
+    setOnMoveCountChanged(callback) {
+        this.onMoveCountChanged = callback;
+    }
+    
+    /**
+     * 开启或关闭回合制
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+    
+    isEnabled() {
+        return this.enabled;
+    }
+    
+    /**
+     * 开始新回合：清空步数并设置兔子的移动方式
+     * @param {Bunny[]} bunnies - 本回合所有兔子
+     */
+    resetRound(bunnies = []) {
+        this.moveCount = 0;
+        bunnies.forEach(bunny => bunny.setTurnBased(this.enabled));
+        this.notifyMoveCountChanged();
+    }
+    
+    /**
+     * 是否轮到玩家操作（回合制下没有兔子正在跳跃）
+     */
+    isWaitingForPlayer(bunnies) {
+        return !this.enabled || !bunnies.some(bunny => bunny.isHopping());
+    }
+    
+    /**
+     * 玩家完成一步：每只兔子获得一次跳跃
+     * 应在路障更新广播之后调用，兔子按重新规划后的路径前进
+     */
+    playerMoved(bunnies) {
+        if (!this.enabled) return;
+        
+        this.moveCount++;
+        bunnies.forEach(bunny => bunny.grantHop());
+        this.notifyMoveCountChanged();
+    }
+    
+    /**
+     * 本回合玩家已走的步数
+     */
+    getMoveCount() {
+        return this.moveCount;
+    }
+    
+    /**
+     * 恢复存档时设置已走的步数
+     */
+    setMoveCount(moveCount) {
+        this.moveCount = moveCount;
+        this.notifyMoveCountChanged();
+    }
+    
+    /**
+     * 获取本回合的步数记录（写入回合结果）
+     */
+    getRoundRecord() {
+        return {
+            gameMode: this.enabled ? 'turn-based' : 'realtime',
+            moveCount: this.enabled ? this.moveCount : null
+        };
+    }
+    
+    /**
+     * 触发步数变化回调
+     */
+    notifyMoveCountChanged() {
+        if (this.onMoveCountChanged) {
+            this.onMoveCountChanged(this.moveCount);
+        }
+    }
+}
+
+export default TurnService;
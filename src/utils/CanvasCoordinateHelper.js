@@ -18,7 +18,7 @@ export class CanvasCoordinateHelper {
             console.warn('CanvasCoordinateHelper: 缺少canvas或event参数');
             return { x: 0, y: 0 };
         }
-
+        
         try {
             // 获取Canvas的边界框
             const rect = canvas.getBoundingClientRect();
@@ -164,6 +164,44 @@ export class CanvasCoordinateHelper {
         return baseThreshold * scale;
     }
     
+    /**
+     * 获取画布显示缩放：每个CSS像素对应的画布像素数
+     * 小屏幕上画布被缩小显示时大于1
+     * 
+     * @param {HTMLCanvasElement} canvas - Canvas元素
+     * @returns {number} 显示缩放
+     */
+    static getDisplayScale(canvas) {
+        if (!canvas) return 1;
+        
+        try {
+            const rect = canvas.getBoundingClientRect();
+            const borderWidth = this.getBorderWidth(window.getComputedStyle(canvas));
+            const displayWidth = rect.width - (borderWidth * 2);
+            return displayWidth > 0 ? canvas.width / displayWidth : 1;
+        } catch (error) {
+            console.warn('CanvasCoordinateHelper: 获取显示缩放失败', error);
+            return 1;
+        }
+    }
+    
+    /**
+     * 按指针类型计算边检测阈值（画布像素）
+     * 鼠标沿用 getAdjustedThreshold；触摸和触控笔的容差是屏幕上的CSS像素，
+     * 乘以显示缩放后画布被缩小得越多阈值越大，手指能覆盖的范围不随画布大小变化
+     * 
+     * @param {HTMLCanvasElement} canvas - Canvas元素
+     * @param {string} pointerType - PointerEvent.pointerType（'mouse'、'pen'、'touch'）
+     * @param {Object} tolerances - {mouse, pen, touch}，鼠标为画布像素，触摸和触控笔为CSS像素
+     * @returns {number} 阈值
+     */
+    static getPointerThreshold(canvas, pointerType, tolerances = { mouse: 20, pen: 14, touch: 24 }) {
+        if (pointerType === 'touch' || pointerType === 'pen') {
+            return tolerances[pointerType] * this.getDisplayScale(canvas);
+        }
+        return this.getAdjustedThreshold(canvas, tolerances.mouse);
+    }
+    
     /**
      * 调试方法：输出Canvas坐标信息
      * 用于开发时调试坐标问题